@@ -1,21 +1,53 @@
+import { AudioMixer } from './AudioMixer.js';
+
 export class AudioManager {
     constructor() {
         // Create AudioContext only after user interaction (or attempt)
         this.audioContext = null;
-        this.musicBuffer = null;
+        this.pendingLoop = null; // Loop requested before the AudioContext existed, played once it does
         this.musicSource = null;
         this.isMusicPlaying = false;
-        this.isMuted = false; // Add muted flag to control sound playback
-        this.allowedSounds = []; // Sounds that are allowed to play even when muted
+        
+        // Every sound goes through one of the mixer's buses (music, sfx, ambience, ui, voice)
+        this.mixer = new AudioMixer();
         
         // Add audio analysis capabilities
         this.analyser = null;
         this.dataArray = null;
         this.visualCallback = null;
+        this.visualListeners = []; // Also fed the visualization data, see addVisualizationListener
         this.animationFrameId = null;
 
         // Track active sound sources by type
         this.activeSoundSources = {};
+        
+        // Paused game: the context is suspended and new one-shots are dropped instead of queued,
+        // except on the ui bus - menu sounds play through a context of their own meanwhile
+        this.isSuspended = false;
+        this.uiContext = null; // See _getSuspendedUiOutput
+        this.uiGain = null;
+
+        // Decoded buffers by URL (see getBuffer). Preloaded sounds are pinned by a reference
+        // count and dropped once the last holder releases them (e.g. the previous level's music),
+        // anything else is evicted least recently used first once the cache is too big.
+        this.bufferCache = new Map(); // url -> { buffer, bytes, lastUsed }
+        this.pendingBuffers = new Map(); // url -> Promise while fetching/decoding, so requests are shared
+        this.bufferRefCounts = new Map(); // url -> number of holders (retain/release)
+        this.cacheBytes = 0;
+        this.maxCacheBytes = 192 * 1024 * 1024; // Decoded PCM is big - about 10 MB per minute of stereo
+
+        // Distance falloff for sounds played at a world position (see _createPanner), in metres
+        this.spatialDefaults = {
+            refDistance: 2, // Full volume up to this distance
+            maxDistance: 60,
+            rolloffFactor: 1.5
+        };
+        this.followingSounds = []; // { source, panner, follow } - positioned sounds that move with their emitter
+
+        // Resolves once an AudioContext exists - sounds fetched before then wait here to be decoded
+        this.contextReady = new Promise(resolve => {
+            this.resolveContextReady = resolve;
+        });
 
         // Listener to start audio context on first interaction
         this.initAudioContext = this._initAudioContextOnFirstInteraction.bind(this);
@@ -25,16 +57,10 @@ export class AudioManager {
 
     // Initialize AudioContext safely after user gesture
     _initAudioContextOnFirstInteraction() {
-        if (!this.audioContext) {
-            try {
-                 this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                 console.log("AudioContext initialized.");
-                 // If music buffer was loaded before context was ready, try playing now
-                 if (this.musicBuffer && !this.isMusicPlaying) {
-                      this.playLoop(this.musicBuffer);
-                 }
-            } catch (e) {
-                 console.error("Web Audio API is not supported in this browser", e);
+        if (!this.audioContext && this._ensureAudioContext('first interaction')) {
+            // If music was requested before the context was ready, play it now
+            if (this.pendingLoop && !this.isMusicPlaying) {
+                this.playLoop(this.pendingLoop);
             }
         }
          // Clean up listeners if they are still attached (though {once: true} should handle it)
@@ -42,66 +68,238 @@ export class AudioManager {
          document.body.removeEventListener('keydown', this.initAudioContext);
     }
 
-    async loadSound(url) {
+    // Create the AudioContext if there isn't one yet. Returns false if Web Audio is unavailable.
+    _ensureAudioContext(reason) {
+        if (this.audioContext) return true;
+
+        try {
+            this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+            console.log(`AudioContext initialized for ${reason}.`);
+            this.mixer.attach(this.audioContext);
+            this.resolveContextReady();
+            return true;
+        } catch (e) {
+            console.error("Web Audio API is not supported in this browser", e);
+            return false;
+        }
+    }
+
+    // --- Spatial audio ---
+
+    // Move the listener to the camera so positioned sounds are heard from the player's head,
+    // and sounds played with a follow option to where their emitter is now.
+    // Called by the Engine every frame.
+    updateListener(camera) {
+        if (!this.audioContext || !camera) return;
+
+        camera.updateMatrixWorld();
+        const e = camera.matrixWorld.elements;
+        const listener = this.audioContext.listener;
+
+        // Camera looks down its local -Z, with +Y as up
+        const forwardLength = Math.hypot(e[8], e[9], e[10]) || 1;
+        const forward = [-e[8] / forwardLength, -e[9] / forwardLength, -e[10] / forwardLength];
+        const upLength = Math.hypot(e[4], e[5], e[6]) || 1;
+        const up = [e[4] / upLength, e[5] / upLength, e[6] / upLength];
+
+        if (listener.positionX) {
+            const time = this.audioContext.currentTime;
+            listener.positionX.setValueAtTime(e[12], time);
+            listener.positionY.setValueAtTime(e[13], time);
+            listener.positionZ.setValueAtTime(e[14], time);
+            listener.forwardX.setValueAtTime(forward[0], time);
+            listener.forwardY.setValueAtTime(forward[1], time);
+            listener.forwardZ.setValueAtTime(forward[2], time);
+            listener.upX.setValueAtTime(up[0], time);
+            listener.upY.setValueAtTime(up[1], time);
+            listener.upZ.setValueAtTime(up[2], time);
+        } else {
+            // Older Firefox/Safari only have the deprecated setters
+            listener.setPosition(e[12], e[13], e[14]);
+            listener.setOrientation(forward[0], forward[1], forward[2], up[0], up[1], up[2]);
+        }
+
+        this.followingSounds.forEach(sound => {
+            const position = sound.follow();
+            if (position) {
+                this._setPannerPosition(sound.panner, position);
+            }
+        });
+    }
+
+    // HRTF panner at a world position ({x, y, z}); options can override spatialDefaults
+    _createPanner(position, options = {}) {
+        const panner = this.audioContext.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = options.refDistance !== undefined ? options.refDistance : this.spatialDefaults.refDistance;
+        panner.maxDistance = options.maxDistance !== undefined ? options.maxDistance : this.spatialDefaults.maxDistance;
+        panner.rolloffFactor = options.rolloffFactor !== undefined ? options.rolloffFactor : this.spatialDefaults.rolloffFactor;
+
+        this._setPannerPosition(panner, position);
+        return panner;
+    }
+
+    _setPannerPosition(panner, position) {
+        if (panner.positionX) {
+            panner.positionX.value = position.x;
+            panner.positionY.value = position.y;
+            panner.positionZ.value = position.z;
+        } else {
+            panner.setPosition(position.x, position.y, position.z);
+        }
+    }
+
+    // --- Buffer cache ---
+
+    // Decoded buffer for a URL, fetched and decoded only the first time.
+    // Concurrent requests for the same URL share one fetch. Rejects if loading fails.
+    getBuffer(url) {
+        const cached = this.bufferCache.get(url);
+        if (cached) {
+            cached.lastUsed = performance.now();
+            return Promise.resolve(cached.buffer);
+        }
+
+        if (this.pendingBuffers.has(url)) {
+            return this.pendingBuffers.get(url);
+        }
+
+        const pending = this._fetchAndDecode(url).finally(() => this.pendingBuffers.delete(url));
+        this.pendingBuffers.set(url, pending);
+        return pending;
+    }
+
+    async _fetchAndDecode(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status} loading ${url}`);
+        }
+        const arrayBuffer = await response.arrayBuffer();
+
+        // Fetching can happen before the first click, decoding needs the context
         if (!this.audioContext) {
-             console.warn("Cannot load sound yet: AudioContext not initialized. Will load after user interaction.");
-             // Attempt to fetch anyway, store buffer for later
+            console.log(`Sound fetched, decoding deferred until audio starts: ${url}`);
         }
-        
+        await this.contextReady;
+
+        const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+        this._addToCache(url, audioBuffer);
+        return audioBuffer;
+    }
+
+    _addToCache(url, audioBuffer) {
+        const bytes = audioBuffer.length * audioBuffer.numberOfChannels * 4; // 32-bit float samples
+        this.bufferCache.set(url, { buffer: audioBuffer, bytes: bytes, lastUsed: performance.now() });
+        this.cacheBytes += bytes;
+        this._evictIfNeeded();
+    }
+
+    // Drop least recently used buffers nobody holds a reference to until the cache fits
+    _evictIfNeeded() {
+        while (this.cacheBytes > this.maxCacheBytes) {
+            let oldestUrl = null;
+            let oldestTime = Infinity;
+            this.bufferCache.forEach((entry, url) => {
+                if ((this.bufferRefCounts.get(url) || 0) === 0 && entry.lastUsed < oldestTime) {
+                    oldestTime = entry.lastUsed;
+                    oldestUrl = url;
+                }
+            });
+
+            if (!oldestUrl) break; // Everything left is in use
+
+            this.cacheBytes -= this.bufferCache.get(oldestUrl).bytes;
+            this.bufferCache.delete(oldestUrl);
+            console.log(`Evicted sound from cache: ${oldestUrl}`);
+        }
+    }
+
+    // Keep a sound in the cache until it is released (can be called before it has loaded)
+    retain(url) {
+        this.bufferRefCounts.set(url, (this.bufferRefCounts.get(url) || 0) + 1);
+    }
+
+    // Nothing needs a sound any more once its last holder releases it - free the buffer
+    release(url) {
+        const count = (this.bufferRefCounts.get(url) || 0) - 1;
+        if (count > 0) {
+            this.bufferRefCounts.set(url, count);
+            return;
+        }
+
+        this.bufferRefCounts.delete(url);
+        const cached = this.bufferCache.get(url);
+        if (cached) {
+            this.cacheBytes -= cached.bytes;
+            this.bufferCache.delete(url);
+            console.log(`Released sound from cache: ${url}`);
+        }
+    }
+
+    // Fetch and decode sounds ahead of time and keep them cached until releaseSounds().
+    // manifest: array of URLs, or an object of named URL lists (see SoundManifest.js)
+    // onProgress(loaded, total) is called as each sound finishes (failed ones count as finished)
+    async preload(manifest, onProgress = null) {
+        const urls = this._manifestUrls(manifest);
+        let loaded = 0;
+        if (onProgress) onProgress(0, urls.length);
+
+        await Promise.all(urls.map(url => {
+            this.retain(url);
+            return this.getBuffer(url)
+                .catch(error => console.warn(`Could not preload sound ${url}:`, error))
+                .then(() => {
+                    loaded++;
+                    if (onProgress) onProgress(loaded, urls.length);
+                });
+        }));
+
+        console.log(`Preloaded ${urls.length} sounds, ${(this.cacheBytes / (1024 * 1024)).toFixed(1)} MB decoded in cache`);
+        return urls;
+    }
+
+    // Let preloaded sounds be evicted again
+    releaseSounds(manifest) {
+        this._manifestUrls(manifest).forEach(url => this.release(url));
+    }
+
+    _manifestUrls(manifest) {
+        const urls = Array.isArray(manifest) ? manifest : Object.values(manifest).flat();
+        return [...new Set(urls.filter(Boolean))];
+    }
+
+    // Decoded buffer for a URL, or null if it can't be loaded
+    async loadSound(url) {
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                 throw new Error(`HTTP error! status: ${response.status} loading ${url}`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
-            
-            // Decode only if context is ready, otherwise store buffer
-            if (this.audioContext) {
-                 const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
-                 console.log(`Sound loaded: ${url}`);
-                 return audioBuffer;
-            } else {
-                 // Store raw buffer to decode later
-                 console.log(`Sound fetched, decoding deferred: ${url}`);
-                 // Hacky: store arrayBuffer directly on the 'musicBuffer' property for now
-                 this.musicBuffer = arrayBuffer; 
-                 return null; // Indicate not fully loaded
-            }
+            const audioBuffer = await this.getBuffer(url);
+            console.log(`Sound loaded: ${url}`);
+            return audioBuffer;
         } catch (error) {
             console.error(`Error loading sound ${url}:`, error);
             return null;
         }
     }
 
-    playLoop(bufferOrArrayBuffer) {
+    playLoop(audioBuffer) {
         if (!this.audioContext) {
-            console.warn("Cannot play sound: AudioContext not initialized.");
-            // Buffer might be stored, will play once context is ready
+            console.warn("Cannot play sound yet: AudioContext not initialized. Will play after user interaction.");
+            this.pendingLoop = audioBuffer;
             return;
         }
         if (this.musicSource) {
             this.musicSource.stop(); // Stop previous music if any
         }
+        this.pendingLoop = null;
 
-        // Check if we need to decode a stored ArrayBuffer
-        if (bufferOrArrayBuffer instanceof ArrayBuffer) {
-             console.log("Decoding stored ArrayBuffer...");
-             this.audioContext.decodeAudioData(bufferOrArrayBuffer)
-                 .then(decodedBuffer => {
-                      this.musicBuffer = decodedBuffer; // Store the decoded buffer
-                      this._playDecodedLoop(decodedBuffer);
-                 })
-                 .catch(e => console.error("Error decoding stored audio data:", e));
-        } else if (bufferOrArrayBuffer instanceof AudioBuffer) {
-             this._playDecodedLoop(bufferOrArrayBuffer);
-        }
+        this._playDecodedLoop(audioBuffer);
     }
 
     _playDecodedLoop(audioBuffer) {
          this.musicSource = this.audioContext.createBufferSource();
          this.musicSource.buffer = audioBuffer;
          this.musicSource.loop = true;
-         this.musicSource.connect(this.audioContext.destination);
+         this.musicSource.connect(this.mixer.getBusInput('music'));
          this.musicSource.start();
          this.isMusicPlaying = true;
          console.log("Playing music loop.");
@@ -118,43 +316,70 @@ export class AudioManager {
         }
     }
 
-    // Method to mute all sounds except specific allowed ones
-    muteAllExcept(allowedSoundUrls = []) {
-        this.isMuted = true;
-        this.allowedSounds = allowedSoundUrls;
-        console.log("AudioManager: Muted all sounds except:", allowedSoundUrls);
-        
-        // Stop any currently playing music
-        this.stopMusic();
+    // Mute every mixer bus except the ones named (e.g. ['music', 'ui'])
+    // New sounds on a muted bus aren't started at all
+    muteAllExcept(allowedBuses = []) {
+        this.mixer.muteAllExcept(allowedBuses);
+        console.log("AudioManager: Muted all buses except:", allowedBuses);
     }
     
-    // Method to mute all sounds
+    // Mute every mixer bus
     muteAll() {
-        this.isMuted = true;
-        this.allowedSounds = [];
-        console.log("AudioManager: Muted all sounds");
-        
-        // Stop any currently playing music
-        this.stopMusic();
+        this.mixer.muteAllExcept([]);
+        console.log("AudioManager: Muted all buses");
+    }
+
+    // Freeze every playing sound where it is (pause menu)
+    suspend() {
+        this.isSuspended = true;
+        if (this.audioContext && this.audioContext.state === 'running') {
+            this.audioContext.suspend();
+        }
+    }
+
+    // Output for ui bus sounds while suspended: a second context that is never suspended,
+    // created the first time it's needed, at the ui bus volume
+    _getSuspendedUiOutput() {
+        if (!this.uiContext) {
+            this.uiContext = new (window.AudioContext || window.webkitAudioContext)();
+            this.uiGain = this.uiContext.createGain();
+            this.uiGain.connect(this.uiContext.destination);
+        }
+        if (this.uiContext.state === 'suspended') {
+            this.uiContext.resume();
+        }
+
+        this.uiGain.gain.value = this.mixer.isBusMuted('ui') ? 0 : this.mixer.getVolume('ui') * this.mixer.getVolume('master');
+        return this.uiGain;
+    }
+
+    // Carry on from where suspend() stopped
+    resume() {
+        this.isSuspended = false;
+        if (this.audioContext && this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
     }
 
-    // Method to unmute sounds
+    // Unmute every mixer bus
     unmute() {
-        this.isMuted = false;
-        this.allowedSounds = [];
-        console.log("AudioManager: Unmuted all sounds");
+        this.mixer.unmuteAll();
+        console.log("AudioManager: Unmuted all buses");
+    }
+
+    // Volume of a mixer bus (or 'master'), 0-1. Saved between sessions.
+    setBusVolume(bus, volume) {
+        this.mixer.setVolume(bus, volume);
+    }
+
+    getBusVolume(bus) {
+        return this.mixer.getVolume(bus);
     }
 
     // Set up analyzer with more specific frequency band analysis
     setupAnalyser(callback) {
-        if (!this.audioContext) {
-            try {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                console.log("AudioContext initialized for analyzer setup.");
-            } catch (e) {
-                console.error("Web Audio API is not supported in this browser", e);
-                return;
-            }
+        if (!this._ensureAudioContext('analyzer setup')) {
+            return;
         }
         
         // Create analyzer with higher FFT resolution for better frequency analysis
@@ -179,12 +404,7 @@ export class AudioManager {
         }
         
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} loading ${url}`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            const audioBuffer = await this.getBuffer(url);
             
             // If already playing something, stop it
             if (this.musicSource) {
@@ -197,7 +417,7 @@ export class AudioManager {
             
             // Connect to analyzer
             source.connect(this.analyser);
-            this.analyser.connect(this.audioContext.destination);
+            this.analyser.connect(this.mixer.getBusInput('music'));
             
             // Play the sound
             source.loop = true;
@@ -267,12 +487,14 @@ export class AudioManager {
             beatDetected = (bassVolume > lastBassVolume + bassThreshold) && 
                           (bassVolume > currentBeatThreshold);
             
-            // Call the visualization callback with the data
-            this.visualCallback({
+            // Call the visualization callback (and any listeners) with the data
+            const audioData = {
                 volume: averageVolume / 255, // Normalize to 0-1
                 bassVolume: bassVolume / 255, // Normalize to 0-1
                 beatDetected: beatDetected
-            });
+            };
+            this.visualCallback(audioData);
+            this.visualListeners.forEach(listener => listener(audioData));
             
             // Save the current bass volume for next frame
             lastBassVolume = bassVolume;
@@ -285,6 +507,18 @@ export class AudioManager {
         updateVisual();
     }
     
+    // Extra callback for the data startVisualization() sends to the setupAnalyser callback,
+    // for UI that reacts to the music next to it
+    addVisualizationListener(listener) {
+        if (!this.visualListeners.includes(listener)) {
+            this.visualListeners.push(listener);
+        }
+    }
+    
+    removeVisualizationListener(listener) {
+        this.visualListeners = this.visualListeners.filter(entry => entry !== listener);
+    }
+    
     // Stop the visualization
     stopVisualization() {
         if (this.animationFrameId) {
@@ -294,43 +528,65 @@ export class AudioManager {
     }
     
     // Play a sound once (non-looping)
+    // options: playbackRate, volume, type (for stopSoundsByType), bus (mixer bus, default 'sfx'),
+    // priority (voice limiting, defaults to the bus priority) and position ({x, y, z} in the
+    // world) to play it through an HRTF panner instead of straight to the bus. follow is a
+    // function returning the emitter's current position (or null to stay put), polled every frame.
     async playOneShot(url, options = {}) {
-        // Check if we're muted and this sound isn't in the allowed list
-        if (this.isMuted && !this.allowedSounds.includes(url)) {
-            console.log(`Sound ${url} blocked due to mute state`);
-            return null; // Don't play sound if muted
+        const bus = options.bus || 'sfx';
+        if (this.isSuspended && bus !== 'ui') {
+            return null; // Paused - don't let sounds pile up for the resume
+        }
+        if (this.mixer.isBusMuted(bus)) {
+            console.log(`Sound ${url} blocked, ${bus} bus is muted`);
+            return null;
         }
         
-        if (!this.audioContext) {
-            // Try to initialize context
-            try {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                console.log("AudioContext initialized for oneshot sound.");
-            } catch (e) {
-                console.error("Web Audio API is not supported in this browser", e);
-                return;
-            }
+        if (!this._ensureAudioContext('oneshot sound')) {
+            return;
         }
         
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} loading ${url}`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            const audioBuffer = await this.getBuffer(url);
+            
+            // Menu sounds while paused go through the ui context, the game's one is frozen
+            const useUiContext = this.isSuspended && bus === 'ui';
+            const busInput = useUiContext ? this._getSuspendedUiOutput() : this.mixer.getBusInput(bus);
+            const context = busInput.context;
             
             // Play the sound
-            const source = this.audioContext.createBufferSource();
+            const source = context.createBufferSource();
             source.buffer = audioBuffer;
             
+            const priority = options.priority !== undefined ? options.priority : this.mixer.getBusPriority(bus);
+            if (!this.mixer.acquireVoice(source, bus, priority)) {
+                console.log(`Sound ${url} dropped, too many sounds playing`);
+                return null;
+            }
+            
             // Apply playback rate if specified (for pitch adjustment)
             if (options.playbackRate !== undefined) {
                 source.playbackRate.value = options.playbackRate;
                 console.log(`Playing sound with adjusted playback rate: ${options.playbackRate}`);
             }
             
-            source.connect(this.audioContext.destination);
+            let output = source;
+            if (options.volume !== undefined) {
+                const gainNode = context.createGain();
+                gainNode.gain.value = options.volume;
+                output.connect(gainNode);
+                output = gainNode;
+            }
+            if (options.position && !useUiContext) {
+                const pannerNode = this._createPanner(options.position, options);
+                output.connect(pannerNode);
+                output = pannerNode;
+                if (options.follow) {
+                    this.followingSounds.push({ source: source, panner: pannerNode, follow: options.follow });
+                }
+            }
+            
+            output.connect(busInput);
             source.start(0);
             
             // Get sound type from URL (e.g., 'rain' from 'rain_sound.wav')
@@ -344,6 +600,8 @@ export class AudioManager {
             
             // Remove from tracking once it's done playing
             source.onended = () => {
+                this.mixer.releaseVoice(source);
+                this.followingSounds = this.followingSounds.filter(sound => sound.source !== source);
                 const index = this.activeSoundSources[soundType].indexOf(source);
                 if (index !== -1) {
                     this.activeSoundSources[soundType].splice(index, 1);
@@ -413,36 +671,28 @@ export class AudioManager {
         }
     }
 
-    // Play a footstep sound with spatial options
+    // Play a footstep sound with spatial options (options.bus defaults to 'sfx')
     async playFootstepSound(url, options = {}) {
-        // Check if we're muted and this sound isn't in the allowed list
-        if (this.isMuted && !this.allowedSounds.includes(url)) {
-            return null; // Don't play sound if muted
+        const bus = options.bus || 'sfx';
+        if (this.isSuspended || this.mixer.isBusMuted(bus)) {
+            return null;
         }
         
-        if (!this.audioContext) {
-            // Try to initialize context
-            try {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                console.log("AudioContext initialized for footstep sound.");
-            } catch (e) {
-                console.error("Web Audio API is not supported in this browser", e);
-                return;
-            }
+        if (!this._ensureAudioContext('footstep sound')) {
+            return;
         }
         
         try {
-            const response = await fetch(url);
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status} loading ${url}`);
-            }
-            const arrayBuffer = await response.arrayBuffer();
-            const audioBuffer = await this.audioContext.decodeAudioData(arrayBuffer);
+            const audioBuffer = await this.getBuffer(url);
             
             // Create audio source
             const source = this.audioContext.createBufferSource();
             source.buffer = audioBuffer;
             
+            if (!this.mixer.acquireVoice(source, bus, this.mixer.getBusPriority(bus))) {
+                return null;
+            }
+            
             // Apply playback rate for speed effect
             if (options.playbackRate !== undefined) {
                 source.playbackRate.value = options.playbackRate;
@@ -516,8 +766,8 @@ export class AudioManager {
                 lastNode = gainNode;
             }
             
-            // Final connection to destination
-            lastNode.connect(this.audioContext.destination);
+            // Final connection to the mixer
+            lastNode.connect(this.mixer.getBusInput(bus));
             
             // Play the sound
             source.start(0);
@@ -530,6 +780,7 @@ export class AudioManager {
             
             // Remove from tracking once it's done playing
             source.onended = () => {
+                this.mixer.releaseVoice(source);
                 const index = this.activeSoundSources['footstep'].indexOf(source);
                 if (index !== -1) {
                     this.activeSoundSources['footstep'].splice(index, 1);
@@ -543,20 +794,15 @@ export class AudioManager {
         }
     }
 
-    // Play continuous white noise
+    // Play continuous white noise (options.bus defaults to 'sfx')
     playWhiteNoise(options = {}) {
-        if (this.isMuted) {
+        const bus = options.bus || 'sfx';
+        if (this.isSuspended || this.mixer.isBusMuted(bus)) {
             return null;
         }
         
-        if (!this.audioContext) {
-            try {
-                this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-                console.log("AudioContext initialized for white noise.");
-            } catch (e) {
-                console.error("Web Audio API is not supported in this browser", e);
-                return null;
-            }
+        if (!this._ensureAudioContext('white noise')) {
+            return null;
         }
         
         try {
@@ -575,6 +821,11 @@ export class AudioManager {
             whiteNoise.buffer = noiseBuffer;
             whiteNoise.loop = true;
             
+            if (!this.mixer.acquireVoice(whiteNoise, bus, this.mixer.getBusPriority(bus))) {
+                return null;
+            }
+            whiteNoise.onended = () => this.mixer.releaseVoice(whiteNoise);
+            
             // Create gain node for volume control and optional fade-in
             const gainNode = this.audioContext.createGain();
             
@@ -600,8 +851,8 @@ export class AudioManager {
                 whiteNoise.connect(gainNode);
             }
             
-            // Connect to audio output
-            gainNode.connect(this.audioContext.destination);
+            // Connect to the mixer
+            gainNode.connect(this.mixer.getBusInput(bus));
             
             // Start noise generator
             whiteNoise.start();
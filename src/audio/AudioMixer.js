@@ -0,0 +1,180 @@
+// Mixer buses every sound is routed through: bus gain -> master gain -> speakers.
+// priority decides which playing sounds are cut first when there are too many at once
+// (lower goes first). Music loops aren't counted against the voice limit.
+export const AUDIO_BUSES = {
+    music: { label: 'Music', volume: 0.8, priority: 5 },
+    sfx: { label: 'SFX', volume: 1.0, priority: 2 },
+    ambience: { label: 'Ambience', volume: 0.8, priority: 1 },
+    ui: { label: 'UI', volume: 1.0, priority: 4 },
+    voice: { label: 'Voice', volume: 1.0, priority: 3 }
+};
+
+const VOLUME_STORAGE_KEY = 'audioVolumes';
+
+export class AudioMixer {
+    constructor() {
+        this.audioContext = null;
+        this.masterGain = null;
+        this.busGains = {}; // bus name -> GainNode, created once the AudioContext exists
+        this.mutedBuses = new Set();
+
+        // Saved bus volumes, defaults for anything not saved yet
+        this.volumes = { master: 1.0 };
+        Object.keys(AUDIO_BUSES).forEach(bus => {
+            this.volumes[bus] = AUDIO_BUSES[bus].volume;
+        });
+        this.loadVolumes();
+
+        // Voice limiting
+        this.maxVoices = 32;
+        this.voices = []; // { source, bus, priority, startTime } oldest first
+    }
+
+    // Build the bus graph on the AudioManager's context
+    attach(audioContext) {
+        this.audioContext = audioContext;
+
+        this.masterGain = audioContext.createGain();
+        this.masterGain.gain.value = this.volumes.master;
+        this.masterGain.connect(audioContext.destination);
+
+        Object.keys(AUDIO_BUSES).forEach(bus => {
+            const gain = audioContext.createGain();
+            gain.gain.value = this.mutedBuses.has(bus) ? 0 : this.volumes[bus];
+            gain.connect(this.masterGain);
+            this.busGains[bus] = gain;
+        });
+
+        console.log('Audio mixer buses created');
+    }
+
+    // Node a sound on this bus should connect to (unknown buses fall back to SFX)
+    getBusInput(bus) {
+        return this.busGains[bus] || this.busGains.sfx;
+    }
+
+    // --- Volumes ---
+
+    getVolume(bus) {
+        return this.volumes[bus] !== undefined ? this.volumes[bus] : 1.0;
+    }
+
+    // bus is a bus name or 'master', volume 0-1. Saved for the next session.
+    setVolume(bus, volume) {
+        if (bus !== 'master' && !AUDIO_BUSES[bus]) {
+            console.warn(`Unknown audio bus: ${bus}`);
+            return;
+        }
+
+        this.volumes[bus] = Math.max(0, Math.min(1, volume));
+        this._applyGain(bus);
+        this.saveVolumes();
+    }
+
+    loadVolumes() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(VOLUME_STORAGE_KEY) || '{}');
+            Object.keys(saved).forEach(bus => {
+                if (this.volumes[bus] !== undefined && typeof saved[bus] === 'number') {
+                    this.volumes[bus] = saved[bus];
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load audio volumes:', error);
+        }
+    }
+
+    saveVolumes() {
+        try {
+            localStorage.setItem(VOLUME_STORAGE_KEY, JSON.stringify(this.volumes));
+        } catch (error) {
+            console.warn('Could not save audio volumes:', error);
+        }
+    }
+
+    // Ramp a bus (or master) to its current volume, or to silence if muted
+    _applyGain(bus) {
+        const gain = bus === 'master' ? this.masterGain : this.busGains[bus];
+        if (!gain) return; // No context yet, attach() applies it
+
+        const target = this.mutedBuses.has(bus) ? 0 : this.volumes[bus];
+        const now = this.audioContext.currentTime;
+        gain.gain.cancelScheduledValues(now);
+        gain.gain.setValueAtTime(gain.gain.value, now);
+        gain.gain.linearRampToValueAtTime(target, now + 0.05);
+    }
+
+    // --- Muting ---
+
+    isBusMuted(bus) {
+        return this.mutedBuses.has(bus);
+    }
+
+    muteBus(bus) {
+        this.mutedBuses.add(bus);
+        this._applyGain(bus);
+    }
+
+    unmuteBus(bus) {
+        this.mutedBuses.delete(bus);
+        this._applyGain(bus);
+    }
+
+    // Mute every bus except the ones named
+    muteAllExcept(buses = []) {
+        Object.keys(AUDIO_BUSES).forEach(bus => {
+            if (buses.includes(bus)) {
+                this.unmuteBus(bus);
+            } else {
+                this.muteBus(bus);
+            }
+        });
+    }
+
+    unmuteAll() {
+        Object.keys(AUDIO_BUSES).forEach(bus => this.unmuteBus(bus));
+    }
+
+    // --- Voice limiting ---
+
+    // Register a sound about to start. When all voices are in use the oldest sound with the
+    // lowest priority (no higher than this one's) is stopped to make room.
+    // Returns false if nothing could be cut, in which case the sound shouldn't play.
+    acquireVoice(source, bus, priority) {
+        if (this.voices.length >= this.maxVoices) {
+            let victimIndex = -1;
+            for (let i = 0; i < this.voices.length; i++) {
+                const voice = this.voices[i];
+                if (voice.priority > priority) continue;
+                if (victimIndex === -1 || voice.priority < this.voices[victimIndex].priority) {
+                    victimIndex = i; // Voices are oldest first, so ties keep the oldest
+                }
+            }
+
+            if (victimIndex === -1) {
+                return false;
+            }
+
+            const victim = this.voices.splice(victimIndex, 1)[0];
+            try {
+                victim.source.stop();
+            } catch (e) {
+                // Already stopped
+            }
+        }
+
+        this.voices.push({ source: source, bus: bus, priority: priority, startTime: performance.now() });
+        return true;
+    }
+
+    releaseVoice(source) {
+        const index = this.voices.findIndex(voice => voice.source === source);
+        if (index !== -1) {
+            this.voices.splice(index, 1);
+        }
+    }
+
+    getBusPriority(bus) {
+        return AUDIO_BUSES[bus] ? AUDIO_BUSES[bus].priority : AUDIO_BUSES.sfx.priority;
+    }
+}
@@ -0,0 +1,287 @@
+// Intensity model used when a music set doesn't override it (see the "intensity" block of a set)
+const DEFAULT_INTENSITY_SETTINGS = {
+    maxEnemies: 8,           // Live enemies for full enemy pressure
+    enemyWeight: 0.5,
+    healthWeight: 0.3,       // Missing health
+    damageWeight: 0.4,       // Recent damage
+    damageGain: 3,           // Recent damage added per fraction of max health lost
+    damageDecay: 0.25,       // Recent damage lost per second
+    riseSpeed: 0.5,          // Intensity change per second when things get worse...
+    fallSpeed: 0.08,         // ...and when they calm down
+    lowHealthThreshold: 0.25 // Health fraction that triggers the lowHealth stinger
+};
+
+// Layers switch off a little below the intensity they switched on at, so they don't flap
+const INTENSITY_HYSTERESIS = 0.05;
+
+// Plays the music of the current time of day as synchronized stems and fades layers in and
+// out with a live intensity value (enemies alive, missing health, recent damage), plus
+// stingers for game events.
+//
+// Music sets are data: a level manifest's music.night / music.day is either a single audio
+// file (played as one layer) or a stem set JSON like assets/music/code_veronica_night.json:
+//   layers    - { name, path, volume, minIntensity, maxIntensity }
+//   bpm, beatsPerBar - tempo of the stems (beatsPerBar defaults to 4). Each stem then loops
+//               over the whole bars it holds, so stems of different lengths stay in sync.
+//               Without a bpm every stem has to be the same length.
+//   crossfade - seconds for a layer to fade in or out
+//   stingers  - event name ('waveStart', 'headshotStreak', 'lowHealth') -> { path, volume, cooldown }
+//   intensity - overrides for DEFAULT_INTENSITY_SETTINGS
+export class MusicDirector {
+    constructor(audioManager) {
+        this.audioManager = audioManager;
+
+        this.sets = {}; // slot ('day' / 'night') -> { path, set, ready }
+        this.currentSlot = null;
+        this.currentSet = null;
+        this.isActive = false; // Only plays once the game has started
+        this.playRequest = 0;  // Bumped on every switch so a slow load can't start stale music
+
+        this.layers = []; // Playing stems: { layer, source, gain, isOn, hasStarted }
+        this.intensity = 0;
+        this.recentDamage = 0;
+        this.wasLowHealth = false;
+        this.lastStingerTimes = {};
+    }
+
+    // Load (and preload the sounds of) the music for a slot. Replaces whatever the slot had.
+    loadSet(slot, path) {
+        const previous = this.sets[slot];
+        if (previous && previous.path === path) return previous.ready;
+
+        const entry = { path: path, set: null, ready: null };
+        entry.ready = this.fetchSet(path).then(set => {
+            entry.set = set;
+            this.audioManager.preload(this.getSetUrls(set));
+            return set;
+        });
+        this.sets[slot] = entry;
+
+        // Free the old set's sounds - once the new set holds its own, so sounds both use stay cached
+        if (previous) {
+            Promise.all([previous.ready, entry.ready])
+                .then(([previousSet]) => this.audioManager.releaseSounds(this.getSetUrls(previousSet)));
+        }
+
+        // Swap right away if this slot is playing (level changed mid-run)
+        if (this.isActive && slot === this.currentSlot) {
+            this.playCurrentSlot();
+        }
+
+        return entry.ready;
+    }
+
+    async fetchSet(path) {
+        if (!path.endsWith('.json')) {
+            return this.normalizeSet({ name: path, layers: [{ name: 'main', path: path }] });
+        }
+
+        try {
+            const response = await fetch(path);
+            if (!response.ok) {
+                throw new Error(`Could not load music set (${response.status})`);
+            }
+            const data = await response.json();
+            console.log(`Loaded music set ${data.name || path}: ${(data.layers || []).length} layers`);
+            return this.normalizeSet({ name: path, ...data });
+        } catch (error) {
+            console.warn(`Could not load music set ${path}: ${error.message}. No music for this slot.`);
+            return this.normalizeSet({ name: path, layers: [] });
+        }
+    }
+
+    // Fill in defaults so the rest of the director can rely on every field
+    normalizeSet(data) {
+        return {
+            name: data.name,
+            crossfade: data.crossfade !== undefined ? data.crossfade : 2,
+            barLength: data.bpm ? 60 / data.bpm * (data.beatsPerBar || 4) : null, // Seconds
+            layers: (data.layers || []).map((layer, index) => ({
+                name: layer.name || `layer${index}`,
+                path: layer.path,
+                volume: layer.volume !== undefined ? layer.volume : 1,
+                minIntensity: layer.minIntensity !== undefined ? layer.minIntensity : 0,
+                maxIntensity: layer.maxIntensity !== undefined ? layer.maxIntensity : 1
+            })),
+            stingers: data.stingers || {},
+            intensity: { ...DEFAULT_INTENSITY_SETTINGS, ...(data.intensity || {}) }
+        };
+    }
+
+    getSetUrls(set) {
+        return set.layers.map(layer => layer.path)
+            .concat(Object.values(set.stingers).map(stinger => stinger.path));
+    }
+
+    // Start playing (called when the game starts) with the given slot
+    start(slot) {
+        this.isActive = true;
+        this.intensity = 0;
+        this.recentDamage = 0;
+        this.wasLowHealth = false;
+        this.select(slot);
+    }
+
+    // Switch to the music of a slot ('day' / 'night'), crossfading from the current one
+    select(slot) {
+        this.currentSlot = slot;
+        if (this.isActive) {
+            this.playCurrentSlot();
+        }
+    }
+
+    stop() {
+        this.isActive = false;
+        this.playRequest++;
+        this.stopLayers(this.currentSet ? this.currentSet.crossfade : 0);
+        this.currentSet = null;
+    }
+
+    async playCurrentSlot() {
+        const request = ++this.playRequest;
+        const entry = this.sets[this.currentSlot];
+        const fadeTime = this.currentSet ? this.currentSet.crossfade : 0;
+
+        this.stopLayers(fadeTime);
+        this.currentSet = null;
+        if (!entry) return;
+
+        const set = await entry.ready;
+        await this.audioManager.contextReady;
+        const buffers = await Promise.all(set.layers.map(layer => this.audioManager.loadSound(layer.path)));
+        if (request !== this.playRequest) return; // Switched again while loading
+
+        // Single loops (start screen, editor) make way for the game music
+        this.audioManager.stopMusic();
+
+        const context = this.audioManager.audioContext;
+        const startTime = context.currentTime + 0.1; // Same start time keeps the stems in sync
+
+        this.currentSet = set;
+        set.layers.forEach((layer, index) => {
+            if (!buffers[index]) return;
+
+            const source = context.createBufferSource();
+            source.buffer = buffers[index];
+            source.loop = true;
+            source.loopEnd = this.getLoopEnd(set, layer, buffers[index]);
+
+            const gain = context.createGain();
+            gain.gain.value = 0;
+
+            source.connect(gain);
+            gain.connect(this.audioManager.mixer.getBusInput('music'));
+            source.start(startTime);
+
+            this.layers.push({ layer: layer, source: source, gain: gain, isOn: false, hasStarted: false });
+        });
+
+        console.log(`Playing ${this.currentSlot} music: ${set.name} (${this.layers.length} layers)`);
+        this.updateLayers();
+    }
+
+    // Where a stem loops back to the start: after the last whole bar in it, so every stem
+    // restarts on a bar boundary of the shared start time. The whole stem without a tempo.
+    getLoopEnd(set, layer, buffer) {
+        if (!set.barLength) return buffer.duration;
+
+        // A little tolerance for stems exported a few samples short of the bar
+        const bars = Math.floor(buffer.duration / set.barLength + 0.01);
+        if (bars < 1) {
+            console.warn(`Music layer ${layer.name} is shorter than one bar, it will drift out of sync`);
+            return buffer.duration;
+        }
+        return Math.min(bars * set.barLength, buffer.duration);
+    }
+
+    stopLayers(fadeTime) {
+        if (this.layers.length === 0) return;
+
+        const context = this.audioManager.audioContext;
+        const now = context.currentTime;
+        this.layers.forEach(({ source, gain }) => {
+            gain.gain.cancelScheduledValues(now);
+            gain.gain.setValueAtTime(gain.gain.value, now);
+            gain.gain.linearRampToValueAtTime(0, now + fadeTime);
+            try {
+                source.stop(now + fadeTime);
+            } catch (e) {
+                // Already stopped
+            }
+        });
+        this.layers = [];
+    }
+
+    // Fade each stem in or out for the current intensity
+    updateLayers() {
+        if (!this.currentSet) return;
+
+        const context = this.audioManager.audioContext;
+        const timeConstant = Math.max(this.currentSet.crossfade, 0.01) / 3; // ~95% of the way after crossfade seconds
+
+        this.layers.forEach(voice => {
+            const margin = voice.isOn ? INTENSITY_HYSTERESIS : 0;
+            const shouldBeOn = this.intensity >= voice.layer.minIntensity - margin &&
+                this.intensity <= voice.layer.maxIntensity + margin;
+            if (shouldBeOn === voice.isOn && voice.hasStarted) return;
+
+            voice.isOn = shouldBeOn;
+            voice.hasStarted = true;
+            voice.gain.gain.cancelScheduledValues(context.currentTime);
+            voice.gain.gain.setTargetAtTime(shouldBeOn ? voice.layer.volume : 0, context.currentTime, timeConstant);
+        });
+    }
+
+    // Called every frame with the live game state: { enemyCount, health, maxHealth }
+    update(deltaTime, state) {
+        if (!this.isActive || !this.currentSet) return;
+
+        const settings = this.currentSet.intensity;
+        this.recentDamage = Math.max(0, this.recentDamage - settings.damageDecay * deltaTime);
+
+        const healthRatio = state.maxHealth > 0 ? Math.max(0, state.health / state.maxHealth) : 1;
+        const target = Math.min(1,
+            settings.enemyWeight * Math.min(state.enemyCount / settings.maxEnemies, 1) +
+            settings.healthWeight * (1 - healthRatio) +
+            settings.damageWeight * this.recentDamage);
+
+        // Rise quickly when things get worse, calm down slowly
+        const speed = target > this.intensity ? settings.riseSpeed : settings.fallSpeed;
+        const step = speed * deltaTime;
+        this.intensity += Math.max(-step, Math.min(step, target - this.intensity));
+
+        const isLowHealth = healthRatio > 0 && healthRatio <= settings.lowHealthThreshold;
+        if (isLowHealth && !this.wasLowHealth) {
+            this.playStinger('lowHealth');
+        }
+        this.wasLowHealth = isLowHealth;
+
+        this.updateLayers();
+    }
+
+    onPlayerDamaged(amount, maxHealth) {
+        const settings = this.currentSet ? this.currentSet.intensity : DEFAULT_INTENSITY_SETTINGS;
+        if (maxHealth > 0) {
+            this.recentDamage = Math.min(1, this.recentDamage + (amount / maxHealth) * settings.damageGain);
+        }
+    }
+
+    // Play the current set's stinger for an event, if it has one and it isn't cooling down
+    playStinger(eventName) {
+        if (!this.isActive || !this.currentSet) return;
+
+        const stinger = this.currentSet.stingers[eventName];
+        if (!stinger) return;
+
+        const now = performance.now();
+        const cooldown = stinger.cooldown !== undefined ? stinger.cooldown : 5000;
+        if (now - (this.lastStingerTimes[eventName] || 0) < cooldown) return;
+        this.lastStingerTimes[eventName] = now;
+
+        this.audioManager.playOneShot(stinger.path, {
+            bus: 'music',
+            volume: stinger.volume !== undefined ? stinger.volume : 1,
+            priority: 5
+        }).catch(error => console.error(`Error playing ${eventName} stinger:`, error));
+    }
+}
@@ -0,0 +1,55 @@
+import { WEAPON_DEFINITIONS } from '../components/WeaponDefinitions.js';
+
+// Sounds decoded while the start screen is up (AudioManager.preload), so the first
+// footstep, grunt or pickup of a run doesn't wait for the network.
+// Level music and rain are added by the Engine from the current level settings.
+// URLs must match the ones the sounds are played with, they are the cache keys.
+
+const WEAPON_SOUNDS = Object.values(WEAPON_DEFINITIONS).flatMap(definition => [
+    definition.sounds.fire,
+    definition.sounds.reload,
+    definition.sounds.dryFire
+]);
+
+export const SOUND_MANIFEST = {
+    ui: [
+        'assets/sounds/CoinFlipTossRing_S08FO.689.wav',
+        'assets/sounds/PM_EN_90_Percussion_FX_Loop_Race.wav',
+        '/assets/sounds/ESM_Retro_Game_Classic_Jump_22_8_Bit_Arcade_80s.wav',
+        '/assets/sounds/ESM_Explainer_Video_One_Shot_Gestures_Whoosh_1_Alert_Game.wav'
+    ],
+    weapons: [
+        ...WEAPON_SOUNDS,
+        '/assets/sounds/ESM_Undead_Vocal_Headshot_Ghost_Zombie.wav'
+    ],
+    player: [
+        'assets/sounds/FightGrunt_BW.54963.wav',
+        'assets/sounds/FightGrunt_BW.54981.wav',
+        'assets/sounds/cloth4.ogg',
+        'assets/sounds/SS_SOA_perc_sandpaper_slide_single_alt.wav',
+        'assets/sounds/FootstepsCement_BW.7471.wav',
+        'assets/sounds/ESM_ACV_Vocals_male_jump_hup_small_quick_hop_04.wav',
+        'assets/sounds/ESM_ACV_Vocals_male_jump_aggressive_dodge_hop_02.wav',
+        'assets/sounds/ESM_ACV_Vocals_male_jump_aggressive_dodge_hop_01.wav'
+    ],
+    enemies: [
+        'assets/sounds/MonsterGrunt_S011HO.285.wav',
+        'assets/sounds/MonsterGrunt_S011HO.302.wav',
+        'assets/sounds/MonsterGrunt_S011HO.304.wav',
+        'assets/sounds/ESM_HCREA_cinematic_FX_voice_one_shot_creaethr_spectre_alerted_wispy_breath_reverb_01_Fm.wav',
+        'assets/sounds/ESM_HCREA_cinematic_FX_voice_one_shot_creaethr_spectre_alerted_wispy_breath_reverb_03_Cm.wav',
+        'assets/sounds/ESM_HCREA_cinematic_FX_voice_one_shot_creaethr_banshee_attack_damage_screech_reverb_06.wav',
+        'assets/sounds/ESM_Horror_Game_Vocal_Creature_Banshee_Short_Scream_Wet_1_Ghost.wav'
+    ],
+    pickups: [
+        'assets/sounds/ESM_Game_Item_or_Coin_11_Retro_Cartoon_Casino_Arcade_Kid_App_Mobile.wav',
+        'assets/sounds/ESM_Positive_Casino_Hit_Sound_FX_Arcade_Kids_Mobile_App.wav',
+        '/assets/sounds/ESM_GW_gun_one_shot_pistol_reload_ammo_mechanical_magazine_reload_1.wav',
+        'assets/sounds/ESM_Battle_Game_Open_Foley_Chest_Enemy_Loot_Box_2_Wood_Crate_One_Shot.wav',
+        '/assets/sounds/LNG_Dammit_Whisper.wav'
+    ],
+    gameOver: [
+        'assets/sounds/ESM_Retro_Game_Over_v2_Sound_FX_Arcade_Casino_Kids_Mobile_App.wav',
+        'assets/sounds/LNG_GamingPhrases_Game-over_Conversation.wav'
+    ]
+};
@@ -0,0 +1,154 @@
+import { ACHIEVEMENTS } from '../core/AchievementDefinitions.js';
+
+const CLICK_SOUND = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
+
+// Achievements gallery opened from the start screen: every achievement with its
+// description, and either the unlock date or the progress made towards it.
+export class AchievementsPanel {
+    constructor(engine) {
+        this.engine = engine;
+        this.panel = null;
+    }
+
+    isVisible() {
+        return !!this.panel;
+    }
+
+    show() {
+        if (this.panel) return;
+
+        this.playClick();
+        const achievements = this.engine.achievements;
+
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'fixed';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        this.panel.style.border = '2px solid #0099FF';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.padding = '30px';
+        this.panel.style.zIndex = '3000';
+        this.panel.style.display = 'flex';
+        this.panel.style.flexDirection = 'column';
+        this.panel.style.gap = '15px';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '16px';
+        this.panel.style.boxShadow = '0 0 20px rgba(0, 150, 255, 0.7)';
+        this.panel.style.width = '640px';
+        this.panel.style.maxWidth = '90vw';
+        this.panel.style.maxHeight = '80vh';
+        this.panel.style.overflowY = 'auto';
+
+        const title = document.createElement('h2');
+        title.textContent = `ACHIEVEMENTS ${achievements.getUnlockedCount()} / ${ACHIEVEMENTS.length}`;
+        title.style.textAlign = 'center';
+        title.style.color = '#0099FF';
+        title.style.fontFamily = '"Creepster", "Chiller", cursive';
+        title.style.fontSize = '36px';
+        title.style.margin = '0 0 10px 0';
+        title.style.textShadow = '2px 2px 4px #000000';
+        this.panel.appendChild(title);
+
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = '1fr 1fr';
+        grid.style.gap = '10px';
+        ACHIEVEMENTS.forEach(achievement => grid.appendChild(this.createCard(achievement)));
+        this.panel.appendChild(grid);
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'CLOSE';
+        closeButton.style.alignSelf = 'center';
+        closeButton.style.marginTop = '10px';
+        closeButton.style.padding = '10px 20px';
+        closeButton.style.backgroundColor = '#0066CC';
+        closeButton.style.color = 'white';
+        closeButton.style.border = 'none';
+        closeButton.style.borderRadius = '5px';
+        closeButton.style.cursor = 'pointer';
+        closeButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+        closeButton.style.fontSize = '20px';
+        closeButton.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+        closeButton.onclick = () => this.hide();
+        this.panel.appendChild(closeButton);
+
+        document.body.appendChild(this.panel);
+    }
+
+    hide() {
+        if (!this.panel) return;
+
+        this.playClick();
+        document.body.removeChild(this.panel);
+        this.panel = null;
+    }
+
+    // Gold when unlocked, grey with a progress bar while locked
+    createCard(achievement) {
+        const achievements = this.engine.achievements;
+        const isUnlocked = achievements.isUnlocked(achievement.id);
+
+        const card = document.createElement('div');
+        card.style.padding = '10px';
+        card.style.borderRadius = '5px';
+        card.style.border = `1px solid ${isUnlocked ? '#FFD700' : '#444444'}`;
+        card.style.backgroundColor = isUnlocked ? 'rgba(255, 215, 0, 0.1)' : 'rgba(255, 255, 255, 0.05)';
+
+        const name = document.createElement('div');
+        name.textContent = achievement.name;
+        name.style.fontFamily = '"Creepster", "Chiller", cursive';
+        name.style.fontSize = '22px';
+        name.style.letterSpacing = '1px';
+        name.style.color = isUnlocked ? '#FFD700' : '#AAAAAA';
+        card.appendChild(name);
+
+        const description = document.createElement('div');
+        description.textContent = achievement.description;
+        description.style.fontSize = '14px';
+        description.style.margin = '4px 0 8px 0';
+        description.style.color = isUnlocked ? 'white' : '#888888';
+        card.appendChild(description);
+
+        if (isUnlocked) {
+            const date = document.createElement('div');
+            date.textContent = `Unlocked ${new Date(achievements.unlocked[achievement.id]).toLocaleDateString()}`;
+            date.style.fontSize = '12px';
+            date.style.color = '#FFD700';
+            card.appendChild(date);
+            return card;
+        }
+
+        const progress = achievements.getProgress(achievement);
+        const track = document.createElement('div');
+        track.style.height = '8px';
+        track.style.backgroundColor = '#222222';
+        track.style.borderRadius = '4px';
+        track.style.overflow = 'hidden';
+
+        const bar = document.createElement('div');
+        bar.style.height = '100%';
+        bar.style.width = `${progress / achievement.target * 100}%`;
+        bar.style.backgroundColor = '#0099FF';
+        track.appendChild(bar);
+        card.appendChild(track);
+
+        const progressText = document.createElement('div');
+        progressText.textContent = `${progress} / ${achievement.target}${achievement.scope === 'run' ? ' (best run)' : ''}`;
+        progressText.style.fontSize = '12px';
+        progressText.style.color = '#888888';
+        progressText.style.marginTop = '4px';
+        card.appendChild(progressText);
+
+        return card;
+    }
+
+    playClick() {
+        if (this.engine.audioManager) {
+            this.engine.audioManager.playOneShot(CLICK_SOUND, { bus: 'ui' })
+                .catch(error => console.error("Error playing click sound:", error));
+        }
+    }
+}
@@ -3,7 +3,7 @@ import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
 import { CarouselGUI } from './CarouselGUI';
 
 export class Carousel {
-    constructor(scene, camera, physicsWorld) {
+    constructor(scene, camera, physicsWorld, input) {
         this.scene = scene;
         this.camera = camera;
         this.physicsWorld = physicsWorld;
@@ -16,32 +16,30 @@ export class Carousel {
         this.interactionDistance = 0.5; // Reduced from 3.0 to 0.5 units
         this.loadModel();
         
-        // Add event listener for key presses
-        document.addEventListener('keydown', this.onKeyDown.bind(this));
+        // Open the speed slider with the interact action
+        input.on('interact', this.onInteract.bind(this));
         
         // Add event listener for carousel controls
         document.addEventListener('carouselControlsEnabled', this.onCarouselControlsEnabled.bind(this));
     }
 
-    onKeyDown(event) {
-        if (event.key === 'e' || event.key === 'E') {
-            if (this.checkProximity()) {
-                // Force exit pointer lock immediately
-                if (document.pointerLockElement) {
-                    document.exitPointerLock();
-                }
-                
-                // Force the cursor to be visible
-                document.body.style.cursor = 'auto';
-                
-                // Directly call the GUI's onKeyDown method
-                this.gui.onKeyDown(event);
-                
-                // Force the cursor to be visible again after a short delay
-                setTimeout(() => {
-                    document.body.style.cursor = 'auto';
-                }, 100);
+    onInteract() {
+        if (this.checkProximity()) {
+            // Force exit pointer lock immediately
+            if (document.pointerLockElement) {
+                document.exitPointerLock();
             }
+            
+            // Force the cursor to be visible
+            document.body.style.cursor = 'auto';
+            
+            // Directly open the GUI's slider
+            this.gui.onInteract();
+            
+            // Force the cursor to be visible again after a short delay
+            setTimeout(() => {
+                document.body.style.cursor = 'auto';
+            }, 100);
         }
     }
 
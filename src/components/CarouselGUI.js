@@ -138,27 +138,25 @@ export class CarouselGUI {
         return this.slider.value / 10000;
     }
     
-    onKeyDown(event) {
-        if (event.key === 'e' || event.key === 'E') {
-            if (this.isNearCarousel && !this.isSliderVisible) {
-                // Force exit pointer lock immediately
-                if (document.pointerLockElement) {
-                    document.exitPointerLock();
-                }
-                
-                // Force the cursor to be visible
-                document.body.style.cursor = 'auto';
-                
-                // Directly call showSlider
-                this.showSlider();
-                
-                // Force the cursor to be visible again after a short delay
-                setTimeout(() => {
-                    document.body.style.cursor = 'auto';
-                }, 100);
-                
-                return true;
+    onInteract() {
+        if (this.isNearCarousel && !this.isSliderVisible) {
+            // Force exit pointer lock immediately
+            if (document.pointerLockElement) {
+                document.exitPointerLock();
             }
+            
+            // Force the cursor to be visible
+            document.body.style.cursor = 'auto';
+            
+            // Directly call showSlider
+            this.showSlider();
+            
+            // Force the cursor to be visible again after a short delay
+            setTimeout(() => {
+                document.body.style.cursor = 'auto';
+            }, 100);
+            
+            return true;
         }
         return false;
     }
@@ -2,9 +2,10 @@ import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 
 export class Crate {
-    constructor(scene, physicsWorld) {
+    constructor(scene, physicsWorld, audioManager = null) {
         this.scene = scene;
         this.physicsWorld = physicsWorld;
+        this.audioManager = audioManager;
         
         this.mesh = null;
         this.model = null;
@@ -26,17 +27,19 @@ export class Crate {
         this.modelLoaded = false;
         this.pendingPosition = null;
         
+        // Loot table
+        this.medikitChance = 0.4;
+        this.ammoChance = 0.35;
+        
         // Interaction properties
         this.interactionDistance = 2.5; // How close to interact
         this.promptVisible = false;
         this.promptElement = null;
         this.messageElement = null;
         
-        // Sound effects
-        this.openSound = new Audio('/assets/sounds/ESM_Battle_Game_Open_Foley_Chest_Enemy_Loot_Box_2_Wood_Crate_One_Shot.wav');
-        this.emptySound = new Audio('/assets/sounds/LNG_Dammit_Whisper.wav');
-        this.openSound.volume = 0.7;
-        this.emptySound.volume = 0.7;
+        // Sound effects - the opening is played at the crate's position, the whisper is the player's own voice
+        this.openSoundPath = 'assets/sounds/ESM_Battle_Game_Open_Foley_Chest_Enemy_Loot_Box_2_Wood_Crate_One_Shot.wav';
+        this.emptySoundPath = '/assets/sounds/LNG_Dammit_Whisper.wav';
         
         // Load the model
         this.loadModel();
@@ -266,23 +269,32 @@ export class Crate {
             this.mesh.rotation.x = Math.PI / 6; // Tilt the lid
             
             // Play opening sound
-            this.openSound.currentTime = 0;
-            this.openSound.play().catch(error => {
-                console.log("Error playing crate open sound:", error);
-            });
+            if (this.audioManager) {
+                const position = this.mesh.position;
+                this.audioManager.playOneShot(this.openSoundPath, {
+                    volume: 0.7,
+                    position: { x: position.x, y: position.y, z: position.z }
+                }).catch(error => {
+                    console.log("Error playing crate open sound:", error);
+                });
+            }
             
-            // 60% chance of getting a medikit
+            // 40% chance of a medikit, 35% chance of an ammo box, otherwise empty
             const itemRoll = Math.random();
-            if (itemRoll < 0.6) {
+            if (itemRoll < this.medikitChance) {
                 console.log('Found a medikit!');
                 return 'medikit';
+            } else if (itemRoll < this.medikitChance + this.ammoChance) {
+                console.log('Found an ammo box!');
+                return 'ammo';
             } else {
                 // Play empty sound effect
                 setTimeout(() => {
-                    this.emptySound.currentTime = 0;
-                    this.emptySound.play().catch(error => {
-                        console.log("Error playing empty crate sound:", error);
-                    });
+                    if (this.audioManager) {
+                        this.audioManager.playOneShot(this.emptySoundPath, { bus: 'voice', volume: 0.7 }).catch(error => {
+                            console.log("Error playing empty crate sound:", error);
+                        });
+                    }
                     
                     // Show empty message
                     this.showEmptyMessage();
@@ -293,6 +305,21 @@ export class Crate {
         return null; // No item found
     }
     
+    // Position (where it landed, or where it is dropping to) and whether it has been looted
+    getSaveData() {
+        const position = this.isInitialized ? this.body.translation() : this.pendingPosition;
+        return {
+            position: { x: position.x, y: position.y, z: position.z },
+            isOpen: this.isOpen
+        };
+    }
+
+    // Crate restored from a save that was already looted - it can't be opened again
+    setOpened() {
+        this.isOpen = true;
+        this.canInteract = false;
+    }
+
     cleanup() {
         if (!this.isInitialized) return;
         
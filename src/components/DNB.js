@@ -105,15 +105,8 @@ export class DNB extends Enemy {
         this.lastGroundY = 0;
         this.groundCheckDistance = 2.0;
         
-        // A* pathfinding properties
-        this.pathfindingNodes = []; // Nodes used in pathfinding
-        this.currentPath = []; // Current calculated path
-        this.pathUpdateInterval = 500; // ms between path updates
-        this.lastPathUpdateTime = 0;
-        this.pathfindingGridSize = 3.0; // Size of grid cells for pathfinding
-        this.maxPathNodes = 15; // Maximum number of nodes in path to prevent excessive computation
-        this.isPathfinding = false; // Whether we're currently using pathfinding
-        this.pathNodeIndex = 0; // Current node in the path we're moving toward
+        // Navmesh pathfinding (path state lives in Enemy, see _getNavigationDirection)
+        this.isPathfinding = false; // Whether we're currently following a navmesh path
     }
 
     async initialize(position, target, playerController) {
@@ -306,7 +299,11 @@ export class DNB extends Enemy {
         
         console.log(`DNB model scale: x=${modelScale.x}, y=${modelScale.y}, z=${modelScale.z}`);
         
+        // Replace any hitboxes registered by a previous config
+        this.physicsWorld.hitboxRegistry.unregister(this);
+        
         // Add hitboxes to the model
+        const hitboxes = [];
         hitboxArray.forEach(hitboxData => {
             // Create the geometry based on shape
             let geometry;
@@ -374,10 +371,14 @@ export class DNB extends Enemy {
             
             // Add the hitbox to the model
             this.mesh.add(hitbox);
+            hitboxes.push(hitbox);
             
             console.log(`Added hitbox: ${hitbox.userData.hitboxType}, shape: ${shape}, multiplier: ${hitbox.userData.damageMultiplier}`);
         });
         
+        // Register with the physics world so shots can find them without traversing the scene
+        this.physicsWorld.hitboxRegistry.register(this, 'DNB', this.mesh, hitboxes);
+        
         return true;
     }
 
@@ -428,7 +429,7 @@ export class DNB extends Enemy {
             const randomIndex = Math.floor(Math.random() * this.damageSoundFiles.length);
             const soundFile = this.damageSoundFiles[randomIndex];
             
-            this.audioManager.playOneShot(soundFile)
+            this.audioManager.playOneShot(soundFile, this._getSoundOptions())
                 .catch(error => console.error("Error playing DNB damage sound:", error));
             
             this.lastDamageSoundTime = now;
@@ -520,11 +521,8 @@ export class DNB extends Enemy {
                     this.isAvoiding = true;
                     this.avoidanceEndTime = now + 500; // Reduced from 1000ms to 500ms to get back to pursuing faster
                     
-                    // Try pathfinding after getting stuck
-                    if (this.target && this.target.mesh) {
-                        this.isPathfinding = true;
-                        this.lastPathUpdateTime = 0; // Force path update
-                    }
+                    // Plan a fresh path after getting stuck
+                    this._resetNavigationPath();
                 }
             } else {
                 // If moving well, reset stuck timer
@@ -538,6 +536,7 @@ export class DNB extends Enemy {
         // Default animation and movement behavior
         let desiredAnimation = 'idle';
         let moveDirection = null;
+        let stairsWaypoint = null; // Top/bottom of a navmesh stairs link we're heading for
         
         // Check if target is valid and log it
         if (!this.target || !this.target.mesh) {
@@ -622,48 +621,16 @@ export class DNB extends Enemy {
                         moveDirection = directionToPlayer;
                         this.isPathfinding = false; // No need for pathfinding when path is clear
                     } else {
-                        // Path is obstructed, try to navigate around obstacles
-                        // Check if we should update the path (based on time or if no path exists)
-                        if (now - this.lastPathUpdateTime > this.pathUpdateInterval || 
-                            !this.isPathfinding || this.currentPath.length === 0) {
-                            
-                            // Calculate a new path to player
-                            this.findPathToPlayer(currentPosition, playerPosition);
-                            this.lastPathUpdateTime = now;
-                            this.isPathfinding = true;
-                        }
+                        // Path is obstructed, follow the navmesh around obstacles
+                        const navigation = this._getNavigationDirection(currentPosition, playerPosition);
                         
-                        // If we have a valid path, follow it
-                        if (this.isPathfinding && this.currentPath.length > 0) {
-                            // Get the current waypoint to move toward
-                            const currentWaypoint = this.currentPath[this.pathNodeIndex];
-                            const distToWaypoint = currentPosition.distanceTo(currentWaypoint);
-                            
-                            // If we're close enough to the current waypoint, move to the next one
-                            if (distToWaypoint < 2.0) {
-                                this.pathNodeIndex++;
-                                
-                                // If we've reached the end of the path, clear it and try direct approach
-                                if (this.pathNodeIndex >= this.currentPath.length) {
-                                    this.isPathfinding = false;
-                                    moveDirection = directionToPlayer;
-                                }
-                            }
-                            
-                            // If still pathfinding, move toward the current waypoint
-                            if (this.isPathfinding) {
-                                const dirToWaypoint = new THREE.Vector3()
-                                    .subVectors(currentWaypoint, currentPosition)
-                                    .normalize();
-                                    
-                                // Blend with direction to player for more natural movement
-                                moveDirection = new THREE.Vector3()
-                                    .addScaledVector(dirToWaypoint, 0.7)
-                                    .addScaledVector(directionToPlayer, 0.3)
-                                    .normalize();
-                            }
+                        if (navigation) {
+                            this.isPathfinding = true;
+                            moveDirection = navigation.direction;
+                            if (navigation.isStairs) stairsWaypoint = navigation.waypoint;
                         } else {
-                            // Fallback to old behavior if pathfinding fails
+                            // No navmesh path - fall back to obstacle memory steering
+                            this.isPathfinding = false;
                             const bestDirection = this.findBestPathDirection(currentPosition, playerPosition);
                             
                             // More tendency toward player even when navigating
@@ -677,11 +644,13 @@ export class DNB extends Enemy {
                     desiredAnimation = 'walk';
                 }
             }
-            // Far range behavior - pure chase with higher speed
+            // Far range behavior - chase along the navmesh with higher speed
             else {
                 this.isCircling = false;
-                this.isPathfinding = false; // No pathfinding at long range, just direct chase
-                moveDirection = directionToPlayer;
+                const navigation = this._getNavigationDirection(currentPosition, playerPosition);
+                this.isPathfinding = !!navigation;
+                moveDirection = navigation ? navigation.direction : directionToPlayer;
+                if (navigation && navigation.isStairs) stairsWaypoint = navigation.waypoint;
                 desiredAnimation = 'walk';
             }
         }
@@ -732,10 +701,13 @@ export class DNB extends Enemy {
                 this.body.applyImpulse(impulse);
             }
 
-            // Simple stair climbing logic - apply upward force when player is above
+            // Simple stair climbing logic - apply upward force when the player (or the
+            // navmesh stairs link we're taking) is above
             if (this.target && this.target.mesh) {
-                // Check height difference between player and enemy
-                const heightDifference = this.target.mesh.position.y - currentPosition.y;
+                const climbTarget = stairsWaypoint || this.target.mesh.position;
+                
+                // Check height difference between climb target and enemy
+                const heightDifference = climbTarget.y - currentPosition.y;
                 
                 // Only apply upward force if:
                 // 1. Player is above us (positive height difference)
@@ -743,8 +715,8 @@ export class DNB extends Enemy {
                 // 3. We're close enough horizontally (on the same staircase)
                 if (heightDifference > 0.2 && heightDifference < 1.5) {
                     const horizontalDistance = new THREE.Vector2(
-                        this.target.mesh.position.x - currentPosition.x,
-                        this.target.mesh.position.z - currentPosition.z
+                        climbTarget.x - currentPosition.x,
+                        climbTarget.z - currentPosition.z
                     ).length();
                     
                     // Only climb if we're close enough horizontally (likely on the same staircase)
@@ -831,6 +803,11 @@ export class DNB extends Enemy {
             this.mixer.stopAllAction();
         }
 
+        // Stop shots from testing our hitboxes
+        if (this.physicsWorld) {
+            this.physicsWorld.hitboxRegistry.unregister(this);
+        }
+
         // Remove mesh from scene and dispose resources
         if (this.mesh) {
             this.scene.remove(this.mesh);
@@ -932,7 +909,7 @@ export class DNB extends Enemy {
             const distanceToTarget = this.mesh.position.distanceTo(this.target.mesh.position);
             if (distanceToTarget <= this.meleeRange) {
                 console.log(`DNB ${this.dnbBodyUUID} attacking player from any angle`);
-                this.playerController.takeDamage(this.damagePerHit);
+                this.playerController.takeDamage(this.damagePerHit, 'DNB');
             }
         }
     }
@@ -1049,17 +1026,12 @@ export class DNB extends Enemy {
                 // Create red spooky text using weaponSystem's displayHeadshotMessage
                 this.playerController.weaponSystem.displayHeadshotMessage();
                 
-                // Play headshot sound if available
-                if (this.playerController.weaponSystem.headshotSound) {
-                    this.playerController.weaponSystem.headshotSound.currentTime = 0;
-                    this.playerController.weaponSystem.headshotSound.play().catch(error => {
-                        console.log("Error playing headshot death sound:", error);
-                    });
-                }
+                // Play headshot sound
+                this.playerController.weaponSystem.playHeadshotSound();
             } else {
                 // Play normal death sound
                 const randomIndex = Math.floor(Math.random() * this.damageSoundFiles.length);
-                this.playerController.audioManager.playOneShot(this.damageSoundFiles[randomIndex])
+                this.playerController.audioManager.playOneShot(this.damageSoundFiles[randomIndex], this._getSoundOptions())
                     .catch(error => console.error("Error playing death sound:", error));
             }
         }
@@ -1489,6 +1461,10 @@ export class DNB extends Enemy {
         try {
             if (!this.physicsWorld || !this.body) return false;
             
+            // Taking a stairs link of the navmesh path
+            const waypoint = this.navPath[this.navPathIndex];
+            if (waypoint && waypoint.isStairs) return true;
+            
             const position = this.body.translation();
             if (!position || typeof position.x === 'undefined') return false;
             
@@ -1526,267 +1502,4 @@ export class DNB extends Enemy {
             return false;
         }
     }
-
-    findPathToPlayer(startPosition, targetPosition) {
-        // Clear the current path
-        this.currentPath = [];
-        this.pathNodeIndex = 0;
-        
-        // Simplified A* pathfinding for 3D game environment
-        // This works on a 3D grid but focuses on horizontal (XZ) plane navigation
-        
-        // Define the grid area around the DNB and player
-        const distanceToTarget = startPosition.distanceTo(targetPosition);
-        
-        // If target is very close, don't bother with complex pathfinding
-        if (distanceToTarget < 5.0) {
-            return false;
-        }
-        
-        // Calculate bounds for exploration
-        const midPoint = new THREE.Vector3().addVectors(startPosition, targetPosition).multiplyScalar(0.5);
-        const radius = distanceToTarget * 0.7; // Explore area around the midpoint
-        
-        // Create a simple grid of nodes
-        const nodes = [];
-        const gridSize = this.pathfindingGridSize;
-        const gridExtent = Math.min(Math.ceil(radius / gridSize), this.maxPathNodes);
-        
-        // Create exploration nodes in a grid pattern
-        for (let x = -gridExtent; x <= gridExtent; x += 1) {
-            for (let z = -gridExtent; z <= gridExtent; z += 1) {
-                // Place nodes in a grid around the midpoint
-                const nodePosition = new THREE.Vector3(
-                    midPoint.x + x * gridSize,
-                    // Y position will be determined by raycasting down
-                    midPoint.y,
-                    midPoint.z + z * gridSize
-                );
-                
-                // Skip nodes that are too far from the midpoint
-                if (nodePosition.distanceTo(midPoint) > radius * 1.5) {
-                    continue;
-                }
-                
-                // Find the correct Y position by raycasting down
-                this.adjustNodeHeight(nodePosition);
-                
-                // Check if this node would be a valid position (not inside obstacles)
-                if (this.isNodeValid(nodePosition, startPosition, targetPosition)) {
-                    nodes.push({
-                        position: nodePosition.clone(),
-                        // G cost = distance from start
-                        gCost: nodePosition.distanceTo(startPosition),
-                        // H cost = distance to target
-                        hCost: nodePosition.distanceTo(targetPosition),
-                        // F cost = G + H
-                        fCost: 0, // Will be calculated below
-                        visited: false,
-                        parent: null
-                    });
-                }
-            }
-        }
-        
-        // Add start and end nodes
-        const startNode = {
-            position: startPosition.clone(),
-            gCost: 0,
-            hCost: startPosition.distanceTo(targetPosition),
-            fCost: 0,
-            visited: false,
-            parent: null
-        };
-        
-        const endNode = {
-            position: targetPosition.clone(),
-            gCost: distanceToTarget,
-            hCost: 0,
-            fCost: 0,
-            visited: false,
-            parent: null
-        };
-        
-        // Calculate F costs
-        nodes.forEach(node => {
-            node.fCost = node.gCost + node.hCost;
-        });
-        startNode.fCost = startNode.hCost;
-        endNode.fCost = endNode.gCost;
-        
-        // Add start and end nodes to our list
-        nodes.push(startNode);
-        nodes.push(endNode);
-        
-        // A* algorithm
-        const openSet = [startNode];
-        const closedSet = [];
-        
-        // Loop until we find a path or run out of nodes to explore
-        while (openSet.length > 0) {
-            // Sort open set by F cost (lowest first)
-            openSet.sort((a, b) => a.fCost - b.fCost);
-            
-            // Get the node with lowest F cost
-            const currentNode = openSet.shift();
-            currentNode.visited = true;
-            closedSet.push(currentNode);
-            
-            // If we reached the end node, path found
-            if (currentNode.position.distanceTo(endNode.position) < gridSize * 0.5) {
-                // Reconstruct path by walking up parent chain
-                let pathNode = currentNode;
-                while (pathNode !== null && pathNode !== startNode) {
-                    this.currentPath.unshift(pathNode.position.clone());
-                    pathNode = pathNode.parent;
-                }
-                
-                // We succeeded in finding a path
-                console.log(`DNB found path to player with ${this.currentPath.length} nodes`);
-                return true;
-            }
-            
-            // Limit search time by checking only a reasonable number of neighbors
-            const maxNeighbors = 5;
-            
-            // Check neighbors - find nearest nodes that aren't in the closed set
-            const neighbors = nodes.filter(node => 
-                !closedSet.includes(node) && 
-                node.position.distanceTo(currentNode.position) < gridSize * 2.0
-            );
-            
-            // Sort by distance so we check closest nodes first
-            neighbors.sort((a, b) => 
-                a.position.distanceTo(currentNode.position) - 
-                b.position.distanceTo(currentNode.position)
-            );
-            
-            // Only check the closest neighbors to save computation
-            for (let i = 0; i < Math.min(neighbors.length, maxNeighbors); i++) {
-                const neighbor = neighbors[i];
-                
-                // Skip if we already processed this neighbor
-                if (closedSet.includes(neighbor)) {
-                    continue;
-                }
-                
-                // Check if path between current node and neighbor is clear
-                if (!this.isPathClear(currentNode.position, neighbor.position)) {
-                    // Path blocked, skip this neighbor
-                    closedSet.push(neighbor);
-                    continue;
-                }
-                
-                // Calculate new G cost (distance from start through current node)
-                const newGCost = currentNode.gCost + currentNode.position.distanceTo(neighbor.position);
-                
-                // If neighbor isn't in open set, or we found a better path
-                if (!openSet.includes(neighbor) || newGCost < neighbor.gCost) {
-                    neighbor.gCost = newGCost;
-                    neighbor.fCost = neighbor.gCost + neighbor.hCost;
-                    neighbor.parent = currentNode;
-                    
-                    // Add to open set if not already there
-                    if (!openSet.includes(neighbor)) {
-                        openSet.push(neighbor);
-                    }
-                }
-            }
-            
-            // Limit pathfinding iterations to prevent excessive computation
-            if (closedSet.length > this.maxPathNodes * 3) {
-                console.log("DNB pathfinding aborted - too many iterations");
-                break;
-            }
-        }
-        
-        // If we get here, path not found
-        console.log("DNB failed to find path to player");
-        return false;
-    }
-    
-    // Adjust node height by raycasting down to find ground
-    adjustNodeHeight(position) {
-        if (!this.physicsWorld || !this.physicsWorld.RAPIER || !this.physicsWorld.world) {
-            return;
-        }
-        
-        try {
-            // Cast ray down from a position slightly above the node
-            const rayOrigin = { 
-                x: position.x, 
-                y: position.y + 10, // Start high above
-                z: position.z 
-            };
-            const rayDir = { x: 0, y: -1, z: 0 }; // Straight down
-            
-            const rayHit = this.physicsWorld.world.castRay(
-                rayOrigin,
-                rayDir,
-                20, // Cast up to 20 units down
-                true // Solid hit only
-            );
-            
-            // If we hit something, adjust the Y position
-            if (rayHit && typeof rayHit.toi === 'number') {
-                // Calculate the hit position
-                position.y = rayOrigin.y - rayHit.toi + 1.0; // Add 1.0 to ensure node is above ground
-            }
-        } catch (error) {
-            console.warn("Error adjusting node height:", error);
-        }
-    }
-    
-    // Check if a node is valid (not inside an obstacle)
-    isNodeValid(position, startPosition, targetPosition) {
-        // Skip validity check for start and end positions
-        if (position.distanceTo(startPosition) < 1.0 || 
-            position.distanceTo(targetPosition) < 1.0) {
-            return true;
-        }
-        
-        // Check if position is inside or too close to a known obstacle
-        for (const obstacle of this.knownObstacles) {
-            if (position.distanceTo(obstacle) < 2.0) {
-                return false;
-            }
-        }
-        
-        // Raycast in all directions to check for nearby obstacles
-        if (this.physicsWorld && this.physicsWorld.RAPIER && this.physicsWorld.world) {
-            try {
-                // Cast short rays in 4 horizontal directions
-                const directions = [
-                    { x: 1, y: 0, z: 0 },
-                    { x: -1, y: 0, z: 0 },
-                    { x: 0, y: 0, z: 1 },
-                    { x: 0, y: 0, z: -1 }
-                ];
-                
-                for (const dir of directions) {
-                    const rayOrigin = { 
-                        x: position.x, 
-                        y: position.y, 
-                        z: position.z 
-                    };
-                    
-                    const rayHit = this.physicsWorld.world.castRay(
-                        rayOrigin,
-                        dir,
-                        1.0, // 1 unit radius check
-                        true
-                    );
-                    
-                    // If any ray hits something close, position is not valid
-                    if (rayHit && rayHit.toi < 1.0) {
-                        return false;
-                    }
-                }
-            } catch (error) {
-                console.warn("Error checking node validity:", error);
-            }
-        }
-        
-        return true;
-    }
-} 
\ No newline at end of file
+}
\ No newline at end of file
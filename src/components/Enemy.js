@@ -42,7 +42,14 @@ export class Enemy {
         this.avoidanceEndTime = 0;
         this.avoidanceDirection = new THREE.Vector3();
         
-        // Pathfinding properties (optional, used by DNB)
+        // Navmesh path following (see _getNavigationDirection)
+        this.navPath = []; // Waypoints { position, isStairs } from PhysicsWorld.navMesh
+        this.navPathIndex = 0;
+        this.lastNavPathTime = 0;
+        this.navPathInterval = 500; // ms between path updates (the player keeps moving)
+        this.navWaypointRadius = 1.0; // Horizontal distance at which a waypoint counts as reached
+        
+        // Obstacle memory for steering without a navmesh (optional, used by DNB)
         this.navRandomFactor = 0.5;
         this.knownObstacles = [];
         this.previousPaths = [];
@@ -158,6 +165,7 @@ export class Enemy {
         console.log(`${this._getEnemyType()} model scale: x=${this.mesh.scale.x.toFixed(2)}, y=${this.mesh.scale.y.toFixed(2)}, z=${this.mesh.scale.z.toFixed(2)}`);
         
         // Remove any previously added hitboxes before adding new ones
+        this.physicsWorld.hitboxRegistry.unregister(this);
         const existingHitboxes = [];
         this.mesh.traverse((child) => {
             if (child.userData && child.userData.isHitbox) {
@@ -167,6 +175,7 @@ export class Enemy {
         existingHitboxes.forEach(box => this.mesh.remove(box));
         console.log(`Removed ${existingHitboxes.length} existing hitboxes before applying new config.`);
 
+        const hitboxes = [];
         hitboxArray.forEach(hitboxData => {
             let geometry;
             const shape = hitboxData.shape || 'box';
@@ -198,8 +207,12 @@ export class Enemy {
             };
             
             this.mesh.add(hitbox);
+            hitboxes.push(hitbox);
         });
         
+        // Register with the physics world so shots can find them without traversing the scene
+        this.physicsWorld.hitboxRegistry.register(this, this._getEnemyType(), this.mesh, hitboxes);
+        
         return true;
     }
 
@@ -239,7 +252,7 @@ export class Enemy {
         const damageSounds = this._getDamageSounds();
         if (this.audioManager && damageSounds.length > 0 && Math.random() < 0.3) { // Common 30% chance
             const randomIndex = Math.floor(Math.random() * damageSounds.length);
-            this.audioManager.playOneShot(damageSounds[randomIndex])
+            this.audioManager.playOneShot(damageSounds[randomIndex], this._getSoundOptions())
                 .catch(error => console.error(`Error playing ${this._getEnemyType()} damage sound:`, error));
         }
         
@@ -274,6 +287,64 @@ export class Enemy {
         this._updateAI(deltaTime);
     }
     
+    // Horizontal direction to follow the level navmesh toward a target position.
+    // Returns { direction, waypoint, isStairs } (isStairs: getting to the waypoint means taking
+    // a stairs link, which needs a climb), or null when there is no navmesh or no path left -
+    // callers then fall back to their own steering.
+    _getNavigationDirection(currentPosition, targetPosition) {
+        const navMesh = this.physicsWorld ? this.physicsWorld.navMesh : null;
+        if (!navMesh) return null;
+        
+        const now = Date.now();
+        if (now - this.lastNavPathTime > this.navPathInterval) {
+            this.navPath = navMesh.findPath(currentPosition, targetPosition) || [];
+            this.navPathIndex = 0;
+            this.lastNavPathTime = now;
+        }
+        
+        // Skip waypoints that have been reached
+        while (this.navPathIndex < this.navPath.length) {
+            const waypoint = this.navPath[this.navPathIndex].position;
+            const dx = waypoint.x - currentPosition.x;
+            const dz = waypoint.z - currentPosition.z;
+            if (Math.sqrt(dx * dx + dz * dz) > this.navWaypointRadius) break;
+            this.navPathIndex++;
+        }
+        
+        if (this.navPathIndex >= this.navPath.length) return null;
+        
+        const waypoint = this.navPath[this.navPathIndex];
+        const direction = new THREE.Vector3(
+            waypoint.position.x - currentPosition.x,
+            0,
+            waypoint.position.z - currentPosition.z
+        ).normalize();
+        
+        return { direction: direction, waypoint: waypoint.position, isStairs: waypoint.isStairs };
+    }
+    
+    // Options for AudioManager.playOneShot so the sound comes from where the enemy is,
+    // and keeps following it while it is alive and moving
+    _getSoundOptions() {
+        if (!this.body) return {};
+        return {
+            position: this._getSoundPosition(),
+            follow: () => (this.isAlive && this.body ? this._getSoundPosition() : null)
+        };
+    }
+    
+    _getSoundPosition() {
+        const position = this.body.translation();
+        return { x: position.x, y: position.y + 1, z: position.z }; // Roughly head height
+    }
+    
+    // Drop the current path so the next navigation query plans a new one
+    _resetNavigationPath() {
+        this.navPath = [];
+        this.navPathIndex = 0;
+        this.lastNavPathTime = 0;
+    }
+    
     _updateStuckDetection(deltaTime) {
         if (!this.body) return;
         
@@ -304,6 +375,10 @@ export class Enemy {
             this.mixer.stopAllAction();
         }
 
+        if (this.physicsWorld) {
+            this.physicsWorld.hitboxRegistry.unregister(this);
+        }
+
         if (this.mesh) {
             this.scene.remove(this.mesh);
             this.mesh.traverse(object => {
@@ -387,7 +462,7 @@ export class Enemy {
             const damageSounds = this._getDamageSounds();
             if (this.audioManager && damageSounds.length > 0) {
                 const randomIndex = Math.floor(Math.random() * damageSounds.length);
-                this.audioManager.playOneShot(damageSounds[randomIndex])
+                this.audioManager.playOneShot(damageSounds[randomIndex], this._getSoundOptions())
                     .catch(error => console.error(`Error playing ${this._getEnemyType()} death sound:`, error));
             } else {
                 console.log(`${this._getEnemyType()} has no death sounds configured.`);
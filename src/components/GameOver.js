@@ -3,6 +3,8 @@
  * Handles the game over screen and functionality
  */
 
+import { LEADERBOARD_SIZE, MAX_NAME_LENGTH } from '../core/ScoreManager.js';
+
 export class GameOver {
     constructor(playerController) {
         this.playerController = playerController;
@@ -11,6 +13,8 @@ export class GameOver {
         this.physicsWorld = playerController.physicsWorld;
         this.controls = playerController.controls;
         this.isDead = false;
+        this.overlay = null;
+        this.submitPendingRun = null; // Puts a high score not saved yet on the leaderboard
     }
 
     /**
@@ -53,6 +57,15 @@ export class GameOver {
         gameOverText.style.opacity = '0';
         gameOverText.style.transition = 'opacity 1s ease-in-out';
         
+        // Run summary and leaderboard placement
+        const engine = this.physicsWorld ? this.physicsWorld.engine : null;
+        const scoreManager = engine ? engine.scoreManager : null;
+        const summaryElements = [];
+        if (scoreManager) {
+            summaryElements.push(this.createRunSummary(scoreManager.getRunSummary()));
+            summaryElements.push(this.createLeaderboardSection(scoreManager));
+        }
+        
         // Create restart button
         const restartButton = document.createElement('button');
         restartButton.textContent = 'RESTART';
@@ -66,6 +79,7 @@ export class GameOver {
         restartButton.style.fontFamily = '"Creepster", "Chiller", cursive';
         restartButton.style.opacity = '0';
         restartButton.style.transition = 'opacity 1s ease-in-out';
+        restartButton.style.marginTop = '20px';
         
         // Add hover effects
         restartButton.onmouseover = () => {
@@ -75,22 +89,62 @@ export class GameOver {
             restartButton.style.backgroundColor = '#8B0000';
         };
         
-        // Add restart functionality
+        // Run report (stats and per-night charts)
+        const reportButton = document.createElement('button');
+        reportButton.textContent = 'RUN REPORT';
+        reportButton.style.padding = '10px 25px';
+        reportButton.style.fontSize = '20px';
+        reportButton.style.backgroundColor = '#0066CC';
+        reportButton.style.color = 'white';
+        reportButton.style.border = '2px solid #0099FF';
+        reportButton.style.borderRadius = '5px';
+        reportButton.style.cursor = 'pointer';
+        reportButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+        reportButton.style.marginTop = '15px';
+        reportButton.style.opacity = '0';
+        reportButton.style.transition = 'opacity 1s ease-in-out';
+        reportButton.onmouseover = () => {
+            reportButton.style.backgroundColor = '#0099FF';
+        };
+        reportButton.onmouseout = () => {
+            reportButton.style.backgroundColor = '#0066CC';
+        };
+        reportButton.onclick = () => {
+            if (engine) {
+                engine.openRunReport();
+            }
+        };
+        if (engine) {
+            summaryElements.push(reportButton);
+        }
+        
+        // Start a new run in place (the level and assets stay loaded)
         restartButton.onclick = () => {
-            window.location.reload();
+            // A high score that wasn't saved goes on the leaderboard under the name in the box
+            if (this.submitPendingRun) {
+                this.submitPendingRun();
+            }
+            if (engine) {
+                engine.restartGame();
+            } else {
+                window.location.reload();
+            }
         };
         
         // Add elements to overlay
         overlay.appendChild(gameOverText);
+        summaryElements.forEach(element => overlay.appendChild(element));
         overlay.appendChild(restartButton);
         
         // Add overlay to document
         document.body.appendChild(overlay);
+        this.overlay = overlay;
         
         // Fade to black and show elements
         setTimeout(() => {
             overlay.style.backgroundColor = 'rgba(0, 0, 0, 1)';
             gameOverText.style.opacity = '1';
+            summaryElements.forEach(element => element.style.opacity = '1');
             restartButton.style.opacity = '1';
         }, 100);
         
@@ -106,9 +160,135 @@ export class GameOver {
         }
         
         // Notify engine of game over
-        if (this.physicsWorld && this.physicsWorld.engine) {
-            this.physicsWorld.engine.gameOver();
+        if (engine) {
+            engine.gameOver();
+        }
+    }
+
+    /**
+     * Score, days survived, kills and headshots of the run that just ended
+     * @param {Object} summary - ScoreManager.getRunSummary()
+     * @returns {HTMLElement}
+     */
+    createRunSummary(summary) {
+        const summaryText = document.createElement('div');
+        summaryText.textContent = `SCORE ${summary.score}  -  DAY ${summary.daysSurvived}  -  ${summary.kills} KILLS  -  ${summary.headshots} HEADSHOTS`;
+        summaryText.style.color = '#FFD700';
+        summaryText.style.fontSize = '28px';
+        summaryText.style.fontFamily = '"Creepster", "Chiller", cursive';
+        summaryText.style.textShadow = '2px 2px 4px #000000';
+        summaryText.style.letterSpacing = '2px';
+        summaryText.style.marginBottom = '15px';
+        summaryText.style.opacity = '0';
+        summaryText.style.transition = 'opacity 1s ease-in-out';
+        return summaryText;
+    }
+
+    /**
+     * Where the run placed, a name entry if it made the leaderboard, and the leaderboard itself
+     * @param {ScoreManager} scoreManager
+     * @returns {HTMLElement}
+     */
+    createLeaderboardSection(scoreManager) {
+        const section = document.createElement('div');
+        section.style.display = 'flex';
+        section.style.flexDirection = 'column';
+        section.style.alignItems = 'center';
+        section.style.gap = '10px';
+        section.style.width = '640px';
+        section.style.maxWidth = '90vw';
+        section.style.opacity = '0';
+        section.style.transition = 'opacity 1s ease-in-out';
+
+        const placementText = document.createElement('div');
+        placementText.style.fontSize = '24px';
+        placementText.style.fontFamily = '"Creepster", "Chiller", cursive';
+        placementText.style.letterSpacing = '2px';
+        placementText.style.textShadow = '2px 2px 4px #000000';
+        section.appendChild(placementText);
+
+        const tableContainer = document.createElement('div');
+        tableContainer.style.width = '100%';
+        tableContainer.style.maxHeight = '35vh';
+        tableContainer.style.overflowY = 'auto';
+
+        const showTable = (highlightPlacement = null) => {
+            tableContainer.innerHTML = '';
+            tableContainer.appendChild(scoreManager.createLeaderboardTable(highlightPlacement));
+        };
+
+        const placement = scoreManager.getPlacement(scoreManager.getScore());
+        if (placement === null) {
+            placementText.textContent = `NOT IN THE TOP ${LEADERBOARD_SIZE}`;
+            placementText.style.color = '#AAAAAA';
+            section.appendChild(tableContainer);
+            showTable();
+            return section;
         }
+
+        placementText.textContent = `NEW HIGH SCORE - #${placement} ON THE LEADERBOARD!`;
+        placementText.style.color = '#FFD700';
+
+        // Name entry for the leaderboard
+        const nameRow = document.createElement('div');
+        nameRow.style.display = 'flex';
+        nameRow.style.gap = '10px';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.maxLength = MAX_NAME_LENGTH;
+        nameInput.placeholder = 'YOUR NAME';
+        nameInput.value = scoreManager.getPlayerName();
+        nameInput.style.padding = '8px 12px';
+        nameInput.style.fontSize = '18px';
+        nameInput.style.fontFamily = 'Arial, sans-serif';
+        nameInput.style.backgroundColor = '#111111';
+        nameInput.style.color = 'white';
+        nameInput.style.border = '2px solid #0099FF';
+        nameInput.style.borderRadius = '5px';
+
+        const saveButton = document.createElement('button');
+        saveButton.textContent = 'SAVE';
+        saveButton.style.padding = '8px 20px';
+        saveButton.style.fontSize = '20px';
+        saveButton.style.backgroundColor = '#0066CC';
+        saveButton.style.color = 'white';
+        saveButton.style.border = 'none';
+        saveButton.style.borderRadius = '5px';
+        saveButton.style.cursor = 'pointer';
+        saveButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+
+        const submit = () => {
+            window.removeEventListener('pagehide', submit);
+            this.submitPendingRun = null;
+
+            const savedPlacement = scoreManager.submitRun(nameInput.value);
+            section.removeChild(nameRow);
+            showTable(savedPlacement);
+        };
+        saveButton.onclick = submit;
+
+        // Restarting or leaving the page without saving submits with the default name
+        this.submitPendingRun = submit;
+        window.addEventListener('pagehide', submit);
+
+        // Keep typing away from the game's key bindings (InputManager listens on the document)
+        nameInput.addEventListener('keydown', (event) => {
+            event.stopPropagation();
+            if (event.key === 'Enter') {
+                submit();
+            }
+        });
+        nameInput.addEventListener('keyup', (event) => event.stopPropagation());
+
+        nameRow.appendChild(nameInput);
+        nameRow.appendChild(saveButton);
+        section.appendChild(nameRow);
+        section.appendChild(tableContainer);
+        showTable();
+
+        setTimeout(() => nameInput.focus(), 1100);
+        return section;
     }
 
     /**
@@ -116,22 +296,35 @@ export class GameOver {
      */
     playGameOverSounds() {
         if (this.audioManager) {
-            this.audioManager.muteAllExcept([
-                'assets/sounds/ESM_Retro_Game_Over_v2_Sound_FX_Arcade_Casino_Kids_Mobile_App.wav',
-                'assets/sounds/LNG_GamingPhrases_Game-over_Conversation.wav'
-            ]);
+            // Silence the game, only the game over jingle and voice are heard
+            this.audioManager.muteAllExcept(['ui', 'voice']);
             
             // Play first game over sound
-            this.audioManager.playOneShot('assets/sounds/ESM_Retro_Game_Over_v2_Sound_FX_Arcade_Casino_Kids_Mobile_App.wav')
+            this.audioManager.playOneShot('assets/sounds/ESM_Retro_Game_Over_v2_Sound_FX_Arcade_Casino_Kids_Mobile_App.wav', { bus: 'ui' })
                 .then(() => {
                     // Play second game over sound after 1 second with slightly lower pitch
                     setTimeout(() => {
-                        this.audioManager.playOneShot('assets/sounds/LNG_GamingPhrases_Game-over_Conversation.wav', { playbackRate: 0.85 });
+                        this.audioManager.playOneShot('assets/sounds/LNG_GamingPhrases_Game-over_Conversation.wav', { playbackRate: 0.85, bus: 'voice' });
                     }, 1000);
                 });
         }
     }
 
+    /**
+     * Remove the game over screen for a new run (PlayerController.resetRun)
+     */
+    reset() {
+        if (this.submitPendingRun) {
+            window.removeEventListener('pagehide', this.submitPendingRun);
+            this.submitPendingRun = null;
+        }
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+        this.isDead = false;
+    }
+
     /**
      * Check if the player is dead
      * @returns {boolean} True if the player is dead
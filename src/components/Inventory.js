@@ -1,4 +1,5 @@
 import * as THREE from 'three';
+import { WEAPON_DEFINITIONS, STARTING_LOADOUT } from './WeaponDefinitions.js';
 
 export class Inventory {
     constructor(playerController) {
@@ -11,20 +12,28 @@ export class Inventory {
         this.maxSlots = 6;
         this.selectedSlot = 0;
         
-        // Medikit properties
+        // Stackable item properties
         this.maxMedikitStack = 5;
+        this.maxAmmoStack = 5;
         
         // Create inventory UI
+        this.isTouchEnabled = false;
         this.createInventoryUI();
         
-        // Add pistol to slot 1
-        this.addPistolToSlot1();
+        // Add the starting weapons to the first slots (pistol in slot 1)
+        this.addStartingWeapons();
         
         // Usage prompt
         this.usePrompt = null;
         
-        // Listen for number keys to switch slots
-        window.addEventListener('keydown', this.onKeyDown.bind(this));
+        // Slot actions (number keys by default) switch slots
+        for (let i = 0; i < 6; i++) {
+            this.playerController.input.on(`inventory_slot_${i + 1}`, () => {
+                if (i < this.maxSlots) {
+                    this.selectSlot(i);
+                }
+            });
+        }
     }
     
     createInventoryUI() {
@@ -64,6 +73,18 @@ export class Inventory {
             slotNumber.style.color = 'white';
             slot.appendChild(slotNumber);
             
+            // Touch screens: tap a slot to select it, tap the selected slot to use it
+            slot.addEventListener('touchstart', (event) => {
+                if (!this.isTouchEnabled) return;
+                event.preventDefault();
+                event.stopPropagation();
+                if (this.selectedSlot === i) {
+                    this.useSelectedItem();
+                } else {
+                    this.selectSlot(i);
+                }
+            }, { passive: false });
+            
             this.container.appendChild(slot);
             this.slots.push(slot);
             this.itemCounts.push(0);
@@ -74,12 +95,6 @@ export class Inventory {
     }
     
     createMedikitTextureWithCount(count) {
-        // Create a wrapper div to hold both the image and count
-        const wrapper = document.createElement('div');
-        wrapper.style.position = 'relative';
-        wrapper.style.width = '50px';
-        wrapper.style.height = '50px';
-        
         // Create the medikit image - use canvas instead of loading a file
         const canvas = document.createElement('canvas');
         canvas.width = 128;
@@ -100,6 +115,58 @@ export class Inventory {
         ctx.lineWidth = 4;
         ctx.strokeRect(8, 8, 112, 112);
         
+        return this.createItemImageWithCount(canvas, count);
+    }
+    
+    createAmmoTextureWithCount(count) {
+        // Draw an ammo box on a canvas, matching the medikit icon style
+        const canvas = document.createElement('canvas');
+        canvas.width = 128;
+        canvas.height = 128;
+        const ctx = canvas.getContext('2d');
+        
+        // Olive drab box
+        ctx.fillStyle = '#556B2F';
+        ctx.fillRect(0, 0, 128, 128);
+        
+        // Three brass rounds
+        for (let i = 0; i < 3; i++) {
+            const x = 30 + i * 26;
+            ctx.fillStyle = '#DAA520';
+            ctx.fillRect(x, 48, 16, 52);     // Casing
+            ctx.fillStyle = '#B87333';
+            ctx.beginPath();                 // Copper tip
+            ctx.moveTo(x, 48);
+            ctx.lineTo(x + 8, 26);
+            ctx.lineTo(x + 16, 48);
+            ctx.closePath();
+            ctx.fill();
+        }
+        
+        // Border
+        ctx.strokeStyle = '#2F3A18';
+        ctx.lineWidth = 4;
+        ctx.strokeRect(8, 8, 112, 112);
+        
+        return this.createItemImageWithCount(canvas, count);
+    }
+    
+    // Pick the icon for a stackable item type
+    createStackableTextureWithCount(itemType, count) {
+        if (itemType === 'ammo') {
+            return this.createAmmoTextureWithCount(count);
+        }
+        return this.createMedikitTextureWithCount(count);
+    }
+    
+    // Wrap a canvas icon in a slot-sized element with a stack count overlay
+    createItemImageWithCount(canvas, count) {
+        // Create a wrapper div to hold both the image and count
+        const wrapper = document.createElement('div');
+        wrapper.style.position = 'relative';
+        wrapper.style.width = '50px';
+        wrapper.style.height = '50px';
+        
         // Create an img element and set its src to the canvas data URL
         const img = document.createElement('img');
         img.src = canvas.toDataURL('image/png');
@@ -132,16 +199,23 @@ export class Inventory {
         return wrapper;
     }
     
+    // Maximum stack size for an item type (1 means it doesn't stack)
+    getMaxStack(itemType) {
+        if (itemType === 'medikit') return this.maxMedikitStack;
+        if (itemType === 'ammo') return this.maxAmmoStack;
+        return 1;
+    }
+    
     addItem(itemType) {
-        // For medikits, we check if we already have some and stack them
-        if (itemType === 'medikit') {
-            // Look for an existing medikit slot
+        // For stackable items (medikits, ammo), we check if we already have some and stack them
+        if (this.getMaxStack(itemType) > 1) {
+            // Look for an existing slot of the same type
             for (let i = 0; i < this.slots.length; i++) {
-                if (this.slots[i].dataset.itemType === 'medikit' && this.itemCounts[i] < this.maxMedikitStack) {
-                    // Increment the medikit count
+                if (this.slots[i].dataset.itemType === itemType && this.itemCounts[i] < this.getMaxStack(itemType)) {
+                    // Increment the item count
                     this.itemCounts[i]++;
                     
-                    // Update the medikit display with the new count
+                    // Update the item display with the new count
                     while (this.slots[i].firstChild) {
                         this.slots[i].removeChild(this.slots[i].firstChild);
                     }
@@ -156,8 +230,8 @@ export class Inventory {
                     slotNumber.style.color = 'white';
                     this.slots[i].appendChild(slotNumber);
                     
-                    // Add medikit with count
-                    this.slots[i].appendChild(this.createMedikitTextureWithCount(this.itemCounts[i]));
+                    // Add item with count
+                    this.slots[i].appendChild(this.createStackableTextureWithCount(itemType, this.itemCounts[i]));
                     
                     // If this is the selected slot, update the use prompt
                     if (i === this.selectedSlot) {
@@ -165,15 +239,14 @@ export class Inventory {
                     }
                     
                     // Play item pickup sound
-                    const pickupSound = new Audio('assets/sounds/ESM_Game_Item_or_Coin_11_Retro_Cartoon_Casino_Arcade_Kid_App_Mobile.wav');
-                    pickupSound.play().catch(error => console.log("Error playing pickup sound:", error));
+                    this.playSound('assets/sounds/ESM_Game_Item_or_Coin_11_Retro_Cartoon_Casino_Arcade_Kid_App_Mobile.wav');
                     
                     return true;
                 }
             }
         }
         
-        // If we get here, either it's not a medikit or we don't have one yet
+        // If we get here, either it's not stackable or we don't have a free stack yet
         // Find the first empty slot
         for (let i = 0; i < this.slots.length; i++) {
             if (!this.slots[i].dataset.itemType) {
@@ -194,10 +267,10 @@ export class Inventory {
                 slotNumber.style.color = 'white';
                 this.slots[i].appendChild(slotNumber);
                 
-                if (itemType === 'medikit') {
-                    // Add medikit with count
+                if (this.getMaxStack(itemType) > 1) {
+                    // Add stackable item with count
                     this.itemCounts[i] = 1;
-                    this.slots[i].appendChild(this.createMedikitTextureWithCount(this.itemCounts[i]));
+                    this.slots[i].appendChild(this.createStackableTextureWithCount(itemType, this.itemCounts[i]));
                 } else {
                     // For other items, create a placeholder image
                     this.itemCounts[i] = 1;
@@ -228,8 +301,7 @@ export class Inventory {
                 }
                 
                 // Play item pickup sound
-                const pickupSound = new Audio('assets/sounds/ESM_Game_Item_or_Coin_11_Retro_Cartoon_Casino_Arcade_Kid_App_Mobile.wav');
-                pickupSound.play().catch(error => console.log("Error playing pickup sound:", error));
+                this.playSound('assets/sounds/ESM_Game_Item_or_Coin_11_Retro_Cartoon_Casino_Arcade_Kid_App_Mobile.wav');
                 
                 return true;
             }
@@ -238,16 +310,49 @@ export class Inventory {
         return false; // No empty slots
     }
     
-    onKeyDown(event) {
-        // Handle number keys 1-6 to switch inventory slots
-        if (event.code >= 'Digit1' && event.code <= 'Digit6') {
-            const slotIndex = parseInt(event.code.charAt(5)) - 1;
-            if (slotIndex < this.maxSlots) {
-                this.selectedSlot = slotIndex;
-                this.updateSelectedSlot();
-                this.updateUsePrompt();
+    // Play an inventory sound through the AudioManager mixer (UI bus unless options say otherwise)
+    playSound(url, options = {}) {
+        const audioManager = this.playerController.audioManager;
+        if (!audioManager) return;
+        
+        audioManager.playOneShot(url, { bus: 'ui', ...options })
+            .catch(error => console.log("Error playing inventory sound:", error));
+    }
+    
+    // Put the bar above the touch controls layer (TouchControls) so its slots can be tapped
+    setTouchEnabled(enabled) {
+        this.isTouchEnabled = enabled;
+        this.container.style.zIndex = enabled ? '1600' : '';
+        this.container.style.transform = enabled ? 'translateX(-50%) scale(0.8)' : 'translateX(-50%)';
+        this.container.style.transformOrigin = 'bottom center';
+    }
+    
+    selectSlot(slotIndex) {
+        this.selectedSlot = slotIndex;
+        this.updateSelectedSlot();
+        this.updateUsePrompt();
+        
+        // Selecting a weapon slot equips that weapon
+        const selectedItem = this.getSelectedItem();
+        const weaponSystem = this.playerController.weaponSystem;
+        if (this.isWeapon(selectedItem) && weaponSystem) {
+            weaponSystem.switchToWeapon(selectedItem);
+        }
+    }
+    
+    // Select the slot holding the given weapon (used by scroll wheel switching)
+    selectWeaponSlot(weaponId) {
+        for (let i = 0; i < this.slots.length; i++) {
+            if (this.slots[i].dataset.itemType === weaponId) {
+                this.selectSlot(i);
+                return true;
             }
         }
+        return false;
+    }
+    
+    isWeapon(itemType) {
+        return !!itemType && WEAPON_DEFINITIONS.hasOwnProperty(itemType);
     }
     
     updateSelectedSlot() {
@@ -278,15 +383,17 @@ export class Inventory {
         
         const selectedItem = this.getSelectedItem();
         
-        // Only show use prompt for medikit
+        // Only show use prompt for usable items
         if (selectedItem === 'medikit') {
-            this.createUsePrompt();
+            this.createUsePrompt('Press Q to use MediKit');
+        } else if (selectedItem === 'ammo') {
+            this.createUsePrompt('Press Q to load Ammo into equipped weapon');
         }
     }
     
-    createUsePrompt() {
+    createUsePrompt(text) {
         this.usePrompt = document.createElement('div');
-        this.usePrompt.textContent = 'Press Q to use MediKit';
+        this.usePrompt.textContent = text;
         this.usePrompt.style.position = 'fixed';
         this.usePrompt.style.bottom = '100px';
         this.usePrompt.style.left = '50%';
@@ -312,88 +419,205 @@ export class Inventory {
                 // Only use the medikit if healing was done
                 if (this.playerController.health > oldHealth) {
                     // Play medikit use sound
-                    const medikitSound = new Audio('assets/sounds/ESM_Positive_Casino_Hit_Sound_FX_Arcade_Kids_Mobile_App.wav');
-                    medikitSound.play().catch(error => console.log("Error playing medikit sound:", error));
-                    
-                    // Decrement the medikit count
-                    this.itemCounts[this.selectedSlot]--;
+                    this.playSound('assets/sounds/ESM_Positive_Casino_Hit_Sound_FX_Arcade_Kids_Mobile_App.wav');
                     
                     // Update the health bar display
                     this.playerController.updateHealthBarUI();
                     
-                    if (this.itemCounts[this.selectedSlot] <= 0) {
-                        // Remove the medikit if count reaches 0
-                        this.slots[this.selectedSlot].dataset.itemType = '';
-                        while (this.slots[this.selectedSlot].firstChild) {
-                            this.slots[this.selectedSlot].removeChild(this.slots[this.selectedSlot].firstChild);
-                        }
-                        
-                        // Add slot number back
-                        const slotNumber = document.createElement('div');
-                        slotNumber.textContent = (this.selectedSlot + 1).toString();
-                        slotNumber.style.position = 'absolute';
-                        slotNumber.style.bottom = '2px';
-                        slotNumber.style.right = '5px';
-                        slotNumber.style.fontSize = '12px';
-                        slotNumber.style.color = 'white';
-                        this.slots[this.selectedSlot].appendChild(slotNumber);
-                        
-                        // Remove the use prompt
-                        this.updateUsePrompt();
-                    } else {
-                        // Update the medikit display with the new count
-                        const slotContent = this.slots[this.selectedSlot].querySelector('div:not(:last-child)');
-                        if (slotContent) {
-                            this.slots[this.selectedSlot].removeChild(slotContent);
-                        }
-                        this.slots[this.selectedSlot].appendChild(this.createMedikitTextureWithCount(this.itemCounts[this.selectedSlot]));
+                    if (this.playerController.engine) {
+                        this.playerController.engine.runStats.recordMedikitUsed();
                     }
                     
+                    this.consumeSelectedItem();
+                    return true;
+                }
+            }
+        } else if (selectedItem === 'ammo') {
+            // Top up the reserve of the equipped weapon
+            const weaponSystem = this.playerController.weaponSystem;
+            if (weaponSystem && weaponSystem.currentWeapon) {
+                const added = weaponSystem.addReserveAmmo(weaponSystem.currentWeapon.definition.ammoPickup);
+                
+                // Only use the ammo box if the reserve had room
+                if (added > 0) {
+                    this.playSound('/assets/sounds/ESM_GW_gun_one_shot_pistol_reload_ammo_mechanical_magazine_reload_1.wav', { bus: 'sfx', volume: 0.5 });
+                    
+                    this.consumeSelectedItem();
                     return true;
+                } else {
+                    this.playerController.showMessage(`${weaponSystem.currentWeapon.definition.name} ammo is full`, 1500);
                 }
             }
         }
         
         return false;
     }
+    
+    // Remove one item from the selected stack, clearing the slot when it runs out
+    consumeSelectedItem() {
+        const slot = this.slots[this.selectedSlot];
+        const itemType = this.getSelectedItem();
+        
+        // Decrement the item count
+        this.itemCounts[this.selectedSlot]--;
+        
+        // Rebuild the slot contents
+        while (slot.firstChild) {
+            slot.removeChild(slot.firstChild);
+        }
+        
+        // Add slot number back
+        const slotNumber = document.createElement('div');
+        slotNumber.textContent = (this.selectedSlot + 1).toString();
+        slotNumber.style.position = 'absolute';
+        slotNumber.style.bottom = '2px';
+        slotNumber.style.right = '5px';
+        slotNumber.style.fontSize = '12px';
+        slotNumber.style.color = 'white';
+        slot.appendChild(slotNumber);
+        
+        if (this.itemCounts[this.selectedSlot] <= 0) {
+            // Remove the item if count reaches 0
+            slot.dataset.itemType = '';
+            this.itemCounts[this.selectedSlot] = 0;
+            
+            // Remove the use prompt
+            this.updateUsePrompt();
+        } else {
+            // Update the display with the new count
+            slot.appendChild(this.createStackableTextureWithCount(itemType, this.itemCounts[this.selectedSlot]));
+        }
+    }
 
-    createPistolIcon() {
+    createWeaponIcon(definition) {
         // Create a wrapper div
         const wrapper = document.createElement('div');
         wrapper.style.position = 'relative';
         wrapper.style.width = '50px';
         wrapper.style.height = '50px';
         
-        // Create an img element for the pistol icon
-        const img = document.createElement('img');
-        img.src = 'assets/inventory images/make-a-gun-icon-for-a-doom-style-first-person-shoo.png';
-        img.style.width = '100%';
-        img.style.height = '100%';
-        img.style.objectFit = 'contain';
-        wrapper.appendChild(img);
+        if (definition.icon) {
+            // Create an img element for the weapon icon
+            const img = document.createElement('img');
+            img.src = definition.icon;
+            img.style.width = '100%';
+            img.style.height = '100%';
+            img.style.objectFit = 'contain';
+            wrapper.appendChild(img);
+        } else {
+            // No icon art yet - show the weapon name on a tinted plate
+            const label = document.createElement('div');
+            label.style.width = '100%';
+            label.style.height = '100%';
+            label.style.backgroundColor = '#' + definition.model.color.toString(16).padStart(6, '0');
+            label.style.display = 'flex';
+            label.style.justifyContent = 'center';
+            label.style.alignItems = 'center';
+            label.style.color = 'white';
+            label.style.fontWeight = 'bold';
+            label.style.fontSize = '11px';
+            label.style.textAlign = 'center';
+            label.style.textShadow = '1px 1px 0px #000000';
+            label.style.border = '2px solid #555';
+            label.style.borderRadius = '4px';
+            label.style.boxSizing = 'border-box';
+            label.textContent = definition.name.toUpperCase();
+            wrapper.appendChild(label);
+        }
         
         return wrapper;
     }
 
-    addPistolToSlot1() {
-        // Clear slot 1
-        while (this.slots[0].firstChild) {
-            this.slots[0].removeChild(this.slots[0].firstChild);
+    // New run (PlayerController.resetRun) - drop every item and go back to the starting weapons
+    resetRun() {
+        for (let i = 0; i < this.slots.length; i++) {
+            this.clearSlot(i);
+        }
+
+        this.addStartingWeapons();
+        this.selectSlot(0);
+    }
+
+    // Empty a slot, leaving only its number
+    clearSlot(slotIndex) {
+        const slot = this.slots[slotIndex];
+        while (slot.firstChild) {
+            slot.removeChild(slot.firstChild);
+        }
+
+        const slotNumber = document.createElement('div');
+        slotNumber.textContent = (slotIndex + 1).toString();
+        slotNumber.style.position = 'absolute';
+        slotNumber.style.bottom = '2px';
+        slotNumber.style.right = '5px';
+        slotNumber.style.fontSize = '12px';
+        slotNumber.style.color = 'white';
+        slot.appendChild(slotNumber);
+
+        slot.dataset.itemType = '';
+        this.itemCounts[slotIndex] = 0;
+    }
+
+    // Item type and count of every slot, plus the selected slot (SaveManager)
+    getSaveData() {
+        return {
+            selectedSlot: this.selectedSlot,
+            slots: this.slots.map((slot, i) => ({
+                itemType: slot.dataset.itemType || null,
+                count: this.itemCounts[i]
+            }))
+        };
+    }
+
+    applySaveData(data) {
+        data.slots.slice(0, this.maxSlots).forEach((saved, i) => {
+            this.clearSlot(i);
+            if (!saved.itemType) return;
+
+            if (this.isWeapon(saved.itemType)) {
+                this.addWeaponToSlot(i, saved.itemType);
+            } else if (this.getMaxStack(saved.itemType) > 1 && saved.count > 0) {
+                const count = Math.min(saved.count, this.getMaxStack(saved.itemType));
+                this.slots[i].dataset.itemType = saved.itemType;
+                this.itemCounts[i] = count;
+                this.slots[i].appendChild(this.createStackableTextureWithCount(saved.itemType, count));
+            } else {
+                console.warn(`Saved inventory item ${saved.itemType} can't be restored, slot ${i + 1} left empty`);
+            }
+        });
+
+        this.selectSlot(Math.min(Math.max(0, data.selectedSlot), this.maxSlots - 1));
+    }
+
+    addStartingWeapons() {
+        STARTING_LOADOUT.forEach((weaponId, slotIndex) => {
+            if (slotIndex < this.maxSlots) {
+                this.addWeaponToSlot(slotIndex, weaponId);
+            }
+        });
+    }
+
+    addWeaponToSlot(slotIndex, weaponId) {
+        const slot = this.slots[slotIndex];
+        
+        // Clear the slot
+        while (slot.firstChild) {
+            slot.removeChild(slot.firstChild);
         }
         
         // Add slot number
         const slotNumber = document.createElement('div');
-        slotNumber.textContent = '1';
+        slotNumber.textContent = (slotIndex + 1).toString();
         slotNumber.style.position = 'absolute';
         slotNumber.style.bottom = '2px';
         slotNumber.style.right = '5px';
         slotNumber.style.fontSize = '12px';
         slotNumber.style.color = 'white';
-        this.slots[0].appendChild(slotNumber);
+        slot.appendChild(slotNumber);
         
-        // Add pistol icon
-        this.slots[0].appendChild(this.createPistolIcon());
-        this.slots[0].dataset.itemType = 'pistol';
-        this.itemCounts[0] = 1;
+        // Add weapon icon
+        slot.appendChild(this.createWeaponIcon(WEAPON_DEFINITIONS[weaponId]));
+        slot.dataset.itemType = weaponId;
+        this.itemCounts[slotIndex] = 1;
     }
 } 
\ No newline at end of file
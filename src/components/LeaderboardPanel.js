@@ -0,0 +1,87 @@
+import { LEADERBOARD_SIZE } from '../core/ScoreManager.js';
+
+const CLICK_SOUND = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
+
+// Local leaderboard panel opened from the start screen.
+// The table itself comes from engine.scoreManager so the game over screen shows the same one.
+export class LeaderboardPanel {
+    constructor(engine) {
+        this.engine = engine;
+        this.panel = null;
+    }
+
+    isVisible() {
+        return !!this.panel;
+    }
+
+    show() {
+        if (this.panel) return;
+
+        this.playClick();
+
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'fixed';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        this.panel.style.border = '2px solid #0099FF';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.padding = '30px';
+        this.panel.style.zIndex = '3000';
+        this.panel.style.display = 'flex';
+        this.panel.style.flexDirection = 'column';
+        this.panel.style.gap = '15px';
+        this.panel.style.color = 'white';
+        this.panel.style.boxShadow = '0 0 20px rgba(0, 150, 255, 0.7)';
+        this.panel.style.width = '640px';
+        this.panel.style.maxWidth = '90vw';
+        this.panel.style.maxHeight = '80vh';
+        this.panel.style.overflowY = 'auto';
+
+        const title = document.createElement('h2');
+        title.textContent = `TOP ${LEADERBOARD_SIZE} RUNS`;
+        title.style.textAlign = 'center';
+        title.style.color = '#0099FF';
+        title.style.fontFamily = '"Creepster", "Chiller", cursive';
+        title.style.fontSize = '36px';
+        title.style.margin = '0 0 10px 0';
+        title.style.textShadow = '2px 2px 4px #000000';
+        this.panel.appendChild(title);
+
+        this.panel.appendChild(this.engine.scoreManager.createLeaderboardTable());
+
+        const closeButton = document.createElement('button');
+        closeButton.textContent = 'CLOSE';
+        closeButton.style.alignSelf = 'center';
+        closeButton.style.marginTop = '10px';
+        closeButton.style.padding = '10px 20px';
+        closeButton.style.backgroundColor = '#0066CC';
+        closeButton.style.color = 'white';
+        closeButton.style.border = 'none';
+        closeButton.style.borderRadius = '5px';
+        closeButton.style.cursor = 'pointer';
+        closeButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+        closeButton.style.fontSize = '20px';
+        closeButton.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+        closeButton.onclick = () => this.hide();
+        this.panel.appendChild(closeButton);
+
+        document.body.appendChild(this.panel);
+    }
+
+    hide() {
+        if (!this.panel) return;
+
+        this.playClick();
+        document.body.removeChild(this.panel);
+        this.panel = null;
+    }
+
+    playClick() {
+        if (this.engine.audioManager) {
+            this.engine.audioManager.playOneShot(CLICK_SOUND, { bus: 'ui' })
+                .catch(error => console.error("Error playing click sound:", error));
+        }
+    }
+}
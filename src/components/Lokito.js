@@ -298,7 +298,9 @@ export class Lokito extends Enemy {
                 moveDirection.normalize();
             } else {
                 this.isCircling = false;
-                moveDirection = directionToPlayer;
+                // Drift around walls along the navmesh rather than straight through them
+                const navigation = this._getNavigationDirection(currentPosition, playerPosition);
+                moveDirection = navigation ? navigation.direction : directionToPlayer;
             }
             
             const separationForce = this.calculateSeparationForce();
@@ -361,7 +363,7 @@ export class Lokito extends Enemy {
             
             if (this.playerController.audioManager && this.attackSounds.length > 0) {
                 const randomIndex = Math.floor(Math.random() * this.attackSounds.length);
-                this.playerController.audioManager.playOneShot(this.attackSounds[randomIndex])
+                this.playerController.audioManager.playOneShot(this.attackSounds[randomIndex], this._getSoundOptions())
                     .catch(error => console.error("Error playing ghost attack sound:", error));
             }
             return;
@@ -375,7 +377,7 @@ export class Lokito extends Enemy {
             const randomIndex = Math.floor(Math.random() * this.attackSounds.length);
             const soundFile = this.attackSounds[randomIndex];
             console.log(`Playing ghost attack sound: ${soundFile}`);
-            this.playerController.audioManager.playOneShot(soundFile)
+            this.playerController.audioManager.playOneShot(soundFile, this._getSoundOptions())
                 .catch(error => console.error("Error playing ghost attack sound:", error));
         } else {
             console.error("Cannot play ghost attack sound: Missing audioManager or sound files");
@@ -386,7 +388,7 @@ export class Lokito extends Enemy {
         
         if (this.target && this.playerController) {
             console.log(`Lokito ${this.enemyBodyUUID} attacking player`);
-            this.playerController.takeDamage(this.damagePerHit);
+            this.playerController.takeDamage(this.damagePerHit, this._getEnemyType());
         }
     }
 
@@ -543,6 +545,10 @@ export class Lokito extends Enemy {
             this.mixer.stopAllAction();
         }
 
+        if (this.physicsWorld) {
+            this.physicsWorld.hitboxRegistry.unregister(this);
+        }
+
         if (this.mesh) {
             this.scene.remove(this.mesh);
             this.mesh.traverse(object => {
@@ -0,0 +1,140 @@
+const CLICK_SOUND = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
+
+// Menu shown while the game is paused (Engine.pause). The backdrop covers the whole
+// screen so a stray click can't reach the canvas and grab the pointer lock.
+export class PauseMenu {
+    constructor(engine) {
+        this.engine = engine;
+        this.backdrop = null;
+        this.message = null;
+    }
+
+    isVisible() {
+        return !!this.backdrop && this.backdrop.style.display !== 'none';
+    }
+
+    show() {
+        if (!this.backdrop) {
+            this.create();
+        }
+        this.setMessage('');
+        this.backdrop.style.display = 'flex';
+    }
+
+    hide() {
+        if (this.backdrop) {
+            this.backdrop.style.display = 'none';
+        }
+    }
+
+    create() {
+        this.backdrop = document.createElement('div');
+        this.backdrop.style.position = 'fixed';
+        this.backdrop.style.top = '0';
+        this.backdrop.style.left = '0';
+        this.backdrop.style.width = '100%';
+        this.backdrop.style.height = '100%';
+        this.backdrop.style.backgroundColor = 'rgba(0, 0, 0, 0.5)';
+        this.backdrop.style.zIndex = '2500';
+        this.backdrop.style.display = 'none';
+        this.backdrop.style.justifyContent = 'center';
+        this.backdrop.style.alignItems = 'center';
+
+        const panel = document.createElement('div');
+        panel.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        panel.style.border = '2px solid #0099FF';
+        panel.style.borderRadius = '10px';
+        panel.style.padding = '30px 50px';
+        panel.style.display = 'flex';
+        panel.style.flexDirection = 'column';
+        panel.style.alignItems = 'stretch';
+        panel.style.gap = '15px';
+        panel.style.color = 'white';
+        panel.style.fontFamily = 'Arial, sans-serif';
+        panel.style.boxShadow = '0 0 20px rgba(0, 150, 255, 0.7)';
+        panel.style.minWidth = '280px';
+
+        const title = document.createElement('h2');
+        title.textContent = 'PAUSED';
+        title.style.textAlign = 'center';
+        title.style.color = '#0099FF';
+        title.style.fontFamily = '"Creepster", "Chiller", cursive';
+        title.style.fontSize = '48px';
+        title.style.margin = '0 0 10px 0';
+        title.style.textShadow = '2px 2px 4px #000000';
+        panel.appendChild(title);
+
+        const buttons = [
+            { label: 'RESUME', onClick: () => this.engine.resume() },
+            { label: 'SETTINGS', onClick: () => this.openSettings() },
+            { label: 'RESTART', onClick: () => this.engine.restartGame() },
+            { label: 'QUIT TO TITLE', onClick: () => this.engine.quitToTitle() }
+        ];
+        buttons.forEach(config => {
+            const button = this.createButton(config.label);
+            button.onclick = () => {
+                this.playClick();
+                config.onClick();
+            };
+            panel.appendChild(button);
+        });
+
+        // Shown when the browser refuses the pointer lock on resume
+        this.message = document.createElement('div');
+        this.message.style.minHeight = '20px';
+        this.message.style.fontSize = '14px';
+        this.message.style.textAlign = 'center';
+        this.message.style.color = '#FFAA00';
+        panel.appendChild(this.message);
+
+        this.backdrop.appendChild(panel);
+        document.body.appendChild(this.backdrop);
+    }
+
+    // The settings panel takes the pause menu's place and brings it back when closed
+    openSettings() {
+        this.hide();
+        this.engine.openSettings(() => {
+            if (this.engine.isPaused) {
+                this.show();
+            }
+        });
+    }
+
+    setMessage(text) {
+        if (this.message) {
+            this.message.textContent = text;
+        }
+    }
+
+    createButton(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '12px 20px';
+        button.style.backgroundColor = '#0066CC';
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.style.fontFamily = '"Creepster", "Chiller", cursive';
+        button.style.fontSize = '24px';
+        button.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+
+        button.onmouseover = () => {
+            button.style.backgroundColor = '#0099FF';
+        };
+
+        button.onmouseout = () => {
+            button.style.backgroundColor = '#0066CC';
+        };
+
+        return button;
+    }
+
+    playClick() {
+        if (this.engine.audioManager) {
+            this.engine.audioManager.playOneShot(CLICK_SOUND, { bus: 'ui' })
+                .catch(error => console.error("Error playing click sound:", error));
+        }
+    }
+}
@@ -10,11 +10,8 @@ export class PerkSystem {
         this.maxPerks = 3;
         this.unlockedPerks = [];
         
-        // Preload the perk unlock sound
-        this.perkUnlockSound = new Audio('/assets/sounds/ESM_Retro_Game_Classic_Jump_22_8_Bit_Arcade_80s.wav');
-        this.perkUnlockSound.volume = 0.8;
-        // Preload the sound
-        this.perkUnlockSound.load();
+        // Perk unlock sound (preloaded with the rest of SoundManifest)
+        this.perkUnlockSoundPath = '/assets/sounds/ESM_Retro_Game_Classic_Jump_22_8_Bit_Arcade_80s.wav';
         
         // Create perk UI
         this.createPerkUI();
@@ -76,9 +73,8 @@ export class PerkSystem {
         // Apply perk effect
         this.applyPerkEffect(perkType);
         
-        // Play unlock sound using the preloaded sound
-        this.perkUnlockSound.currentTime = 0; // Reset the sound to the beginning
-        this.perkUnlockSound.play().catch(error => console.error("Error playing perk unlock sound:", error));
+        // Play unlock sound
+        this.playPerkUnlockSound();
         
         // Create and show unlock text
         const unlockText = document.createElement('div');
@@ -457,23 +453,61 @@ export class PerkSystem {
         return true;
     }
 
+    // New run (PlayerController.resetRun) - empty slots and no perk effects
+    resetRun() {
+        this.clearAllPerks();
+
+        // updatePerkSlot styles the slot itself (glow, border), put it back to empty
+        for (const slot of this.perkSlots) {
+            slot.style.border = '2px solid #444';
+            slot.style.boxShadow = 'none';
+            slot.style.animation = 'none';
+            slot.title = '';
+        }
+    }
+
+    // Put perks back from a saved run, without the unlock sound and text
+    restorePerks(perkTypes) {
+        this.resetRun();
+        perkTypes.slice(0, this.maxPerks).forEach(perkType => {
+            this.unlockedPerks.push(perkType);
+            this.updatePerkSlot(this.unlockedPerks.length - 1, perkType);
+            this.applyPerkEffect(perkType);
+        });
+    }
+
+    playPerkUnlockSound() {
+        const audioManager = this.playerController.audioManager;
+        if (!audioManager) return;
+        
+        audioManager.playOneShot(this.perkUnlockSoundPath, { bus: 'ui', volume: 0.8 })
+            .catch(error => console.error("Error playing perk unlock sound:", error));
+    }
+    
     // Method to show perk unlocked text for stage 2 upgrades
     showPerkUnlockedText(perkType, isStage2 = false) {
-        // Play unlock sound using the preloaded sound
-        this.perkUnlockSound.currentTime = 0; // Reset the sound to the beginning
-        this.perkUnlockSound.play().catch(error => console.error("Error playing perk unlock sound:", error));
+        // Purple for stage 2, green otherwise
+        this.showUnlockToast('PERK UNLOCKED', isStage2 ? '#800080' : '#00ff00');
+    }
+    
+    // Unlock text with a burst of particles next to the perk slots (also used for achievements)
+    showUnlockToast(title, color, subtitle = null) {
+        // Play unlock sound
+        this.playPerkUnlockSound();
         
         // Create and show unlock text
         const unlockText = document.createElement('div');
-        unlockText.textContent = 'PERK UNLOCKED';
-        
-        // Set text color and glow based on stage
-        if (isStage2) {
-            unlockText.style.color = '#800080'; // Purple
-            unlockText.style.textShadow = '2px 2px 0 #000, -2px -2px 0 #000, 2px -2px 0 #000, -2px 2px 0 #000, 0 0 10px #800080, 0 0 20px #800080';
-        } else {
-            unlockText.style.color = '#00ff00'; // Green
-            unlockText.style.textShadow = '2px 2px 0 #000, -2px -2px 0 #000, 2px -2px 0 #000, -2px 2px 0 #000, 0 0 10px #00ff00, 0 0 20px #00ff00';
+        unlockText.textContent = title;
+        unlockText.style.color = color;
+        unlockText.style.textShadow = `2px 2px 0 #000, -2px -2px 0 #000, 2px -2px 0 #000, -2px 2px 0 #000, 0 0 10px ${color}, 0 0 20px ${color}`;
+        
+        // Optional second line (e.g. the achievement name)
+        if (subtitle) {
+            const subtitleText = document.createElement('div');
+            subtitleText.textContent = subtitle;
+            subtitleText.style.fontSize = '28px';
+            subtitleText.style.color = 'white';
+            unlockText.appendChild(subtitleText);
         }
         
         unlockText.style.position = 'fixed';
@@ -504,8 +538,8 @@ export class PerkSystem {
             particle.style.position = 'absolute';
             particle.style.width = '10px';
             particle.style.height = '10px';
-            particle.style.backgroundColor = isStage2 ? '#800080' : '#00ff00';
-            particle.style.boxShadow = isStage2 ? '0 0 5px #800080' : '0 0 5px #00ff00';
+            particle.style.backgroundColor = color;
+            particle.style.boxShadow = `0 0 5px ${color}`;
             particle.style.borderRadius = '2px';
             particle.style.opacity = '0';
             particle.style.transition = 'all 0.5s ease-out';
@@ -5,11 +5,12 @@ import { PerkSystem } from './PerkSystem.js';
 import { GameOver } from './GameOver.js';
 
 export class PlayerController {
-    constructor(camera, domElement, physicsWorld, audioManager) {
+    constructor(camera, domElement, physicsWorld, audioManager, input) {
         this.camera = camera;
         this.domElement = domElement;
         this.physicsWorld = physicsWorld;
         this.audioManager = audioManager; // Store reference to AudioManager
+        this.input = input; // InputManager - key bindings for every action
         
         // ADD BACK Damage properties
         this.isTakingDamage = false; 
@@ -24,7 +25,7 @@ export class PlayerController {
         
         // Kill streak system
         this.killStreak = 0;
-        this.killsForHealthBoost = 3;
+        this.killsForHealthBoost = 2; // Was 3 while every kill was counted twice
         this.healthBoostAmount = 10;
         
         // Player damage sound files
@@ -66,6 +67,9 @@ export class PlayerController {
         this.moveBackward = false;
         this.moveLeft = false;
         this.moveRight = false;
+        this.analogMove = { x: 0, y: 0 }; // Gamepad stick, -1..1 (y is forward)
+        this.isGamepadConnected = false; // Set by GamepadInput - pads play without pointer lock
+        this.isTouchActive = false; // Set by TouchControls - no pointer lock on touch screens
         this.canJump = true;
         
         // Movement parameters
@@ -105,6 +109,8 @@ export class PlayerController {
         
         // Setup pointer lock controls
         this.controls = new PointerLockControls(camera, domElement);
+        this.baseFov = 75; // FOV from the settings, restored after effects change it
+        this.cameraShakeEnabled = true; // Shake the camera when taking damage (settings)
         
         // Setup event listeners
         this.setupEventListeners();
@@ -130,8 +136,9 @@ export class PlayerController {
         this.fastReloadActive = false;
         this.superFastReloadActive = false;
         this.killsWithoutDamage = 0;
-        this.requiredKillsForFastReload = 6;
-        this.requiredKillsForSuperFastReload = 6; // Changed from 12 to 6 additional kills after stage 1
+        // Each kill is counted once - these were 6 and 6 while every kill counted twice
+        this.requiredKillsForFastReload = 3;
+        this.requiredKillsForSuperFastReload = 3; // Additional kills after stage 1
         this.killsAfterStage1 = 0; // Track kills after unlocking stage 1
         
         // Perk timer system
@@ -145,113 +152,88 @@ export class PlayerController {
     
     setupEventListeners() {
         // Pointer lock controls
-        this.domElement.addEventListener('click', () => {
+        this.onCanvasClick = () => {
             this.controls.lock();
-        });
+        };
+        this.domElement.addEventListener('click', this.onCanvasClick);
         
         // Movement controls
-        document.addEventListener('keydown', (event) => this.onKeyDown(event));
-        document.addEventListener('keyup', (event) => this.onKeyUp(event));
+        this.input.on('move_forward', () => { this.moveForward = true; });
+        this.input.on('move_backward', () => { this.moveBackward = true; });
+        this.input.on('move_left', () => { this.moveLeft = true; });
+        this.input.on('move_right', () => { this.moveRight = true; });
+        this.input.onRelease('move_forward', () => { this.moveForward = false; });
+        this.input.onRelease('move_backward', () => { this.moveBackward = false; });
+        this.input.onRelease('move_left', () => { this.moveLeft = false; });
+        this.input.onRelease('move_right', () => { this.moveRight = false; });
+        
+        this.input.on('jump', () => {
+            if (this.canJump) {
+                this.jump();
+            }
+        });
+        
+        this.input.on('sprint', () => this.activateSprint());
+        this.input.onRelease('sprint', () => {
+            // Only deactivate if still actively sprinting (not after timer ended)
+            if (this.isSprinting) {
+                this.deactivateSprint();
+            }
+        });
+        
+        this.input.on('crouch', () => {
+            // Only handle crouch if player is alive
+            if (this.health > 0) {
+                this.startCrouch();
+            }
+        });
+        this.input.onRelease('crouch', () => {
+            // Only handle crouch release if player is alive and currently crouching
+            if (this.health > 0 && this.isCrouching) {
+                this.endCrouch();
+            }
+        });
+        
+        this.input.on('slide', () => {
+            // Trigger slide if sprinting and not already sliding
+            if (this.health > 0 && this.isSprinting && !this.isSliding && !this.isCrouching && !this.slideCooldown) {
+                this.startSlide();
+            }
+        });
+        
+        this.input.on('interact', () => {
+            // Check for crate interaction first
+            if (this.nearestInteractable && this.nearestInteractable.userData.type === 'crate') {
+                // Cancel any ongoing reload
+                if (this.weaponSystem && this.weaponSystem.isReloading) {
+                    this.weaponSystem.cancelReload();
+                }
+                // Handle crate interaction
+                this.interact();
+            }
+        });
+        
+        this.input.on('use_item', () => {
+            // Use the selected medikit / ammo box
+            if (this.inventory) {
+                this.inventory.useSelectedItem();
+            }
+        });
         
         // Prompt box for special features
         this.promptBox = null;
         this.isPromptVisible = false;
         
-        // Add event listener for the = key to show the prompt box
-        document.addEventListener('keydown', (event) => {
-            if (event.key === '=') {
-                event.preventDefault(); // Prevent the = character from being added to the input
-                this.togglePromptBox();
+        this.input.on('command_prompt', (event) => {
+            if (event) {
+                event.preventDefault(); // Prevent the key's character from being added to the input
             }
+            this.togglePromptBox();
         });
     }
     
-    onKeyDown(event) {
-        // Process keyboard input
-        switch(event.code) {
-            case 'KeyW':
-                this.moveForward = true;
-                break;
-            case 'KeyS':
-                this.moveBackward = true;
-                break;
-            case 'KeyA':
-                this.moveLeft = true;
-                break;
-            case 'KeyD':
-                this.moveRight = true;
-                break;
-            case 'Space':
-                if (this.canJump) {
-                    this.jump();
-                }
-                break;
-            case 'ShiftLeft':
-                this.activateSprint();
-                break;
-            case 'KeyC':
-                // Only handle crouch if player is alive
-                if (this.health > 0) {
-                    this.startCrouch();
-                }
-                break;
-            case 'KeyT':
-                // Trigger slide if sprinting and not already sliding
-                if (this.health > 0 && this.isSprinting && !this.isSliding && !this.isCrouching && !this.slideCooldown) {
-                    this.startSlide();
-                }
-                break;
-            case 'KeyE':
-                // Check for crate interaction first
-                if (this.nearestInteractable && this.nearestInteractable.userData.type === 'crate') {
-                    // Cancel any ongoing reload
-                    if (this.weaponSystem && this.weaponSystem.isReloading) {
-                        this.weaponSystem.cancelReload();
-                    }
-                    // Handle crate interaction
-                    this.interact();
-                }
-                break;
-            case 'KeyQ':
-                // Q key for using medikit
-                if (this.inventory) {
-                    this.inventory.useSelectedItem();
-                }
-                break;
-        }
-    }
-    
-    onKeyUp(event) {
-        switch (event.code) {
-            case 'KeyW':
-                this.moveForward = false;
-                break;
-            case 'KeyS':
-                this.moveBackward = false;
-                break;
-            case 'KeyA':
-                this.moveLeft = false;
-                break;
-            case 'KeyD':
-                this.moveRight = false;
-                break;
-            case 'ShiftLeft':
-                // Only deactivate if still actively sprinting (not after timer ended)
-                if (this.isSprinting) {
-                    this.deactivateSprint();
-                }
-                break;
-            case 'KeyC':
-                // Only handle crouch release if player is alive and currently crouching
-                if (this.health > 0 && this.isCrouching) {
-                    this.endCrouch();
-                }
-                break;
-        }
-    }
-    
     jump() {
-        // Removed the check for this.canJump here, it's checked in onKeyDown
+        // Removed the check for this.canJump here, it's checked by the jump action handler
         // Apply jump force to the player's rigid body
         const playerBody = this.physicsWorld.getPlayerBody();
         if (playerBody) {
@@ -276,6 +258,7 @@ export class PlayerController {
                 const options = {
                     playbackRate: 1.0,
                     type: 'jump',
+                    bus: 'voice',
                     pan: pan,
                     volume: 0.4,
                     reverb: 0.12 + (Math.random() * 0.08) // 0.12-0.2 reverb
@@ -535,7 +518,7 @@ export class PlayerController {
     }
 
     update(deltaTime) {
-        if (this.controls.isLocked) {
+        if (this.controls.isLocked || this.isGamepadConnected || this.isTouchActive) {
             // Check if player is grounded
             this.canJump = this.physicsWorld.isPlayerGrounded();
 
@@ -567,20 +550,20 @@ export class PlayerController {
                     // Calculate movement direction based on camera orientation
                     const moveDirection = new THREE.Vector3();
                     
-                    // Forward/backward movement
-                    if (this.moveForward) moveDirection.add(forward);
-                    if (this.moveBackward) moveDirection.sub(forward);
-                    
-                    // Left/right movement
-                    if (this.moveRight) moveDirection.add(right);
-                    if (this.moveLeft) moveDirection.sub(right);
+                    // Movement keys plus the gamepad stick
+                    const forwardAmount = Number(this.moveForward) - Number(this.moveBackward) + this.analogMove.y;
+                    const rightAmount = Number(this.moveRight) - Number(this.moveLeft) + this.analogMove.x;
+                    moveDirection.addScaledVector(forward, forwardAmount);
+                    moveDirection.addScaledVector(right, rightAmount);
                     
                     // Normalize and apply speed
                     if (moveDirection.length() > 0) {
+                        // A partly tilted stick moves slower, keys always move at full speed
+                        const analogScale = Math.min(moveDirection.length(), 1);
                         moveDirection.normalize();
                         
                         // Calculate current move speed
-                        let currentMoveSpeed = this.moveSpeed;
+                        let currentMoveSpeed = this.moveSpeed * analogScale;
                         
                         // Only apply sprint multiplier if actively sprinting and not in cooldown
                         if (this.isSprinting && !this.sprintCooldown) {
@@ -649,9 +632,36 @@ export class PlayerController {
     }
     
     lock() {
+        // Mobile browsers have no pointer lock
+        if (this.isTouchActive) return;
         this.controls.lock();
     }
     
+    // Turn the camera by yaw / pitch radians (gamepad look), with the same pitch limits as the mouse
+    applyLook(yaw, pitch) {
+        const euler = new THREE.Euler(0, 0, 0, 'YXZ');
+        euler.setFromQuaternion(this.camera.quaternion);
+        
+        euler.y += yaw;
+        euler.x += pitch;
+        euler.x = Math.max(Math.PI / 2 - this.controls.maxPolarAngle, Math.min(Math.PI / 2 - this.controls.minPolarAngle, euler.x));
+        
+        this.camera.quaternion.setFromEuler(euler);
+    }
+    
+    // 1 is the PointerLockControls default speed
+    setMouseSensitivity(sensitivity) {
+        this.controls.pointerSpeed = sensitivity;
+    }
+    
+    // Pointer lock moves to a new canvas when the Engine recreates the renderer
+    setDomElement(domElement) {
+        this.domElement.removeEventListener('click', this.onCanvasClick);
+        this.domElement = domElement;
+        this.controls.domElement = domElement;
+        this.domElement.addEventListener('click', this.onCanvasClick);
+    }
+    
     unlock() {
         this.controls.unlock();
     }
@@ -719,12 +729,17 @@ export class PlayerController {
     }
 
     // ADD BACK Player takes damage method
-    takeDamage(amount) {
+    // sourceType is the enemy type dealing the damage (for the run stats)
+    takeDamage(amount, sourceType = 'unknown') {
         // Don't take damage if already dead or in god mode
         if (this.health <= 0 || this.godMode) {
             return;
         }
         
+        if (this.engine) {
+            this.engine.runStats.recordDamageTaken(sourceType, Math.min(amount, this.health));
+        }
+        
         // Apply damage
         this.health -= amount;
         
@@ -733,9 +748,18 @@ export class PlayerController {
             this.health = 0;
         }
         
-        // Reset consecutive headshots if weapon system exists
-        if (this.weaponSystem && typeof this.weaponSystem.resetHeadshotStreak === 'function') {
-            this.weaponSystem.resetHeadshotStreak();
+        // Damage pushes the music intensity up and shakes the gamepad
+        if (this.engine) {
+            this.engine.musicDirector.onPlayerDamaged(amount, this.maxHealth);
+            
+            const strength = Math.min(1, 0.4 + (amount / this.maxHealth) * 2);
+            this.engine.gamepad.rumble(strength, strength * 0.6, 250);
+        }
+        
+        // Taking damage breaks the headshot streak
+        if (this.engine) {
+            this.engine.scoreManager.resetHeadshotStreak();
+            this.engine.achievements.onPlayerDamaged();
         }
         
         // Reset kills without damage counter
@@ -784,7 +808,7 @@ export class PlayerController {
         if (this.audioManager && this.damageSoundFiles.length > 0) {
             const randomSoundIndex = Math.floor(Math.random() * this.damageSoundFiles.length);
             const soundFile = this.damageSoundFiles[randomSoundIndex];
-            this.audioManager.playOneShot(soundFile)
+            this.audioManager.playOneShot(soundFile, { bus: 'voice' })
                 .catch(error => console.error("Error playing player damage sound:", error));
         }
         
@@ -821,7 +845,7 @@ export class PlayerController {
                  this.camera.position.set(finalPos.x, finalPos.y + this.playerHeight, finalPos.z);
              }
          };
-         if (this.health > 0) requestAnimationFrame(shakeUpdate);
+         if (this.health > 0 && this.cameraShakeEnabled) requestAnimationFrame(shakeUpdate);
 
         // Remove overlay after duration
         const removeOverlay = () => {
@@ -887,7 +911,14 @@ export class PlayerController {
         
         // Check if it's a crate
         if (interactable.userData.type === 'crate' && interactable.userData.instance) {
-            const item = interactable.userData.instance.interact();
+            const crate = interactable.userData.instance;
+            const wasOpen = crate.isOpen;
+            const item = crate.interact();
+            
+            if (!wasOpen && crate.isOpen && this.engine) {
+                this.engine.runStats.recordCrateOpened();
+                this.engine.achievements.onCrateOpened();
+            }
             
             if (item) {
                 // Add item to inventory
@@ -1025,7 +1056,7 @@ export class PlayerController {
         
         // Reset FOV to normal
         if (this.camera) {
-            this.camera.fov = 75; // Default FOV value
+            this.camera.fov = this.baseFov;
             this.camera.updateProjectionMatrix();
         }
         
@@ -1033,6 +1064,117 @@ export class PlayerController {
         console.log("Player controller cleanup: reset crouch and slide states");
     }
 
+    // Put the player back to the start of a run (Engine.restartGame) - full health,
+    // no perks, full sprint bar, starting inventory. The body is moved by the Engine.
+    resetRun() {
+        // Stand up first so the collider goes back to full size
+        if (this.isSliding) {
+            this.endSlide();
+        }
+        if (this.isCrouching) {
+            this.isCrouching = false;
+            this.updatePlayerCollider();
+        }
+        this.cleanup();
+        this.slideCooldown = false;
+        this.slideCooldownDuration = 1000;
+
+        // Movement
+        this.moveForward = false;
+        this.moveBackward = false;
+        this.moveLeft = false;
+        this.moveRight = false;
+        this.analogMove.x = 0;
+        this.analogMove.y = 0;
+        this.velocity.set(0, 0, 0);
+        this.canJump = true;
+
+        // Sprint
+        if (this.sprintUpdateInterval) {
+            clearInterval(this.sprintUpdateInterval);
+            this.sprintUpdateInterval = null;
+        }
+        if (this.sprintRefillInterval) {
+            clearInterval(this.sprintRefillInterval);
+            this.sprintRefillInterval = null;
+        }
+        this.isSprinting = false;
+        this.canSprint = true;
+        this.sprintCooldown = false;
+        this.updateSprintIndicator(100);
+
+        // Health
+        this.isTakingDamage = false;
+        this.health = this.maxHealth;
+        this.isDead = false;
+        this.godMode = false;
+        this.killStreak = 0;
+        this.updateHealthBarUI();
+
+        // Perks (removeFastReloadPerk also resets the kill counters and the weapon's reload speed)
+        this.removeFastReloadPerk();
+        Object.keys(this.perkTimers).forEach(perkType => {
+            if (this.perkTimers[perkType]) {
+                clearTimeout(this.perkTimers[perkType]);
+            }
+        });
+        this.perkTimers = {};
+        this.perkActivationTime = {};
+        if (this.perkSystem) {
+            this.perkSystem.resetRun();
+        }
+
+        this.hidePromptBox();
+        this.inventory.resetRun();
+        this.gameOver.reset();
+
+        console.log("Player reset for a new run");
+    }
+
+    // Health, kill streaks, perks and inventory for a saved run (SaveManager)
+    getSaveData() {
+        return {
+            health: this.health,
+            killStreak: this.killStreak,
+            killsWithoutDamage: this.killsWithoutDamage,
+            killsAfterStage1: this.killsAfterStage1,
+            perks: this.perkSystem ? this.perkSystem.unlockedPerks.map(type => ({ type, stage: this.getPerkStage(type) })) : [],
+            inventory: this.inventory.getSaveData()
+        };
+    }
+
+    // Fast reload has two stages, the other perks only one
+    getPerkStage(perkType) {
+        if (perkType === 'fast-reload') {
+            return this.superFastReloadActive ? 2 : 1;
+        }
+        return 1;
+    }
+
+    applySaveData(data) {
+        this.health = Math.max(1, Math.min(this.maxHealth, data.health));
+        this.killStreak = data.killStreak;
+        this.killsWithoutDamage = data.killsWithoutDamage;
+        this.killsAfterStage1 = data.killsAfterStage1;
+        this.updateHealthBarUI();
+
+        // Stage flags first - the perk slot glow is picked from them
+        const fastReload = data.perks.find(perk => perk.type === 'fast-reload');
+        this.fastReloadActive = !!fastReload;
+        this.superFastReloadActive = !!fastReload && fastReload.stage >= 2;
+        if (this.perkSystem) {
+            this.perkSystem.restorePerks(data.perks.map(perk => perk.type));
+        }
+        data.perks.forEach(perk => {
+            this.perkActivationTime[perk.type] = Date.now();
+        });
+        if (this.weaponSystem) {
+            this.weaponSystem.setFastReload(this.fastReloadActive, this.superFastReloadActive);
+        }
+
+        this.inventory.applySaveData(data.inventory);
+    }
+
     // Start slide movement
     startSlide() {
         if (this.isSliding) return;
@@ -1265,7 +1407,7 @@ export class PlayerController {
             
             // Play health boost sound
             if (this.audioManager) {
-                this.audioManager.playOneShot('assets/sounds/CoinFlipTossRing_S08FO.689.wav')
+                this.audioManager.playOneShot('assets/sounds/CoinFlipTossRing_S08FO.689.wav', { bus: 'ui' })
                     .catch(error => console.error("Error playing health boost sound:", error));
             }
             
@@ -1640,17 +1782,6 @@ export class PlayerController {
         }, duration);
     }
 
-    // Method to add score points, delegating to the engine
-    addScore(points) {
-        if (this.engine && typeof this.engine.addScore === 'function') {
-            this.engine.addScore(points);
-            // Also record the kill for streak tracking
-            this.recordKill();
-        } else {
-            console.warn("Engine reference missing or addScore not available in PlayerController");
-        }
-    }
-
     // Handle footstep sounds based on movement speed
     handleFootstepSounds(speed) {
         const currentTime = performance.now();
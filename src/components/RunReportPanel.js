@@ -0,0 +1,251 @@
+const CLICK_SOUND = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
+
+// Per-night charts: which report field each one plots and how its values read
+const NIGHT_CHARTS = [
+    { field: 'kills', label: 'KILLS', color: '#FF0000', suffix: '' },
+    { field: 'accuracy', label: 'ACCURACY', color: '#0099FF', suffix: '%' },
+    { field: 'damageDealt', label: 'DAMAGE DEALT', color: '#FFD700', suffix: '' },
+    { field: 'damageTaken', label: 'DAMAGE TAKEN', color: '#FF6600', suffix: '' }
+];
+
+// End-of-run report opened from the game over screen: totals, a per-enemy breakdown,
+// per-night bar charts and a button that downloads the whole report as JSON.
+export class RunReportPanel {
+    constructor(engine) {
+        this.engine = engine;
+        this.panel = null;
+    }
+
+    isVisible() {
+        return !!this.panel;
+    }
+
+    show() {
+        if (this.panel) return;
+
+        this.playClick();
+        const report = this.engine.runStats.getReport();
+
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'fixed';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        this.panel.style.border = '2px solid #0099FF';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.padding = '30px';
+        this.panel.style.zIndex = '3000';
+        this.panel.style.display = 'flex';
+        this.panel.style.flexDirection = 'column';
+        this.panel.style.gap = '15px';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '16px';
+        this.panel.style.boxShadow = '0 0 20px rgba(0, 150, 255, 0.7)';
+        this.panel.style.width = '680px';
+        this.panel.style.maxWidth = '90vw';
+        this.panel.style.maxHeight = '85vh';
+        this.panel.style.overflowY = 'auto';
+
+        const title = document.createElement('h2');
+        title.textContent = 'RUN REPORT';
+        title.style.textAlign = 'center';
+        title.style.color = '#0099FF';
+        title.style.fontFamily = '"Creepster", "Chiller", cursive';
+        title.style.fontSize = '36px';
+        title.style.margin = '0 0 10px 0';
+        title.style.textShadow = '2px 2px 4px #000000';
+        this.panel.appendChild(title);
+
+        this.panel.appendChild(this.createTotals(report));
+        this.panel.appendChild(this.createSectionTitle('ENEMIES'));
+        this.panel.appendChild(this.createEnemyTable(report.enemies));
+        this.panel.appendChild(this.createSectionTitle('NIGHTS'));
+        NIGHT_CHARTS.forEach(chart => this.panel.appendChild(this.createNightChart(report.nights, chart)));
+
+        // Footer
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.justifyContent = 'center';
+        footer.style.gap = '20px';
+        footer.style.marginTop = '10px';
+
+        const downloadButton = this.createButton('DOWNLOAD JSON');
+        downloadButton.onclick = () => {
+            this.playClick();
+            this.engine.runStats.downloadReport();
+        };
+
+        const closeButton = this.createButton('CLOSE');
+        closeButton.onclick = () => this.hide();
+
+        footer.appendChild(downloadButton);
+        footer.appendChild(closeButton);
+        this.panel.appendChild(footer);
+
+        document.body.appendChild(this.panel);
+    }
+
+    hide() {
+        if (!this.panel) return;
+
+        this.playClick();
+        document.body.removeChild(this.panel);
+        this.panel = null;
+    }
+
+    createTotals(report) {
+        const minutes = Math.floor(report.timePlayed / 60);
+        const seconds = report.timePlayed % 60;
+        const rows = [
+            ['Score', report.score],
+            ['Days survived', report.daysSurvived],
+            ['Time played', `${minutes}:${seconds.toString().padStart(2, '0')}`],
+            ['Kills', report.kills],
+            ['Shots fired / hit', `${report.shotsFired} / ${report.shotsHit}`],
+            ['Accuracy', `${report.accuracy}%`],
+            ['Headshots (of all hits)', `${report.headshotPercentage}%`],
+            ['Medikits used', report.medikitsUsed],
+            ['Crates opened', report.cratesOpened],
+            ['Distance travelled', `${report.distanceTravelled} m`],
+            ['Time sprinting', `${report.sprintTime} s`],
+            ['Time sliding', `${report.slideTime} s`]
+        ];
+
+        const grid = document.createElement('div');
+        grid.style.display = 'grid';
+        grid.style.gridTemplateColumns = '1fr auto 1fr auto';
+        grid.style.columnGap = '20px';
+        grid.style.rowGap = '6px';
+        rows.forEach(([label, value]) => {
+            const labelElement = document.createElement('div');
+            labelElement.textContent = label;
+            labelElement.style.color = '#AAAAAA';
+            const valueElement = document.createElement('div');
+            valueElement.textContent = value;
+            valueElement.style.textAlign = 'right';
+            grid.appendChild(labelElement);
+            grid.appendChild(valueElement);
+        });
+        return grid;
+    }
+
+    createSectionTitle(text) {
+        const sectionTitle = document.createElement('div');
+        sectionTitle.textContent = text;
+        sectionTitle.style.color = '#0099FF';
+        sectionTitle.style.fontFamily = '"Creepster", "Chiller", cursive';
+        sectionTitle.style.fontSize = '24px';
+        sectionTitle.style.letterSpacing = '2px';
+        sectionTitle.style.borderBottom = '1px solid #0099FF';
+        sectionTitle.style.marginTop = '10px';
+        return sectionTitle;
+    }
+
+    createEnemyTable(enemies) {
+        const table = document.createElement('table');
+        table.style.borderCollapse = 'collapse';
+        table.style.width = '100%';
+
+        const rows = [['ENEMY', 'KILLS', 'DAMAGE DEALT', 'DAMAGE TAKEN']]
+            .concat(enemies.map(enemy => [enemy.type, enemy.kills, enemy.damageDealt, enemy.damageTaken]));
+        if (enemies.length === 0) {
+            rows.push(['No enemies met', '', '', '']);
+        }
+
+        rows.forEach((values, rowIndex) => {
+            const row = document.createElement('tr');
+            values.forEach((value, column) => {
+                const cell = document.createElement(rowIndex === 0 ? 'th' : 'td');
+                cell.textContent = value;
+                cell.style.padding = '4px 10px';
+                cell.style.textAlign = column === 0 ? 'left' : 'center';
+                cell.style.borderBottom = '1px solid #333';
+                if (rowIndex === 0) cell.style.color = '#AAAAAA';
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+        return table;
+    }
+
+    // Horizontal bar per night, scaled to the best night
+    createNightChart(nights, chart) {
+        const container = document.createElement('div');
+
+        const label = document.createElement('div');
+        label.textContent = chart.label;
+        label.style.color = chart.color;
+        label.style.marginBottom = '4px';
+        container.appendChild(label);
+
+        if (nights.length === 0) {
+            const empty = document.createElement('div');
+            empty.textContent = 'No nights played';
+            empty.style.color = '#AAAAAA';
+            container.appendChild(empty);
+            return container;
+        }
+
+        const maxValue = Math.max(1, ...nights.map(night => night[chart.field]));
+        nights.forEach(night => {
+            const row = document.createElement('div');
+            row.style.display = 'flex';
+            row.style.alignItems = 'center';
+            row.style.gap = '8px';
+            row.style.marginBottom = '2px';
+
+            const nightLabel = document.createElement('div');
+            nightLabel.textContent = `Night ${night.night}`;
+            nightLabel.style.width = '70px';
+            nightLabel.style.fontSize = '14px';
+            nightLabel.style.color = '#AAAAAA';
+
+            const track = document.createElement('div');
+            track.style.flex = '1';
+            track.style.height = '14px';
+            track.style.backgroundColor = '#222222';
+
+            const bar = document.createElement('div');
+            bar.style.height = '100%';
+            bar.style.width = `${night[chart.field] / maxValue * 100}%`;
+            bar.style.backgroundColor = chart.color;
+            track.appendChild(bar);
+
+            const value = document.createElement('div');
+            value.textContent = `${night[chart.field]}${chart.suffix}`;
+            value.style.width = '50px';
+            value.style.fontSize = '14px';
+            value.style.textAlign = 'right';
+
+            row.appendChild(nightLabel);
+            row.appendChild(track);
+            row.appendChild(value);
+            container.appendChild(row);
+        });
+        return container;
+    }
+
+    createButton(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.backgroundColor = '#0066CC';
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.style.fontFamily = '"Creepster", "Chiller", cursive';
+        button.style.fontSize = '20px';
+        button.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+        return button;
+    }
+
+    playClick() {
+        if (this.engine.audioManager) {
+            this.engine.audioManager.playOneShot(CLICK_SOUND, { bus: 'ui' })
+                .catch(error => console.error("Error playing click sound:", error));
+        }
+    }
+}
@@ -0,0 +1,262 @@
+import { SETTINGS_SCHEMA } from '../core/GameSettings.js';
+import { AUDIO_BUSES } from '../audio/AudioMixer.js';
+
+const TABS = [
+    { id: 'graphics', label: 'GRAPHICS' },
+    { id: 'input', label: 'CONTROLS' },
+    { id: 'audio', label: 'AUDIO' },
+    { id: 'gameplay', label: 'GAMEPLAY' }
+];
+
+const CLICK_SOUND = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
+
+// Settings panel opened from the start screen and the pause menu.
+// Changes go straight to engine.settings (or the audio mixer) and apply immediately.
+export class SettingsMenu {
+    constructor(engine) {
+        this.engine = engine;
+        this.panel = null;
+        this.tabButtons = {};
+        this.content = null;
+        this.currentTab = 'graphics';
+        this.onClose = null; // Called after the panel is closed (e.g. to go back to the pause menu)
+    }
+
+    isVisible() {
+        return !!this.panel;
+    }
+
+    show(onClose = null) {
+        this.onClose = onClose;
+        if (this.panel) return;
+
+        this.playClick();
+
+        this.panel = document.createElement('div');
+        this.panel.style.position = 'fixed';
+        this.panel.style.top = '50%';
+        this.panel.style.left = '50%';
+        this.panel.style.transform = 'translate(-50%, -50%)';
+        this.panel.style.backgroundColor = 'rgba(0, 0, 0, 0.9)';
+        this.panel.style.border = '2px solid #0099FF';
+        this.panel.style.borderRadius = '10px';
+        this.panel.style.padding = '30px';
+        this.panel.style.zIndex = '3000';
+        this.panel.style.display = 'flex';
+        this.panel.style.flexDirection = 'column';
+        this.panel.style.gap = '15px';
+        this.panel.style.color = 'white';
+        this.panel.style.fontFamily = 'Arial, sans-serif';
+        this.panel.style.fontSize = '18px';
+        this.panel.style.boxShadow = '0 0 20px rgba(0, 150, 255, 0.7)';
+        this.panel.style.width = '520px';
+        this.panel.style.maxHeight = '80vh';
+        this.panel.style.overflowY = 'auto';
+
+        const title = document.createElement('h2');
+        title.textContent = 'SETTINGS';
+        title.style.textAlign = 'center';
+        title.style.color = '#0099FF';
+        title.style.fontFamily = '"Creepster", "Chiller", cursive';
+        title.style.fontSize = '36px';
+        title.style.margin = '0 0 10px 0';
+        title.style.textShadow = '2px 2px 4px #000000';
+        this.panel.appendChild(title);
+
+        // Tab bar
+        const tabBar = document.createElement('div');
+        tabBar.style.display = 'flex';
+        tabBar.style.justifyContent = 'space-between';
+        tabBar.style.gap = '8px';
+        TABS.forEach(tab => {
+            const button = this.createButton(tab.label);
+            button.style.flex = '1';
+            button.style.padding = '8px 0';
+            button.onclick = () => {
+                this.playClick();
+                this.showTab(tab.id);
+            };
+            this.tabButtons[tab.id] = button;
+            tabBar.appendChild(button);
+        });
+        this.panel.appendChild(tabBar);
+
+        this.content = document.createElement('div');
+        this.content.style.display = 'flex';
+        this.content.style.flexDirection = 'column';
+        this.content.style.gap = '15px';
+        this.content.style.minHeight = '200px';
+        this.panel.appendChild(this.content);
+
+        // Footer
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.justifyContent = 'center';
+        footer.style.gap = '20px';
+        footer.style.marginTop = '10px';
+
+        const resetButton = this.createButton('RESET');
+        resetButton.onclick = () => {
+            this.playClick();
+            this.engine.settings.resetToDefaults();
+            const audioManager = this.engine.audioManager;
+            audioManager.setBusVolume('master', 1.0);
+            Object.keys(AUDIO_BUSES).forEach(bus => audioManager.setBusVolume(bus, AUDIO_BUSES[bus].volume));
+            this.showTab(this.currentTab);
+        };
+
+        const closeButton = this.createButton('CLOSE');
+        closeButton.onclick = () => this.hide();
+
+        footer.appendChild(resetButton);
+        footer.appendChild(closeButton);
+        this.panel.appendChild(footer);
+
+        document.body.appendChild(this.panel);
+        this.showTab(this.currentTab);
+    }
+
+    hide() {
+        if (!this.panel) return;
+
+        this.playClick();
+        document.body.removeChild(this.panel);
+        this.panel = null;
+        this.content = null;
+        this.tabButtons = {};
+
+        const onClose = this.onClose;
+        this.onClose = null;
+        if (onClose) onClose();
+    }
+
+    showTab(tabId) {
+        this.currentTab = tabId;
+        Object.keys(this.tabButtons).forEach(id => {
+            this.tabButtons[id].style.backgroundColor = id === tabId ? '#0099FF' : '#0066CC';
+        });
+
+        this.content.innerHTML = '';
+        if (tabId === 'audio') {
+            this.content.appendChild(this.createAudioRow('master', 'Master'));
+            Object.keys(AUDIO_BUSES).forEach(bus => {
+                this.content.appendChild(this.createAudioRow(bus, AUDIO_BUSES[bus].label));
+            });
+            return;
+        }
+
+        SETTINGS_SCHEMA[tabId].forEach(setting => {
+            const row = setting.type === 'toggle' ? this.createToggleRow(setting) : this.createRangeRow(setting);
+            this.content.appendChild(row);
+        });
+    }
+
+    createRow(labelText) {
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.justifyContent = 'space-between';
+        row.style.alignItems = 'center';
+        row.style.borderBottom = '1px solid #333';
+        row.style.paddingBottom = '10px';
+
+        const label = document.createElement('div');
+        label.textContent = labelText;
+        label.style.fontWeight = 'bold';
+        label.style.color = '#0099FF';
+        label.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+        row.appendChild(label);
+
+        return row;
+    }
+
+    // Slider with its value shown next to it
+    createSlider(min, max, step, value, format, onInput) {
+        const wrapper = document.createElement('div');
+        wrapper.style.display = 'flex';
+        wrapper.style.alignItems = 'center';
+        wrapper.style.gap = '10px';
+
+        const slider = document.createElement('input');
+        slider.type = 'range';
+        slider.min = min;
+        slider.max = max;
+        slider.step = step;
+        slider.value = value;
+        slider.style.width = '180px';
+        slider.style.accentColor = '#0099FF';
+
+        const valueText = document.createElement('div');
+        valueText.textContent = format(value);
+        valueText.style.minWidth = '50px';
+        valueText.style.textAlign = 'right';
+
+        slider.oninput = () => {
+            const newValue = parseFloat(slider.value);
+            valueText.textContent = format(newValue);
+            onInput(newValue);
+        };
+
+        wrapper.appendChild(slider);
+        wrapper.appendChild(valueText);
+        return wrapper;
+    }
+
+    createRangeRow(setting) {
+        const row = this.createRow(setting.label);
+        const format = setting.isPercent ? value => `${Math.round(value * 100)}%` : value => `${value}`;
+        row.appendChild(this.createSlider(setting.min, setting.max, setting.step, this.engine.settings.get(setting.key), format,
+            value => this.engine.settings.set(setting.key, value)));
+        return row;
+    }
+
+    createToggleRow(setting) {
+        const row = this.createRow(setting.label);
+        const button = this.createButton('');
+        button.style.minWidth = '80px';
+        button.style.padding = '5px 10px';
+
+        const updateText = () => {
+            button.textContent = this.engine.settings.get(setting.key) ? 'ON' : 'OFF';
+        };
+        updateText();
+
+        button.onclick = () => {
+            this.playClick();
+            this.engine.settings.set(setting.key, !this.engine.settings.get(setting.key));
+            updateText();
+        };
+
+        row.appendChild(button);
+        return row;
+    }
+
+    createAudioRow(bus, labelText) {
+        const row = this.createRow(labelText);
+        const audioManager = this.engine.audioManager;
+        row.appendChild(this.createSlider(0, 1, 0.05, audioManager.getBusVolume(bus), value => `${Math.round(value * 100)}%`,
+            value => audioManager.setBusVolume(bus, value)));
+        return row;
+    }
+
+    createButton(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.backgroundColor = '#0066CC';
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.style.fontFamily = '"Creepster", "Chiller", cursive';
+        button.style.fontSize = '20px';
+        button.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+        return button;
+    }
+
+    playClick() {
+        if (this.engine.audioManager) {
+            this.engine.audioManager.playOneShot(CLICK_SOUND, { bus: 'ui' })
+                .catch(error => console.error("Error playing click sound:", error));
+        }
+    }
+}
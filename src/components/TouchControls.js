@@ -0,0 +1,255 @@
+// On-screen buttons, bottom right (pause top right). Each one holds an input action while touched.
+const TOUCH_BUTTONS = [
+    { action: 'pause', label: 'II', size: 50, right: 20, top: 20 },
+    { action: 'fire', label: 'FIRE', size: 100, right: 30, bottom: 130, color: 'rgba(200, 0, 0, 0.45)' },
+    { action: 'jump', label: 'JUMP', size: 70, right: 150, bottom: 30 },
+    { action: 'crouch', label: 'CROUCH', size: 70, right: 45, bottom: 30 },
+    { action: 'reload', label: 'RELOAD', size: 60, right: 150, bottom: 120 },
+    { action: 'interact', label: 'OPEN', size: 60, right: 150, bottom: 200 },
+    { action: 'sprint', label: 'SPRINT', size: 60, right: 60, bottom: 250 }
+];
+
+const JOYSTICK_ZONE = 0.4;          // Touches starting in the left 40% of the screen move, the rest look
+const JOYSTICK_RADIUS = 60;         // Pixels the knob can travel from the centre
+const LOOK_RADIANS_PER_PIXEL = 0.005;
+
+// Touch layer for phones and tablets (no pointer lock, no keys): a virtual joystick where the
+// left thumb lands, drag anywhere else to look, and buttons that press the same input actions
+// as the keyboard. Inventory slots are tapped directly (see Inventory.setTouchEnabled).
+export class TouchControls {
+    // Touch screen without a mouse or trackpad
+    static isTouchDevice() {
+        const hasTouch = 'ontouchstart' in window || navigator.maxTouchPoints > 0;
+        const hasFinePointer = window.matchMedia && window.matchMedia('(pointer: fine)').matches;
+        return hasTouch && !hasFinePointer;
+    }
+
+    constructor(engine) {
+        this.engine = engine;
+        this.input = engine.input;
+
+        this.overlay = null;
+        this.joystickBase = null;
+        this.joystickKnob = null;
+        this.joystickTouchId = null;
+        this.joystickOrigin = { x: 0, y: 0 };
+        this.lookTouchId = null;
+        this.lastLookPosition = { x: 0, y: 0 };
+        this.buttons = []; // { element, action }
+
+        this.createOverlay();
+    }
+
+    createOverlay() {
+        this.overlay = document.createElement('div');
+        this.overlay.style.position = 'fixed';
+        this.overlay.style.top = '0';
+        this.overlay.style.left = '0';
+        this.overlay.style.width = '100%';
+        this.overlay.style.height = '100%';
+        this.overlay.style.zIndex = '1500';
+        this.overlay.style.display = 'none';
+        this.overlay.style.touchAction = 'none'; // No scrolling or pinch zoom while playing
+        this.overlay.style.userSelect = 'none';
+        this.overlay.style.webkitUserSelect = 'none';
+
+        // Joystick, shown where the thumb lands
+        this.joystickBase = document.createElement('div');
+        this.joystickBase.style.position = 'absolute';
+        this.joystickBase.style.width = `${JOYSTICK_RADIUS * 2}px`;
+        this.joystickBase.style.height = `${JOYSTICK_RADIUS * 2}px`;
+        this.joystickBase.style.marginLeft = `${-JOYSTICK_RADIUS}px`;
+        this.joystickBase.style.marginTop = `${-JOYSTICK_RADIUS}px`;
+        this.joystickBase.style.borderRadius = '50%';
+        this.joystickBase.style.border = '2px solid rgba(255, 255, 255, 0.4)';
+        this.joystickBase.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
+        this.joystickBase.style.display = 'none';
+        this.joystickBase.style.pointerEvents = 'none';
+
+        this.joystickKnob = document.createElement('div');
+        this.joystickKnob.style.position = 'absolute';
+        this.joystickKnob.style.left = `${JOYSTICK_RADIUS - 25}px`;
+        this.joystickKnob.style.top = `${JOYSTICK_RADIUS - 25}px`;
+        this.joystickKnob.style.width = '50px';
+        this.joystickKnob.style.height = '50px';
+        this.joystickKnob.style.borderRadius = '50%';
+        this.joystickKnob.style.backgroundColor = 'rgba(255, 255, 255, 0.5)';
+        this.joystickBase.appendChild(this.joystickKnob);
+        this.overlay.appendChild(this.joystickBase);
+
+        TOUCH_BUTTONS.forEach(config => {
+            this.overlay.appendChild(this.createButton(config));
+        });
+
+        this.overlay.addEventListener('touchstart', (event) => this.onTouchStart(event), { passive: false });
+        this.overlay.addEventListener('touchmove', (event) => this.onTouchMove(event), { passive: false });
+        this.overlay.addEventListener('touchend', (event) => this.onTouchEnd(event), { passive: false });
+        this.overlay.addEventListener('touchcancel', (event) => this.onTouchEnd(event), { passive: false });
+
+        document.body.appendChild(this.overlay);
+    }
+
+    createButton(config) {
+        const button = document.createElement('div');
+        button.textContent = config.label;
+        button.style.position = 'absolute';
+        button.style.right = `${config.right}px`;
+        if (config.top !== undefined) {
+            button.style.top = `${config.top}px`;
+        } else {
+            button.style.bottom = `${config.bottom}px`;
+        }
+        button.style.width = `${config.size}px`;
+        button.style.height = `${config.size}px`;
+        button.style.borderRadius = '50%';
+        button.style.border = '2px solid rgba(255, 255, 255, 0.5)';
+        button.style.backgroundColor = config.color || 'rgba(0, 0, 0, 0.35)';
+        button.style.color = 'white';
+        button.style.display = 'flex';
+        button.style.justifyContent = 'center';
+        button.style.alignItems = 'center';
+        button.style.fontFamily = '"Creepster", "Chiller", cursive';
+        button.style.fontSize = config.size >= 90 ? '24px' : '16px';
+        button.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+
+        button.addEventListener('touchstart', (event) => {
+            // Keep the touch away from the joystick / look handling and stop the emulated mouse click
+            event.preventDefault();
+            event.stopPropagation();
+            if (this.input.isHeld(config.action)) return;
+
+            button.style.transform = 'scale(0.9)';
+            button.style.borderColor = 'white';
+            this.input.pressAction(config.action);
+        }, { passive: false });
+
+        const release = (event) => {
+            event.preventDefault();
+            event.stopPropagation();
+            if (event.targetTouches.length > 0) return; // Another finger is still on it
+
+            this.releaseButton(button, config.action);
+        };
+        button.addEventListener('touchend', release, { passive: false });
+        button.addEventListener('touchcancel', release, { passive: false });
+
+        this.buttons.push({ element: button, action: config.action });
+        return button;
+    }
+
+    releaseButton(button, action) {
+        button.style.transform = '';
+        button.style.borderColor = 'rgba(255, 255, 255, 0.5)';
+        this.input.releaseAction(action);
+    }
+
+    onTouchStart(event) {
+        event.preventDefault();
+
+        Array.from(event.changedTouches).forEach(touch => {
+            if (touch.clientX < window.innerWidth * JOYSTICK_ZONE) {
+                if (this.joystickTouchId !== null) return;
+
+                this.joystickTouchId = touch.identifier;
+                this.joystickOrigin = { x: touch.clientX, y: touch.clientY };
+                this.joystickBase.style.left = `${touch.clientX}px`;
+                this.joystickBase.style.top = `${touch.clientY}px`;
+                this.joystickBase.style.display = 'block';
+                this.moveJoystick(touch);
+            } else if (this.lookTouchId === null) {
+                this.lookTouchId = touch.identifier;
+                this.lastLookPosition = { x: touch.clientX, y: touch.clientY };
+            }
+        });
+    }
+
+    onTouchMove(event) {
+        event.preventDefault();
+
+        Array.from(event.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouchId) {
+                this.moveJoystick(touch);
+            } else if (touch.identifier === this.lookTouchId) {
+                const player = this.engine.playerController;
+                const scale = LOOK_RADIANS_PER_PIXEL * this.engine.settings.get('touchLookSensitivity');
+                const deltaX = touch.clientX - this.lastLookPosition.x;
+                const deltaY = touch.clientY - this.lastLookPosition.y;
+                this.lastLookPosition = { x: touch.clientX, y: touch.clientY };
+
+                if (player) {
+                    player.applyLook(-deltaX * scale, -deltaY * scale);
+                }
+            }
+        });
+    }
+
+    onTouchEnd(event) {
+        event.preventDefault();
+
+        Array.from(event.changedTouches).forEach(touch => {
+            if (touch.identifier === this.joystickTouchId) {
+                this.resetJoystick();
+            } else if (touch.identifier === this.lookTouchId) {
+                this.lookTouchId = null;
+            }
+        });
+    }
+
+    // Knob follows the thumb up to JOYSTICK_RADIUS; the offset is the analog move (-1..1)
+    moveJoystick(touch) {
+        let offsetX = touch.clientX - this.joystickOrigin.x;
+        let offsetY = touch.clientY - this.joystickOrigin.y;
+        const distance = Math.sqrt(offsetX * offsetX + offsetY * offsetY);
+        if (distance > JOYSTICK_RADIUS) {
+            offsetX = (offsetX / distance) * JOYSTICK_RADIUS;
+            offsetY = (offsetY / distance) * JOYSTICK_RADIUS;
+        }
+
+        this.joystickKnob.style.transform = `translate(${offsetX}px, ${offsetY}px)`;
+
+        const player = this.engine.playerController;
+        if (player) {
+            player.analogMove.x = offsetX / JOYSTICK_RADIUS;
+            player.analogMove.y = -offsetY / JOYSTICK_RADIUS;
+        }
+    }
+
+    resetJoystick() {
+        this.joystickTouchId = null;
+        this.joystickBase.style.display = 'none';
+        this.joystickKnob.style.transform = '';
+
+        const player = this.engine.playerController;
+        if (player) {
+            player.analogMove.x = 0;
+            player.analogMove.y = 0;
+        }
+    }
+
+    show() {
+        this.overlay.style.display = 'block';
+
+        const player = this.engine.playerController;
+        if (player) {
+            player.isTouchActive = true;
+            if (player.inventory) {
+                player.inventory.setTouchEnabled(true);
+            }
+        }
+    }
+
+    hide() {
+        this.overlay.style.display = 'none';
+        this.resetJoystick();
+        this.lookTouchId = null;
+        this.buttons.forEach(({ element, action }) => this.releaseButton(element, action));
+
+        const player = this.engine.playerController;
+        if (player) {
+            player.isTouchActive = false;
+            if (player.inventory) {
+                player.inventory.setTouchEnabled(false);
+            }
+        }
+    }
+}
@@ -0,0 +1,188 @@
+// Weapon definitions used by WeaponSystem and Inventory.
+// Each entry describes a gun purely as data so new weapons can be added here
+// without touching the shooting logic.
+//
+// fireCooldown  - minimum time between shots in milliseconds
+// damage        - damage per pellet before hitbox multipliers
+// pellets       - rays fired per trigger pull (shotguns fire several)
+// spread        - maximum cone half-angle in radians applied to each pellet
+// automatic     - keep firing while the mouse button is held
+// reloadTime    - reload duration in milliseconds (scaled by the fast reload perks)
+// startingReserve / maxReserve - reserve rounds carried at spawn and the carry limit
+// ammoPickup    - rounds added to the reserve when an ammo box is used on this weapon
+// ballistics    - 'hitscan' resolves the shot instantly along the aim ray, 'projectile' fires a
+//                 bullet stepped by Rapier (muzzleVelocity in m/s, gravityScale) that hits on arrival.
+//                 Damage falls off linearly from falloffStart to falloffEnd (metres) down to
+//                 minDamageMultiplier. penetration (optional) lets shots pass through up to
+//                 maxSurfaces level mesh walls no thicker than maxThickness, keeping damageRetained each time.
+// model.offset  - position relative to the camera (right, down, forward)
+// recoil        - kickBack distance, pitch in degrees, duration in ms and camera shake amount
+
+const PISTOL_MODEL_PATH = 'assets/3d models/guns/pistol_stryk_prototype.glb';
+const GUNSHOT_SOUND_PATH = '/assets/sounds/GunshotPistol_BW.56967.wav';
+const RELOAD_SOUND_PATH = '/assets/sounds/ESM_GW_gun_one_shot_pistol_reload_ammo_mechanical_magazine_reload_1.wav';
+const DRY_FIRE_SOUND_PATH = '/assets/sounds/SS_SOA_perc_sandpaper_slide_single_alt.wav';
+
+export const WEAPON_DEFINITIONS = {
+    pistol: {
+        id: 'pistol',
+        name: 'Pistol',
+        magazineSize: 15,
+        fireCooldown: 87.5,
+        damage: 25,
+        pellets: 1,
+        spread: 0,
+        automatic: false,
+        reloadTime: 2000,
+        startingReserve: 45,
+        maxReserve: 120,
+        ammoPickup: 30,
+        ballistics: {
+            mode: 'hitscan',
+            range: 1000,
+            falloffStart: 20,
+            falloffEnd: 50,
+            minDamageMultiplier: 0.6,
+            penetration: null
+        },
+        icon: 'assets/inventory images/make-a-gun-icon-for-a-doom-style-first-person-shoo.png',
+        model: {
+            path: PISTOL_MODEL_PATH,
+            scale: 3.8,
+            color: 0x888888, // Gun metal gray
+            offset: { right: 0.55, down: 0.5, forward: 0.8 }
+        },
+        sounds: {
+            fire: GUNSHOT_SOUND_PATH,
+            fireVolume: 0.5,
+            firePlaybackRate: 1.0,
+            reload: RELOAD_SOUND_PATH,
+            reloadVolume: 0.7,
+            dryFire: DRY_FIRE_SOUND_PATH,
+            dryFireVolume: 0.6
+        },
+        recoil: { kickBack: 0.3, pitch: 20, duration: 150, shake: 0.05 }
+    },
+    shotgun: {
+        id: 'shotgun',
+        name: 'Shotgun',
+        magazineSize: 6,
+        fireCooldown: 800,
+        damage: 14,
+        pellets: 8,
+        spread: 0.09,
+        automatic: false,
+        reloadTime: 2800,
+        startingReserve: 18,
+        maxReserve: 42,
+        ammoPickup: 12,
+        ballistics: {
+            mode: 'hitscan',
+            range: 60,
+            falloffStart: 6,
+            falloffEnd: 20,
+            minDamageMultiplier: 0.2,
+            penetration: null
+        },
+        icon: null,
+        model: {
+            path: PISTOL_MODEL_PATH,
+            scale: 4.6,
+            color: 0x5C3A1E, // Dark walnut
+            offset: { right: 0.5, down: 0.55, forward: 0.85 }
+        },
+        sounds: {
+            fire: GUNSHOT_SOUND_PATH,
+            fireVolume: 0.7,
+            firePlaybackRate: 0.6, // Lower pitch for a heavier blast
+            reload: RELOAD_SOUND_PATH,
+            reloadVolume: 0.7,
+            dryFire: DRY_FIRE_SOUND_PATH,
+            dryFireVolume: 0.6
+        },
+        recoil: { kickBack: 0.5, pitch: 35, duration: 300, shake: 0.12 }
+    },
+    smg: {
+        id: 'smg',
+        name: 'SMG',
+        magazineSize: 30,
+        fireCooldown: 70,
+        damage: 14,
+        pellets: 1,
+        spread: 0.035,
+        automatic: true,
+        reloadTime: 2200,
+        startingReserve: 90,
+        maxReserve: 240,
+        ammoPickup: 60,
+        ballistics: {
+            mode: 'hitscan',
+            range: 1000,
+            falloffStart: 15,
+            falloffEnd: 40,
+            minDamageMultiplier: 0.5,
+            penetration: null
+        },
+        icon: null,
+        model: {
+            path: PISTOL_MODEL_PATH,
+            scale: 3.4,
+            color: 0x333333, // Black polymer
+            offset: { right: 0.5, down: 0.45, forward: 0.75 }
+        },
+        sounds: {
+            fire: GUNSHOT_SOUND_PATH,
+            fireVolume: 0.4,
+            firePlaybackRate: 1.3,
+            reload: RELOAD_SOUND_PATH,
+            reloadVolume: 0.7,
+            dryFire: DRY_FIRE_SOUND_PATH,
+            dryFireVolume: 0.6
+        },
+        recoil: { kickBack: 0.12, pitch: 6, duration: 80, shake: 0.03 }
+    },
+    rifle: {
+        id: 'rifle',
+        name: 'Rifle',
+        magazineSize: 5,
+        fireCooldown: 1200,
+        damage: 110,
+        pellets: 1,
+        spread: 0,
+        automatic: false,
+        reloadTime: 3000,
+        startingReserve: 10,
+        maxReserve: 30,
+        ammoPickup: 10,
+        ballistics: {
+            mode: 'projectile',
+            range: 1000,
+            muzzleVelocity: 180,
+            gravityScale: 1.0,
+            falloffStart: 80,
+            falloffEnd: 200,
+            minDamageMultiplier: 0.8,
+            penetration: { maxSurfaces: 2, maxThickness: 0.4, damageRetained: 0.7 }
+        },
+        icon: null,
+        model: {
+            path: PISTOL_MODEL_PATH,
+            scale: 4.2,
+            color: 0x4B5320, // Army green
+            offset: { right: 0.5, down: 0.5, forward: 0.9 }
+        },
+        sounds: {
+            fire: GUNSHOT_SOUND_PATH,
+            fireVolume: 0.8,
+            firePlaybackRate: 0.75,
+            reload: RELOAD_SOUND_PATH,
+            reloadVolume: 0.7,
+            dryFire: DRY_FIRE_SOUND_PATH,
+            dryFireVolume: 0.6
+        },
+        recoil: { kickBack: 0.45, pitch: 28, duration: 350, shake: 0.1 }
+    }
+};
+
+// Weapons the player starts with, in inventory slot order (slot 1 first)
+export const STARTING_LOADOUT = ['pistol', 'shotgun', 'smg', 'rifle'];
@@ -1,12 +1,18 @@
 import * as THREE from 'three';
 import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { WEAPON_DEFINITIONS, STARTING_LOADOUT } from './WeaponDefinitions.js';
+import { SCORING_RULES } from '../core/ScoringRules.js';
 
 export class WeaponSystem {
-    constructor(camera, physicsWorld) {
+    constructor(camera, physicsWorld, audioManager = null, input = null) {
         this.camera = camera;
         this.physicsWorld = physicsWorld;
+        this.audioManager = audioManager;
+        this.input = input; // InputManager - fire / reload / debug actions
+        this.inputSubscriptions = []; // Functions that remove our action handlers
         
-        // Direct reference to pistol mesh
+        // Direct reference to the equipped weapon's mesh
+        // (kept as pistolMesh so the positioning and recoil code works for every weapon)
         this.pistolMesh = null;
         
         // Recoil state
@@ -19,64 +25,59 @@ export class WeaponSystem {
         this.basePistolRotation = null;
         this.debugRecoil = false; // Debug flag for recoil
         
-        // Headshot streak tracking
-        this.consecutiveHeadshots = 0;
-        this.headshotStreakBonus = 500; // Points for 3 consecutive headshots
-        this.headshotStreakTarget = 3; // Number of headshots needed for bonus
-        
-        // Create pistol model right away
-        this.createPistolModel();
-        
-        // Sound setup for pistol
-        this.gunshotSound = new Audio('/assets/sounds/GunshotPistol_BW.56967.wav');
-        this.gunshotSound.volume = 0.5;
-        this.reloadSound = new Audio('/assets/sounds/ESM_GW_gun_one_shot_pistol_reload_ammo_mechanical_magazine_reload_1.wav');
-        this.reloadSound.volume = 0.7;
-        
-        // Add headshot sound
-        this.headshotSound = new Audio('/assets/sounds/ESM_Undead_Vocal_Headshot_Ghost_Zombie.wav');
-        this.headshotSound.volume = 0.9;
-        
-        // Add headshot streak sound
-        this.headshotStreakSound = new Audio('/assets/sounds/ESM_Explainer_Video_One_Shot_Gestures_Whoosh_1_Alert_Game.wav');
-        this.headshotStreakSound.volume = 0.8;
-        
-        // Pistol state
+        // Weapon arsenal built from the data in WeaponDefinitions.js
+        // Each entry keeps its own model, sounds and magazine state
+        this.weapons = STARTING_LOADOUT.map(weaponId => this.createWeaponState(WEAPON_DEFINITIONS[weaponId]));
+        this.currentWeapon = null;
+        this.currentWeaponIndex = -1;
+        this.lastWeaponSwitchTime = 0;
+        this.weaponSwitchCooldown = 150; // Prevent a single scroll gesture from skipping weapons
+        this.isTriggerHeld = false; // Used for automatic weapons
+        
+        // Headshot and headshot streak sounds (played through the AudioManager mixer)
+        this.headshotSoundPath = '/assets/sounds/ESM_Undead_Vocal_Headshot_Ghost_Zombie.wav';
+        this.headshotStreakSoundPath = '/assets/sounds/ESM_Explainer_Video_One_Shot_Gestures_Whoosh_1_Alert_Game.wav';
+        this.reloadSoundRequest = null; // Pending playOneShot of the reload sound, so it can be cut off
+        
+        // Weapon state
         this.isReloading = false;
-        this.bulletsFired = 0;
-        this.maxBullets = 15;
         
         // Fast reload perk
         this.hasFastReload = false;
         this.hasSuperFastReload = false;
+        // Reference times for the pistol; other weapons are scaled by the same ratio
         this.normalReloadTime = 2000; // 2 seconds for normal reload
         this.fastReloadTime = 705;    // 0.705 seconds for fast reload (2.8x faster)
         this.superFastReloadTime = 352.5; // 0.3525 seconds for super fast reload (5.7x faster)
         
-        // Setup reload event listener
-        this.reloadSound.addEventListener('ended', () => {
-            this.isReloading = false;
-            this.bulletsFired = 0;
-            console.log("Reload complete");
-        });
-        
         // Bullet system
         this.bullets = [];
         this.particles = []; // Generic particle array for blood, etc.
         this.lastShotTime = 0;
-        this.shootCooldown = 87.5; // Reduced by 30% from 125ms
         this.bulletSpeed = 0.5; // Changed from 100 to 0.5 for more reasonable speed
         this.bulletLifetime = 10000; // 10 seconds
-        this.bulletDamage = 25; // Damage per bullet hit
         this.smokeTrails = []; // Store smoke trail particles
         this.smokeSpawnRate = 50; // milliseconds between smoke particles
         this.isGameOver = false; // Track game over state
         this.gameActive = false; // Flag to prevent shooting before game starts
         
+        // Dry fire (empty magazine and reserve)
+        this.lastDryFireTime = 0;
+        this.dryFireCooldown = 250; // Stop automatic weapons from spamming the click
+        
+        // Ammo counter HUD (hidden until the game starts)
+        this.createAmmoDisplay();
+        
+        // Equip the first weapon in the loadout (the pistol)
+        this.equipWeapon(0);
+        
         // Bind methods to preserve 'this' context
         this.shoot = this.shoot.bind(this);
         this.reload = this.reload.bind(this);
-        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleFirePressed = this.handleFirePressed.bind(this);
+        this.handleFireReleased = this.handleFireReleased.bind(this);
+        this.toggleHitboxVisibility = this.toggleHitboxVisibility.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
         
         // Setup event listeners
         this.setupEventListeners();
@@ -85,18 +86,34 @@ export class WeaponSystem {
         this.showHitboxes = false;
     }
     
-    createPistolModel() {
+    // Build the runtime state for a weapon definition (model and magazine)
+    createWeaponState(definition) {
+        const weapon = {
+            definition: definition,
+            mesh: null,
+            bulletsFired: 0,
+            reserveAmmo: definition.startingReserve
+        };
+        
+        // Load the model right away
+        this.createWeaponModel(weapon);
+        
+        return weapon;
+    }
+    
+    createWeaponModel(weapon) {
+        const modelConfig = weapon.definition.model;
         const loader = new GLTFLoader();
         loader.load(
-            'assets/3d models/guns/pistol_stryk_prototype.glb',
+            modelConfig.path,
             (gltf) => {
-                this.pistolMesh = gltf.scene;
+                const weaponMesh = gltf.scene;
                 
                 // Apply metallic material to all meshes in the model
-                this.pistolMesh.traverse((child) => {
+                weaponMesh.traverse((child) => {
                     if (child.isMesh) {
                         child.material = new THREE.MeshStandardMaterial({
-                            color: 0x888888, // Gun metal gray
+                            color: modelConfig.color,
                             metalness: 0.9,  // High metalness for metallic look
                             roughness: 0.2,  // Low roughness for shiny appearance
                             envMapIntensity: 1.0, // Full environment map intensity
@@ -106,60 +123,221 @@ export class WeaponSystem {
                     }
                 });
                 
-                // CRITICAL: Set userData to identify this as pistol
-                this.pistolMesh.userData.isPistolMesh = true;
-                
-                // Create axis helper but don't add it to the pistol by default
-                this.axisHelper = new THREE.AxesHelper(1);
-                this.axisHelper.visible = false; // Start hidden
-                this.pistolMesh.add(this.axisHelper);
-                
-                // Add directly to scene
-                this.physicsWorld.scene.add(this.pistolMesh);
+                this.attachWeaponMesh(weapon, weaponMesh);
                 
-                // Set initial position
-                this.updatePistolPosition();
-                
-                console.log("Loaded pistol model with metallic shader");
+                console.log(`Loaded ${weapon.definition.name} model with metallic shader`);
             },
             (progress) => {
-                console.log(`Loading pistol model: ${(progress.loaded / progress.total * 100).toFixed(2)}%`);
+                console.log(`Loading ${weapon.definition.name} model: ${(progress.loaded / progress.total * 100).toFixed(2)}%`);
             },
             (error) => {
-                console.error('Error loading pistol model:', error);
+                console.error(`Error loading ${weapon.definition.name} model:`, error);
                 // Fallback to simple cube if model fails to load
-                this.createFallbackPistolModel();
+                this.createFallbackWeaponModel(weapon);
             }
         );
     }
     
-    createFallbackPistolModel() {
-        // Create a simple, highly visible pistol representation
-        const pistolGeometry = new THREE.BoxGeometry(0.4, 0.4, 0.8);
-        const pistolMaterial = new THREE.MeshBasicMaterial({ 
+    createFallbackWeaponModel(weapon) {
+        // Create a simple, highly visible weapon representation
+        const weaponGeometry = new THREE.BoxGeometry(0.4, 0.4, 0.8);
+        const weaponMaterial = new THREE.MeshBasicMaterial({ 
             color: 0xFF0000, // Bright red - will be visible regardless of lighting
         });
         
-        const pistolMesh = new THREE.Mesh(pistolGeometry, pistolMaterial);
+        this.attachWeaponMesh(weapon, new THREE.Mesh(weaponGeometry, weaponMaterial));
+        
+        console.log(`Created fallback BRIGHT RED cube for ${weapon.definition.name} - added directly to scene`);
+    }
+    
+    // Register a loaded weapon mesh and show it if the weapon is currently equipped
+    attachWeaponMesh(weapon, weaponMesh) {
+        // CRITICAL: Set userData to identify this as the player's gun (ignored by raycasts)
+        weaponMesh.userData.isPistolMesh = true;
+        weaponMesh.userData.weaponId = weapon.definition.id;
+        weaponMesh.scale.setScalar(weapon.definition.model.scale);
+        weaponMesh.visible = false;
+        weapon.mesh = weaponMesh;
+        
+        // Add directly to scene
+        this.physicsWorld.scene.add(weaponMesh);
+        
+        if (weapon === this.currentWeapon) {
+            this.pistolMesh = weaponMesh;
+            
+            // Create axis helper but don't add it to the weapon by default
+            this.attachAxisHelper();
+            
+            // Set initial position
+            this.updatePistolPosition();
+        }
+    }
+    
+    attachAxisHelper() {
+        if (!this.axisHelper) {
+            this.axisHelper = new THREE.AxesHelper(1);
+            this.axisHelper.visible = false; // Start hidden
+        }
+        if (this.pistolMesh) {
+            this.pistolMesh.add(this.axisHelper);
+        }
+    }
+    
+    // Switch the active weapon by its index in the loadout
+    equipWeapon(index) {
+        if (index < 0 || index >= this.weapons.length || index === this.currentWeaponIndex) {
+            return false;
+        }
         
-        // CRITICAL: Set userData to identify this as pistol
-        pistolMesh.userData.isPistolMesh = true;
+        // A reload in progress belongs to the weapon being put away
+        this.cancelReload();
+        this.isTriggerHeld = false;
         
-        // Important: Store reference to the mesh on the instance
-        this.pistolMesh = pistolMesh;
+        // Hide the previous weapon
+        if (this.currentWeapon && this.currentWeapon.mesh) {
+            this.currentWeapon.mesh.visible = false;
+        }
         
-        // Create axis helper but don't add it to the pistol by default
-        this.axisHelper = new THREE.AxesHelper(1);
-        this.axisHelper.visible = false; // Start hidden
-        this.pistolMesh.add(this.axisHelper);
+        const weapon = this.weapons[index];
+        const definition = weapon.definition;
+        this.currentWeapon = weapon;
+        this.currentWeaponIndex = index;
         
-        // Add directly to scene
-        this.physicsWorld.scene.add(this.pistolMesh);
+        // Copy the weapon's stats onto the fields used by the shooting code
+        this.maxBullets = definition.magazineSize;
+        this.shootCooldown = definition.fireCooldown;
+        this.recoilDuration = definition.recoil.duration;
+        
+        // Swap the visible model (it may still be loading)
+        this.pistolMesh = weapon.mesh;
+        this.isRecoiling = false;
+        if (this.pistolMesh) {
+            this.attachAxisHelper();
+            this.updatePistolPosition();
+        }
+        
+        this.updateAmmoDisplay();
+        
+        console.log(`Equipped ${definition.name} (${this.getMagazineAmmo(weapon)}/${weapon.reserveAmmo})`);
+        return true;
+    }
+    
+    // Switch to a weapon by its definition id (called by the inventory when a slot is selected)
+    switchToWeapon(weaponId) {
+        const index = this.weapons.findIndex(weapon => weapon.definition.id === weaponId);
+        return this.equipWeapon(index);
+    }
+    
+    // Cycle through the loadout with the scroll wheel (direction is +1 or -1)
+    cycleWeapon(direction) {
+        const count = this.weapons.length;
+        const nextIndex = (this.currentWeaponIndex + direction + count) % count;
+        const nextWeaponId = this.weapons[nextIndex].definition.id;
+        
+        // Let the inventory drive the switch so the highlighted slot stays in sync
+        const inventory = this.playerController ? this.playerController.inventory : null;
+        if (inventory && typeof inventory.selectWeaponSlot === 'function' && inventory.selectWeaponSlot(nextWeaponId)) {
+            return;
+        }
+        this.equipWeapon(nextIndex);
+    }
+    
+    // Rounds left in the weapon's magazine
+    getMagazineAmmo(weapon = this.currentWeapon) {
+        return weapon.definition.magazineSize - weapon.bulletsFired;
+    }
+    
+    // Add rounds to a weapon's reserve (defaults to the equipped weapon)
+    // Returns the number of rounds actually added after the carry limit
+    addReserveAmmo(amount, weapon = this.currentWeapon) {
+        const space = weapon.definition.maxReserve - weapon.reserveAmmo;
+        const added = Math.max(0, Math.min(amount, space));
+        weapon.reserveAmmo += added;
+        
+        if (added > 0) {
+            console.log(`Added ${added} rounds to ${weapon.definition.name} reserve (${weapon.reserveAmmo}/${weapon.definition.maxReserve})`);
+            this.updateAmmoDisplay();
+        }
+        return added;
+    }
+    
+    // Play the empty click when both magazine and reserve are dry
+    playDryFire() {
+        const currentTime = Date.now();
+        if (currentTime - this.lastDryFireTime < this.dryFireCooldown) {
+            return;
+        }
+        this.lastDryFireTime = currentTime;
+        
+        this.playWeaponSound('dryFire', { playbackRate: 2.0 }); // Shorter, sharper click
+        
+        // Flash the ammo counter
+        if (this.ammoCountElement) {
+            this.ammoCountElement.style.transform = 'scale(1.2)';
+            setTimeout(() => {
+                if (this.ammoCountElement) {
+                    this.ammoCountElement.style.transform = 'scale(1)';
+                }
+            }, 120);
+        }
+    }
+    
+    createAmmoDisplay() {
+        // Container above the sprint bar in the bottom right corner
+        this.ammoDisplay = document.createElement('div');
+        this.ammoDisplay.style.position = 'absolute';
+        this.ammoDisplay.style.bottom = '50px';
+        this.ammoDisplay.style.right = '20px';
+        this.ammoDisplay.style.textAlign = 'right';
+        this.ammoDisplay.style.fontFamily = '"Creepster", "Chiller", cursive';
+        this.ammoDisplay.style.letterSpacing = '2px';
+        this.ammoDisplay.style.zIndex = '1000';
+        this.ammoDisplay.style.pointerEvents = 'none';
+        this.ammoDisplay.style.display = 'none'; // Initially hidden
+        
+        // Weapon name
+        this.ammoWeaponElement = document.createElement('div');
+        this.ammoWeaponElement.style.color = '#CCCCCC';
+        this.ammoWeaponElement.style.fontSize = '18px';
+        this.ammoWeaponElement.style.textShadow = '2px 2px 4px #000000';
+        this.ammoDisplay.appendChild(this.ammoWeaponElement);
+        
+        // Magazine / reserve counter
+        this.ammoCountElement = document.createElement('div');
+        this.ammoCountElement.style.color = '#FFFFFF';
+        this.ammoCountElement.style.fontSize = '32px';
+        this.ammoCountElement.style.textShadow = '2px 2px 4px #000000, 0 0 10px #FFD700';
+        this.ammoCountElement.style.transformOrigin = 'right center';
+        this.ammoCountElement.style.transition = 'transform 0.1s ease-out';
+        this.ammoDisplay.appendChild(this.ammoCountElement);
+        
+        document.body.appendChild(this.ammoDisplay);
+    }
+    
+    updateAmmoDisplay() {
+        if (!this.ammoDisplay || !this.currentWeapon) return;
         
-        // Set initial position
-        this.updatePistolPosition();
+        const weapon = this.currentWeapon;
+        const magazineAmmo = this.getMagazineAmmo(weapon);
         
-        console.log("Created fallback BRIGHT RED pistol cube - added directly to scene");
+        this.ammoWeaponElement.textContent = this.isReloading
+            ? `${weapon.definition.name.toUpperCase()} - RELOADING`
+            : weapon.definition.name.toUpperCase();
+        
+        if (magazineAmmo <= 0 && weapon.reserveAmmo <= 0) {
+            // Completely dry - show the empty state in red
+            this.ammoCountElement.textContent = 'EMPTY';
+            this.ammoCountElement.style.color = '#FF0000';
+            this.ammoCountElement.style.textShadow = '2px 2px 4px #000000, 0 0 10px #FF0000';
+        } else {
+            this.ammoCountElement.textContent = `${magazineAmmo} / ${weapon.reserveAmmo}`;
+            // Warn when the magazine is running low
+            const isLow = magazineAmmo <= Math.ceil(weapon.definition.magazineSize * 0.25);
+            this.ammoCountElement.style.color = isLow ? '#FF6600' : '#FFFFFF';
+            this.ammoCountElement.style.textShadow = isLow
+                ? '2px 2px 4px #000000, 0 0 10px #FF6600'
+                : '2px 2px 4px #000000, 0 0 10px #FFD700';
+        }
     }
     
     // Update the pistol position method to keep it fixed relative to camera
@@ -171,10 +349,11 @@ export class WeaponSystem {
         const cameraDirection = new THREE.Vector3(0, 0, -1);
         cameraDirection.applyQuaternion(this.camera.quaternion);
         
-        // Fixed offsets in camera space - adjusted for the new model
-        const rightOffset = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(0.55); // Slightly reduced from 0.6 to move it more to the left
-        const downOffset = new THREE.Vector3(0, -1, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(0.5);
-        const forwardOffset = cameraDirection.clone().multiplyScalar(0.8);
+        // Offsets in camera space - defined per weapon model
+        const offset = this.currentWeapon.definition.model.offset;
+        const rightOffset = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(offset.right);
+        const downOffset = new THREE.Vector3(0, -1, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(offset.down);
+        const forwardOffset = cameraDirection.clone().multiplyScalar(offset.forward);
         
         // Apply all offsets to position pistol in bottom right corner
         const pistolPosition = cameraPosition.clone()
@@ -199,8 +378,8 @@ export class WeaponSystem {
         // Store the base rotation for recoil calculations
         this.basePistolRotation = this.pistolMesh.quaternion.clone();
         
-        // Scale the model appropriately - slightly smaller
-        this.pistolMesh.scale.set(3.8, 3.8, 3.8); // Reduced from 4.14 to 3.8
+        // Scale the model appropriately
+        this.pistolMesh.scale.setScalar(this.currentWeapon.definition.model.scale);
         
         // Ensure visibility
         this.pistolMesh.visible = true;
@@ -276,6 +455,7 @@ export class WeaponSystem {
         const hitboxScaleFactor = 1.0; // Using neutral scaling since hitbox JSON values are now pre-scaled
         
         // Add new hitboxes
+        const hitboxMeshes = [];
         hitboxArray.forEach((hitboxData, index) => {
             // Create the geometry based on shape
             let geometry;
@@ -359,8 +539,17 @@ export class WeaponSystem {
             enemyObject.add(hitboxMesh);
             
             console.log(`*** DEBUG: Hitbox ${index} (${hitboxMesh.userData.hitboxType}): using editor values position=(${position.x}, ${position.y}, ${position.z}), scale=(${scale.x}, ${scale.y}, ${scale.z}), applied with ${hitboxScaleFactor}x multiplier`);
+            hitboxMeshes.push(hitboxMesh);
         });
         
+        // Register the new hitboxes for the enemy instance that owns this model so shots can hit them
+        const bodyUUID = enemyObject.userData.lokitoBodyUUID || enemyObject.userData.dnbBodyUUID;
+        const body = bodyUUID ? this.physicsWorld.bodies.get(bodyUUID) : null;
+        const enemyInstance = body && body.userData ? (body.userData.lokitoInstance || body.userData.dnbInstance) : null;
+        if (enemyInstance) {
+            this.physicsWorld.hitboxRegistry.register(enemyInstance, enemyType, enemyObject, hitboxMeshes);
+        }
+        
         return true;
     }
 
@@ -385,6 +574,16 @@ export class WeaponSystem {
             return;
         }
         
+        // Magazine is empty: reload from the reserve, or click if that is dry too
+        if (this.getMagazineAmmo() <= 0) {
+            if (this.currentWeapon.reserveAmmo > 0) {
+                this.reload();
+            } else {
+                this.playDryFire();
+            }
+            return;
+        }
+        
         this.lastShotTime = currentTime;
         
         // DIRECT RECOIL IMPLEMENTATION - Apply recoil immediately
@@ -392,415 +591,394 @@ export class WeaponSystem {
         
         // Play gunshot sound only if not game over
         if (!this.isGameOver) {
-            this.gunshotSound.currentTime = 0;
-            this.gunshotSound.play().catch(error => {
-                console.log("Error playing gunshot sound:", error);
+            this.playWeaponSound('fire', {
+                playbackRate: this.currentWeapon.definition.sounds.firePlaybackRate,
+                priority: 4 // The player's own gunshots are never cut for enemy sounds
             });
         }
         
-        // Increment bullets fired counter
-        this.bulletsFired++;
+        // Kick the gamepad, harder for weapons with more recoil
+        const recoil = this.currentWeapon.definition.recoil;
+        const engine = this.playerController ? this.playerController.engine : null;
+        if (engine && engine.gamepad) {
+            const strength = Math.min(1, recoil.shake * 6);
+            engine.gamepad.rumble(strength * 0.5, strength, recoil.duration * 0.5);
+        }
+        
+        // Increment bullets fired counter for the equipped weapon
+        this.currentWeapon.bulletsFired++;
         
         // Check if magazine is empty
-        if (this.bulletsFired >= this.maxBullets) {
+        if (this.currentWeapon.bulletsFired >= this.maxBullets) {
             this.reload();
         }
+        this.updateAmmoDisplay();
         
         // Get camera direction
         const direction = new THREE.Vector3(0, 0, -1);
         direction.applyQuaternion(this.camera.quaternion);
         direction.normalize();
         
-        // CRITICAL FIX: Force all hitboxes to be visible to raycasting
-        // before shooting to ensure hit detection works
-        this.physicsWorld.scene.traverse((object) => {
-            if (object.userData && (object.userData.isLokitoMesh || object.userData.isDNBMesh)) {
-                // Ensure the enemy mesh itself is visible for raycasting
-                object.visible = true;
-                
-                // Log the enemy check for debug
-                console.log(`DEBUG-SHOOT: Checking enemy mesh: ${object.name || 'unnamed'}, visible=${object.visible}`);
-                
-                object.traverse((child) => {
-                    if (child.userData && child.userData.isHitbox) {
-                        // Log the hitbox check for debug
-                        console.log(`DEBUG-SHOOT: Found hitbox: ${child.userData.hitboxType}, current visibility=${child.visible}`);
-                        
-                        // CRITICAL: Ensure hitbox is always ray-visible regardless of visual state
-                        child.visible = true;
-                        
-                        // Make sure the material allows raycasting even if transparent
-                        if (child.material) {
-                            child.material.alphaTest = 0; // Ensure we hit even if transparent
-                        }
-                    }
-                });
+        if (this.runStats) {
+            this.runStats.recordShot();
+        }
+        
+        // Fire one shot per pellet, each with its own random spread.
+        // The pellets share a volley so the trigger pull counts as one hit for accuracy.
+        const definition = this.currentWeapon.definition;
+        const volley = { hasHit: false };
+        for (let pellet = 0; pellet < definition.pellets; pellet++) {
+            const pelletDirection = this.applySpread(direction, definition.spread);
+            const shot = this.createShotState(definition, volley);
+            
+            if (definition.ballistics.mode === 'projectile') {
+                // Simulated bullet - hits are resolved in update() as it travels
+                this.spawnProjectile(pelletDirection, shot, currentTime);
+            } else {
+                this.fireHitscan(pelletDirection, shot);
             }
-        });
+        }
+    }
+    
+    // Per-shot ballistic state shared by hitscan rays and projectiles
+    createShotState(definition, volley) {
+        const penetration = definition.ballistics.penetration;
+        return {
+            damage: definition.damage,
+            ballistics: definition.ballistics,
+            travelled: 0, // Distance covered so far (for damage falloff and range)
+            penetrationsLeft: penetration ? penetration.maxSurfaces : 0,
+            volley: volley // Shared by the pellets of one trigger pull (run stats)
+        };
+    }
+    
+    // Resolve a hitscan shot instantly along the aim ray
+    fireHitscan(direction, shot) {
+        const origin = this.camera.position.clone();
         
-        // Raycasting for hit detection
-        const raycaster = new THREE.Raycaster(this.camera.position, direction);
         // Increase near plane slightly to avoid hitting self/gun
-        raycaster.near = 0.6; 
-        raycaster.far = 1000;
-
-        // Create a filter function to ignore rain and other non-target objects
-        const intersects = raycaster.intersectObjects(this.physicsWorld.scene.children, true)
-            .filter(hit => {
-                // Skip any object (or its parents) that are marked to ignore raycasts
-                let currentObj = hit.object;
-                while (currentObj) {
-                    // Check if this object or any parent has the ignoreRaycast flag
-                    if (currentObj.userData && 
-                        (currentObj.userData.ignoreRaycast === true || 
-                         currentObj.userData.isPistolMesh === true)) {
-                        return false;
-                    }
-                    // Check its parent
-                    currentObj = currentObj.parent;
-                }
-                // Also skip any bullet meshes
-                if (hit.object.userData && hit.object.userData.isBullet) {
-                    return false;
-                }
+        this.traceShot(shot, origin, direction, shot.ballistics.range, 0.6);
+        
+        // Draw the smoke trail along the path the shot actually took
+        this.createShotTracer(origin, direction, shot.travelled);
+        
+        console.log(`[WeaponSystem] Hitscan shot travelled ${shot.travelled.toFixed(1)}m`);
+    }
+    
+    // Follow a shot along a straight segment, damaging the first enemy in its path
+    // Walls come from the Rapier colliders; thin level mesh walls can be penetrated if the weapon allows it
+    // Returns true when the shot is finished (hit an enemy, was stopped by a wall or ran out of range)
+    traceShot(shot, origin, direction, maxDistance, near = 0) {
+        const segmentOrigin = origin.clone();
+        let remaining = Math.min(maxDistance, shot.ballistics.range - shot.travelled);
+        let segmentNear = near;
+        
+        while (remaining > 0) {
+            // Find the first solid surface, then look for enemies in front of it
+            const wallHit = this.physicsWorld.castBulletRay(segmentOrigin, direction, remaining);
+            const reach = wallHit ? wallHit.distance : remaining;
+            
+            const enemyHitDistance = this.fireRay(segmentOrigin, direction, segmentNear, reach, shot);
+            if (enemyHitDistance !== null) {
+                shot.travelled += enemyHitDistance;
                 return true;
-            });
+            }
+            
+            if (!wallHit) {
+                shot.travelled += remaining;
+                return shot.travelled >= shot.ballistics.range;
+            }
+            
+            // Blocked by a wall - see if the shot can punch through it
+            const thickness = this.getPenetrationThickness(shot, wallHit, direction);
+            if (thickness === null) {
+                shot.travelled += wallHit.distance;
+                return true;
+            }
+            
+            shot.penetrationsLeft--;
+            shot.damage *= shot.ballistics.penetration.damageRetained;
+            console.log(`[WeaponSystem] Shot penetrated ${thickness.toFixed(2)}m of wall, damage now ${shot.damage.toFixed(1)}`);
+            
+            // Continue from the far side of the wall
+            const advance = wallHit.distance + thickness;
+            segmentOrigin.addScaledVector(direction, advance);
+            shot.travelled += advance;
+            remaining -= advance;
+            segmentNear = 0.05; // Skip the exit face of the wall we just passed through
+        }
+        
+        return shot.travelled >= shot.ballistics.range;
+    }
+    
+    // Thickness of the wall if the shot can penetrate it, otherwise null
+    getPenetrationThickness(shot, wallHit, direction) {
+        const penetration = shot.ballistics.penetration;
+        
+        // Only thin static level geometry can be shot through
+        if (!penetration || shot.penetrationsLeft <= 0 || wallHit.type !== 'scene_static_mesh') {
+            return null;
+        }
+        
+        return this.physicsWorld.measureColliderThickness(wallHit.point, direction, wallHit.collider, penetration.maxThickness);
+    }
+    
+    // Linear damage falloff between falloffStart and falloffEnd
+    getDamageAtDistance(shot, distance) {
+        const ballistics = shot.ballistics;
+        if (distance <= ballistics.falloffStart) {
+            return shot.damage;
+        }
+        if (distance >= ballistics.falloffEnd) {
+            return shot.damage * ballistics.minDamageMultiplier;
+        }
+        
+        const progress = (distance - ballistics.falloffStart) / (ballistics.falloffEnd - ballistics.falloffStart);
+        return shot.damage * (1 - progress * (1 - ballistics.minDamageMultiplier));
+    }
+    
+    // Short smoke trail from the muzzle along a hitscan shot
+    createShotTracer(origin, direction, length) {
+        const tracerStart = 1.0; // Keep the smoke out of the player's face
+        const tracerLength = Math.min(length, 40);
+        if (tracerLength <= tracerStart) return;
+        
+        const particleCount = Math.min(12, Math.ceil((tracerLength - tracerStart) / 1.5));
+        const spacing = (tracerLength - tracerStart) / particleCount;
+        
+        for (let i = 0; i < particleCount; i++) {
+            const position = origin.clone().addScaledVector(direction, tracerStart + spacing * i);
+            const smokeParticle = this.createSmokeParticle(position);
+            smokeParticle.mesh.visible = true;
+            this.smokeTrails.push(smokeParticle);
+        }
+    }
+    
+    // Rotate a direction by a random angle inside a cone of the given half-angle (radians)
+    applySpread(direction, spread) {
+        if (!spread) {
+            return direction.clone();
+        }
+        
+        // Pick a random axis perpendicular to the aim direction
+        const helperAxis = Math.abs(direction.y) < 0.99 ? new THREE.Vector3(0, 1, 0) : new THREE.Vector3(1, 0, 0);
+        const perpendicular = new THREE.Vector3().crossVectors(direction, helperAxis).normalize();
+        perpendicular.applyAxisAngle(direction, Math.random() * Math.PI * 2);
+        
+        // Square root keeps pellets evenly distributed across the cone instead of clumping in the middle
+        const angle = Math.sqrt(Math.random()) * spread;
+        return direction.clone().applyAxisAngle(perpendicular, angle).normalize();
+    }
+    
+    // Cast a ray segment against enemies and apply the shot's damage to the first one it hits
+    // Returns the distance along the segment to the enemy hit, or null if nothing was hit
+    fireRay(origin, direction, near, far, shot) {
+        // Broad-phase: only hitboxes of enemies near the ray are tested
+        // (walls are handled separately by the Rapier ray in traceShot)
+        const candidates = this.physicsWorld.hitboxRegistry.queryRay(origin, direction, near, far);
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        // Raycasting for hit detection
+        const raycaster = new THREE.Raycaster(origin, direction);
+        raycaster.near = near; 
+        raycaster.far = far;
+        
+        // Hitbox materials are invisible, but Mesh.raycast still tests them
+        const intersects = raycaster.intersectObjects(candidates, false);
 
-        let hitDetected = false;
-        if (intersects.length > 0) {
-            for (let i = 0; i < intersects.length; i++) {
-                 const hit = intersects[i];
-                 // Find the mesh associated with a potential enemy physics body
-                 let currentObject = hit.object;
-                 let enemyInstance = null; // Use generic name
-                 let enemyBodyUUID = null; // Use generic name
-                 let enemyType = null; // Store type ('lokito' or 'dnb')
+        for (let i = 0; i < intersects.length; i++) {
+             const hit = intersects[i];
+             const entry = this.physicsWorld.hitboxRegistry.getEntryForHitbox(hit.object);
+             const enemyInstance = entry ? entry.owner : null;
+             
+             if (!enemyInstance || !enemyInstance.isInitialized) {
+                  continue; // Stale hitbox of an enemy being removed
+             }
+             
+             // --- Hit an Enemy (Lokito or DNB) ---
+             const enemyType = entry.enemyType;
+             console.log(`[WeaponSystem] Hit confirmed for ${enemyType}.`);
 
-                 while (currentObject && !enemyInstance) { 
-                      // Check for Lokito OR DNB mesh userData
-                      if (currentObject.userData && currentObject.userData.isLokitoMesh && currentObject.userData.lokitoBodyUUID) {
-                           enemyBodyUUID = currentObject.userData.lokitoBodyUUID;
-                           enemyType = 'Lokito'; // Identify type
-                      } else if (currentObject.userData && currentObject.userData.isDNBMesh && currentObject.userData.dnbBodyUUID) {
-                           enemyBodyUUID = currentObject.userData.dnbBodyUUID;
-                           enemyType = 'DNB'; // Identify type
-                      }
-                      
-                      // If a UUID was found, try to get the instance
-                      if (enemyBodyUUID) {
-                           const body = this.physicsWorld.bodies.get(enemyBodyUUID);
-                           // Check both possible instance property names (adjust if DNB uses different name)
-                           if (body && body.userData && (body.userData.lokitoInstance || body.userData.dnbInstance)) {
-                                enemyInstance = body.userData.lokitoInstance || body.userData.dnbInstance; 
-                                break; 
-                           }
-                      }
-                      currentObject = currentObject.parent;
-                 }
+             // Get headshot status and multiplier directly from the hit object's userData
+             let isHeadshot = false;
+             let multiplier = 1.0;
+             const hitboxType = hit.object.userData.hitboxType || 'Default';
+             console.log(`Hitbox check: Type='${hitboxType}'`); // Log the type found
 
-                 if (enemyInstance && enemyInstance.isInitialized) {
-                      // --- Hit an Enemy (Lokito or DNB) ---
-                      console.log(`Raycast hit ${enemyType}: ${enemyBodyUUID}`); // Use type
-                      console.log(`[WeaponSystem] Hit confirmed for ${enemyType}. Setting hitDetected.`);
-                      
-                      // Check if the enemy mesh has hitboxes, if not, try to load them
-                      // This check might be redundant if hitboxes are always loaded on init
-                      // if (enemyInstance.mesh && !enemyInstance.mesh.userData.hitboxesLoaded) { ... } // Consider removing if always loaded
+             const multiplierStr = hit.object.userData.damageMultiplier || '1x';
+             const parsedMultiplier = parseFloat(multiplierStr.replace('x', ''));
+             if (!isNaN(parsedMultiplier)) {
+                 multiplier = parsedMultiplier; // Non-headshot hitboxes can carry their own multiplier too
+             }
 
-                      // Get headshot status and multiplier directly from the hit object's userData
-                      let isHeadshot = false;
-                      let multiplier = 1.0;
-                      let hitSpecificBox = false; // Flag if we hit *any* specific hitbox
+             if (hitboxType === 'Headshot') { // Use 'Headshot' as defined in JSON
+                  isHeadshot = true;
+                  console.log(`Headshot hitbox confirmed! Multiplier: ${multiplier}x`);
+             } else {
+                  console.log(`Non-Headshot hitbox '${hitboxType}' hit! Multiplier: ${multiplier}x`);
+             }
 
-                      if (hit.object.userData && hit.object.userData.isHitbox) {
-                           hitSpecificBox = true; // We hit a hitbox mesh
-                           const hitboxType = hit.object.userData.hitboxType || 'Default';
-                           console.log(`Hitbox check: Type='${hitboxType}'`); // Log the type found
+             // Calculate damage using the distance falloff and the multiplier
+             const baseDamage = this.getDamageAtDistance(shot, shot.travelled + hit.distance);
+             let damage = baseDamage * multiplier;
+             console.log(`Calculated Damage: ${baseDamage.toFixed(1)} * ${multiplier} = ${damage.toFixed(1)}`);
 
-                           if (hitboxType === 'Headshot') { // Use 'Headshot' as defined in JSON
-                                isHeadshot = true;
-                                const multiplierStr = hit.object.userData.damageMultiplier || '1x';
-                                const parsedMultiplier = parseFloat(multiplierStr.replace('x', ''));
-                                if (!isNaN(parsedMultiplier)) {
-                                    multiplier = parsedMultiplier;
-                                }
-                                console.log(`Headshot hitbox confirmed! Multiplier: ${multiplier}x`);
-                           } else {
-                                // If it's not 'Headshot', check if it has its own multiplier anyway
-                                const multiplierStr = hit.object.userData.damageMultiplier || '1x';
-                                const parsedMultiplier = parseFloat(multiplierStr.replace('x', ''));
-                                if (!isNaN(parsedMultiplier)) {
-                                    multiplier = parsedMultiplier; // Apply multiplier even if not headshot
-                                    console.log(`Non-Headshot hitbox '${hitboxType}' hit! Multiplier: ${multiplier}x`);
-                                }
-                           }
-                      } else {
-                           console.log("Ray hit the main enemy mesh, not a specific hitbox. Applying default damage.");
-                           // Optional: could try isHeadshot logic here as fallback if needed
-                      }
+             // Create damage object with headshot info for enemy to process
+             const damageInfo = {
+                 damage: damage,
+                 isHeadshot: isHeadshot // Pass the boolean flag
+             };
 
-                      // Calculate damage using the multiplier
-                      let damage = this.bulletDamage * multiplier;
-                      console.log(`Calculated Damage: ${this.bulletDamage} * ${multiplier} = ${damage.toFixed(1)}`);
+             // Apply damage and get result
+             const healthBefore = enemyInstance.health;
+             const result = enemyInstance.takeDamage(damageInfo);
+             console.log(`DEBUG-DAMAGE: Enemy damage result:`, result);
 
-                      // Create damage object with headshot info for enemy to process
-                      const damageInfo = {
-                          damage: damage,
-                          isHeadshot: isHeadshot // Pass the boolean flag
-                      };
+             if (this.runStats) {
+                  if (!shot.volley.hasHit) {
+                       shot.volley.hasHit = true;
+                       this.runStats.recordShotHit();
+                  }
+                  this.runStats.recordHit(enemyType, Math.min(damage, Math.max(0, healthBefore)), isHeadshot);
+                  if (result && result.isDead) {
+                       this.runStats.recordKill(enemyType);
+                  }
+             }
 
-                      // Apply damage and get result
-                      const result = enemyInstance.takeDamage(damageInfo);
-                      console.log(`DEBUG-DAMAGE: Enemy damage result:`, result);
+             // Always create blood splatter on hit
+             this.createBloodSplatter(hit);
 
-                      // Always create blood splatter on hit
-                      this.createBloodSplatter(hit);
+             // Check for killing blow and headshot status for points and effects
+             if (result && result.isDead) {
+                  console.log(`${enemyType} killed!`);
 
-                      // Check for killing blow and headshot status for points and effects
-                      if (result && result.isDead) {
-                           console.log(`${enemyType} ${enemyBodyUUID} killed!`);
+                  if (result.wasHeadshot) {
+                       // Killing blow was a headshot
+                       console.log("Killing blow was a HEADSHOT!");
 
-                           let pointsAwarded = 100; // Base points for a kill
+                       // Play headshot sound only on killing headshot
+                       this.playHeadshotSound();
 
-                           if (result.wasHeadshot) {
-                                // Killing blow was a headshot
-                                console.log("Killing blow was a HEADSHOT!");
-                                pointsAwarded *= multiplier; // Apply multiplier to points
+                       // Display headshot message only on killing headshot
+                       this.displayHeadshotMessage();
+                  } else {
+                       console.log("Killing blow was a normal hit.");
+                  }
 
-                                // Play headshot sound only on killing headshot
-                                if (this.headshotSound) {
-                                    this.headshotSound.currentTime = 0;
-                                    this.headshotSound.play().catch(error => {
-                                        console.log("Error playing headshot sound:", error);
-                                    });
-                                }
+                  if (this.achievements) {
+                       this.achievements.onKill(result.wasHeadshot);
+                  }
 
-                                // Display headshot message only on killing headshot
-                                this.displayHeadshotMessage();
-                                
-                                // Increment consecutive headshots counter
-                                this.consecutiveHeadshots++;
-                                console.log(`Consecutive headshots: ${this.consecutiveHeadshots}`);
-                                
-                                // Check if player achieved the headshot streak
-                                if (this.consecutiveHeadshots >= this.headshotStreakTarget) {
-                                    // Award bonus points
-                                    if (this.playerController && typeof this.playerController.addScore === 'function') {
-                                        this.playerController.addScore(this.headshotStreakBonus);
-                                        console.log(`HEADSHOT STREAK BONUS! Awarded ${this.headshotStreakBonus} points.`);
-                                    }
-                                    // Display streak message
-                                    this.displayHeadshotStreakMessage();
-                                    // Reset streak counter after awarding
-                                    this.consecutiveHeadshots = 0;
-                                }
+                  // Points come from the scoring rules (ScoringRules.js)
+                  if (this.scoreManager) {
+                       const award = this.scoreManager.scoreKill(enemyType, result.wasHeadshot);
+                       console.log(`Awarded ${award.total} points.`);
 
-                           } else {
-                                console.log("Killing blow was a normal hit.");
+                       if (award.headshotStreak) {
+                           // Display streak message
+                           this.displayHeadshotStreakMessage();
+                           // Music stinger for the streak
+                           if (this.playerController && this.playerController.engine) {
+                               this.playerController.engine.musicDirector.playStinger('headshotStreak');
                            }
+                       }
+                  } else {
+                       console.warn("ScoreManager not set, cannot award points.");
+                  }
+             } else if (isHeadshot) {
+                  // If it was a headshot but not a killing blow, still maybe show a hit marker?
+                  // this.createHeadshotHitMarker(hit.point); // Re-enable if desired for non-killing headshots
+                  console.log("Registered a non-killing headshot.");
+             }
 
-                           // Award points
-                           if (this.playerController && typeof this.playerController.addScore === 'function') {
-                                this.playerController.addScore(pointsAwarded);
-                                console.log(`Awarded ${pointsAwarded} points.`);
-                           } else {
-                                console.warn("PlayerController or addScore method not found, cannot award points.");
-                           }
-                      } else if (isHeadshot) {
-                           // If it was a headshot but not a killing blow, still maybe show a hit marker?
-                           // this.createHeadshotHitMarker(hit.point); // Re-enable if desired for non-killing headshots
-                           console.log("Registered a non-killing headshot.");
-                      }
-
-                      hitDetected = true;
-                      break; // Stop checking after hitting the first valid enemy
-                 } else if (hit.object.userData && hit.object.userData.isHitbox) {
-                     // --- Hit an Enemy Hitbox directly (might happen if main mesh check fails) ---
-                     // Try to find the parent enemy instance
-                     let parentObject = hit.object.parent;
-                     let enemyInstance = null;
-                     let enemyBodyUUID = null;
-                     let enemyType = null;
-
-                     while (parentObject && !enemyInstance) {
-                         if (parentObject.userData && parentObject.userData.isLokitoMesh && parentObject.userData.lokitoBodyUUID) {
-                              enemyBodyUUID = parentObject.userData.lokitoBodyUUID;
-                              enemyType = 'Lokito';
-                         } else if (parentObject.userData && parentObject.userData.isDNBMesh && parentObject.userData.dnbBodyUUID) {
-                              enemyBodyUUID = parentObject.userData.dnbBodyUUID;
-                              enemyType = 'DNB';
-                         }
-
-                         if (enemyBodyUUID) {
-                              const body = this.physicsWorld.bodies.get(enemyBodyUUID);
-                              if (body && body.userData && (body.userData.lokitoInstance || body.userData.dnbInstance)) {
-                                   enemyInstance = body.userData.lokitoInstance || body.userData.dnbInstance;
-                                   break;
-                              }
-                         }
-                         parentObject = parentObject.parent;
-                     }
-
-                     if (enemyInstance && enemyInstance.isInitialized) {
-                         console.log(`Direct Hitbox Hit on ${enemyType}: ${enemyBodyUUID}`);
-                         // Duplicate logic from above (Refactor opportunity later)
-                         let isHeadshot = false;
-                         let multiplier = 1.0;
-                         const hitboxType = hit.object.userData.hitboxType || 'Default';
-                         console.log(`Direct Hitbox Type='${hitboxType}'`);
-
-                         if (hitboxType === 'Headshot') {
-                              isHeadshot = true;
-                              const multiplierStr = hit.object.userData.damageMultiplier || '1x';
-                              const parsedMultiplier = parseFloat(multiplierStr.replace('x', ''));
-                              if (!isNaN(parsedMultiplier)) {
-                                  multiplier = parsedMultiplier;
-                              }
-                              console.log(`Direct Headshot! Multiplier: ${multiplier}x`);
-                         } else {
-                              const multiplierStr = hit.object.userData.damageMultiplier || '1x';
-                              const parsedMultiplier = parseFloat(multiplierStr.replace('x', ''));
-                              if (!isNaN(parsedMultiplier)) {
-                                  multiplier = parsedMultiplier;
-                                  console.log(`Direct Non-Headshot '${hitboxType}'! Multiplier: ${multiplier}x`);
-                              }
-                         }
-
-                         let damage = this.bulletDamage * multiplier;
-                         const damageInfo = { damage: damage, isHeadshot: isHeadshot };
-                         const result = enemyInstance.takeDamage(damageInfo);
-                         console.log(`DEBUG-DAMAGE (Direct Hitbox): Enemy damage result:`, result);
-                         this.createBloodSplatter(hit);
-
-                         if (result && result.isDead) {
-                              console.log(`${enemyType} ${enemyBodyUUID} killed! (Direct Hitbox)`);
-                              let pointsAwarded = 100;
-                              if (result.wasHeadshot) {
-                                   console.log("Killing blow was a HEADSHOT! (Direct Hitbox)");
-                                   pointsAwarded *= multiplier;
-                                   if (this.headshotSound) { this.headshotSound.currentTime = 0; this.headshotSound.play().catch(e => console.log(e)); }
-                                   this.displayHeadshotMessage();
-                                   
-                                   // Increment consecutive headshots counter (Direct Hitbox)
-                                   this.consecutiveHeadshots++;
-                                   console.log(`Consecutive headshots: ${this.consecutiveHeadshots}`);
-                                   
-                                   // Check if player achieved the headshot streak
-                                   if (this.consecutiveHeadshots >= this.headshotStreakTarget) {
-                                       // Award bonus points
-                                       if (this.playerController && typeof this.playerController.addScore === 'function') {
-                                           this.playerController.addScore(this.headshotStreakBonus);
-                                           console.log(`HEADSHOT STREAK BONUS! Awarded ${this.headshotStreakBonus} points.`);
-                                       }
-                                       // Display streak message
-                                       this.displayHeadshotStreakMessage();
-                                       // Reset streak counter after awarding
-                                       this.consecutiveHeadshots = 0;
-                                   }
-                              } else { console.log("Killing blow normal. (Direct Hitbox)"); }
-                              if (this.playerController && typeof this.playerController.addScore === 'function') {
-                                   this.playerController.addScore(pointsAwarded);
-                                   console.log(`Awarded ${pointsAwarded} points. (Direct Hitbox)`);
-                              } else { console.warn("PlayerController/addScore missing. (Direct Hitbox)"); }
-                         } else if (isHeadshot) {
-                              console.log("Registered non-killing headshot. (Direct Hitbox)");
-                         }
-                         hitDetected = true;
-                         break;
-                     } else {
-                         console.log("Hit a hitbox but couldn't find associated enemy instance.");
-                         // Hit something else, maybe environment
-                         break; // Stop checking after hitting the first valid non-enemy surface
-                     }
-
-                 } else if (!hit.object.userData.isBullet) {
-                      // --- Hit a Non-Enemy Surface ---
-                      // Show hit marker on surfaces too - REMOVED
-                      break; // Stop checking after hitting the first valid surface
-                 }
-            }
+             return hit.distance; // Stop checking after hitting the first valid enemy
         }
 
-        console.log(`[WeaponSystem] After raycast loop, hitDetected = ${hitDetected}`);
-        // Only create a bullet if the raycast didn't hit a valid enemy target
-        if (!hitDetected) {
-             console.log("[WeaponSystem] Hit not detected or invalid, creating visual bullet.");
-            // --- Bullet Creation Logic --- 
-            const bulletGeometry = new THREE.CylinderGeometry(0.018, 0.018, 0.084, 16);
-            const bulletMaterial = new THREE.MeshStandardMaterial({ 
-                color: 0xFFD700, // Gold color
-                roughness: 0.1,  // Lower roughness for shinier appearance
-                metalness: 1.0,  // Full metalness for metallic look
-                emissive: 0xAA8500, // Subtle gold emissive color
-                emissiveIntensity: 0.4 // Lower intensity for metallic look
-            });
-            const bulletMesh = new THREE.Mesh(bulletGeometry, bulletMaterial);
-            
-            // Set bullet userData flag to ignore mesh view toggle
-            bulletMesh.userData.isBullet = true;
-            bulletMesh.userData.ignoresMeshToggle = true;
-            
-            // Position bullet at the end of the pistol barrel
-            const bulletPosition = new THREE.Vector3(0, 0, -0.5);
-            bulletPosition.applyQuaternion(this.camera.quaternion);
-            bulletPosition.add(this.camera.position);
-            
-            bulletMesh.position.copy(bulletPosition);
-            
-            // FIXED APPROACH: Use a more direct method to orient the bullet
-            // First, create a quaternion that aligns the cylinder with the forward direction
-            const bulletQuaternion = new THREE.Quaternion();
-            
-            // Create a rotation matrix that aligns the bullet with the camera direction
-            const rotationMatrix = new THREE.Matrix4();
-            const upVector = new THREE.Vector3(0, 1, 0);
-            rotationMatrix.lookAt(new THREE.Vector3(0, 0, 0), direction, upVector);
-            
-            // Extract the quaternion from the rotation matrix
-            bulletQuaternion.setFromRotationMatrix(rotationMatrix);
-            
-            // Apply an additional rotation to align the cylinder with the forward direction
-            // This ensures the circular side of the cylinder faces the crosshair
-            const cylinderRotation = new THREE.Quaternion();
-            cylinderRotation.setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
-            bulletQuaternion.multiply(cylinderRotation);
-            
-            // Apply the rotation to the bullet
-            bulletMesh.quaternion.copy(bulletQuaternion);
-            
-            // Add bullet to scene
-            this.physicsWorld.scene.add(bulletMesh);
-            
-            // Create bullet physics body
-            const bulletBody = this.physicsWorld.createBullet(bulletPosition);
-            
-            // Link the bullet mesh with its physics body
-            const bulletId = bulletBody.userData.id;
-            bulletMesh.userData.bulletId = bulletId;
-            
-            // Store bullet data
-            const bullet = {
-                mesh: bulletMesh,
-                body: bulletBody,
-                createdAt: currentTime,
-                lastSmokeTime: 0, // Track when we last spawned smoke for this bullet
-                initialDirection: direction.clone() // Store the initial direction for reference
-            };
-            
-            this.bullets.push(bullet);
-            
-            // Apply impulse to make bullets move
-            const impulse = {
-                x: direction.x * this.bulletSpeed * 2,
-                y: direction.y * this.bulletSpeed * 2,
-                z: direction.z * this.bulletSpeed * 2
-            };
-            
-            // Apply the impulse to the bullet body
-            bulletBody.applyImpulse(impulse, true);
-            
-            console.log("Bullet created with ID:", bulletId);
-        }
+        return null;
+    }
+    
+    // Spawn a simulated bullet for projectile weapons
+    // Rapier moves it (velocity + gravity); update() sweeps its path each frame to resolve hits
+    spawnProjectile(direction, shot, currentTime) {
+        // --- Bullet Creation Logic --- 
+        const bulletGeometry = new THREE.CylinderGeometry(0.018, 0.018, 0.084, 16);
+        const bulletMaterial = new THREE.MeshStandardMaterial({ 
+            color: 0xFFD700, // Gold color
+            roughness: 0.1,  // Lower roughness for shinier appearance
+            metalness: 1.0,  // Full metalness for metallic look
+            emissive: 0xAA8500, // Subtle gold emissive color
+            emissiveIntensity: 0.4 // Lower intensity for metallic look
+        });
+        const bulletMesh = new THREE.Mesh(bulletGeometry, bulletMaterial);
+        
+        // Set bullet userData flag to ignore mesh view toggle
+        bulletMesh.userData.isBullet = true;
+        bulletMesh.userData.ignoresMeshToggle = true;
+        
+        // Position bullet at the end of the pistol barrel
+        const bulletPosition = new THREE.Vector3(0, 0, -0.5);
+        bulletPosition.applyQuaternion(this.camera.quaternion);
+        bulletPosition.add(this.camera.position);
+        
+        bulletMesh.position.copy(bulletPosition);
+        
+        // FIXED APPROACH: Use a more direct method to orient the bullet
+        // First, create a quaternion that aligns the cylinder with the forward direction
+        const bulletQuaternion = new THREE.Quaternion();
+        
+        // Create a rotation matrix that aligns the bullet with the camera direction
+        const rotationMatrix = new THREE.Matrix4();
+        const upVector = new THREE.Vector3(0, 1, 0);
+        rotationMatrix.lookAt(new THREE.Vector3(0, 0, 0), direction, upVector);
+        
+        // Extract the quaternion from the rotation matrix
+        bulletQuaternion.setFromRotationMatrix(rotationMatrix);
+        
+        // Apply an additional rotation to align the cylinder with the forward direction
+        // This ensures the circular side of the cylinder faces the crosshair
+        const cylinderRotation = new THREE.Quaternion();
+        cylinderRotation.setFromAxisAngle(new THREE.Vector3(1, 0, 0), Math.PI / 2);
+        bulletQuaternion.multiply(cylinderRotation);
+        
+        // Apply the rotation to the bullet
+        bulletMesh.quaternion.copy(bulletQuaternion);
+        
+        // Add bullet to scene
+        this.physicsWorld.scene.add(bulletMesh);
+        
+        // Create bullet physics body - a sensor, so it flies through walls and hits are resolved by traceShot()
+        const bulletBody = this.physicsWorld.createBullet(bulletPosition, {
+            gravityScale: shot.ballistics.gravityScale,
+            linearDamping: 0,
+            sensor: true
+        });
+        
+        // Link the bullet mesh with its physics body
+        const bulletId = bulletBody.userData.id;
+        bulletMesh.userData.bulletId = bulletId;
+        
+        // Store bullet data
+        const bullet = {
+            mesh: bulletMesh,
+            body: bulletBody,
+            createdAt: currentTime,
+            lastSmokeTime: 0, // Track when we last spawned smoke for this bullet
+            initialDirection: direction.clone(), // Store the initial direction for reference
+            shot: shot,
+            lastPosition: this.camera.position.clone(), // First sweep starts at the camera so close enemies aren't skipped
+            isFirstSegment: true,
+            isFinished: false
+        };
+        
+        this.bullets.push(bullet);
+        
+        // Launch at the weapon's muzzle velocity
+        const speed = shot.ballistics.muzzleVelocity;
+        bulletBody.setLinvel({ x: direction.x * speed, y: direction.y * speed, z: direction.z * speed }, true);
+        
+        console.log("Projectile created with ID:", bulletId);
     }
     
     createBloodSplatter(hit) {
@@ -898,11 +1076,16 @@ export class WeaponSystem {
     update(deltaTime) {
         const currentTime = Date.now();
         
+        // Automatic weapons keep firing while the trigger is held (shoot() enforces the fire rate)
+        if (this.isTriggerHeld && this.currentWeapon && this.currentWeapon.definition.automatic) {
+            this.shoot();
+        }
+        
         // Always update the base position and rotation to ensure the gun stays fixed relative to the camera
         this.updateBasePositionAndRotation();
         
         // If not recoiling, update the pistol position to match the base position
-        if (!this.isRecoiling) {
+        if (!this.isRecoiling && this.pistolMesh) {
             if (this.basePistolPosition && this.basePistolRotation) {
                 this.pistolMesh.position.copy(this.basePistolPosition);
                 this.pistolMesh.quaternion.copy(this.basePistolRotation);
@@ -939,6 +1122,23 @@ export class WeaponSystem {
             const position = bullet.body.translation();
             bullet.mesh.position.set(position.x, position.y, position.z);
             
+            // Sweep the path travelled since last frame for enemy and wall hits
+            if (bullet.shot && !bullet.isFinished) {
+                const segment = bullet.mesh.position.clone().sub(bullet.lastPosition);
+                const segmentLength = segment.length();
+                if (segmentLength > 0) {
+                    bullet.isFinished = this.traceShot(
+                        bullet.shot,
+                        bullet.lastPosition,
+                        segment.normalize(),
+                        segmentLength,
+                        bullet.isFirstSegment ? 0.6 : 0
+                    );
+                    bullet.isFirstSegment = false;
+                    bullet.lastPosition.copy(bullet.mesh.position);
+                }
+            }
+            
             // Update bullet orientation to match its velocity direction
             const velocity = bullet.body.linvel();
             if (velocity.x !== 0 || velocity.y !== 0 || velocity.z !== 0) {
@@ -987,9 +1187,9 @@ export class WeaponSystem {
             }
         });
         
-        // Remove bullets that have exceeded their lifetime
+        // Remove bullets that hit something or have exceeded their lifetime
         this.bullets = this.bullets.filter(bullet => {
-            if (currentTime - bullet.createdAt > this.bulletLifetime) {
+            if (bullet.isFinished || currentTime - bullet.createdAt > this.bulletLifetime) {
                 this.physicsWorld.scene.remove(bullet.mesh);
                 this.physicsWorld.removeBody(bullet.body);
                 return false;
@@ -1045,20 +1245,17 @@ export class WeaponSystem {
         
         console.log(`Checking headshot for ${enemyType} at: ${hitPoint.x.toFixed(2)}, ${hitPoint.y.toFixed(2)}, ${hitPoint.z.toFixed(2)}`);
         
-        // First check the enemy mesh directly
-        if (this.physicsWorld && this.physicsWorld.scene) {
-            // Find all active enemies in the scene
-            this.physicsWorld.scene.traverse((object) => {
-                // Check for Lokito or DNB meshes
-                if ((object.userData && object.userData.isLokitoMesh && enemyType === 'Lokito') ||
-                    (object.userData && object.userData.isDNBMesh && enemyType === 'DNB')) {
+        // Check the registered hitboxes of every enemy of this type
+        if (this.physicsWorld && this.physicsWorld.hitboxRegistry) {
+            this.physicsWorld.hitboxRegistry.getAllEntries().forEach((entry) => {
+                if (entry.enemyType === enemyType) {
                     
                     console.log(`Found ${enemyType} mesh, checking for hitboxes...`);
                     
                     // Check if this object has hitbox children
                     let hitboxFound = false;
                     
-                    object.traverse((child) => {
+                    entry.hitboxes.forEach((child) => {
                         if (child.userData && child.userData.isHitbox) {
                             hitboxFound = true;
                             
@@ -1266,12 +1463,7 @@ export class WeaponSystem {
         }
         
         // Play headshot sound
-        if (this.headshotSound) {
-            this.headshotSound.currentTime = 0;
-            this.headshotSound.play().catch(error => {
-                console.log("Error playing headshot sound:", error);
-            });
-        }
+        this.playHeadshotSound();
         
         // Display "HEADSHOT" text on screen
         this.displayHeadshotMessage();
@@ -1347,6 +1539,12 @@ export class WeaponSystem {
     setGameActive(active) {
         this.gameActive = active;
         
+        // Show the ammo counter while the game is running
+        if (this.ammoDisplay) {
+            this.ammoDisplay.style.display = active ? 'block' : 'none';
+            this.updateAmmoDisplay();
+        }
+        
         // Make sure pistol is visible when game becomes active
         if (active && this.pistolMesh) {
             console.log("Game active - ensuring pistol visibility");
@@ -1360,63 +1558,91 @@ export class WeaponSystem {
         
         // Disable bullet sounds when game is over
         if (isOver) {
-            // Mute and stop the gunshot sound
-            if (this.gunshotSound) {
-                this.gunshotSound.volume = 0;
-                this.gunshotSound.pause();
-                this.gunshotSound.currentTime = 0;
-            }
-            
-            // Mute and stop the reload sound
-            if (this.reloadSound) {
-                this.reloadSound.volume = 0;
-                this.reloadSound.pause();
-                this.reloadSound.currentTime = 0;
-            }
+            // Cut off a reload in progress (gunshots are already skipped while game over)
+            this.stopReloadSound();
+            this.isTriggerHeld = false;
             
             // Remove event listeners to prevent shooting
             this.removeEventListeners();
-            
-            // Clear any existing bullets
-            this.bullets.forEach(bullet => {
-                if (bullet.mesh) {
-                    this.physicsWorld.scene.remove(bullet.mesh);
-                }
-                if (bullet.body) {
-                    this.physicsWorld.removeBody(bullet.body);
-                }
-            });
-            this.bullets = [];
-            
-            // Clear particles
-            this.particles.forEach(particle => {
-                if (particle.mesh) {
-                    this.physicsWorld.scene.remove(particle.mesh);
-                }
-            });
-            this.particles = [];
-            
-            // Clear smoke trails
-            this.smokeTrails.forEach(smoke => {
-                if (smoke.mesh) {
-                    this.physicsWorld.scene.remove(smoke.mesh);
-                }
-            });
-            this.smokeTrails = [];
+
+            this.clearProjectiles();
         } else {
-            // Restore original volume when game is not over
-            if (this.gunshotSound) {
-                this.gunshotSound.volume = 0.5;
-            }
-            
-            if (this.reloadSound) {
-                this.reloadSound.volume = 0.7;
-            }
-            
             // Re-add event listeners
             this.setupEventListeners();
         }
     }
+
+    // Remove every bullet, blood particle and smoke puff from the scene
+    clearProjectiles() {
+        // Clear any existing bullets
+        this.bullets.forEach(bullet => {
+            if (bullet.mesh) {
+                this.physicsWorld.scene.remove(bullet.mesh);
+            }
+            if (bullet.body) {
+                this.physicsWorld.removeBody(bullet.body);
+            }
+        });
+        this.bullets = [];
+
+        // Clear particles
+        this.particles.forEach(particle => {
+            if (particle.mesh) {
+                this.physicsWorld.scene.remove(particle.mesh);
+            }
+        });
+        this.particles = [];
+
+        // Clear smoke trails
+        this.smokeTrails.forEach(smoke => {
+            if (smoke.mesh) {
+                this.physicsWorld.scene.remove(smoke.mesh);
+            }
+        });
+        this.smokeTrails = [];
+    }
+
+    // New run (Engine.restartGame) - full magazines and starting reserves, pistol in hand,
+    // no projectiles left in the world and shooting enabled again
+    resetRun() {
+        this.cancelReload();
+        this.isTriggerHeld = false;
+        this.isRecoiling = false;
+        this.setFastReload(false);
+        this.clearProjectiles();
+
+        this.weapons.forEach(weapon => {
+            weapon.bulletsFired = 0;
+            weapon.reserveAmmo = weapon.definition.startingReserve;
+        });
+        this.equipWeapon(0);
+        this.updateAmmoDisplay();
+
+        if (this.isGameOver) {
+            this.setGameOver(false);
+        }
+    }
+
+    // Magazine and reserve of every weapon in the loadout (SaveManager)
+    getSaveData() {
+        return this.weapons.map(weapon => ({
+            id: weapon.definition.id,
+            bulletsFired: weapon.bulletsFired,
+            reserveAmmo: weapon.reserveAmmo
+        }));
+    }
+
+    applySaveData(savedWeapons) {
+        savedWeapons.forEach(saved => {
+            const weapon = this.weapons.find(entry => entry.definition.id === saved.id);
+            if (!weapon) return; // Weapon no longer in the loadout
+
+            const definition = weapon.definition;
+            weapon.bulletsFired = Math.max(0, Math.min(definition.magazineSize, saved.bulletsFired));
+            weapon.reserveAmmo = Math.max(0, Math.min(definition.maxReserve, saved.reserveAmmo));
+        });
+        this.updateAmmoDisplay();
+    }
     
     setupEventListeners() {
         // Remove any existing listeners first
@@ -1424,62 +1650,102 @@ export class WeaponSystem {
         
         // Only add listeners if not game over
         if (!this.isGameOver) {
-            // Listen for mouse clicks to shoot
-            document.addEventListener('mousedown', this.shoot);
+            // Scroll wheel cycles through weapons
+            document.addEventListener('wheel', this.handleWheel);
             
-            // Add 'R' key for manual reload
-            document.addEventListener('keydown', this.handleKeyDown);
+            if (this.input) {
+                this.inputSubscriptions = [
+                    // Shoot (held for automatic weapons)
+                    this.input.on('fire', this.handleFirePressed),
+                    this.input.onRelease('fire', this.handleFireReleased),
+                    // Manual reload
+                    this.input.on('reload', this.reload),
+                    this.input.on('next_weapon', () => this.switchWeaponBy(1)),
+                    this.input.on('previous_weapon', () => this.switchWeaponBy(-1)),
+                    this.input.on('toggle_debug', this.toggleHitboxVisibility)
+                ];
+            }
         }
     }
     
     removeEventListeners() {
-        document.removeEventListener('mousedown', this.shoot);
-        document.removeEventListener('keydown', this.handleKeyDown);
+        document.removeEventListener('wheel', this.handleWheel);
+        this.inputSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.inputSubscriptions = [];
     }
     
-    handleKeyDown(event) {
-        if (event.key === 'r' || event.key === 'R') {
-            this.reload();
-        } else if (event.key === 'm' || event.key === 'M') {
-            // Toggle hitbox visibility when 'm' is pressed
-            this.toggleHitboxVisibility();
+    handleFirePressed() {
+        this.isTriggerHeld = true;
+        this.shoot();
+    }
+    
+    handleFireReleased() {
+        this.isTriggerHeld = false;
+    }
+    
+    handleWheel(event) {
+        if (event.deltaY === 0) return;
+        this.switchWeaponBy(event.deltaY > 0 ? 1 : -1);
+    }
+    
+    // Next / previous weapon from the wheel or the weapon actions, rate limited
+    switchWeaponBy(direction) {
+        if (this.isGameOver || !this.gameActive) return;
+        
+        const currentTime = Date.now();
+        if (currentTime - this.lastWeaponSwitchTime < this.weaponSwitchCooldown) {
+            return;
         }
+        this.lastWeaponSwitchTime = currentTime;
+        
+        this.cycleWeapon(direction);
     }
     
     reload() {
         if (this.isReloading) return;
         
+        // Nothing to do if the magazine is full or there is no reserve to draw from
+        const weapon = this.currentWeapon;
+        if (weapon.bulletsFired === 0 || weapon.reserveAmmo <= 0) {
+            return;
+        }
+        
         this.isReloading = true;
         console.log("Reloading...");
         
-        // Play reload sound
-        this.reloadSound.currentTime = 0;
-        
-        // Speed up the reload sound if fast reload is active
+        // Play reload sound, sped up if fast reload is active
+        let reloadPlaybackRate = 1.0;
         if (this.hasSuperFastReload) {
-            this.reloadSound.playbackRate = 5.7; // Play sound 5.7x faster
+            reloadPlaybackRate = 5.7; // Play sound 5.7x faster
         } else if (this.hasFastReload) {
-            this.reloadSound.playbackRate = 2.8; // Play sound 2.8x faster
-        } else {
-            this.reloadSound.playbackRate = 1.0; // Normal playback rate
+            reloadPlaybackRate = 2.8; // Play sound 2.8x faster
         }
         
-        this.reloadSound.play();
+        this.stopReloadSound();
+        this.reloadSoundRequest = this.playWeaponSound('reload', { playbackRate: reloadPlaybackRate });
         
-        // Set reload time based on perk
-        let reloadTime = this.normalReloadTime;
+        // Set reload time based on the weapon, scaled by the perk speed-up
+        let reloadTime = this.currentWeapon.definition.reloadTime;
         if (this.hasSuperFastReload) {
-            reloadTime = this.superFastReloadTime;
+            reloadTime *= this.superFastReloadTime / this.normalReloadTime;
         } else if (this.hasFastReload) {
-            reloadTime = this.fastReloadTime;
+            reloadTime *= this.fastReloadTime / this.normalReloadTime;
         }
         
         // Store the timeout ID so we can cancel it if needed
         this.reloadTimeout = setTimeout(() => {
             this.isReloading = false;
-            this.bulletsFired = 0;
-            console.log("Reload complete");
+            
+            // Move rounds from the reserve into the magazine
+            const roundsLoaded = Math.min(weapon.bulletsFired, weapon.reserveAmmo);
+            weapon.reserveAmmo -= roundsLoaded;
+            weapon.bulletsFired -= roundsLoaded;
+            this.updateAmmoDisplay();
+            
+            console.log(`${weapon.definition.name} reload complete (${this.getMagazineAmmo(weapon)}/${weapon.reserveAmmo})`);
         }, reloadTime);
+        
+        this.updateAmmoDisplay();
     }
 
     cancelReload() {
@@ -1491,13 +1757,11 @@ export class WeaponSystem {
             }
             
             // Stop the reload sound
-            if (this.reloadSound) {
-                this.reloadSound.pause();
-                this.reloadSound.currentTime = 0;
-            }
+            this.stopReloadSound();
             
             // Reset reload state
             this.isReloading = false;
+            this.updateAmmoDisplay();
             console.log("Reload cancelled");
         }
     }
@@ -1585,11 +1849,43 @@ export class WeaponSystem {
         this.hasFastReload = enabled;
         this.hasSuperFastReload = superFast;
         console.log(`Fast reload ${enabled ? (superFast ? 'super fast' : 'enabled') : 'disabled'}`);
+    }
+    
+    // Play one of the current weapon's sounds ('fire', 'reload' or 'dryFire') on the SFX bus
+    // at the volume from its definition. Resolves to the playing source or null.
+    playWeaponSound(soundName, options = {}) {
+        if (!this.audioManager || !this.currentWeapon) return Promise.resolve(null);
+        
+        const sounds = this.currentWeapon.definition.sounds;
+        return this.audioManager.playOneShot(sounds[soundName], {
+            bus: 'sfx',
+            volume: sounds[`${soundName}Volume`],
+            ...options
+        }).catch(error => {
+            console.log(`Error playing ${soundName} sound:`, error);
+            return null;
+        });
+    }
+    
+    stopReloadSound() {
+        if (!this.reloadSoundRequest) return;
+        
+        this.reloadSoundRequest.then(source => {
+            if (!source) return;
+            try {
+                source.stop();
+            } catch (e) {
+                // Already finished
+            }
+        });
+        this.reloadSoundRequest = null;
+    }
+    
+    playHeadshotSound() {
+        if (!this.audioManager) return;
         
-        // Reset playback rate when toggling the perk
-        if (!enabled) {
-            this.reloadSound.playbackRate = 1.0;
-        }
+        this.audioManager.playOneShot(this.headshotSoundPath, { bus: 'voice', volume: 0.9 })
+            .catch(error => console.log("Error playing headshot sound:", error));
     }
 
     // Completely rewritten recoil effect
@@ -1604,15 +1900,16 @@ export class WeaponSystem {
         this.isRecoiling = true;
         this.recoilStartTime = Date.now();
         
-        // Calculate recoil offset (slightly backward)
-        const recoilOffset = new THREE.Vector3(0, 0, 0.3);
+        // Calculate recoil offset (slightly backward) from the weapon's recoil profile
+        const recoil = this.currentWeapon.definition.recoil;
+        const recoilOffset = new THREE.Vector3(0, 0, recoil.kickBack);
         recoilOffset.applyQuaternion(this.camera.quaternion);
         
         // Apply recoil offset immediately
         this.pistolMesh.position.add(recoilOffset);
         
-        // Create a rotation for the recoil (20 degrees up - FIXED: negative value for upward rotation)
-        const recoilRotation = new THREE.Euler(THREE.MathUtils.degToRad(-20), 0, 0);
+        // Create a rotation for the recoil (pitch up - FIXED: negative value for upward rotation)
+        const recoilRotation = new THREE.Euler(THREE.MathUtils.degToRad(-recoil.pitch), 0, 0);
         const recoilQuaternion = new THREE.Quaternion();
         recoilQuaternion.setFromEuler(recoilRotation);
         
@@ -1632,6 +1929,8 @@ export class WeaponSystem {
         
         const startTime = Date.now();
         const duration = this.recoilDuration;
+        const recoil = this.currentWeapon.definition.recoil;
+        const recoilMesh = this.pistolMesh;
         
         const animate = () => {
             const currentTime = Date.now();
@@ -1641,13 +1940,16 @@ export class WeaponSystem {
             // Use easing function for smoother animation
             const easedProgress = 1 - Math.pow(1 - progress, 3); // Cubic ease-out
             
+            // Stop if the weapon was switched mid-animation
+            if (this.pistolMesh !== recoilMesh) return;
+            
             // Calculate the recoil position (original position + recoil offset)
-            const recoilOffset = new THREE.Vector3(0, 0, 0.3);
+            const recoilOffset = new THREE.Vector3(0, 0, recoil.kickBack);
             recoilOffset.applyQuaternion(this.camera.quaternion);
             const recoilPosition = this.originalPistolPosition.clone().add(recoilOffset);
             
-            // Calculate the recoil rotation (original rotation + 20 degrees up - FIXED: negative value)
-            const recoilRotation = new THREE.Euler(THREE.MathUtils.degToRad(-20), 0, 0);
+            // Calculate the recoil rotation (original rotation + pitch up - FIXED: negative value)
+            const recoilRotation = new THREE.Euler(THREE.MathUtils.degToRad(-recoil.pitch), 0, 0);
             const recoilQuaternion = new THREE.Quaternion();
             recoilQuaternion.setFromEuler(recoilRotation);
             const recoilRotationQuat = this.originalPistolRotation.clone().multiply(recoilQuaternion);
@@ -1686,11 +1988,12 @@ export class WeaponSystem {
         // Store original camera position
         const originalCameraPosition = this.camera.position.clone();
         
-        // Calculate shake offset (reduced for more subtle effect)
+        // Calculate shake offset (amount comes from the weapon's recoil profile)
+        const shake = this.currentWeapon ? this.currentWeapon.definition.recoil.shake : 0.05;
         const shakeOffset = new THREE.Vector3(
-            (Math.random() - 0.5) * 0.05,
-            (Math.random() - 0.5) * 0.05,
-            (Math.random() - 0.5) * 0.05
+            (Math.random() - 0.5) * shake,
+            (Math.random() - 0.5) * shake,
+            (Math.random() - 0.5) * shake
         );
         
         // Apply shake offset
@@ -1736,10 +2039,14 @@ export class WeaponSystem {
         const cameraDirection = new THREE.Vector3(0, 0, -1);
         cameraDirection.applyQuaternion(this.camera.quaternion);
         
-        // Fixed offsets in camera space - adjusted for the new model
-        const rightOffset = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(0.55);
-        const downOffset = new THREE.Vector3(0, -1, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(0.5);
-        const forwardOffset = cameraDirection.clone().multiplyScalar(0.8);
+        // Offsets in camera space - defined per weapon model
+        const offset = this.currentWeapon.definition.model.offset;
+        const rightOffset = new THREE.Vector3(1, 0, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(offset.right);
+        const downOffset = new THREE.Vector3(0, -1, 0).applyQuaternion(this.camera.quaternion).multiplyScalar(offset.down);
+        const forwardOffset = cameraDirection.clone().multiplyScalar(offset.forward);
+        
+        // Scale the model appropriately
+        this.pistolMesh.scale.setScalar(this.currentWeapon.definition.model.scale);
         
         // Apply all offsets to position pistol in bottom right corner
         const pistolPosition = cameraPosition.clone()
@@ -2176,7 +2483,7 @@ export class WeaponSystem {
             message.style.opacity = '0';
             message.style.pointerEvents = 'none';
             message.style.zIndex = '1000';
-            message.textContent = '+500 HEADSHOT STREAK!';
+            message.textContent = `+${SCORING_RULES.headshotStreak.bonus} HEADSHOT STREAK!`;
             document.body.appendChild(message);
             this.headshotStreakMessage = message;
 
@@ -2205,11 +2512,9 @@ export class WeaponSystem {
         }
 
         // Play the headshot streak sound
-        if (this.headshotStreakSound) {
-            this.headshotStreakSound.currentTime = 0;
-            this.headshotStreakSound.play().catch(error => {
-                console.log("Error playing headshot streak sound:", error);
-            });
+        if (this.audioManager) {
+            this.audioManager.playOneShot(this.headshotStreakSoundPath, { bus: 'ui', volume: 0.8 })
+                .catch(error => console.log("Error playing headshot streak sound:", error));
         }
 
         // Trigger the CSS animation
@@ -2217,12 +2522,4 @@ export class WeaponSystem {
         void this.headshotStreakMessage.offsetWidth; // Force reflow
         this.headshotStreakMessage.classList.add('streak-animate');
     }
-    
-    // Reset headshot streak counter when player takes damage
-    resetHeadshotStreak() {
-        if (this.consecutiveHeadshots > 0) {
-            console.log(`Headshot streak reset: ${this.consecutiveHeadshots} -> 0`);
-            this.consecutiveHeadshots = 0;
-        }
-    }
 } 
\ No newline at end of file
@@ -0,0 +1,80 @@
+// Achievements tracked by AchievementManager.
+// Each one unlocks when a counter reaches its target:
+//
+// counter - what is counted (see AchievementManager for the game events behind each one):
+//   kills, headshotKills, cratesOpened, bossKills, flawlessNights - go up by one per event
+//   nightsSurvived  - nights survived in the run
+//   headshotsInARow - headshot kills in a row, back to 0 on a body shot kill or taking damage
+//   score           - score of the run
+// scope   - 'run': the counter starts from zero every run (the best run counts for progress)
+//           'lifetime': the counter adds up over every run ever played
+// target  - value the counter has to reach
+
+export const ACHIEVEMENTS = [
+    {
+        id: 'first_blood',
+        name: 'FIRST BLOOD',
+        description: 'Kill your first enemy',
+        counter: 'kills', scope: 'lifetime', target: 1
+    },
+    {
+        id: 'night_one',
+        name: 'SEE THE SUNRISE',
+        description: 'Survive your first night',
+        counter: 'nightsSurvived', scope: 'run', target: 1
+    },
+    {
+        id: 'survive_5_nights',
+        name: 'SURVIVOR',
+        description: 'Survive 5 nights in one run',
+        counter: 'nightsSurvived', scope: 'run', target: 5
+    },
+    {
+        id: 'survive_10_nights',
+        name: 'LAST ONE STANDING',
+        description: 'Survive 10 nights in one run',
+        counter: 'nightsSurvived', scope: 'run', target: 10
+    },
+    {
+        id: 'headshots_in_a_row',
+        name: 'DEADEYE',
+        description: 'Get 10 headshot kills in a row',
+        counter: 'headshotsInARow', scope: 'run', target: 10
+    },
+    {
+        id: 'flawless_night',
+        name: 'UNTOUCHABLE',
+        description: 'Survive a night without taking damage',
+        counter: 'flawlessNights', scope: 'lifetime', target: 1
+    },
+    {
+        id: 'open_20_crates',
+        name: 'SCAVENGER',
+        description: 'Open 20 crates',
+        counter: 'cratesOpened', scope: 'lifetime', target: 20
+    },
+    {
+        id: 'boss_kill',
+        name: 'GIANT SLAYER',
+        description: 'Kill a boss',
+        counter: 'bossKills', scope: 'lifetime', target: 1
+    },
+    {
+        id: 'kills_500',
+        name: 'EXTERMINATOR',
+        description: 'Kill 500 enemies',
+        counter: 'kills', scope: 'lifetime', target: 500
+    },
+    {
+        id: 'headshots_250',
+        name: 'HEAD HUNTER',
+        description: 'Get 250 headshot kills',
+        counter: 'headshotKills', scope: 'lifetime', target: 250
+    },
+    {
+        id: 'score_25000',
+        name: 'HIGH ROLLER',
+        description: 'Score 25000 points in one run',
+        counter: 'score', scope: 'run', target: 25000
+    }
+];
@@ -0,0 +1,181 @@
+import { ACHIEVEMENTS } from './AchievementDefinitions.js';
+
+const ACHIEVEMENTS_STORAGE_KEY = 'achievements';
+const TOAST_INTERVAL = 2500; // Milliseconds between unlock toasts when several unlock at once
+const TOAST_COLOR = '#FFD700';
+
+// Tracks progress towards the achievements in AchievementDefinitions.js from game events
+// (the on* methods) and unlocks them. Unlocks, lifetime counters and the best value of
+// every per-run counter are kept in localStorage so they carry over between sessions.
+// Unlocks are written straight away; counter progress is batched and written by flush()
+// (the Engine flushes at dawn and dusk, on pause, on game over and when the page is left).
+export class AchievementManager {
+    constructor(engine) {
+        this.engine = engine;
+        this.runCounters = {};
+        this.toastQueue = [];
+        this.isShowingToast = false;
+        this.hasUnsavedProgress = false; // Counters changed since the last persist()
+
+        const saved = this.load();
+        this.unlocked = saved.unlocked || {}; // id -> unlock time
+        this.lifetimeCounters = saved.lifetime || {};
+        this.bestRunCounters = saved.best || {};
+    }
+
+    load() {
+        try {
+            return JSON.parse(localStorage.getItem(ACHIEVEMENTS_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not load achievements:', error);
+            return {};
+        }
+    }
+
+    persist() {
+        try {
+            localStorage.setItem(ACHIEVEMENTS_STORAGE_KEY, JSON.stringify({
+                unlocked: this.unlocked,
+                lifetime: this.lifetimeCounters,
+                best: this.bestRunCounters
+            }));
+            this.hasUnsavedProgress = false;
+        } catch (error) {
+            console.warn('Could not save achievements:', error);
+        }
+    }
+
+    // Write counter progress that hasn't been saved yet
+    flush() {
+        if (this.hasUnsavedProgress) {
+            this.persist();
+        }
+    }
+
+    // New run (Engine.restartGame) - per-run counters start over
+    resetRun() {
+        this.runCounters = {};
+    }
+
+    // Per-run counters for a saved run (SaveManager)
+    getSaveData() {
+        return { ...this.runCounters };
+    }
+
+    // Anything these counters reached was already unlocked when the run was saved
+    applySaveData(data) {
+        this.runCounters = { ...(data || {}) };
+    }
+
+    // --- Game events ---
+
+    onKill(isHeadshot) {
+        this.increment('kills');
+        if (isHeadshot) {
+            this.increment('headshotKills');
+            this.setRunCounter('headshotsInARow', (this.runCounters.headshotsInARow || 0) + 1);
+        } else {
+            this.setRunCounter('headshotsInARow', 0);
+        }
+    }
+
+    onPlayerDamaged() {
+        this.setRunCounter('headshotsInARow', 0);
+    }
+
+    // Dawn after the given night
+    onNightSurvived(night, tookDamage) {
+        this.setRunCounter('nightsSurvived', night);
+        if (!tookDamage) {
+            this.increment('flawlessNights');
+        }
+    }
+
+    onCrateOpened() {
+        this.increment('cratesOpened');
+    }
+
+    onBossKilled() {
+        this.increment('bossKills');
+    }
+
+    onScoreChanged(score) {
+        this.setRunCounter('score', score);
+    }
+
+    // --- Counters ---
+
+    // Counts one event, for this run and for all time
+    increment(counter, amount = 1) {
+        this.lifetimeCounters[counter] = (this.lifetimeCounters[counter] || 0) + amount;
+        this.hasUnsavedProgress = true;
+        this.setRunCounter(counter, (this.runCounters[counter] || 0) + amount);
+    }
+
+    setRunCounter(counter, value) {
+        this.runCounters[counter] = value;
+        if (value > (this.bestRunCounters[counter] || 0)) {
+            this.bestRunCounters[counter] = value;
+            this.hasUnsavedProgress = true;
+        }
+        this.checkUnlocks(counter);
+    }
+
+    checkUnlocks(counter) {
+        ACHIEVEMENTS.forEach(achievement => {
+            if (achievement.counter !== counter || this.isUnlocked(achievement.id)) return;
+
+            const value = achievement.scope === 'run'
+                ? this.runCounters[counter] || 0
+                : this.lifetimeCounters[counter] || 0;
+            if (value >= achievement.target) {
+                this.unlock(achievement);
+            }
+        });
+    }
+
+    unlock(achievement) {
+        this.unlocked[achievement.id] = Date.now();
+        this.persist();
+        console.log(`Achievement unlocked: ${achievement.name}`);
+        this.toastQueue.push(achievement);
+        this.showNextToast();
+    }
+
+    isUnlocked(id) {
+        return !!this.unlocked[id];
+    }
+
+    getUnlockedCount() {
+        return ACHIEVEMENTS.filter(achievement => this.isUnlocked(achievement.id)).length;
+    }
+
+    // How far along an achievement is: lifetime total, or the best run for per-run counters
+    getProgress(achievement) {
+        if (this.isUnlocked(achievement.id)) return achievement.target;
+
+        const value = achievement.scope === 'run'
+            ? this.bestRunCounters[achievement.counter] || 0
+            : this.lifetimeCounters[achievement.counter] || 0;
+        return Math.min(value, achievement.target);
+    }
+
+    // --- Toasts ---
+
+    // One toast at a time, in the perk unlock style
+    showNextToast() {
+        if (this.isShowingToast || this.toastQueue.length === 0) return;
+
+        const achievement = this.toastQueue.shift();
+        const playerController = this.engine.playerController;
+        if (playerController && playerController.perkSystem) {
+            playerController.perkSystem.showUnlockToast('ACHIEVEMENT UNLOCKED', TOAST_COLOR, achievement.name);
+        }
+
+        this.isShowingToast = true;
+        setTimeout(() => {
+            this.isShowingToast = false;
+            this.showNextToast();
+        }, TOAST_INTERVAL);
+    }
+}
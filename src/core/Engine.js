@@ -5,7 +5,24 @@ import { Compass } from '../components/Compass.js';
 import { Lokito } from '../components/Lokito.js';
 import { DNB } from '../components/DNB.js';
 import { Crate } from '../components/Crate.js';
+import { SettingsMenu } from '../components/SettingsMenu.js';
+import { PauseMenu } from '../components/PauseMenu.js';
+import { TouchControls } from '../components/TouchControls.js';
 import { AudioManager } from '../audio/AudioManager.js';
+import { SOUND_MANIFEST } from '../audio/SoundManifest.js';
+import { MusicDirector } from '../audio/MusicDirector.js';
+import { WaveDirector } from './WaveDirector.js';
+import { SpawnPointManager } from './SpawnPointManager.js';
+import { GameSettings, TOUCH_DEVICE_DEFAULTS } from './GameSettings.js';
+import { InputManager, INPUT_ACTIONS, INPUT_GROUPS } from './InputManager.js';
+import { GamepadInput } from './GamepadInput.js';
+import { SaveManager } from './SaveManager.js';
+import { ScoreManager } from './ScoreManager.js';
+import { RunStats } from './RunStats.js';
+import { AchievementManager } from './AchievementManager.js';
+import { LeaderboardPanel } from '../components/LeaderboardPanel.js';
+import { RunReportPanel } from '../components/RunReportPanel.js';
+import { AchievementsPanel } from '../components/AchievementsPanel.js';
 import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 
@@ -14,19 +31,55 @@ export class Engine {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
+        this.settings = new GameSettings(); // Player options, applied live by applySetting()
+        // Phones and tablets get touch controls and a cheaper rendering path
+        this.isTouchDevice = TouchControls.isTouchDevice();
+        if (this.isTouchDevice) {
+            this.settings.setDeviceDefaults(TOUCH_DEVICE_DEFAULTS);
+        }
+        this.touchControls = null; // Created with the player on touch devices
+        this.settingsMenu = null; // Created the first time settings are opened
+        this.input = new InputManager(); // Key bindings for every game action (remappable in the controls panel)
+        this.gamepad = new GamepadInput(this); // Gamepad buttons feed the same actions, sticks move and look
         this.isRunning = false;
+        this.isPaused = false; // Simulation frozen behind the pause menu (see pause())
+        this.isResuming = false; // Waiting for the pointer lock before unpausing
+        this.pausedAt = 0;
+        this.pauseMenu = null; // Created the first time the game is paused
+        this.saveManager = new SaveManager(this); // Run in progress, kept in localStorage for Continue
+        this.pendingSave = null; // Save being continued, applied once its level is loaded (startGame)
         this.physicsWorld = null;
         this.playerController = null;
         this.weaponSystem = null;
         this.compass = null;
         this.clock = new THREE.Clock();
         this.enemies = [];
-        this.maxEnemies = 10;
-        this.spawnInterval = 5000;
-        this.lastSpawnTime = 0;
+        this.maxEnemies = 10; // Hard cap on enemies alive at once
+        this.waveDirector = null; // Created in initialize() - decides what spawns at night
         this.groundSize = 1000;
+        // Default enemy spawn distance rules (level files can override them per spawn set)
         this.spawnRadiusMax = 60;
         this.spawnRadiusMin = 20;
+        this.levelDataPath = 'assets/levels/code_veronica.json'; // Manifest of the loaded level
+        this.currentLevel = null; // Level manifest, set by LevelLoader
+        this.levelLoader = null;
+        
+        // Map picker and rotation (choices are remembered between sessions)
+        this.levelList = []; // Entries from the level index: { id, name, manifest, thumbnail }
+        this.selectedLevelId = localStorage.getItem('selectedLevel');
+        this.isRotationMode = localStorage.getItem('mapRotation') === 'true';
+        this.runLevelId = null; // Map the current run started on (for best scores)
+        this.isChangingLevel = false;
+        this.mapPickerElement = null;
+        this.mapCards = {}; // levelId -> card element
+        this.rotationButton = null;
+        this.spawnPoints = null; // SpawnPointManager, created once the physics world is set
+        
+        // Sky/fog per time of day (overridden by the level manifest)
+        this.ambientSettings = {
+            night: { background: 0x0A0A1A, fogDensity: 0.015 },
+            day: { background: 0x87CEEB, fogDensity: 0.01 }
+        };
         this.audioManager = new AudioManager();
         
         // Rain system properties
@@ -38,6 +91,8 @@ export class Engine {
         this.rainSoundPath = 'assets/sounds/si_rainsong_fx_rain_city_puddles_drips_patio_one_shot_zany.wav';
         this.rainCheckInterval = 30000; // Check every 30 seconds if rain should start/stop
         this.lastRainCheck = 0;
+        this.rainTime = 0; // Game time (ms) the rain schedule runs on, stands still while paused
+        this.rainStopTime = null; // rainTime at which the current rain stops on its own
         this.rainDuration = {min: 20000, max: 60000}; // Rain duration between 20-60 seconds
         this.rainChance = 0.3; // 30% chance of rain when checked
         this.activeRainSounds = []; // Track active rain sound sources
@@ -45,8 +100,8 @@ export class Engine {
         // Audio resources
         this.nightMusicPath = 'assets/sounds/ESM_SGAL_cinematic_fx_ambience_horror_loops_dark_street_full_sinister_soundscape_evil_cm.wav';
         this.dayMusicPath = 'assets/sounds/ept_syn_128_home_C.wav';
-        this.nightMusicBuffer = null;
-        this.dayMusicBuffer = null;
+        // Plays the day/night music sets as intensity-driven stems once the game starts
+        this.musicDirector = new MusicDirector(this.audioManager);
         
         // Day/night cycle properties
         this.isDaytime = false; // Start at night
@@ -64,13 +119,8 @@ export class Engine {
         this.enemyFadeDuration = 3; // Seconds to fade enemies
         this.fadingEnemies = []; // Store enemies being faded out
         
-        // Crate properties
+        // Crate properties (spawn positions come from the 'crates' spawn set)
         this.crates = [];
-        this.crateSpawnPositions = [
-            new THREE.Vector3(1.41, -1.50, 12.95),
-            new THREE.Vector3(1.71, -1.5, 7.74),
-            new THREE.Vector3(0.87, -1.5, -8.03)
-        ];
         this.crateDropSound = null;
         this.hasSpawnedCrates = false; // Flag to track if crates have been spawned in current day cycle
         this.crateSpawnDelay = 5; // Seconds to wait after day starts before spawning crates
@@ -85,8 +135,12 @@ export class Engine {
         // Days survived counter
         this.daysSurvived = 1;
         this.daysSurvivedElement = null;
-        this.scoreElement = null; // Add score element reference
-        this.playerScore = 0; // Track player score
+        this.scoreManager = null; // Score, kills and the local leaderboard - created in initialize()
+        this.leaderboardPanel = null; // Created the first time the leaderboard is opened
+        this.runStats = new RunStats(this); // Shooting, damage, movement and per-night stats of the run
+        this.runReportPanel = null; // Created the first time the run report is opened
+        this.achievements = new AchievementManager(this); // Unlocks and progress, kept in localStorage
+        this.achievementsPanel = null; // Created the first time the gallery is opened
     }
 
     async initialize() {
@@ -97,11 +151,11 @@ export class Engine {
         this.scene.background = new THREE.Color(0x0A0A1A); // Dark blue/black night sky
 
         // Initial fog (will be changed by day/night cycle)
-        this.scene.fog = new THREE.FogExp2(0x0A0A1A, 0.015); // Dark fog
+        this.scene.fog = new THREE.FogExp2(0x0A0A1A, 0.015 * this.settings.get('fogDensity')); // Dark fog
 
         // Create camera
         this.camera = new THREE.PerspectiveCamera(
-            75,
+            this.settings.get('fov'),
             window.innerWidth / window.innerHeight,
             0.1,
             1000
@@ -109,10 +163,7 @@ export class Engine {
         this.camera.position.set(0, 2, 0);
 
         // Create renderer
-        this.renderer = new THREE.WebGLRenderer({ antialias: false });
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.shadowMap.enabled = true;
-        this.renderer.outputColorSpace = THREE.SRGBColorSpace;
+        this.renderer = this.createRenderer();
         document.body.appendChild(this.renderer.domElement);
 
         // Add crosshair
@@ -127,24 +178,31 @@ export class Engine {
         // Initialize rain system
         this.createRainSystem();
         
+        // Wave director runs the enemy waves each night
+        this.waveDirector = new WaveDirector(this);
+        
         // Set initial environment (night time)
         this.setEnvironment(false);
 
-        // Load background music for night (initial state)
-        this.loadNightMusic();
-
-        // Also preload day music for smoother transition
-        this.preloadDayMusic();
+        // Load the night and day music sets (levels may swap them in applyLevelSettings)
+        this.musicDirector.loadSet('night', this.nightMusicPath);
+        this.musicDirector.loadSet('day', this.dayMusicPath);
 
         // Handle window resize
         window.addEventListener('resize', this.onWindowResize.bind(this));
         
-        // Add key event listener for displaying player coordinates
-        window.addEventListener('keydown', this.handleKeyDown.bind(this));
+        // Keep the run when the page is refreshed or closed
+        window.addEventListener('pagehide', () => this.saveRun());
+        
+        // Coordinates, rain and level authoring actions
+        this.setupInputActions();
 
         // Create UI elements for timer
         this.createTimerDisplay();
 
+        // Score counter and leaderboard
+        this.scoreManager = new ScoreManager(this);
+
         // Preload textures
         this.preloadTextures();
         
@@ -202,7 +260,8 @@ export class Engine {
             this.camera,
             this.renderer.domElement,
             this.physicsWorld,
-            this.audioManager
+            this.audioManager,
+            this.input
         );
         
         // Set engine reference in player controller
@@ -211,7 +270,9 @@ export class Engine {
         // Create weapon system
         this.weaponSystem = new WeaponSystem(
             this.camera,
-            this.physicsWorld
+            this.physicsWorld,
+            this.audioManager,
+            this.input
         );
         
         // Connect weapon system to player controller
@@ -219,6 +280,34 @@ export class Engine {
         
         // Set the playerController reference in the weaponSystem
         this.weaponSystem.playerController = this.playerController;
+        this.weaponSystem.scoreManager = this.scoreManager;
+        this.weaponSystem.runStats = this.runStats;
+        this.weaponSystem.achievements = this.achievements;
+        
+        // Settings that live on the player, then keep everything in sync with the settings menu
+        this.playerController.setMouseSensitivity(this.settings.get('mouseSensitivity'));
+        this.playerController.baseFov = this.settings.get('fov');
+        this.playerController.cameraShakeEnabled = this.settings.get('cameraShake');
+        this.settings.onChange((key, value) => this.applySetting(key, value));
+        this.gamepad.updatePlayerState();
+        
+        if (this.isTouchDevice) {
+            this.touchControls = new TouchControls(this);
+        }
+        
+        // Losing the pointer lock (Escape, alt-tab) pauses; getting it back finishes a resume
+        this.playerController.controls.addEventListener('unlock', () => this.pause());
+        this.playerController.controls.addEventListener('lock', () => {
+            if (this.isPaused) {
+                this.finishResume();
+            }
+        });
+        document.addEventListener('pointerlockerror', () => {
+            if (this.isResuming) {
+                this.isResuming = false;
+                this.pauseMenu.setMessage('The browser needs a moment - click RESUME again');
+            }
+        });
         
         // Create compass
         this.compass = new Compass(
@@ -236,10 +325,319 @@ export class Engine {
             this.scene.add(this.physicsWorld.groundWireframe);
         }
         
+        // Spawn points - the level's sets are applied by LevelLoader once the level colliders exist
+        this.spawnPoints = new SpawnPointManager(this.physicsWorld, {
+            minDistanceFromPlayer: this.spawnRadiusMin,
+            maxDistanceFromPlayer: this.spawnRadiusMax
+        });
+        
         // Ensure player position is set correctly after the controller is created
         this.setInitialPlayerPosition();
     }
     
+    // Apply the ambient and music settings of a level manifest (called by LevelLoader)
+    applyLevelSettings(manifest) {
+        const ambient = manifest.ambient || {};
+        if (ambient.night) this.ambientSettings.night = { ...this.ambientSettings.night, ...ambient.night };
+        if (ambient.day) this.ambientSettings.day = { ...this.ambientSettings.day, ...ambient.day };
+        if (ambient.rainChance !== undefined) this.rainChance = ambient.rainChance;
+        
+        // Swap the music if the level uses different tracks or stem sets
+        const music = manifest.music || {};
+        if (music.night && music.night !== this.nightMusicPath) {
+            this.nightMusicPath = music.night;
+            this.musicDirector.loadSet('night', music.night);
+        }
+        if (music.day && music.day !== this.dayMusicPath) {
+            this.dayMusicPath = music.day;
+            this.musicDirector.loadSet('day', music.day);
+        }
+        
+        // Re-apply the current time of day so the new sky and fog show up
+        this.applyAmbient();
+        
+        console.log(`Level settings applied for ${manifest.name}`);
+    }
+    
+    // Set the sky colour and fog for the current time of day
+    applyAmbient() {
+        const ambient = this.isDaytime ? this.ambientSettings.day : this.ambientSettings.night;
+        this.scene.background = new THREE.Color(ambient.background);
+        this.scene.fog = new THREE.FogExp2(new THREE.Color(ambient.background), ambient.fogDensity * this.settings.get('fogDensity'));
+    }
+    
+    // WebGL renderer set up from the graphics settings
+    createRenderer() {
+        const renderer = new THREE.WebGLRenderer({
+            antialias: this.settings.get('antialias'),
+            precision: this.isTouchDevice ? 'mediump' : 'highp'
+        });
+        // Touch devices render below CSS resolution, which is plenty on a small screen
+        renderer.setPixelRatio(this.isTouchDevice ? 0.75 : 1);
+        renderer.setSize(window.innerWidth, window.innerHeight);
+        renderer.shadowMap.enabled = this.settings.get('shadows');
+        renderer.outputColorSpace = THREE.SRGBColorSpace;
+        return renderer;
+    }
+    
+    // Anti-aliasing can only be chosen when a WebGL context is created, so swap in a new
+    // renderer (and canvas) and point the player's pointer lock at it
+    recreateRenderer() {
+        const oldRenderer = this.renderer;
+        this.renderer = this.createRenderer();
+        oldRenderer.domElement.replaceWith(this.renderer.domElement);
+        oldRenderer.dispose();
+        
+        if (this.playerController) {
+            this.playerController.setDomElement(this.renderer.domElement);
+        }
+        console.log(`Renderer recreated (antialias ${this.settings.get('antialias') ? 'on' : 'off'})`);
+    }
+    
+    // Apply a changed setting to the running game (GameSettings change listener)
+    applySetting(key, value) {
+        switch (key) {
+            case 'fov':
+                this.camera.fov = value;
+                this.camera.updateProjectionMatrix();
+                this.playerController.baseFov = value;
+                break;
+            case 'antialias':
+                this.recreateRenderer();
+                break;
+            case 'shadows':
+                this.renderer.shadowMap.enabled = value;
+                // Materials have to be recompiled to add or drop the shadow code
+                this.scene.traverse(object => {
+                    if (!object.material) return;
+                    const materials = Array.isArray(object.material) ? object.material : [object.material];
+                    materials.forEach(material => { material.needsUpdate = true; });
+                });
+                break;
+            case 'fogDensity':
+                this.applyAmbient();
+                break;
+            case 'mouseSensitivity':
+                this.playerController.setMouseSensitivity(value);
+                break;
+            case 'showCrosshair':
+                // Only visible while a game is running
+                if (this.crosshair && !this.startScreenOverlay) {
+                    this.crosshair.style.display = value ? 'block' : 'none';
+                }
+                break;
+            case 'cameraShake':
+                this.playerController.cameraShakeEnabled = value;
+                break;
+            case 'weather':
+                if (!value && this.isRaining) {
+                    this.stopRain();
+                }
+                break;
+        }
+    }
+    
+    // Freeze the game (physics, enemies, timers, rain, audio) and show the pause menu
+    pause() {
+        if (this.isPaused || !this.isRunning || !this.playerController || this.playerController.health <= 0) return;
+        
+        this.isPaused = true;
+        this.isResuming = false;
+        this.pausedAt = performance.now();
+        
+        // Let go of everything held and ignore game actions until resumed
+        this.input.setSuspended(true);
+        if (this.weaponSystem) {
+            this.weaponSystem.isTriggerHeld = false;
+        }
+        
+        this.audioManager.suspend();
+        this.stopRainSoundLoop();
+        this.clock.stop();
+        
+        if (this.touchControls) {
+            this.touchControls.hide();
+        }
+        if (this.playerController.controls.isLocked) {
+            this.playerController.controls.unlock();
+        }
+        
+        if (!this.pauseMenu) {
+            this.pauseMenu = new PauseMenu(this);
+        }
+        this.pauseMenu.show();
+        this.saveRun();
+        console.log('Game paused');
+    }
+    
+    resume() {
+        if (!this.isPaused) return;
+        
+        // Mouse players need the pointer back first - the 'lock' event finishes the resume
+        if (!this.touchControls && !this.playerController.isGamepadConnected) {
+            this.isResuming = true;
+            this.pauseMenu.setMessage('');
+            this.playerController.lock();
+            return;
+        }
+        
+        this.finishResume();
+    }
+    
+    finishResume() {
+        this.isPaused = false;
+        this.isResuming = false;
+        this.pauseMenu.hide();
+        
+        this.input.setSuspended(false);
+        this.audioManager.resume();
+        if (this.isRaining) {
+            this.startRainSoundLoop();
+        }
+        
+        if (this.touchControls) {
+            this.touchControls.show();
+        }
+        
+        // Carry on the clock from where it stopped, without the time spent paused
+        const elapsedTime = this.clock.elapsedTime;
+        this.clock.start();
+        this.clock.elapsedTime = elapsedTime;
+        console.log('Game resumed');
+    }
+    
+    // Start the run over without reloading the page (pause menu and game over screen).
+    // Rapier, the level and every loaded asset stay in memory - only the run state goes
+    // back to the start: enemies, crates, projectiles, health, perks, score and day counter.
+    restartGame() {
+        if (this.isChangingLevel || !this.playerController) return;
+
+        // Rotation mode may have moved on to another map, go back to the one the run started on
+        if (this.runLevelId && this.levelLoader && this.levelLoader.currentLevelId !== this.runLevelId) {
+            this.isChangingLevel = true;
+            this.changeLevel(this.runLevelId)
+                .catch(error => {
+                    console.error('Error loading the starting level:', error);
+                    return false;
+                })
+                .then(changed => {
+                    this.isChangingLevel = false;
+                    if (!changed || this.levelLoader.currentLevelId !== this.runLevelId) {
+                        // Couldn't go back - the new run starts on the level we are on
+                        console.warn(`Restarting on ${this.levelLoader.currentLevelId} instead of ${this.runLevelId}`);
+                        this.runLevelId = this.levelLoader.currentLevelId;
+                    }
+                    this.restartGame();
+                });
+            return;
+        }
+
+        console.log('Restarting the run');
+        this.saveManager.clear();
+
+        // Leave the pause state
+        this.isPaused = false;
+        this.isResuming = false;
+        if (this.pauseMenu) {
+            this.pauseMenu.hide();
+        }
+        this.input.setSuspended(false);
+        this.audioManager.resume();
+        if (this.runReportPanel) {
+            this.runReportPanel.hide();
+        }
+
+        // Clear the world of this run's enemies, crates and rain
+        this.waveDirector.stop();
+        [...this.enemies, ...this.fadingEnemies].forEach(enemy => {
+            if (enemy) {
+                enemy.cleanup();
+            }
+        });
+        this.enemies = [];
+        this.fadingEnemies = [];
+        this.isSurvivalTransitioning = false;
+        this.cleanupAllCrates();
+        if (this.isRaining) {
+            this.stopRain();
+        }
+
+        // Run counters and HUD
+        this.scoreManager.resetRun();
+        this.runStats.resetRun();
+        this.achievements.resetRun();
+        this.daysSurvived = 1;
+        this.hasSpawnedCrates = false;
+
+        // Player, weapons and the player body back to the level start
+        this.weaponSystem.resetRun();
+        this.playerController.resetRun();
+        const playerStart = this.currentLevel ? this.currentLevel.playerStart : { x: 0, y: 2, z: 0 };
+        this.physicsWorld.resetRun(playerStart);
+        this.camera.quaternion.identity();
+        this.setInitialPlayerPosition();
+
+        // First night, music from the top
+        this.musicDirector.stop();
+        this.audioManager.unmute();
+        this.setEnvironment(false);
+        this.musicDirector.start('night');
+        this.updateTimerDisplay();
+
+        if (this.touchControls) {
+            this.touchControls.show();
+        }
+
+        // The game loop stopped at game over, after a pause it is still going
+        this.clock.start();
+        if (!this.isRunning) {
+            this.start();
+        }
+        this.playerController.lock();
+    }
+    
+    // Back to the start screen (reloading the page brings it up, the run is saved for Continue)
+    quitToTitle() {
+        window.location.reload();
+    }
+    
+    // Save achievement progress, and the run in progress (not before the game starts or once the player is dead)
+    saveRun() {
+        this.achievements.flush();
+        if (!this.isRunning || !this.playerController || this.playerController.health <= 0) return;
+        this.saveManager.save();
+    }
+    
+    // Open the settings panel; onClose runs when it is closed
+    openSettings(onClose = null) {
+        if (!this.settingsMenu) {
+            this.settingsMenu = new SettingsMenu(this);
+        }
+        this.settingsMenu.show(onClose);
+    }
+    
+    openLeaderboard() {
+        if (!this.leaderboardPanel) {
+            this.leaderboardPanel = new LeaderboardPanel(this);
+        }
+        this.leaderboardPanel.show();
+    }
+    
+    // End-of-run report (opened from the game over screen)
+    openRunReport() {
+        if (!this.runReportPanel) {
+            this.runReportPanel = new RunReportPanel(this);
+        }
+        this.runReportPanel.show();
+    }
+    
+    openAchievements() {
+        if (!this.achievementsPanel) {
+            this.achievementsPanel = new AchievementsPanel(this);
+        }
+        this.achievementsPanel.show();
+    }
+    
     // Method to properly set the initial player position
     setInitialPlayerPosition() {
         if (!this.physicsWorld || !this.playerController) return;
@@ -281,10 +679,8 @@ export class Engine {
 
     start() {
         this.isRunning = true;
-        if (this.physicsWorld && this.playerController) {
-            this.spawnInitialEnemies(5);
-        } else {
-            console.warn("Could not spawn initial enemies: Physics or PlayerController not ready at start().");
+        if (!this.physicsWorld || !this.playerController) {
+            console.warn("Physics or PlayerController not ready at start(), waves will spawn once they are.");
         }
         this.animate();
     }
@@ -298,6 +694,14 @@ export class Engine {
 
         requestAnimationFrame(this.animate.bind(this));
         
+        // Paused: keep drawing the frozen scene behind the menu, nothing moves.
+        // The gamepad is still read so its pause button can resume.
+        if (this.isPaused) {
+            this.gamepad.update(0);
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+        
         // Calculate delta time
         const deltaTime = this.clock.getDelta();
         
@@ -318,12 +722,16 @@ export class Engine {
         
         // Check if it's time to change cycle
         if (!this.isSurvivalTransitioning) {
-            if (!this.isDaytime && this.survivalTimer >= this.nightDuration) {
-                // Player survived night, fade out enemies and transition to day
+            if (!this.isDaytime && (this.survivalTimer >= this.nightDuration || this.waveDirector.isNightComplete())) {
+                // Player survived night (timer ran out or every wave was cleared), fade out enemies and transition to day
                 this.startEnemyFadeOut();
-            } else if (this.isDaytime && this.survivalTimer >= this.dayDuration) {
-                // Day is over, transition to night
-                this.setEnvironment(false);
+            } else if (this.isDaytime && this.survivalTimer >= this.dayDuration && !this.isChangingLevel) {
+                // Day is over, transition to night (on the next map in rotation mode)
+                if (this.isRotationMode && this.levelList.length > 1) {
+                    this.rotateToNextLevel();
+                } else {
+                    this.setEnvironment(false);
+                }
             }
         } else {
             // Handle enemy fade transition
@@ -340,6 +748,9 @@ export class Engine {
             this.physicsWorld.update();
         }
         
+        // Read the gamepad before the player moves
+        this.gamepad.update(deltaTime);
+        
         // Update player controller
         if (this.playerController) {
             this.playerController.update(deltaTime);
@@ -386,60 +797,74 @@ export class Engine {
             }
         }
 
-        // Periodic Enemy Spawning logic - only spawn during night and not during transition
-        const currentTime = this.clock.elapsedTime * 1000;
-        if (!this.isDaytime && !this.isSurvivalTransitioning && 
-            currentTime - this.lastSpawnTime > this.spawnInterval && 
-            this.enemies.length < this.maxEnemies) {
-            this.spawnEnemy();
-            this.lastSpawnTime = currentTime;
+        // Combo decay, movement stats
+        this.scoreManager.update(deltaTime);
+        this.runStats.update(deltaTime);
+
+        // Wave spawning - only during night and not during transition
+        if (!this.isDaytime && !this.isSurvivalTransitioning) {
+            this.waveDirector.update(deltaTime);
         }
 
+        // Positioned sounds are heard from the camera
+        this.audioManager.updateListener(this.camera);
+        
+        // Music layers follow how intense the fight is
+        if (this.playerController) {
+            this.musicDirector.update(deltaTime, {
+                enemyCount: this.enemies.length,
+                health: this.playerController.health,
+                maxHealth: this.playerController.maxHealth
+            });
+        }
+        
         // Use direct renderer instead of composer
         this.renderer.render(this.scene, this.camera);
         
         // Removed HUD rendering - pistol is now updated in the scene directly
     }
 
-    spawnInitialEnemies(count) {
-        console.log(`Spawning ${count} initial enemies (Lokito/DNB)...`);
-        for (let i = 0; i < count; i++) {
-            this.spawnEnemy();
-        }
-    }
-
-    spawnEnemy() {
+    // Spawn a single enemy ('lokito' or 'dnb', random if omitted)
+    // options: healthMultiplier, scale and isBoss, set by the wave director
+    // Returns the enemy instance, or null if nothing could be spawned
+    spawnEnemy(enemyType = null, options = {}) {
         if (!this.physicsWorld || !this.playerController || !this.playerController.player) {
             console.warn("Cannot spawn enemy: Physics world or player controller not ready.");
-            return;
+            return null;
         }
 
         if (this.enemies.length >= this.maxEnemies) {
-            return;
+            return null;
         }
 
-        // Choose between two fixed spawn positions
-        const spawnPoints = [
-            new THREE.Vector3(11.74, -1.5, -13.19),  // First spawn point
-            new THREE.Vector3(-23.19, -1.50, -13.62) // Second spawn point
-        ];
-        
-        // Randomly select one of the spawn points
-        const spawnPosition = spawnPoints[Math.floor(Math.random() * spawnPoints.length)].clone();
-        
-        // Randomly choose enemy type
-        let enemyInstance;
-        
         // Check if player target is valid
         if (!this.playerController.player || !this.playerController.player.mesh) {
             console.error("Cannot spawn enemy: Player target is not valid!");
-            return;
+            return null;
+        }
+        
+        // Pick a spawn point away from the player and out of their sight
+        const spawnPosition = this.spawnPoints.pickPoint('enemies', {
+            playerPosition: this.playerController.player.mesh.position,
+            camera: this.camera
+        });
+        
+        if (!spawnPosition) {
+            console.warn("Cannot spawn enemy: No valid enemy spawn points.");
+            return null;
         }
         
+        // Randomly choose enemy type
+        let enemyInstance;
+        
         console.log("Player target for enemies:", this.playerController.player);
         
-        // 50% chance for each enemy type
-        if (Math.random() < 0.5) {
+        // 50% chance for each enemy type unless the caller picked one
+        if (!enemyType) {
+            enemyType = Math.random() < 0.5 ? 'lokito' : 'dnb';
+        }
+        
+        if (enemyType === 'lokito') {
             // Create Lokito (ghost) - higher spawn point for floating ghost
             enemyInstance = new Lokito(this.scene, this.physicsWorld);
             spawnPosition.y += 1.0; // Spawn ghost slightly higher
@@ -450,6 +875,12 @@ export class Engine {
             console.log(`Spawn initiated for DNB #${this.enemies.length + 1}. Position: ${spawnPosition.x.toFixed(1)}, ${spawnPosition.y.toFixed(1)}, ${spawnPosition.z.toFixed(1)}`);
         }
         
+        // Wave scaling - tougher enemies on later nights, bosses on top of that
+        const healthMultiplier = options.healthMultiplier || 1;
+        enemyInstance.health *= healthMultiplier;
+        enemyInstance.maxHealth *= healthMultiplier;
+        enemyInstance.isBoss = !!options.isBoss;
+        
         this.enemies.push(enemyInstance);
 
         enemyInstance.initialize(spawnPosition, this.playerController.player, this.playerController)
@@ -463,6 +894,11 @@ export class Engine {
                     // Try to set it again
                     enemyInstance.target = this.playerController.player;
                 }
+                
+                // Bosses are drawn bigger (hitboxes are children of the mesh so they scale too)
+                if (options.scale && options.scale !== 1 && enemyInstance.mesh) {
+                    enemyInstance.mesh.scale.multiplyScalar(options.scale);
+                }
             })
             .catch(error => {
                 console.error("Failed to initialize enemy:", error);
@@ -471,6 +907,8 @@ export class Engine {
                     this.enemies.splice(index, 1);
                 }
             });
+        
+        return enemyInstance;
     }
 
     createNightEnvironment() {
@@ -718,29 +1156,17 @@ export class Engine {
             this.destroyAllEnemies();
             
             // Switch to day music
-            if (this.dayMusicBuffer) {
-                console.log("Switching to day music");
-                this.audioManager.playLoop(this.dayMusicBuffer);
-            } else {
-                // Try to load it if not already loaded
-                this.audioManager.loadSound(this.dayMusicPath).then(buffer => {
-                    if (buffer) {
-                        this.dayMusicBuffer = buffer;
-                        this.audioManager.playLoop(buffer);
-                    }
-                });
-            }
+            this.musicDirector.select('day');
             
             // Bright blue sky for day
-            this.scene.background = new THREE.Color(0x87CEEB);
-            this.scene.fog = new THREE.FogExp2(0x87CEEB, 0.01);
+            this.applyAmbient();
             
             // Show day objects, hide night objects
             this.dayObjects.forEach(obj => obj.visible = true);
             this.nightObjects.forEach(obj => obj.visible = false);
             
             // During day, no new enemies spawn
-            this.maxEnemies = 0;
+            this.waveDirector.stop();
             
             // Reset flag for crate spawning
             this.hasSpawnedCrates = false;
@@ -748,33 +1174,26 @@ export class Engine {
             console.log("Day mode activated - No enemies will spawn");
         } else {
             // Switch to night music
-            if (this.nightMusicBuffer) {
-                console.log("Switching to night music");
-                this.audioManager.playLoop(this.nightMusicBuffer);
-            } else {
-                // Try to load it if not already loaded
-                this.loadNightMusic();
-            }
+            this.musicDirector.select('night');
             
             // Cleanup any crates from previous day
             this.cleanupAllCrates();
             
             // Dark blue/black for night
-            this.scene.background = new THREE.Color(0x0A0A1A);
-            this.scene.fog = new THREE.FogExp2(0x0A0A1A, 0.015);
+            this.applyAmbient();
             
             // Show night objects, hide day objects
             this.dayObjects.forEach(obj => obj.visible = false);
             this.nightObjects.forEach(obj => obj.visible = true);
             
-            // Reset enemy spawning for night
-            this.maxEnemies = 10;
-            
-            // Spawn initial enemies at night start
-            this.spawnInitialEnemies(5);
+            // Start tonight's waves - difficulty scales with the nights survived
+            this.waveDirector.startNight(this.daysSurvived);
             
             console.log("Night mode activated - Enemies will spawn");
         }
+        
+        // Every new day and night is a save point
+        this.saveRun();
     }
     
     toggleDayNight() {
@@ -929,9 +1348,21 @@ export class Engine {
         cleanupParticles();
     }
 
-    handleKeyDown(event) {
-        // Check if 'V' key is pressed (changed from 'C' to avoid conflict with crouch)
-        if (event.key.toLowerCase() === 'v' && this.playerController && this.playerController.player) {
+    setupInputActions() {
+        this.input.on('pause', () => {
+            if (!this.isPaused) {
+                this.pause();
+                return;
+            }
+            
+            // The Escape that released the pointer lock already paused - don't undo it
+            if (performance.now() - this.pausedAt < 300) return;
+            if (this.settingsMenu && this.settingsMenu.isVisible()) return;
+            this.resume();
+        });
+        
+        this.input.on('toggle_coordinates', () => {
+            if (!this.playerController || !this.playerController.player) return;
             this.showCoordinates = !this.showCoordinates;
             
             if (this.showCoordinates) {
@@ -941,12 +1372,40 @@ export class Engine {
                 // Hide coordinates display
                 this.hideCoordinatesDisplay();
             }
-        }
+        });
         
-        // Check if 'O' key is pressed to toggle rain (changed from 'R' to avoid reload conflict)
-        if (event.key.toLowerCase() === 'o') {
-            console.log("O key pressed to toggle rain");
+        this.input.on('toggle_rain', () => {
+            console.log("Rain toggled manually");
             this.toggleRainManually();
+        });
+        
+        // Level authoring (spawn points, navmesh download) - only while the coordinates display is open
+        const whileAuthoring = (handler) => () => {
+            if (this.showCoordinates && this.spawnPoints) {
+                handler();
+            }
+        };
+        this.input.on('add_enemy_spawn', whileAuthoring(() => this.addSpawnPointAtPlayer('enemies')));
+        this.input.on('add_crate_spawn', whileAuthoring(() => this.addSpawnPointAtPlayer('crates')));
+        this.input.on('download_level_data', whileAuthoring(() => {
+            const fileName = this.levelDataPath.split('/').pop();
+            this.spawnPoints.downloadLevelData(fileName);
+        }));
+        this.input.on('download_navmesh', whileAuthoring(() => {
+            if (this.levelLoader) {
+                this.levelLoader.downloadNavMesh();
+            }
+        }));
+    }
+    
+    // Record the player's current position as a new point in a spawn set
+    addSpawnPointAtPlayer(setName) {
+        if (!this.playerController || !this.playerController.player) return;
+        
+        const point = this.spawnPoints.addPoint(setName, this.playerController.player.mesh.position);
+        if (this.playerController.showMessage) {
+            const status = point.isValid ? '' : ' (NO WALKABLE GROUND)';
+            this.playerController.showMessage(`Added ${setName} spawn point ${point.name}${status}`, 2000);
         }
     }
     
@@ -986,7 +1445,7 @@ export class Engine {
     updateCoordinatesDisplay() {
         if (this.showCoordinates && this.coordinatesElement && this.playerController && this.playerController.player) {
             const playerPos = this.playerController.player.mesh.position;
-            this.coordinatesElement.textContent = `Player Position: X: ${playerPos.x.toFixed(2)}, Y: ${playerPos.y.toFixed(2)}, Z: ${playerPos.z.toFixed(2)}`;
+            this.coordinatesElement.textContent = `Player Position: X: ${playerPos.x.toFixed(2)}, Y: ${playerPos.y.toFixed(2)}, Z: ${playerPos.z.toFixed(2)} | K: add enemy spawn, J: add crate spawn, U: save level file`;
         }
     }
 
@@ -1021,21 +1480,6 @@ export class Engine {
         this.daysSurvivedElement.textContent = 'DAY 1';
         this.daysSurvivedElement.style.display = 'none'; // Initially hidden
         document.body.appendChild(this.daysSurvivedElement);
-        
-        // Create score counter
-        this.scoreElement = document.createElement('div');
-        this.scoreElement.style.position = 'absolute';
-        this.scoreElement.style.bottom = '20px'; // Position below the day counter (was 50px)
-        this.scoreElement.style.left = '20px';
-        this.scoreElement.style.color = '#FFD700'; // Yellow color
-        this.scoreElement.style.fontFamily = '"Creepster", "Chiller", cursive';
-        this.scoreElement.style.fontSize = '24px';
-        this.scoreElement.style.textShadow = '2px 2px 4px #000000, 0 0 10px #FFD700, 0 0 20px #B8860B';
-        this.scoreElement.style.letterSpacing = '2px';
-        this.scoreElement.style.zIndex = '1000';
-        this.scoreElement.textContent = 'SCORE: 0';
-        this.scoreElement.style.display = 'none'; // Initially hidden
-        document.body.appendChild(this.scoreElement);
     }
 
     updateTimerDisplay() {
@@ -1050,7 +1494,8 @@ export class Engine {
         const timeString = `${minutes}:${seconds.toString().padStart(2, '0')}`;
         
         const modeText = this.isDaytime ? 'DAY MODE - RELAX' : 'NIGHT MODE - SURVIVE';
-        this.timerElement.textContent = `${modeText}: ${timeString}`;
+        const waveText = !this.isDaytime && this.waveDirector ? this.waveDirector.getStatusText() : '';
+        this.timerElement.textContent = waveText ? `${modeText}: ${timeString} - ${waveText}` : `${modeText}: ${timeString}`;
         
         // Change color based on mode
         if (this.isDaytime) {
@@ -1068,8 +1513,7 @@ export class Engine {
     }
 
     startEnemyFadeOut() {
-        if (this.enemies.length === 0) return;
-        
+        // Still run the transition with no enemies left, otherwise the night never ends
         console.log("Starting enemy fade out transition");
         this.isSurvivalTransitioning = true;
         this.enemyFadeStartTime = this.clock.elapsedTime;
@@ -1095,7 +1539,9 @@ export class Engine {
             this.fadingEnemies = [];
             this.isSurvivalTransitioning = false;
             
-            // Increment the days survived counter when transitioning to day
+            // Bonus for the night just survived, then count the new day
+            this.scoreManager.scoreNightSurvived(this.daysSurvived);
+            this.achievements.onNightSurvived(this.daysSurvived, this.runStats.getNight().damageTaken > 0);
             this.daysSurvived++;
             
             // Switch to day mode
@@ -1125,26 +1571,6 @@ export class Engine {
         }
     }
 
-    loadNightMusic() {
-        this.audioManager.loadSound(this.nightMusicPath).then(buffer => {
-            if (buffer) { 
-                this.nightMusicBuffer = buffer;
-                this.audioManager.musicBuffer = buffer;
-                // Don't play the music immediately, just store the buffer
-                // playLoop will be called when actually needed
-            }
-        });
-    }
-    
-    preloadDayMusic() {
-        this.audioManager.loadSound(this.dayMusicPath).then(buffer => {
-            if (buffer) {
-                this.dayMusicBuffer = buffer;
-                console.log("Day music preloaded");
-            }
-        });
-    }
-
     // Add crate spawning methods
     spawnCrates() {
         console.log("Spawning crates for daytime");
@@ -1154,8 +1580,8 @@ export class Engine {
         const crateCount = spawnMultiple ? Math.floor(Math.random() * 2) + 2 : 1;
         console.log(`Spawning ${crateCount} crates`);
         
-        // Make a copy of the positions to shuffle
-        const positions = [...this.crateSpawnPositions];
+        // Valid crate spawn points (already copies, safe to shuffle)
+        const positions = this.spawnPoints ? this.spawnPoints.getPoints('crates') : [];
         
         // Fisher-Yates shuffle algorithm to randomize positions
         for (let i = positions.length - 1; i > 0; i--) {
@@ -1164,7 +1590,7 @@ export class Engine {
         }
         
         // Spawn the crates at the first crateCount positions
-        for (let i = 0; i < crateCount; i++) {
+        for (let i = 0; i < Math.min(crateCount, positions.length); i++) {
             this.spawnCrate(positions[i]);
         }
     }
@@ -1178,7 +1604,7 @@ export class Engine {
         console.log(`Spawning crate at position: ${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)}`);
         
         // Create a new crate
-        const crate = new Crate(this.scene, this.physicsWorld);
+        const crate = new Crate(this.scene, this.physicsWorld, this.audioManager);
         crate.initialize(position);
         
         // Add to crates array
@@ -1186,6 +1612,8 @@ export class Engine {
         
         // Play drop sound if available
         // This can be implemented later
+        
+        return crate;
     }
     
     cleanupAllCrates() {
@@ -1318,26 +1746,6 @@ export class Engine {
         THREE.TextureLoader.prototype._cache['assets/textures/medikit.png'] = texture;
     }
 
-    // Add method to update score
-    addScore(points) {
-        this.playerScore += points;
-        
-        // Update score display
-        if (this.scoreElement) {
-            this.scoreElement.textContent = `SCORE: ${this.playerScore}`;
-            
-            // Add a visual effect to show score increasing
-            this.scoreElement.style.transform = 'scale(1.2)';
-            this.scoreElement.style.transition = 'transform 0.2s ease-out';
-            
-            setTimeout(() => {
-                this.scoreElement.style.transform = 'scale(1.0)';
-            }, 200);
-        }
-        
-        console.log(`Score increased by ${points} points. New score: ${this.playerScore}`);
-    }
-
     // Call this method when the game is over to clean up
     gameOver() {
         // Stop any active rain
@@ -1345,6 +1753,23 @@ export class Engine {
             this.stopRain();
         }
         
+        // Fade out the game music
+        this.musicDirector.stop();
+        
+        if (this.touchControls) {
+            this.touchControls.hide();
+        }
+        
+        // Record the best score for the map (or for map rotation)
+        const bestScoreKey = this.isRotationMode ? 'rotation' : this.runLevelId;
+        if (bestScoreKey) {
+            this.saveBestScore(bestScoreKey, this.scoreManager.getScore());
+        }
+        
+        // The run is over, there is nothing left to continue
+        this.saveManager.clear();
+        this.achievements.flush();
+        
         // Other game over cleanup logic
         this.isRunning = false;
         
@@ -1422,7 +1847,74 @@ export class Engine {
         };
         
         // Add click handler to start the game
-        playButton.onclick = this.startGame.bind(this);
+        playButton.onclick = () => {
+            // A new game replaces the saved run
+            this.saveManager.clear();
+            this.startGame();
+        };
+        this.playButton = playButton;
+        
+        // Continue button - only when there is a saved run
+        const savedRun = this.saveManager.load();
+        let continueButton = null;
+        if (savedRun) {
+            continueButton = document.createElement('button');
+            continueButton.textContent = 'CONTINUE';
+            continueButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+            continueButton.style.fontSize = '28px';
+            continueButton.style.backgroundColor = '#8B0000'; // Dark red
+            continueButton.style.color = 'white';
+            continueButton.style.border = '2px solid #FF0000';
+            continueButton.style.borderRadius = '5px';
+            continueButton.style.padding = '10px 40px';
+            continueButton.style.cursor = 'pointer';
+            continueButton.style.textShadow = '2px 2px 4px #000000';
+            continueButton.style.boxShadow = '0 0 10px rgba(255, 0, 0, 0.7)';
+            continueButton.style.letterSpacing = '3px';
+            continueButton.style.transition = 'all 0.2s ease-in-out';
+            continueButton.style.marginTop = '20px';
+            continueButton.title = `Day ${savedRun.daysSurvived} (${savedRun.isDaytime ? 'day' : 'night'}) - score ${savedRun.scoreStats.score}`;
+            
+            continueButton.onmouseover = () => {
+                continueButton.style.backgroundColor = '#FF0000';
+                continueButton.style.transform = 'scale(1.05)';
+            };
+            
+            continueButton.onmouseout = () => {
+                continueButton.style.backgroundColor = '#8B0000';
+                continueButton.style.transform = 'scale(1.0)';
+            };
+            
+            continueButton.onclick = this.continueGame.bind(this);
+            this.continueButton = continueButton;
+        }
+        
+        // Map picker - filled in by setLevelList() once the level index has loaded
+        this.mapPickerElement = document.createElement('div');
+        this.mapPickerElement.style.display = 'flex';
+        this.mapPickerElement.style.flexDirection = 'row';
+        this.mapPickerElement.style.flexWrap = 'wrap';
+        this.mapPickerElement.style.justifyContent = 'center';
+        this.mapPickerElement.style.gap = '20px';
+        this.mapPickerElement.style.marginBottom = '20px';
+        this.mapPickerElement.style.maxWidth = '80%';
+        
+        // Map rotation toggle - moves to the next map after every survived day
+        const rotationButton = document.createElement('button');
+        rotationButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+        rotationButton.style.fontSize = '20px';
+        rotationButton.style.backgroundColor = '#333333';
+        rotationButton.style.color = 'white';
+        rotationButton.style.border = '2px solid #888888';
+        rotationButton.style.borderRadius = '5px';
+        rotationButton.style.padding = '8px 30px';
+        rotationButton.style.cursor = 'pointer';
+        rotationButton.style.textShadow = '2px 2px 4px #000000';
+        rotationButton.style.letterSpacing = '2px';
+        rotationButton.style.marginBottom = '30px';
+        rotationButton.onclick = this.toggleRotationMode.bind(this);
+        this.rotationButton = rotationButton;
+        this.updateRotationButton();
         
         // Create controls button
         const controlsButton = document.createElement('button');
@@ -1455,6 +1947,93 @@ export class Engine {
         // Add click handler to show controls
         controlsButton.onclick = this.showControls.bind(this);
         
+        // Create settings button (same style as the controls button)
+        const settingsButton = document.createElement('button');
+        settingsButton.textContent = 'SETTINGS';
+        settingsButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+        settingsButton.style.fontSize = '24px';
+        settingsButton.style.backgroundColor = '#0066CC'; // Blue
+        settingsButton.style.color = 'white';
+        settingsButton.style.border = '2px solid #0099FF';
+        settingsButton.style.borderRadius = '5px';
+        settingsButton.style.padding = '10px 40px';
+        settingsButton.style.cursor = 'pointer';
+        settingsButton.style.textShadow = '2px 2px 4px #000000';
+        settingsButton.style.boxShadow = '0 0 10px rgba(0, 150, 255, 0.7)';
+        settingsButton.style.letterSpacing = '2px';
+        settingsButton.style.transition = 'all 0.2s ease-in-out';
+        settingsButton.style.marginTop = '20px';
+        
+        settingsButton.onmouseover = () => {
+            settingsButton.style.backgroundColor = '#0099FF';
+            settingsButton.style.transform = 'scale(1.05)';
+        };
+        
+        settingsButton.onmouseout = () => {
+            settingsButton.style.backgroundColor = '#0066CC';
+            settingsButton.style.transform = 'scale(1.0)';
+        };
+        
+        settingsButton.onclick = () => this.openSettings();
+        
+        // Create leaderboard button (same style as the controls button)
+        const leaderboardButton = document.createElement('button');
+        leaderboardButton.textContent = 'LEADERBOARD';
+        leaderboardButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+        leaderboardButton.style.fontSize = '24px';
+        leaderboardButton.style.backgroundColor = '#0066CC'; // Blue
+        leaderboardButton.style.color = 'white';
+        leaderboardButton.style.border = '2px solid #0099FF';
+        leaderboardButton.style.borderRadius = '5px';
+        leaderboardButton.style.padding = '10px 40px';
+        leaderboardButton.style.cursor = 'pointer';
+        leaderboardButton.style.textShadow = '2px 2px 4px #000000';
+        leaderboardButton.style.boxShadow = '0 0 10px rgba(0, 150, 255, 0.7)';
+        leaderboardButton.style.letterSpacing = '2px';
+        leaderboardButton.style.transition = 'all 0.2s ease-in-out';
+        leaderboardButton.style.marginTop = '20px';
+        
+        leaderboardButton.onmouseover = () => {
+            leaderboardButton.style.backgroundColor = '#0099FF';
+            leaderboardButton.style.transform = 'scale(1.05)';
+        };
+        
+        leaderboardButton.onmouseout = () => {
+            leaderboardButton.style.backgroundColor = '#0066CC';
+            leaderboardButton.style.transform = 'scale(1.0)';
+        };
+        
+        leaderboardButton.onclick = () => this.openLeaderboard();
+        
+        // Create achievements button (same style as the controls button)
+        const achievementsButton = document.createElement('button');
+        achievementsButton.textContent = 'ACHIEVEMENTS';
+        achievementsButton.style.fontFamily = '"Creepster", "Chiller", cursive';
+        achievementsButton.style.fontSize = '24px';
+        achievementsButton.style.backgroundColor = '#0066CC'; // Blue
+        achievementsButton.style.color = 'white';
+        achievementsButton.style.border = '2px solid #0099FF';
+        achievementsButton.style.borderRadius = '5px';
+        achievementsButton.style.padding = '10px 40px';
+        achievementsButton.style.cursor = 'pointer';
+        achievementsButton.style.textShadow = '2px 2px 4px #000000';
+        achievementsButton.style.boxShadow = '0 0 10px rgba(0, 150, 255, 0.7)';
+        achievementsButton.style.letterSpacing = '2px';
+        achievementsButton.style.transition = 'all 0.2s ease-in-out';
+        achievementsButton.style.marginTop = '20px';
+        
+        achievementsButton.onmouseover = () => {
+            achievementsButton.style.backgroundColor = '#0099FF';
+            achievementsButton.style.transform = 'scale(1.05)';
+        };
+        
+        achievementsButton.onmouseout = () => {
+            achievementsButton.style.backgroundColor = '#0066CC';
+            achievementsButton.style.transform = 'scale(1.0)';
+        };
+        
+        achievementsButton.onclick = () => this.openAchievements();
+        
         // Create editor button
         const editorButton = document.createElement('button');
         editorButton.textContent = 'HITBOX EDITOR';
@@ -1489,10 +2068,49 @@ export class Engine {
         // Add elements to overlay
         this.startScreenOverlay.appendChild(titleElement);
         this.startScreenOverlay.appendChild(subtitleElement);
+        this.startScreenOverlay.appendChild(this.mapPickerElement);
+        this.startScreenOverlay.appendChild(rotationButton);
         this.startScreenOverlay.appendChild(playButton);
+        if (continueButton) {
+            this.startScreenOverlay.appendChild(continueButton);
+        }
         this.startScreenOverlay.appendChild(controlsButton);
+        this.startScreenOverlay.appendChild(settingsButton);
+        this.startScreenOverlay.appendChild(leaderboardButton);
+        this.startScreenOverlay.appendChild(achievementsButton);
         this.startScreenOverlay.appendChild(editorButton);
         
+        // Sound preloading progress (see preloadSounds)
+        this.preloadIndicator = document.createElement('div');
+        this.preloadIndicator.style.width = '300px';
+        this.preloadIndicator.style.marginTop = '20px';
+        this.preloadIndicator.style.textAlign = 'center';
+        this.preloadIndicator.style.transition = 'opacity 1s ease-in-out';
+        
+        this.preloadText = document.createElement('div');
+        this.preloadText.textContent = 'LOADING SOUNDS... 0%';
+        this.preloadText.style.fontFamily = '"Creepster", "Chiller", cursive';
+        this.preloadText.style.fontSize = '18px';
+        this.preloadText.style.color = '#AAAAAA';
+        this.preloadText.style.letterSpacing = '2px';
+        this.preloadText.style.marginBottom = '6px';
+        
+        const preloadTrack = document.createElement('div');
+        preloadTrack.style.width = '100%';
+        preloadTrack.style.height = '4px';
+        preloadTrack.style.backgroundColor = '#330000';
+        
+        this.preloadBar = document.createElement('div');
+        this.preloadBar.style.width = '0%';
+        this.preloadBar.style.height = '100%';
+        this.preloadBar.style.backgroundColor = '#FF0000';
+        this.preloadBar.style.transition = 'width 0.2s ease-out';
+        
+        preloadTrack.appendChild(this.preloadBar);
+        this.preloadIndicator.appendChild(this.preloadText);
+        this.preloadIndicator.appendChild(preloadTrack);
+        this.startScreenOverlay.appendChild(this.preloadIndicator);
+        
         // Add overlay to document
         document.body.appendChild(this.startScreenOverlay);
         
@@ -1501,6 +2119,235 @@ export class Engine {
         
         // Set up audio analyzer for visualization
         this.setupStartScreenAudio();
+        
+        // Decode the game's sounds while the player is on the start screen
+        this.preloadSounds();
+        
+        // Levels may already be known if the start screen is rebuilt
+        if (this.levelList.length > 0) {
+            this.populateMapPicker();
+        }
+        
+        // The selected map card glows with the start screen music
+        this.mapCardGlow = this.mapCardGlow || this.glowSelectedMapCard.bind(this);
+        this.audioManager.addVisualizationListener(this.mapCardGlow);
+    }
+    
+    // Fetch and decode every gameplay sound (plus the current level's music and rain) into
+    // the AudioManager cache so nothing has to load mid-game
+    preloadSounds() {
+        if (this.soundsPreloaded) {
+            this.preloadIndicator.style.display = 'none';
+            return;
+        }
+        
+        const manifest = {
+            ...SOUND_MANIFEST,
+            level: [this.rainSoundPath] // Music sets are loaded by the MusicDirector
+        };
+        
+        this.audioManager.preload(manifest, (loaded, total) => {
+            const percent = total > 0 ? Math.round((loaded / total) * 100) : 100;
+            if (this.preloadText) this.preloadText.textContent = `LOADING SOUNDS... ${percent}%`;
+            if (this.preloadBar) this.preloadBar.style.width = `${percent}%`;
+        }).then(() => {
+            this.soundsPreloaded = true;
+            if (this.preloadText) this.preloadText.textContent = 'SOUNDS READY';
+            if (this.preloadIndicator) this.preloadIndicator.style.opacity = '0';
+        });
+    }
+    
+    // Called from main.js with the level index once it has loaded
+    setLevelList(levelIndex) {
+        this.levelList = levelIndex.levels || [];
+        
+        // Fall back to the default level if the remembered one no longer exists
+        if (!this.levelList.some(level => level.id === this.selectedLevelId)) {
+            this.selectedLevelId = levelIndex.defaultLevel || (this.levelList[0] && this.levelList[0].id);
+        }
+        
+        this.populateMapPicker();
+    }
+    
+    getSelectedLevelEntry() {
+        return this.levelList.find(level => level.id === this.selectedLevelId) || this.levelList[0];
+    }
+    
+    // Build one card per level: thumbnail, name and best score
+    populateMapPicker() {
+        if (!this.mapPickerElement) return;
+        
+        this.mapPickerElement.innerHTML = '';
+        this.mapCards = {};
+        const bestScores = this.getBestScores();
+        
+        this.levelList.forEach(level => {
+            const card = document.createElement('div');
+            card.style.width = '180px';
+            card.style.backgroundColor = 'rgba(40, 0, 0, 0.8)';
+            card.style.border = '2px solid #550000';
+            card.style.borderRadius = '5px';
+            card.style.padding = '8px';
+            card.style.cursor = 'pointer';
+            card.style.textAlign = 'center';
+            card.style.transition = 'transform 0.2s ease-in-out, border-color 0.2s ease-in-out';
+            
+            // Thumbnail, or a name plate if the image is missing
+            const thumbnail = document.createElement('div');
+            thumbnail.style.width = '100%';
+            thumbnail.style.height = '100px';
+            thumbnail.style.backgroundColor = '#1A0000';
+            thumbnail.style.display = 'flex';
+            thumbnail.style.justifyContent = 'center';
+            thumbnail.style.alignItems = 'center';
+            thumbnail.style.overflow = 'hidden';
+            thumbnail.style.fontFamily = '"Creepster", "Chiller", cursive';
+            thumbnail.style.fontSize = '28px';
+            thumbnail.style.color = '#660000';
+            thumbnail.textContent = level.name.toUpperCase();
+            
+            if (level.thumbnail) {
+                const image = document.createElement('img');
+                image.src = level.thumbnail;
+                image.style.width = '100%';
+                image.style.height = '100%';
+                image.style.objectFit = 'cover';
+                image.onload = () => {
+                    thumbnail.textContent = '';
+                    thumbnail.appendChild(image);
+                };
+            }
+            
+            const nameElement = document.createElement('div');
+            nameElement.textContent = level.name.toUpperCase();
+            nameElement.style.fontFamily = '"Creepster", "Chiller", cursive';
+            nameElement.style.fontSize = '20px';
+            nameElement.style.color = 'white';
+            nameElement.style.marginTop = '6px';
+            nameElement.style.letterSpacing = '1px';
+            
+            const bestElement = document.createElement('div');
+            bestElement.textContent = `BEST: ${bestScores[level.id] || 0}`;
+            bestElement.style.fontFamily = '"Creepster", "Chiller", cursive';
+            bestElement.style.fontSize = '16px';
+            bestElement.style.color = '#FFD700';
+            
+            card.appendChild(thumbnail);
+            card.appendChild(nameElement);
+            card.appendChild(bestElement);
+            
+            card.onmouseover = () => { card.style.transform = 'scale(1.05)'; };
+            card.onmouseout = () => { card.style.transform = 'scale(1.0)'; };
+            card.onclick = () => this.selectLevel(level.id);
+            
+            this.mapPickerElement.appendChild(card);
+            this.mapCards[level.id] = card;
+        });
+        
+        this.highlightSelectedMap();
+        this.updateRotationButton();
+    }
+    
+    selectLevel(levelId) {
+        this.selectedLevelId = levelId;
+        localStorage.setItem('selectedLevel', levelId);
+        this.highlightSelectedMap();
+    }
+    
+    // Visualization listener (AudioManager.startVisualization) - glow follows the music volume
+    glowSelectedMapCard(audioData) {
+        const selectedCard = this.mapCards[this.selectedLevelId];
+        if (!selectedCard) return;
+        
+        const enhancedVolume = Math.pow(audioData.volume, 1.5);
+        const blur = 5 + (enhancedVolume * 20);
+        const redValue = Math.floor(200 + (enhancedVolume * 55));
+        selectedCard.style.boxShadow = `0 0 ${blur}px rgb(${redValue}, 0, 0)`;
+    }
+    
+    highlightSelectedMap() {
+        Object.entries(this.mapCards).forEach(([levelId, card]) => {
+            const isSelected = levelId === this.selectedLevelId;
+            card.style.borderColor = isSelected ? '#FF0000' : '#550000';
+            card.style.boxShadow = isSelected ? '0 0 10px rgba(255, 0, 0, 0.7)' : 'none';
+        });
+    }
+    
+    toggleRotationMode() {
+        this.isRotationMode = !this.isRotationMode;
+        localStorage.setItem('mapRotation', this.isRotationMode ? 'true' : 'false');
+        this.updateRotationButton();
+    }
+    
+    updateRotationButton() {
+        if (!this.rotationButton) return;
+        
+        const best = this.getBestScores().rotation || 0;
+        this.rotationButton.textContent = `MAP ROTATION: ${this.isRotationMode ? 'ON' : 'OFF'} (BEST: ${best})`;
+        this.rotationButton.style.borderColor = this.isRotationMode ? '#FF0000' : '#888888';
+        this.rotationButton.style.backgroundColor = this.isRotationMode ? '#8B0000' : '#333333';
+    }
+    
+    // Best score per map id, plus 'rotation' for map rotation runs
+    getBestScores() {
+        try {
+            return JSON.parse(localStorage.getItem('bestScores')) || {};
+        } catch (error) {
+            console.error('Error reading best scores from localStorage:', error);
+            return {};
+        }
+    }
+    
+    saveBestScore(key, score) {
+        const bestScores = this.getBestScores();
+        if (score <= (bestScores[key] || 0)) return;
+        
+        bestScores[key] = score;
+        try {
+            localStorage.setItem('bestScores', JSON.stringify(bestScores));
+            console.log(`New best score for ${key}: ${score}`);
+        } catch (error) {
+            console.error('Error saving best score to localStorage:', error);
+        }
+    }
+    
+    // Unload the current level and load another one from the level list.
+    // Resolves to false if the level isn't in the list (nothing is unloaded then)
+    async changeLevel(levelId) {
+        const level = this.levelList.find(entry => entry.id === levelId);
+        if (!level || !this.levelLoader) {
+            console.warn(`Cannot change to level ${levelId}: not in the level list`);
+            return false;
+        }
+        
+        this.levelLoader.unloadLevel();
+        await this.levelLoader.loadLevel(level.manifest, level.id);
+        return true;
+    }
+    
+    // Map rotation - id of the map after the current one
+    getNextLevelId() {
+        const currentIndex = this.levelList.findIndex(level => level.id === this.levelLoader.currentLevelId);
+        return this.levelList[(currentIndex + 1) % this.levelList.length].id;
+    }
+    
+    // Called when a day ends in rotation mode - switch maps before the next night starts
+    rotateToNextLevel() {
+        this.isChangingLevel = true;
+        this.cleanupAllCrates();
+        
+        const nextLevelId = this.getNextLevelId();
+        console.log(`Map rotation: moving to ${nextLevelId}`);
+        
+        this.changeLevel(nextLevelId)
+            .catch(error => console.error('Error during map rotation:', error))
+            .then(() => {
+                this.isChangingLevel = false;
+                if (this.playerController && this.currentLevel) {
+                    this.playerController.showMessage(`Welcome to ${this.currentLevel.name}`, 3000);
+                }
+                this.setEnvironment(false);
+            });
     }
     
     // Set up audio analyzer and start playing the percussion loop
@@ -1592,8 +2439,8 @@ export class Engine {
         // Start playing the percussion loop
         const percussionLoop = 'assets/sounds/PM_EN_90_Percussion_FX_Loop_Race.wav';
         
-        // Mute all other sounds except the percussion loop
-        this.audioManager.muteAllExcept([percussionLoop]);
+        // Only music and UI sounds on the start screen
+        this.audioManager.muteAllExcept(['music', 'ui']);
         
         // Set up audio analyzer
         this.audioManager.setupAnalyser(visualizeAudio);
@@ -1602,8 +2449,46 @@ export class Engine {
         this.audioManager.playWithAnalyzer(percussionLoop);
     }
     
+    // Continue the saved run - startGame loads its map and applies the save
+    continueGame() {
+        const savedRun = this.saveManager.load();
+        if (!savedRun) {
+            console.warn('No saved run to continue, starting a new game');
+            this.startGame();
+            return;
+        }
+        
+        this.pendingSave = savedRun;
+        this.isRotationMode = savedRun.isRotationMode;
+        this.startGame();
+    }
+    
     // Handle the play button click
     startGame() {
+        // Load the chosen map (or the saved run's map) first if it isn't the one already loaded behind the start screen
+        const selectedLevel = this.pendingSave
+            ? this.levelList.find(level => level.id === this.pendingSave.levelId)
+            : this.getSelectedLevelEntry();
+        if (selectedLevel && this.levelLoader && selectedLevel.id !== this.levelLoader.currentLevelId) {
+            if (this.isChangingLevel) return; // Already loading
+            
+            this.isChangingLevel = true;
+            if (this.playButton) this.playButton.textContent = 'LOADING...';
+            
+            this.changeLevel(selectedLevel.id)
+                .catch(error => console.error('Error loading selected level:', error))
+                .then(() => {
+                    this.isChangingLevel = false;
+                    this.startGame();
+                });
+            return;
+        }
+        
+        this.runLevelId = this.levelLoader ? this.levelLoader.currentLevelId : null;
+        if (this.pendingSave) {
+            this.runLevelId = this.pendingSave.runLevelId || this.runLevelId;
+        }
+        
         // Get the percussion loop path
         const percussionLoop = 'assets/sounds/PM_EN_90_Percussion_FX_Loop_Race.wav';
         const clickSound = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
@@ -1617,17 +2502,15 @@ export class Engine {
         // Stop the audio visualization
         if (this.audioManager) {
             this.audioManager.stopVisualization();
+            this.audioManager.removeVisualizationListener(this.mapCardGlow);
             
             // Explicitly stop the percussion loop
             this.audioManager.stopSound(percussionLoop);
             
-            // First, temporarily add the click sound to allowed sounds
-            this.audioManager.allowedSounds.push(clickSound);
-            
             console.log("Playing coin flip sound...");
             
-            // Play the coin flip sound once
-            this.audioManager.playOneShot(clickSound).then(source => {
+            // Play the coin flip sound once (the UI bus isn't muted on the start screen)
+            this.audioManager.playOneShot(clickSound, { bus: 'ui' }).then(source => {
                 console.log("Coin flip sound started playing:", !!source);
                 
                 // After a small delay, unmute all audio
@@ -1635,18 +2518,14 @@ export class Engine {
                     // Unmute all audio for gameplay
                     this.audioManager.unmute();
                     
-                    // Explicitly start the night music for gameplay
-                    if (this.nightMusicBuffer) {
-                        this.audioManager.playLoop(this.nightMusicBuffer);
-                    }
+                    // Start the game music for the current time of day
+                    this.musicDirector.start(this.isDaytime ? 'day' : 'night');
                 }, 500); // Wait 500ms for the click sound to be heard
             }).catch(err => {
                 console.error("Error playing coin flip sound:", err);
                 // Fallback - unmute immediately if there was an error
                 this.audioManager.unmute();
-                if (this.nightMusicBuffer) {
-                    this.audioManager.playLoop(this.nightMusicBuffer);
-                }
+                this.musicDirector.start(this.isDaytime ? 'day' : 'night');
             });
         }
         
@@ -1659,8 +2538,8 @@ export class Engine {
         // Show UI elements
         if (this.timerElement) this.timerElement.style.display = 'block';
         if (this.daysSurvivedElement) this.daysSurvivedElement.style.display = 'block';
-        if (this.scoreElement) this.scoreElement.style.display = 'block';
-        if (this.crosshair) this.crosshair.style.display = 'block';
+        this.scoreManager.showScoreDisplay();
+        if (this.crosshair && this.settings.get('showCrosshair')) this.crosshair.style.display = 'block';
         
         // Enable weapon system after game starts
         if (this.weaponSystem) {
@@ -1681,10 +2560,21 @@ export class Engine {
             }, 500);
         }
         
+        // On-screen controls replace pointer lock on touch devices
+        if (this.touchControls) {
+            this.touchControls.show();
+        }
+        
         // Reset the clock to ensure timer starts from zero
         this.clock.start();
         this.survivalTimer = 0;
         
+        // Continuing: put the saved run back (day, timer, score, player, crates)
+        if (this.pendingSave) {
+            this.saveManager.applySaveData(this.pendingSave);
+            this.pendingSave = null;
+        }
+        
         // Start the game
         this.start();
         
@@ -1697,7 +2587,7 @@ export class Engine {
     // Rain system methods
     createRainSystem() {
         // Create a container for the rain particles - using line streaks for heavier rain effect
-        const rainCount = 3500; // Increased from 1500 to 3500 for denser rain
+        const rainCount = this.isTouchDevice ? 1200 : 3500; // Increased from 1500 to 3500 for denser rain (fewer on phones)
         
         // Create the geometry for line segments
         const rainGeometry = new THREE.BufferGeometry();
@@ -1829,19 +2719,26 @@ export class Engine {
     }
     
     checkRainStatus(deltaTime) {
-        const currentTime = this.clock.elapsedTime * 1000;
+        this.rainTime += deltaTime * 1000;
+        const currentTime = this.rainTime;
+        
+        // Scheduled end of the current rain
+        if (this.isRaining && this.rainStopTime !== null && currentTime >= this.rainStopTime) {
+            this.stopRain();
+            return;
+        }
         
         // Check if it's time to evaluate rain status
         if (!this.isRaining && currentTime - this.lastRainCheck > this.rainCheckInterval) {
             this.lastRainCheck = currentTime;
             
-            // Random chance to start raining
-            if (Math.random() < this.rainChance) {
+            // Random chance to start raining (unless turned off in the settings)
+            if (this.settings.get('weather') && Math.random() < this.rainChance) {
                 this.startRain();
                 
-                // Schedule rain to stop after random duration
+                // Schedule rain to stop after random duration (in game time, so pausing doesn't shorten it)
                 const rainDuration = this.rainDuration.min + Math.random() * (this.rainDuration.max - this.rainDuration.min);
-                setTimeout(() => this.stopRain(), rainDuration);
+                this.rainStopTime = currentTime + rainDuration;
             }
         }
     }
@@ -1891,14 +2788,40 @@ export class Engine {
         this.playRainSound();
         
         // Schedule repeated rain sounds for continuous effect (more frequent for heavy rain)
+        this.startRainSoundLoop();
+    }
+    
+    startRainSoundLoop() {
+        this.stopRainSoundLoop();
         this.rainSoundInterval = setInterval(() => {
             this.playRainSound();
         }, 7000); // Play the sound every 7 seconds (reduced from 10 seconds)
     }
     
+    stopRainSoundLoop() {
+        if (this.rainSoundInterval) {
+            clearInterval(this.rainSoundInterval);
+            this.rainSoundInterval = null;
+        }
+    }
+    
     // Helper method to play the rain sound
+    // Each repeat comes from a random spot overhead around the player, so overlapping
+    // repeats surround the listener instead of sitting in the middle of their head
     playRainSound() {
-        this.audioManager.playOneShot(this.rainSoundPath, { type: 'rain' }).then(source => {
+        const angle = Math.random() * Math.PI * 2;
+        const distance = 4 + Math.random() * 4;
+        const position = this.camera.position;
+        this.audioManager.playOneShot(this.rainSoundPath, {
+            type: 'rain',
+            bus: 'ambience',
+            position: {
+                x: position.x + Math.cos(angle) * distance,
+                y: position.y + 3,
+                z: position.z + Math.sin(angle) * distance
+            },
+            refDistance: 8 // Rain is loud everywhere, only the direction matters
+        }).then(source => {
             console.log("Playing rain sound");
         }).catch(err => {
             console.error("Error playing rain sound:", err);
@@ -1931,13 +2854,11 @@ export class Engine {
         this.audioManager.stopSoundsByType('rain');
         
         // Stop rain sound interval
-        if (this.rainSoundInterval) {
-            clearInterval(this.rainSoundInterval);
-            this.rainSoundInterval = null;
-        }
+        this.stopRainSoundLoop();
         
         // Reset last check time to add some delay before next possible rain
-        this.lastRainCheck = this.clock.elapsedTime * 1000;
+        this.rainStopTime = null;
+        this.lastRainCheck = this.rainTime;
     }
 
     // Add a direct manual rain toggle method
@@ -1962,12 +2883,12 @@ export class Engine {
         }
     }
     
-    // Show the controls panel
+    // Show the controls panel. Rows are built from the live input bindings; click a key to rebind it.
     showControls() {
         // Play click sound
         const clickSound = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
         if (this.audioManager) {
-            this.audioManager.playOneShot(clickSound)
+            this.audioManager.playOneShot(clickSound, { bus: 'ui' })
                 .catch(error => console.error("Error playing click sound:", error));
         }
         
@@ -1975,7 +2896,10 @@ export class Engine {
         if (this.controlsPanel) {
             if (this.controlsPanel.style.display === 'none') {
                 this.controlsPanel.style.display = 'flex';
+                this.renderControlRows();
             } else {
+                this.input.cancelCapture();
+                this.gamepad.cancelCapture();
                 this.controlsPanel.style.display = 'none';
             }
             return;
@@ -1999,7 +2923,7 @@ export class Engine {
         this.controlsPanel.style.fontFamily = 'Arial, sans-serif';
         this.controlsPanel.style.fontSize = '18px';
         this.controlsPanel.style.boxShadow = '0 0 20px rgba(0, 150, 255, 0.7)';
-        this.controlsPanel.style.maxWidth = '500px';
+        this.controlsPanel.style.maxWidth = '600px';
         this.controlsPanel.style.maxHeight = '80vh';
         this.controlsPanel.style.overflowY = 'auto';
         
@@ -2014,96 +2938,303 @@ export class Engine {
         title.style.textShadow = '2px 2px 4px #000000';
         this.controlsPanel.appendChild(title);
         
-        // Control mappings
-        const controls = [
-            { key: 'W, A, S, D', action: 'Movement' },
-            { key: 'MOUSE', action: 'Look around' },
-            { key: 'SPACE', action: 'Jump' },
-            { key: 'LEFT SHIFT', action: 'Sprint' },
-            { key: 'C', action: 'Crouch' },
-            { key: 'T', action: 'Slide (while sprinting)' },
-            { key: 'LEFT CLICK', action: 'Shoot' },
-            { key: 'E', action: 'Interact with objects' },
-            { key: 'Q', action: 'Use medikit' },
-            { key: 'ESC', action: 'Pause game' }
-        ];
-        
-        // Add controls to panel
-        controls.forEach(control => {
-            const controlRow = document.createElement('div');
-            controlRow.style.display = 'flex';
-            controlRow.style.justifyContent = 'space-between';
-            controlRow.style.borderBottom = '1px solid #333';
-            controlRow.style.paddingBottom = '10px';
-            
-            const keyElement = document.createElement('div');
-            keyElement.textContent = control.key;
-            keyElement.style.fontWeight = 'bold';
-            keyElement.style.color = '#0099FF';
-            keyElement.style.marginRight = '20px';
-            keyElement.style.minWidth = '120px';
-            keyElement.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
-            
-            const actionElement = document.createElement('div');
-            actionElement.textContent = control.action;
-            
-            controlRow.appendChild(keyElement);
-            controlRow.appendChild(actionElement);
-            this.controlsPanel.appendChild(controlRow);
-        });
+        // Binding profile picker
+        const profileRow = document.createElement('div');
+        profileRow.style.display = 'flex';
+        profileRow.style.alignItems = 'center';
+        profileRow.style.gap = '10px';
+        
+        this.controlsProfileSelect = document.createElement('select');
+        this.controlsProfileSelect.style.flex = '1';
+        this.controlsProfileSelect.style.padding = '6px';
+        this.controlsProfileSelect.style.backgroundColor = '#222';
+        this.controlsProfileSelect.style.color = 'white';
+        this.controlsProfileSelect.style.border = '1px solid #0099FF';
+        this.controlsProfileSelect.style.borderRadius = '5px';
+        this.controlsProfileSelect.onchange = () => {
+            this.input.switchProfile(this.controlsProfileSelect.value);
+            this.setControlsMessage(`Using profile ${this.controlsProfileSelect.value}`);
+            this.renderControlRows();
+        };
         
-        // Add close button
-        const closeButton = document.createElement('button');
-        closeButton.textContent = 'CLOSE';
-        closeButton.style.marginTop = '20px';
-        closeButton.style.padding = '10px 20px';
-        closeButton.style.backgroundColor = '#0066CC';
-        closeButton.style.color = 'white';
-        closeButton.style.border = 'none';
-        closeButton.style.borderRadius = '5px';
-        closeButton.style.cursor = 'pointer';
-        closeButton.style.fontFamily = '"Creepster", "Chiller", cursive';
-        closeButton.style.fontSize = '20px';
-        closeButton.style.alignSelf = 'center';
-        closeButton.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+        const newProfileButton = this.createControlsButton('NEW');
+        newProfileButton.onclick = () => {
+            const name = prompt('Name for the new control profile:');
+            if (name === null) return;
+            if (this.input.createProfile(name)) {
+                this.setControlsMessage(`Created profile ${name.trim()} from the current bindings`);
+            } else {
+                this.setControlsMessage('Profile names must be new and not empty', true);
+            }
+            this.renderControlRows();
+        };
         
-        closeButton.onmouseover = () => {
-            closeButton.style.backgroundColor = '#0099FF';
+        const deleteProfileButton = this.createControlsButton('DELETE');
+        deleteProfileButton.onclick = () => {
+            const name = this.input.getActiveProfile();
+            if (this.input.deleteProfile(name)) {
+                this.setControlsMessage(`Deleted profile ${name}`);
+            } else {
+                this.setControlsMessage(`The ${name} profile can't be deleted`, true);
+            }
+            this.renderControlRows();
         };
         
-        closeButton.onmouseout = () => {
-            closeButton.style.backgroundColor = '#0066CC';
+        profileRow.appendChild(this.controlsProfileSelect);
+        profileRow.appendChild(newProfileButton);
+        profileRow.appendChild(deleteProfileButton);
+        this.controlsPanel.appendChild(profileRow);
+        
+        // Rebinding feedback (conflicts, swaps)
+        this.controlsMessage = document.createElement('div');
+        this.controlsMessage.style.minHeight = '22px';
+        this.controlsMessage.style.fontSize = '15px';
+        this.controlsMessage.style.textAlign = 'center';
+        this.controlsPanel.appendChild(this.controlsMessage);
+        
+        this.controlsRows = document.createElement('div');
+        this.controlsRows.style.display = 'flex';
+        this.controlsRows.style.flexDirection = 'column';
+        this.controlsRows.style.gap = '15px';
+        this.controlsPanel.appendChild(this.controlsRows);
+        
+        // Footer buttons
+        const footer = document.createElement('div');
+        footer.style.display = 'flex';
+        footer.style.justifyContent = 'center';
+        footer.style.gap = '20px';
+        footer.style.marginTop = '20px';
+        
+        const resetButton = this.createControlsButton('RESET');
+        resetButton.onclick = () => {
+            this.input.resetToDefaults();
+            this.gamepad.resetToDefaults();
+            this.setControlsMessage(`Profile ${this.input.getActiveProfile()} and gamepad reset to the default buttons`);
+            this.renderControlRows();
         };
         
+        const closeButton = this.createControlsButton('CLOSE');
         closeButton.onclick = () => {
+            this.input.cancelCapture();
+            this.gamepad.cancelCapture();
             document.body.removeChild(this.controlsPanel);
             this.controlsPanel = null;
             
             // Play click sound on close
             if (this.audioManager) {
-                this.audioManager.playOneShot(clickSound)
+                this.audioManager.playOneShot(clickSound, { bus: 'ui' })
                     .catch(error => console.error("Error playing click sound:", error));
             }
         };
         
-        this.controlsPanel.appendChild(closeButton);
+        footer.appendChild(resetButton);
+        footer.appendChild(closeButton);
+        this.controlsPanel.appendChild(footer);
+        
+        this.renderControlRows();
         
         // Add panel to document
         document.body.appendChild(this.controlsPanel);
     }
+    
+    // (Re)build the controls panel rows from the current bindings
+    renderControlRows() {
+        if (!this.controlsPanel) return;
+        
+        // Profile list
+        this.controlsProfileSelect.innerHTML = '';
+        this.input.getProfileNames().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            option.selected = name === this.input.getActiveProfile();
+            this.controlsProfileSelect.appendChild(option);
+        });
+        
+        // Actions sharing a key are shown in red
+        const conflicting = new Set();
+        this.input.findConflicts().forEach(conflict => conflict.actions.forEach(id => conflicting.add(id)));
+        
+        this.controlsRows.innerHTML = '';
+        Object.keys(INPUT_GROUPS).forEach(group => {
+            const heading = document.createElement('div');
+            heading.textContent = INPUT_GROUPS[group];
+            heading.style.fontFamily = '"Creepster", "Chiller", cursive';
+            heading.style.fontSize = '22px';
+            heading.style.color = '#0099FF';
+            heading.style.marginTop = '10px';
+            this.controlsRows.appendChild(heading);
+            
+            INPUT_ACTIONS.filter(action => action.group === group).forEach(action => {
+                const keyButton = this.createControlsButton(this.input.getBindingLabel(action.id));
+                keyButton.style.fontFamily = 'Arial, sans-serif';
+                keyButton.style.fontSize = '16px';
+                keyButton.style.fontWeight = 'bold';
+                keyButton.style.padding = '5px 10px';
+                keyButton.style.minWidth = '120px';
+                if (conflicting.has(action.id)) {
+                    keyButton.style.backgroundColor = '#CC0000';
+                    keyButton.onmouseout = () => {
+                        keyButton.style.backgroundColor = '#CC0000';
+                    };
+                }
+                keyButton.onclick = () => this.startRebind(action, keyButton);
+                
+                // Gamepad button, for the actions a pad can map
+                let padButton = null;
+                if (this.gamepad.getButton(action.id) !== undefined) {
+                    padButton = this.createControlsButton(this.gamepad.getButtonLabel(action.id));
+                    padButton.style.fontFamily = 'Arial, sans-serif';
+                    padButton.style.fontSize = '14px';
+                    padButton.style.padding = '5px 8px';
+                    padButton.style.minWidth = '70px';
+                    padButton.onclick = () => this.startGamepadRebind(action, padButton);
+                }
+                
+                this.controlsRows.appendChild(this.createControlRow(keyButton, action.label, padButton));
+            });
+        });
+        
+        // Not remappable
+        [
+            { key: 'MOUSE / RIGHT STICK', action: 'Look around' },
+            { key: 'LEFT STICK', action: 'Move (gamepad)' },
+            { key: 'MOUSE WHEEL', action: 'Switch weapon' }
+        ].forEach(control => {
+            const keyElement = document.createElement('div');
+            keyElement.textContent = control.key;
+            keyElement.style.fontWeight = 'bold';
+            keyElement.style.color = '#0099FF';
+            keyElement.style.minWidth = '120px';
+            keyElement.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+            this.controlsRows.appendChild(this.createControlRow(keyElement, control.action));
+        });
+    }
+    
+    createControlRow(keyElement, actionText, padElement = null) {
+        const controlRow = document.createElement('div');
+        controlRow.style.display = 'flex';
+        controlRow.style.justifyContent = 'space-between';
+        controlRow.style.alignItems = 'center';
+        controlRow.style.borderBottom = '1px solid #333';
+        controlRow.style.paddingBottom = '10px';
+        
+        keyElement.style.marginRight = '20px';
+        
+        const actionElement = document.createElement('div');
+        actionElement.textContent = actionText;
+        actionElement.style.flex = '1';
+        
+        controlRow.appendChild(keyElement);
+        controlRow.appendChild(actionElement);
+        if (padElement) {
+            padElement.style.marginLeft = '10px';
+            controlRow.appendChild(padElement);
+        }
+        return controlRow;
+    }
+    
+    // Wait for the next key / mouse button and bind it to the action
+    startRebind(action, keyButton) {
+        keyButton.textContent = 'PRESS A KEY...';
+        keyButton.blur(); // Space / Enter must not click the button again
+        this.gamepad.cancelCapture();
+        this.setControlsMessage(`Press a key or click this button with a mouse button for ${action.label}. ESC cancels.`);
+        
+        this.input.captureNextInput((code, event) => {
+            // Mouse presses only count on the button itself, so clicking elsewhere just cancels
+            const isMouse = code.startsWith('Mouse');
+            if (code === 'Escape' || (isMouse && event.target !== keyButton)) {
+                this.setControlsMessage('');
+                this.renderControlRows();
+                return;
+            }
+            
+            const moved = this.input.rebind(action.id, code);
+            const keyLabel = this.input.getKeyLabel(code);
+            if (moved.length > 0) {
+                const swaps = moved.map(entry => {
+                    const newKey = entry.code ? this.input.getKeyLabel(entry.code) : 'nothing';
+                    return `${this.input.getActionLabel(entry.actionId)} moved to ${newKey}`;
+                });
+                this.setControlsMessage(`${keyLabel} was already in use: ${swaps.join(', ')}`, true);
+            } else {
+                this.setControlsMessage(`${action.label} bound to ${keyLabel}`);
+            }
+            this.renderControlRows();
+        });
+    }
+    
+    // Wait for the next gamepad button and map it to the action
+    startGamepadRebind(action, padButton) {
+        if (!this.gamepad.isConnected()) {
+            this.setControlsMessage('Connect a gamepad and press any of its buttons first', true);
+            return;
+        }
+        
+        this.input.cancelCapture();
+        padButton.textContent = 'PRESS...';
+        padButton.blur();
+        this.setControlsMessage(`Press a gamepad button for ${action.label}`);
+        
+        this.gamepad.captureNextButton(buttonIndex => {
+            const moved = this.gamepad.rebind(action.id, buttonIndex);
+            const buttonLabel = this.gamepad.getButtonLabel(action.id);
+            if (moved.length > 0) {
+                const swaps = moved.map(entry => {
+                    const newButton = this.gamepad.getButtonLabel(entry.actionId);
+                    return `${this.input.getActionLabel(entry.actionId)} moved to ${newButton}`;
+                });
+                this.setControlsMessage(`${buttonLabel} was already in use: ${swaps.join(', ')}`, true);
+            } else {
+                this.setControlsMessage(`${action.label} mapped to ${buttonLabel}`);
+            }
+            this.renderControlRows();
+        });
+    }
+    
+    setControlsMessage(text, isWarning = false) {
+        if (!this.controlsMessage) return;
+        this.controlsMessage.textContent = text;
+        this.controlsMessage.style.color = isWarning ? '#FFAA00' : '#AAAAAA';
+    }
+    
+    createControlsButton(text) {
+        const button = document.createElement('button');
+        button.textContent = text;
+        button.style.padding = '10px 20px';
+        button.style.backgroundColor = '#0066CC';
+        button.style.color = 'white';
+        button.style.border = 'none';
+        button.style.borderRadius = '5px';
+        button.style.cursor = 'pointer';
+        button.style.fontFamily = '"Creepster", "Chiller", cursive';
+        button.style.fontSize = '20px';
+        button.style.textShadow = '1px 1px 2px rgba(0, 0, 0, 0.8)';
+        
+        button.onmouseover = () => {
+            button.style.backgroundColor = '#0099FF';
+        };
+        
+        button.onmouseout = () => {
+            button.style.backgroundColor = '#0066CC';
+        };
+        
+        return button;
+    }
 
     // Show the hitbox editor interface
     showHitboxEditor() {
         // Play click sound
         const clickSound = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
         if (this.audioManager) {
-            this.audioManager.playOneShot(clickSound)
+            this.audioManager.playOneShot(clickSound, { bus: 'ui' })
                 .catch(error => console.error("Error playing click sound:", error));
                 
             // Mute all background sounds when editor is open
             setTimeout(() => {
-                // Mute all sounds
-                this.audioManager.muteAll();
+                // Mute everything but the editor music and clicks
+                this.audioManager.muteAllExcept(['music', 'ui']);
                 
                 // Specifically stop the startup music loops
                 const percussionLoop = 'assets/sounds/PM_EN_90_Percussion_FX_Loop_Race.wav';
@@ -2123,7 +3254,7 @@ export class Engine {
                 this.editorPanel.style.display = 'flex';
                 // Mute sounds when showing again
                 if (this.audioManager) {
-                    this.audioManager.muteAll();
+                    this.audioManager.muteAllExcept(['music', 'ui']);
                     // Also stop any music
                     this.audioManager.stopMusic();
                     
@@ -2192,7 +3323,7 @@ export class Engine {
             
             // Play click sound on close
             if (this.audioManager) {
-                this.audioManager.playOneShot(clickSound)
+                this.audioManager.playOneShot(clickSound, { bus: 'ui' })
                     .catch(error => console.error("Error playing click sound:", error));
                 
                 // Unmute all background sounds when editor is closed
@@ -4070,21 +5201,13 @@ export class Engine {
         
         const hitboxEditorMusicPath = "assets/sounds/KMRBI_SJ_68_music_loop_cosmicmayn_Fm.wav";
         
-        // Load and play hitbox editor music
-        fetch(hitboxEditorMusicPath)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Error loading hitbox editor music: ${response.status}`);
-                }
-                return response.arrayBuffer();
-            })
-            .then(arrayBuffer => {
+        // Load (or reuse the cached buffer) and play hitbox editor music
+        this.audioManager.loadSound(hitboxEditorMusicPath)
+            .then(buffer => {
+                if (!buffer) return;
                 // Play the loaded buffer as a loop
-                this.audioManager.playLoop(arrayBuffer);
+                this.audioManager.playLoop(buffer);
                 console.log("Hitbox editor music started");
-            })
-            .catch(error => {
-                console.error("Failed to load hitbox editor music:", error);
             });
     }
     
@@ -0,0 +1,116 @@
+const SETTINGS_STORAGE_KEY = 'gameSettings';
+
+// Player options by settings menu tab. Each entry says how the menu shows it
+// ('range' slider or 'toggle'); the Engine applies changes live (Engine.applySetting).
+// Audio volumes are kept by the AudioMixer, so the audio tab isn't listed here.
+export const SETTINGS_SCHEMA = {
+    graphics: [
+        { key: 'fov', label: 'Field of view', type: 'range', min: 60, max: 110, step: 1, default: 75 },
+        { key: 'antialias', label: 'Anti-aliasing', type: 'toggle', default: false },
+        { key: 'shadows', label: 'Shadows', type: 'toggle', default: true },
+        { key: 'fogDensity', label: 'Fog density', type: 'range', min: 0.25, max: 2, step: 0.05, default: 1, isPercent: true }
+    ],
+    input: [
+        { key: 'mouseSensitivity', label: 'Mouse sensitivity', type: 'range', min: 0.1, max: 3, step: 0.05, default: 1 },
+        { key: 'gamepadLookSpeed', label: 'Gamepad look speed', type: 'range', min: 0.5, max: 6, step: 0.1, default: 2.5 },
+        { key: 'gamepadDeadZone', label: 'Gamepad dead zone', type: 'range', min: 0.05, max: 0.5, step: 0.01, default: 0.15, isPercent: true },
+        { key: 'gamepadAimSmoothing', label: 'Gamepad aim smoothing', type: 'range', min: 0, max: 0.9, step: 0.05, default: 0.5, isPercent: true },
+        { key: 'gamepadVibration', label: 'Gamepad vibration', type: 'toggle', default: true },
+        { key: 'touchLookSensitivity', label: 'Touch look sensitivity', type: 'range', min: 0.2, max: 3, step: 0.05, default: 1 }
+    ],
+    gameplay: [
+        { key: 'showCrosshair', label: 'Crosshair', type: 'toggle', default: true },
+        { key: 'cameraShake', label: 'Camera shake on damage', type: 'toggle', default: true },
+        { key: 'weather', label: 'Rain', type: 'toggle', default: true }
+    ]
+};
+
+// Cheaper defaults for phones and tablets (Engine.isTouchDevice). Only used for settings
+// the player hasn't changed themselves.
+export const TOUCH_DEVICE_DEFAULTS = {
+    antialias: false,
+    shadows: false
+};
+
+// Current values of SETTINGS_SCHEMA, saved to localStorage on every change
+export class GameSettings {
+    constructor() {
+        this.values = {};
+        Object.values(SETTINGS_SCHEMA).flat().forEach(setting => {
+            this.values[setting.key] = setting.default;
+        });
+        this.listeners = [];
+        this.savedKeys = new Set(); // Settings the player has chosen (loaded or set)
+        this.deviceDefaults = {}; // Overrides of the schema defaults for this device
+
+        this.load();
+    }
+
+    get(key) {
+        return this.values[key];
+    }
+
+    set(key, value) {
+        if (!(key in this.values) || this.values[key] === value) return;
+
+        this.values[key] = value;
+        this.savedKeys.add(key);
+        this.save();
+        this.listeners.forEach(listener => listener(key, value));
+    }
+
+    // listener(key, value) is called after every change
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Replace the defaults of settings the player hasn't chosen yet (device specific defaults).
+    // Call before anything reads the settings - listeners aren't told.
+    setDeviceDefaults(overrides) {
+        this.deviceDefaults = { ...overrides };
+        Object.keys(overrides).forEach(key => {
+            if (key in this.values && !this.savedKeys.has(key)) {
+                this.values[key] = overrides[key];
+            }
+        });
+    }
+
+    // Put every setting back to its default (listeners are told about each change)
+    resetToDefaults() {
+        Object.values(SETTINGS_SCHEMA).flat().forEach(setting => {
+            this.set(setting.key, setting.key in this.deviceDefaults ? this.deviceDefaults[setting.key] : setting.default);
+        });
+        
+        // Back on the defaults, nothing is player-chosen any more
+        this.savedKeys.clear();
+        this.save();
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY) || '{}');
+            Object.keys(saved).forEach(key => {
+                // Ignore settings that no longer exist or changed type
+                if (key in this.values && typeof saved[key] === typeof this.values[key]) {
+                    this.values[key] = saved[key];
+                    this.savedKeys.add(key);
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load settings:', error);
+        }
+    }
+
+    // Only the settings the player has chosen - the rest keep following the (device) defaults
+    save() {
+        const chosen = {};
+        this.savedKeys.forEach(key => {
+            chosen[key] = this.values[key];
+        });
+        try {
+            localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(chosen));
+        } catch (error) {
+            console.warn('Could not save settings:', error);
+        }
+    }
+}
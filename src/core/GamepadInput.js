@@ -0,0 +1,295 @@
+const BINDINGS_STORAGE_KEY = 'gamepadBindings';
+
+// Button names in the browser's "standard" gamepad layout (Xbox style)
+export const GAMEPAD_BUTTON_LABELS = [
+    'A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'BACK', 'START', 'L3', 'R3',
+    'D-PAD UP', 'D-PAD DOWN', 'D-PAD LEFT', 'D-PAD RIGHT', 'HOME'
+];
+
+// Default button (standard layout index) for each input action.
+// Only actions listed here can be mapped to a button; moving and looking are on the sticks.
+export const GAMEPAD_DEFAULT_BINDINGS = {
+    pause: 9,           // START
+    fire: 7,            // RT
+    reload: 2,          // X
+    jump: 0,            // A
+    crouch: 1,          // B
+    slide: 11,          // R3
+    sprint: 10,         // L3
+    interact: 3,        // Y
+    use_item: 6,        // LT
+    next_weapon: 5,     // RB
+    previous_weapon: 4  // LB
+};
+
+// How far an analog trigger has to be pulled to count as pressed
+const TRIGGER_THRESHOLD = 0.5;
+
+// Right stick response curve - small tilts turn slowly for fine aiming
+const LOOK_RESPONSE_EXPONENT = 2;
+
+// Reads the first connected gamepad every frame: buttons go through the same input actions
+// as the keyboard (InputManager.pressAction), the left stick moves and the right stick looks.
+// Dead zone, look speed, aim smoothing and vibration come from the game settings.
+export class GamepadInput {
+    constructor(engine) {
+        this.engine = engine;
+        this.input = engine.input;
+        this.settings = engine.settings;
+
+        this.gamepadIndex = null;
+        this.previousButtons = [];
+        this.smoothedLook = { x: 0, y: 0 };
+        this.captureCallback = null; // Set while the controls panel waits for a button
+        this.captureFrame = null;
+
+        this.bindings = { ...GAMEPAD_DEFAULT_BINDINGS };
+        this.load();
+
+        window.addEventListener('gamepadconnected', (event) => {
+            if (this.gamepadIndex === null) {
+                this.gamepadIndex = event.gamepad.index;
+                this.previousButtons = [];
+            }
+            console.log(`Gamepad connected: ${event.gamepad.id} (${event.gamepad.mapping || 'non-standard'} mapping)`);
+            this.updatePlayerState();
+        });
+
+        window.addEventListener('gamepaddisconnected', (event) => {
+            if (event.gamepad.index !== this.gamepadIndex) return;
+
+            console.log(`Gamepad disconnected: ${event.gamepad.id}`);
+            this.gamepadIndex = null;
+            this.releaseButtons();
+            this.updatePlayerState();
+        });
+    }
+
+    isConnected() {
+        return this.getGamepad() !== null;
+    }
+
+    getGamepad() {
+        if (this.gamepadIndex === null || !navigator.getGamepads) return null;
+        const gamepad = navigator.getGamepads()[this.gamepadIndex];
+        return gamepad && gamepad.connected ? gamepad : null;
+    }
+
+    // Called every frame by the Engine
+    update(deltaTime) {
+        const gamepad = this.getGamepad();
+        if (!gamepad) return;
+
+        const pressed = this.readButtons(gamepad);
+        if (this.captureCallback) {
+            this.checkCapture(pressed);
+            return;
+        }
+
+        // Buttons -> actions, on the frame they go down / up
+        Object.keys(this.bindings).forEach(actionId => {
+            const index = this.bindings[actionId];
+            if (index === null) return;
+
+            const isDown = !!pressed[index];
+            const wasDown = !!this.previousButtons[index];
+            if (isDown && !wasDown) {
+                this.input.pressAction(actionId);
+            } else if (!isDown && wasDown) {
+                this.input.releaseAction(actionId);
+            }
+        });
+        this.previousButtons = pressed;
+
+        // Sticks do nothing while paused (buttons still reach the pause action)
+        const player = this.engine.playerController;
+        if (!player || this.engine.isPaused) return;
+
+        // Left stick moves (up on the stick is forward)
+        const deadZone = this.settings.get('gamepadDeadZone');
+        const move = this.applyDeadZone(gamepad.axes[0] || 0, gamepad.axes[1] || 0, deadZone, 1);
+        player.analogMove.x = move.x;
+        player.analogMove.y = -move.y;
+
+        // Right stick looks, eased towards the stick position so small corrections don't jitter
+        const look = this.applyDeadZone(gamepad.axes[2] || 0, gamepad.axes[3] || 0, deadZone, LOOK_RESPONSE_EXPONENT);
+        const smoothing = this.settings.get('gamepadAimSmoothing');
+        const blend = 1 - Math.pow(smoothing, deltaTime * 60);
+        this.smoothedLook.x += (look.x - this.smoothedLook.x) * blend;
+        this.smoothedLook.y += (look.y - this.smoothedLook.y) * blend;
+
+        if (this.smoothedLook.x !== 0 || this.smoothedLook.y !== 0) {
+            const speed = this.settings.get('gamepadLookSpeed') * deltaTime;
+            player.applyLook(-this.smoothedLook.x * speed, -this.smoothedLook.y * speed);
+        }
+    }
+
+    // Which buttons are down. Triggers are analog, digital buttons read 0 or 1.
+    readButtons(gamepad) {
+        return gamepad.buttons.map(button => button.value >= TRIGGER_THRESHOLD);
+    }
+
+    // Radial dead zone: inside it the stick reads 0, outside it the range is rescaled to 0-1
+    // and raised to exponent for a response curve
+    applyDeadZone(x, y, deadZone, exponent) {
+        const magnitude = Math.sqrt(x * x + y * y);
+        if (magnitude <= deadZone) {
+            return { x: 0, y: 0 };
+        }
+
+        const scaled = Math.pow(Math.min(1, (magnitude - deadZone) / (1 - deadZone)), exponent);
+        return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+    }
+
+    // Let go of every action a button is holding (gamepad unplugged)
+    releaseButtons() {
+        Object.keys(this.bindings).forEach(actionId => {
+            const index = this.bindings[actionId];
+            if (index !== null && this.previousButtons[index]) {
+                this.input.releaseAction(actionId);
+            }
+        });
+        this.previousButtons = [];
+        this.smoothedLook = { x: 0, y: 0 };
+
+        const player = this.engine.playerController;
+        if (player) {
+            player.analogMove.x = 0;
+            player.analogMove.y = 0;
+        }
+    }
+
+    updatePlayerState() {
+        const player = this.engine.playerController;
+        if (player) {
+            player.isGamepadConnected = this.gamepadIndex !== null;
+        }
+    }
+
+    // --- Vibration ---
+
+    // strong / weak are the low and high frequency motor strengths (0-1), duration in ms
+    rumble(strong, weak, duration) {
+        if (!this.settings.get('gamepadVibration')) return;
+
+        const gamepad = this.getGamepad();
+        if (!gamepad) return;
+
+        const actuator = gamepad.vibrationActuator;
+        if (actuator && typeof actuator.playEffect === 'function') {
+            actuator.playEffect('dual-rumble', {
+                startDelay: 0,
+                duration: duration,
+                strongMagnitude: strong,
+                weakMagnitude: weak
+            }).catch(error => console.warn('Gamepad vibration failed:', error));
+        } else if (gamepad.hapticActuators && gamepad.hapticActuators.length > 0) {
+            // Older Firefox API
+            gamepad.hapticActuators[0].pulse(Math.max(strong, weak), duration);
+        }
+    }
+
+    // --- Button mapping ---
+
+    getButton(actionId) {
+        return this.bindings.hasOwnProperty(actionId) ? this.bindings[actionId] : undefined;
+    }
+
+    getButtonLabel(actionId) {
+        const index = this.bindings[actionId];
+        if (index === null || index === undefined) return 'UNBOUND';
+        return GAMEPAD_BUTTON_LABELS[index] || `BUTTON ${index}`;
+    }
+
+    // Map an action to a button. Like the keyboard, an action already on that button
+    // takes over this action's old button. Returns the moved actions: [{ actionId, button }]
+    rebind(actionId, buttonIndex) {
+        if (!this.bindings.hasOwnProperty(actionId)) {
+            console.warn(`${actionId} can't be mapped to a gamepad button`);
+            return [];
+        }
+
+        const previousButton = this.bindings[actionId];
+        const moved = [];
+        Object.keys(this.bindings).forEach(otherId => {
+            if (otherId !== actionId && this.bindings[otherId] === buttonIndex) {
+                this.bindings[otherId] = previousButton;
+                moved.push({ actionId: otherId, button: previousButton });
+            }
+        });
+
+        this.bindings[actionId] = buttonIndex;
+        this.releaseButtons();
+        this.save();
+        return moved;
+    }
+
+    resetToDefaults() {
+        this.releaseButtons();
+        this.bindings = { ...GAMEPAD_DEFAULT_BINDINGS };
+        this.save();
+    }
+
+    // Hand the next button press to callback(buttonIndex) instead of the actions.
+    // Polls on its own, since the game loop isn't running on the start screen.
+    captureNextButton(callback) {
+        this.cancelCapture();
+        this.releaseButtons();
+        this.captureCallback = callback;
+
+        // Buttons already held don't count, only a fresh press
+        const gamepad = this.getGamepad();
+        this.previousButtons = gamepad ? this.readButtons(gamepad) : [];
+
+        const poll = () => {
+            if (!this.captureCallback) return;
+            const current = this.getGamepad();
+            if (current) {
+                this.checkCapture(this.readButtons(current));
+            }
+            if (this.captureCallback) {
+                this.captureFrame = requestAnimationFrame(poll);
+            }
+        };
+        this.captureFrame = requestAnimationFrame(poll);
+    }
+
+    checkCapture(pressed) {
+        const index = pressed.findIndex((isDown, i) => isDown && !this.previousButtons[i]);
+        this.previousButtons = pressed;
+        if (index === -1) return;
+
+        const callback = this.captureCallback;
+        this.cancelCapture();
+        callback(index);
+    }
+
+    cancelCapture() {
+        this.captureCallback = null;
+        if (this.captureFrame !== null) {
+            cancelAnimationFrame(this.captureFrame);
+            this.captureFrame = null;
+        }
+    }
+
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(BINDINGS_STORAGE_KEY) || '{}');
+            Object.keys(saved).forEach(actionId => {
+                if (this.bindings.hasOwnProperty(actionId) && (typeof saved[actionId] === 'number' || saved[actionId] === null)) {
+                    this.bindings[actionId] = saved[actionId];
+                }
+            });
+        } catch (error) {
+            console.warn('Could not load gamepad bindings:', error);
+        }
+    }
+
+    save() {
+        try {
+            localStorage.setItem(BINDINGS_STORAGE_KEY, JSON.stringify(this.bindings));
+        } catch (error) {
+            console.warn('Could not save gamepad bindings:', error);
+        }
+    }
+}
@@ -0,0 +1,392 @@
+const PROFILES_STORAGE_KEY = 'inputProfiles';
+const DEFAULT_PROFILE = 'Default';
+
+// Keys the browser keeps for itself (Escape releases the pointer lock), only pause may use them
+const RESERVED_CODES = ['Escape'];
+
+// Actions that still work while the game is paused (setSuspended)
+const SUSPEND_EXEMPT_ACTIONS = ['pause'];
+
+// Headings for the controls panel, in display order
+export const INPUT_GROUPS = {
+    general: 'GENERAL',
+    movement: 'MOVEMENT',
+    combat: 'COMBAT',
+    items: 'ITEMS',
+    debug: 'DEBUG',
+    authoring: 'LEVEL AUTHORING (WITH COORDINATES SHOWN)'
+};
+
+// Everything the player can bind. key is the default binding: a KeyboardEvent.code,
+// 'Mouse0' / 'Mouse1' / 'Mouse2' for the left / middle / right button, or null for none.
+// Gamepad buttons are mapped to the same actions by GamepadInput.
+export const INPUT_ACTIONS = [
+    { id: 'pause', label: 'Pause game', group: 'general', key: 'Escape' },
+
+    { id: 'move_forward', label: 'Move forward', group: 'movement', key: 'KeyW' },
+    { id: 'move_backward', label: 'Move backward', group: 'movement', key: 'KeyS' },
+    { id: 'move_left', label: 'Move left', group: 'movement', key: 'KeyA' },
+    { id: 'move_right', label: 'Move right', group: 'movement', key: 'KeyD' },
+    { id: 'jump', label: 'Jump', group: 'movement', key: 'Space' },
+    { id: 'sprint', label: 'Sprint', group: 'movement', key: 'ShiftLeft' },
+    { id: 'crouch', label: 'Crouch', group: 'movement', key: 'KeyC' },
+    { id: 'slide', label: 'Slide (while sprinting)', group: 'movement', key: 'KeyT' },
+
+    { id: 'fire', label: 'Shoot (hold for SMG)', group: 'combat', key: 'Mouse0' },
+    { id: 'reload', label: 'Reload', group: 'combat', key: 'KeyR' },
+    { id: 'next_weapon', label: 'Next weapon', group: 'combat', key: null },
+    { id: 'previous_weapon', label: 'Previous weapon', group: 'combat', key: null },
+
+    { id: 'interact', label: 'Interact with objects', group: 'items', key: 'KeyE' },
+    { id: 'use_item', label: 'Use medikit / ammo box', group: 'items', key: 'KeyQ' },
+    { id: 'inventory_slot_1', label: 'Inventory slot 1', group: 'items', key: 'Digit1' },
+    { id: 'inventory_slot_2', label: 'Inventory slot 2', group: 'items', key: 'Digit2' },
+    { id: 'inventory_slot_3', label: 'Inventory slot 3', group: 'items', key: 'Digit3' },
+    { id: 'inventory_slot_4', label: 'Inventory slot 4', group: 'items', key: 'Digit4' },
+    { id: 'inventory_slot_5', label: 'Inventory slot 5', group: 'items', key: 'Digit5' },
+    { id: 'inventory_slot_6', label: 'Inventory slot 6', group: 'items', key: 'Digit6' },
+
+    { id: 'toggle_day_night', label: 'Toggle day / night', group: 'debug', key: 'KeyL' },
+    { id: 'toggle_coordinates', label: 'Show coordinates', group: 'debug', key: 'KeyV' },
+    { id: 'toggle_debug', label: 'Show colliders and hitboxes', group: 'debug', key: 'KeyM' },
+    { id: 'toggle_rain', label: 'Toggle rain', group: 'debug', key: 'KeyO' },
+    { id: 'command_prompt', label: 'Command prompt', group: 'debug', key: 'Equal' },
+
+    { id: 'add_enemy_spawn', label: 'Add enemy spawn point', group: 'authoring', key: 'KeyK' },
+    { id: 'add_crate_spawn', label: 'Add crate spawn point', group: 'authoring', key: 'KeyJ' },
+    { id: 'download_level_data', label: 'Download level data', group: 'authoring', key: 'KeyU' },
+    { id: 'download_navmesh', label: 'Download navmesh', group: 'authoring', key: 'KeyN' }
+];
+
+// Names for codes that don't read well as-is
+const KEY_LABELS = {
+    Space: 'SPACE',
+    ShiftLeft: 'LEFT SHIFT',
+    ShiftRight: 'RIGHT SHIFT',
+    ControlLeft: 'LEFT CTRL',
+    ControlRight: 'RIGHT CTRL',
+    AltLeft: 'LEFT ALT',
+    AltRight: 'RIGHT ALT',
+    ArrowUp: 'UP',
+    ArrowDown: 'DOWN',
+    ArrowLeft: 'LEFT',
+    ArrowRight: 'RIGHT',
+    Equal: '=',
+    Minus: '-',
+    Mouse0: 'LEFT CLICK',
+    Mouse1: 'MIDDLE CLICK',
+    Mouse2: 'RIGHT CLICK',
+    Mouse3: 'MOUSE 4',
+    Mouse4: 'MOUSE 5'
+};
+
+// Turns raw keyboard and mouse buttons into game actions ('jump', 'reload', ...), so
+// nothing else needs to know which key does what. Bindings are kept per named profile
+// in localStorage; the controls panel (Engine.showControls) rebinds them live.
+export class InputManager {
+    constructor() {
+        this.defaultBindings = {};
+        INPUT_ACTIONS.forEach(action => {
+            this.defaultBindings[action.id] = action.key;
+        });
+
+        this.profiles = {}; // profile name -> { actionId: code }
+        this.activeProfile = DEFAULT_PROFILE;
+        this.bindings = null; // The active profile's bindings
+        this.codeActions = {}; // code -> [actionId], rebuilt whenever bindings change
+
+        this.pressHandlers = {};   // actionId -> [handler(event)]
+        this.releaseHandlers = {}; // actionId -> [handler(event)]
+        this.heldActions = new Set();
+        this.isSuspended = false; // Paused game - only SUSPEND_EXEMPT_ACTIONS fire
+        this.captureCallback = null; // Set while the controls panel waits for a new key
+
+        this.load();
+
+        document.addEventListener('keydown', (event) => this.handleCodePress(event.code, event));
+        document.addEventListener('keyup', (event) => this.handleCodeRelease(event.code, event));
+        document.addEventListener('mousedown', (event) => this.handleCodePress(`Mouse${event.button}`, event));
+        document.addEventListener('mouseup', (event) => this.handleCodeRelease(`Mouse${event.button}`, event));
+
+        // Keys released while the window had no focus never send keyup - don't leave them held
+        window.addEventListener('blur', () => this.releaseAll());
+    }
+
+    // --- Action events ---
+
+    // handler(event) runs when the action's key or button goes down.
+    // Returns a function that removes the handler again.
+    on(actionId, handler) {
+        return this.addHandler(this.pressHandlers, actionId, handler);
+    }
+
+    // handler(event) runs when the action's key or button is let go
+    onRelease(actionId, handler) {
+        return this.addHandler(this.releaseHandlers, actionId, handler);
+    }
+
+    addHandler(handlers, actionId, handler) {
+        if (!this.defaultBindings.hasOwnProperty(actionId)) {
+            console.warn(`Unknown input action: ${actionId}`);
+        }
+
+        if (!handlers[actionId]) {
+            handlers[actionId] = [];
+        }
+        handlers[actionId].push(handler);
+
+        return () => {
+            const list = handlers[actionId];
+            const index = list.indexOf(handler);
+            if (index !== -1) {
+                list.splice(index, 1);
+            }
+        };
+    }
+
+    isHeld(actionId) {
+        return this.heldActions.has(actionId);
+    }
+
+    // DOM key / mouse button events, mapped to the actions bound to the code
+    handleCodePress(code, event) {
+        if (this.captureCallback) {
+            const callback = this.captureCallback;
+            this.captureCallback = null;
+            event.preventDefault();
+            callback(code, event);
+            return;
+        }
+
+        // Held keys repeat keydown - actions only fire on the first press
+        if (event.repeat) return;
+
+        (this.codeActions[code] || []).forEach(actionId => this.pressAction(actionId, event));
+    }
+
+    handleCodeRelease(code, event) {
+        (this.codeActions[code] || []).forEach(actionId => this.releaseAction(actionId, event));
+    }
+
+    // Fire an action directly - other input devices (gamepad) come in here.
+    // event is the DOM event that caused it, or null.
+    pressAction(actionId, event = null) {
+        if (this.isSuspended && !SUSPEND_EXEMPT_ACTIONS.includes(actionId)) return;
+
+        this.heldActions.add(actionId);
+        (this.pressHandlers[actionId] || []).slice().forEach(handler => handler(event));
+    }
+
+    releaseAction(actionId, event = null) {
+        if (!this.heldActions.delete(actionId)) return;
+        (this.releaseHandlers[actionId] || []).slice().forEach(handler => handler(event));
+    }
+
+    releaseAll() {
+        const held = Array.from(this.heldActions);
+        this.heldActions.clear();
+        held.forEach(actionId => {
+            (this.releaseHandlers[actionId] || []).slice().forEach(handler => handler(null));
+        });
+    }
+
+    // While suspended (game paused) every held action is let go and only pause can fire
+    setSuspended(suspended) {
+        if (suspended) {
+            this.releaseAll();
+        }
+        this.isSuspended = suspended;
+    }
+
+    // Hand the next key or mouse press to callback(code, event) instead of the actions
+    // (used to rebind). Escape comes through too, so the caller can treat it as cancel.
+    captureNextInput(callback) {
+        this.releaseAll();
+        this.captureCallback = callback;
+    }
+
+    cancelCapture() {
+        this.captureCallback = null;
+    }
+
+    // --- Bindings ---
+
+    getBinding(actionId) {
+        return this.bindings[actionId] || null;
+    }
+
+    getBindingLabel(actionId) {
+        const code = this.getBinding(actionId);
+        return code ? this.getKeyLabel(code) : 'UNBOUND';
+    }
+
+    // Readable name of a KeyboardEvent.code / mouse button code
+    getKeyLabel(code) {
+        if (KEY_LABELS[code]) return KEY_LABELS[code];
+        if (code.startsWith('Key')) return code.substring(3);
+        if (code.startsWith('Digit')) return code.substring(5);
+        if (code.startsWith('Numpad')) return `NUM ${code.substring(6).toUpperCase()}`;
+        if (code.startsWith('Mouse')) return `MOUSE ${parseInt(code.substring(5)) + 1}`;
+        return code.toUpperCase();
+    }
+
+    getActionLabel(actionId) {
+        const action = INPUT_ACTIONS.find(entry => entry.id === actionId);
+        return action ? action.label : actionId;
+    }
+
+    isReserved(code, actionId) {
+        return RESERVED_CODES.includes(code) && actionId !== 'pause';
+    }
+
+    // Actions other than actionId already bound to code
+    getConflicts(actionId, code) {
+        return (this.codeActions[code] || []).filter(id => id !== actionId);
+    }
+
+    // Every code bound to more than one action: [{ code, actions }]
+    findConflicts() {
+        return Object.keys(this.codeActions)
+            .filter(code => this.codeActions[code].length > 1)
+            .map(code => ({ code: code, actions: this.codeActions[code].slice() }));
+    }
+
+    // Bind an action to a new code. Actions already on that code take over the action's
+    // old code (swap), so the two never fire together - unless the old code is reserved
+    // (pause's Escape), then they are left unbound.
+    // Returns the actions that were moved: [{ actionId, code }] (code null if now unbound).
+    rebind(actionId, code) {
+        if (!this.bindings.hasOwnProperty(actionId)) {
+            console.warn(`Unknown input action: ${actionId}`);
+            return [];
+        }
+        if (this.isReserved(code, actionId)) {
+            console.warn(`${this.getKeyLabel(code)} can't be bound`);
+            return [];
+        }
+
+        const previousCode = this.bindings[actionId];
+        const moved = this.getConflicts(actionId, code).map(otherId => {
+            const swappedCode = previousCode && !this.isReserved(previousCode, otherId) ? previousCode : null;
+            this.bindings[otherId] = swappedCode;
+            return { actionId: otherId, code: swappedCode };
+        });
+
+        this.bindings[actionId] = code;
+        this.releaseAll();
+        this.rebuildCodeActions();
+        this.save();
+
+        console.log(`Bound ${actionId} to ${code}`);
+        return moved;
+    }
+
+    resetToDefaults() {
+        this.bindings = { ...this.defaultBindings };
+        this.profiles[this.activeProfile] = this.bindings;
+        this.releaseAll();
+        this.rebuildCodeActions();
+        this.save();
+    }
+
+    rebuildCodeActions() {
+        this.codeActions = {};
+        Object.keys(this.bindings).forEach(actionId => {
+            const code = this.bindings[actionId];
+            if (!code) return;
+            if (!this.codeActions[code]) {
+                this.codeActions[code] = [];
+            }
+            this.codeActions[code].push(actionId);
+        });
+    }
+
+    // --- Profiles ---
+
+    getProfileNames() {
+        return Object.keys(this.profiles);
+    }
+
+    getActiveProfile() {
+        return this.activeProfile;
+    }
+
+    switchProfile(name) {
+        if (!this.profiles[name]) {
+            console.warn(`No input profile named ${name}`);
+            return false;
+        }
+
+        this.activeProfile = name;
+        this.bindings = this.profiles[name];
+        this.releaseAll();
+        this.rebuildCodeActions();
+        this.save();
+        return true;
+    }
+
+    // New profile starting from the current bindings, made active
+    createProfile(name) {
+        name = (name || '').trim();
+        if (!name || this.profiles[name]) return false;
+
+        this.profiles[name] = { ...this.bindings };
+        return this.switchProfile(name);
+    }
+
+    // The default profile always stays
+    deleteProfile(name) {
+        if (name === DEFAULT_PROFILE || !this.profiles[name]) return false;
+
+        delete this.profiles[name];
+        if (this.activeProfile === name) {
+            this.switchProfile(DEFAULT_PROFILE);
+        } else {
+            this.save();
+        }
+        return true;
+    }
+
+    load() {
+        this.profiles = { [DEFAULT_PROFILE]: { ...this.defaultBindings } };
+
+        try {
+            const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '{}');
+            Object.keys(saved.profiles || {}).forEach(name => {
+                // Actions added since the profile was saved get their default key,
+                // actions that no longer exist are dropped
+                const bindings = { ...this.defaultBindings };
+                const savedBindings = saved.profiles[name] || {};
+                Object.keys(bindings).forEach(actionId => {
+                    if (typeof savedBindings[actionId] === 'string' || savedBindings[actionId] === null) {
+                        bindings[actionId] = savedBindings[actionId];
+                    }
+                });
+                this.profiles[name] = bindings;
+            });
+            if (saved.activeProfile && this.profiles[saved.activeProfile]) {
+                this.activeProfile = saved.activeProfile;
+            }
+        } catch (error) {
+            console.warn('Could not load input profiles:', error);
+        }
+
+        this.bindings = this.profiles[this.activeProfile];
+        this.rebuildCodeActions();
+
+        this.findConflicts().forEach(conflict => {
+            console.warn(`${this.getKeyLabel(conflict.code)} is bound to more than one action: ${conflict.actions.join(', ')}`);
+        });
+    }
+
+    save() {
+        try {
+            localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify({
+                activeProfile: this.activeProfile,
+                profiles: this.profiles
+            }));
+        } catch (error) {
+            console.warn('Could not save input profiles:', error);
+        }
+    }
+}
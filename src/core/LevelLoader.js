@@ -0,0 +1,309 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { ColliderCache } from '../physics/ColliderCache.js';
+import { NavMesh } from '../physics/NavMesh.js';
+
+export const LEVEL_INDEX_PATH = 'assets/levels/index.json';
+
+// Structural defaults for any field a level manifest leaves out. Level content
+// (model path, music, spawn points) always comes from the manifest itself.
+const DEFAULT_LEVEL_MANIFEST = {
+    model: {
+        scale: { x: 1, y: 1, z: 1 },
+        position: { x: 0, y: 0, z: 0 },
+        rotationY: 0
+    },
+    playerStart: { x: 0, y: 2, z: 0 },
+    perimeter: { halfWidth: 150, halfDepth: 150 },
+    ambient: {
+        night: { background: '#0A0A1A', fogDensity: 0.015 },
+        day: { background: '#87CEEB', fogDensity: 0.01 }
+    }
+};
+
+// Loads a level from its manifest (JSON in assets/levels/):
+// scene model and its static colliders, navmesh, perimeter barriers, player start,
+// spawn point sets, ambient (sky/fog/rain) settings and music.
+// Every map goes through loadLevel() so new maps only need a manifest file.
+export class LevelLoader {
+    constructor(engine, physicsWorld) {
+        this.engine = engine;
+        this.physicsWorld = physicsWorld;
+        this.manifest = null;
+        this.currentLevelId = null;
+        this.model = null;
+        this.colliderCache = new ColliderCache();
+        this.colliderData = null; // Cooked { vertices, indices } of the level colliders
+        this.colliderBody = null;
+        this.colliderWireframe = null; // Debug wireframe (M key), only built the first time it's shown
+        this.collidersVisible = false;
+    }
+
+    // List of available levels from the level index
+    async loadLevelList() {
+        const response = await fetch(LEVEL_INDEX_PATH);
+        if (!response.ok) {
+            throw new Error(`Could not load level index ${LEVEL_INDEX_PATH} (${response.status})`);
+        }
+        return await response.json();
+    }
+
+    // Fetch a manifest and fill in the structural fields it leaves out from the defaults.
+    // A level can't be played without its manifest, so failing to load it throws.
+    async loadManifest(manifestPath) {
+        const response = await fetch(manifestPath);
+        if (!response.ok) {
+            throw new Error(`Could not load level manifest ${manifestPath} (${response.status})`);
+        }
+        const levelData = await response.json();
+        console.log(`Loaded level manifest for ${levelData.name || manifestPath}`);
+
+        const ambient = levelData.ambient || {};
+        return {
+            ...DEFAULT_LEVEL_MANIFEST,
+            ...levelData,
+            model: { ...DEFAULT_LEVEL_MANIFEST.model, ...(levelData.model || {}) },
+            perimeter: { ...DEFAULT_LEVEL_MANIFEST.perimeter, ...(levelData.perimeter || {}) },
+            ambient: {
+                ...ambient,
+                night: { ...DEFAULT_LEVEL_MANIFEST.ambient.night, ...(ambient.night || {}) },
+                day: { ...DEFAULT_LEVEL_MANIFEST.ambient.day, ...(ambient.day || {}) }
+            }
+        };
+    }
+
+    // Load everything a level needs. The scene model failing to load is logged but not fatal,
+    // the rest of the level (player, barriers, spawn points) is still set up.
+    async loadLevel(manifestPath, levelId = null) {
+        const manifest = await this.loadManifest(manifestPath);
+        this.manifest = manifest;
+        this.currentLevelId = levelId || manifest.id;
+        this.engine.levelDataPath = manifestPath;
+        this.engine.currentLevel = manifest;
+
+        console.log(`Loading level: ${manifest.name}`);
+
+        // Invisible walls around the playable area
+        this.physicsWorld.createPerimeterBarriers(manifest.perimeter.halfWidth, manifest.perimeter.halfDepth);
+
+        // Look up cooked colliders while the model downloads
+        const cachedColliders = this.colliderCache.load(manifest.model);
+
+        try {
+            this.model = await this.loadSceneModel(manifest.model);
+            console.log('Scene model loaded and added to the game world');
+
+            const cached = await cachedColliders;
+            const cookedColliders = this.createStaticColliders(this.model, cached.data);
+            const bakedNavMesh = await this.createNavMesh(manifest.navMesh || {}, cached.data);
+
+            // Store whatever had to be built so the next load can skip it (not awaited)
+            if ((cookedColliders || bakedNavMesh) && this.colliderData) {
+                this.colliderCache.save(manifest.model.path, cached.hash, {
+                    ...this.colliderData,
+                    navMesh: this.physicsWorld.navMesh ? this.physicsWorld.navMesh.getData() : null
+                });
+            }
+        } catch (error) {
+            console.error('Failed to load scene model:', error);
+        }
+
+        // Player start - the player body is created once and moved on later levels
+        if (this.physicsWorld.getPlayerBody()) {
+            this.physicsWorld.teleportPlayer(manifest.playerStart);
+        } else {
+            this.physicsWorld.createPlayer(manifest.playerStart);
+        }
+
+        // Spawn points are validated against the colliders created above
+        if (this.engine.spawnPoints) {
+            this.engine.spawnPoints.setLevelData(manifest);
+            this.engine.spawnPoints.validate();
+        }
+
+        this.engine.applyLevelSettings(manifest);
+
+        return manifest;
+    }
+
+    loadSceneModel(modelSettings) {
+        return new Promise((resolve, reject) => {
+            const loader = new GLTFLoader();
+            const modelPath = modelSettings.path;
+
+            console.log(`Loading level scene from: ${modelPath}`);
+
+            loader.load(
+                modelPath,
+                (gltf) => {
+                    const model = gltf.scene;
+
+                    // Scale and position the model
+                    const scale = modelSettings.scale;
+                    const position = modelSettings.position;
+                    model.scale.set(scale.x, scale.y, scale.z);
+                    model.position.set(position.x, position.y, position.z);
+                    model.rotation.y = THREE.MathUtils.degToRad(modelSettings.rotationY || 0);
+                    model.updateMatrixWorld(true);
+
+                    // Add the model to the scene
+                    this.engine.addToScene(model);
+                    console.log('Level scene loaded successfully');
+
+                    resolve(model);
+                },
+                (progress) => {
+                    console.log('Loading scene model:', (progress.loaded / progress.total * 100).toFixed(2) + '%');
+                },
+                (error) => {
+                    console.error('Error loading level scene:', error);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    // Create the level's static collider from the cache, cooking it on a miss
+    // Returns true if it had to be cooked
+    createStaticColliders(model, cachedData) {
+        let colliderData = cachedData;
+        const isCooked = !colliderData;
+
+        if (isCooked) {
+            const startTime = performance.now();
+            colliderData = this.colliderCache.cook(model);
+            console.log(`Cooked level colliders in ${(performance.now() - startTime).toFixed(0)}ms`);
+        }
+
+        if (colliderData.indices.length === 0) {
+            console.warn('Level model has no collision geometry');
+            return false;
+        }
+
+        this.colliderData = colliderData;
+        this.colliderBody = this.physicsWorld.createStaticMeshCollider(colliderData.vertices, colliderData.indices);
+
+        return isCooked;
+    }
+
+    // Navmesh for enemy pathfinding, in order of preference: an offline-baked file named by the
+    // manifest ("navMesh": { "path": ... }), the cache, or baked now from the level colliders.
+    // Returns true if it was baked now.
+    async createNavMesh(navMeshSettings, cachedData) {
+        const { path, ...settings } = navMeshSettings;
+        const navMesh = new NavMesh(settings);
+        let isBaked = false;
+
+        let isLoaded = false;
+        if (path) {
+            try {
+                const response = await fetch(path);
+                if (!response.ok) {
+                    throw new Error(`Could not load navmesh (${response.status})`);
+                }
+                isLoaded = navMesh.setData(await response.json());
+                if (!isLoaded) console.warn(`Navmesh ${path} was baked with different settings, baking again`);
+            } catch (error) {
+                console.warn(`Could not load navmesh ${path}: ${error.message}. Baking instead.`);
+            }
+        }
+
+        if (!isLoaded && cachedData && cachedData.navMesh) {
+            isLoaded = navMesh.setData(cachedData.navMesh);
+        }
+
+        if (!isLoaded) {
+            if (!this.colliderData) {
+                console.warn('No level colliders, enemies will navigate without a navmesh');
+                return false;
+            }
+            navMesh.bake(this.colliderData, this.physicsWorld);
+            isBaked = true;
+        }
+
+        this.physicsWorld.navMesh = navMesh;
+
+        // Debug view was already on when the level changed
+        if (this.collidersVisible) {
+            this.setCollidersVisible(true);
+        }
+
+        return isBaked;
+    }
+
+    // Download the current navmesh to ship with the level (see createNavMesh)
+    downloadNavMesh() {
+        if (!this.physicsWorld.navMesh) {
+            console.warn('No navmesh to download');
+            return;
+        }
+        this.physicsWorld.navMesh.download(`${this.currentLevelId}.navmesh.json`);
+    }
+
+    // Remove the current level's model, colliders and barriers so another level can be loaded
+    unloadLevel() {
+        if (!this.manifest) return;
+
+        console.log(`Unloading level: ${this.manifest.name}`);
+
+        if (this.model) {
+            this.engine.scene.remove(this.model);
+            this.model.traverse(object => {
+                if (object.geometry) object.geometry.dispose();
+                if (object.material) {
+                    const materials = Array.isArray(object.material) ? object.material : [object.material];
+                    materials.forEach(material => {
+                        if (material.map) material.map.dispose();
+                        material.dispose();
+                    });
+                }
+            });
+            this.model = null;
+        }
+
+        if (this.colliderBody) {
+            this.physicsWorld.world.removeRigidBody(this.colliderBody);
+            this.colliderBody = null;
+        }
+        if (this.colliderWireframe) {
+            this.engine.scene.remove(this.colliderWireframe);
+            this.colliderWireframe.geometry.dispose();
+            this.colliderWireframe.material.dispose();
+            this.colliderWireframe = null;
+        }
+        this.colliderData = null;
+
+        if (this.physicsWorld.navMesh) {
+            this.physicsWorld.navMesh.dispose();
+            this.physicsWorld.navMesh = null;
+        }
+
+        this.physicsWorld.removePerimeterBarriers();
+
+        this.manifest = null;
+        this.currentLevelId = null;
+    }
+
+    setCollidersVisible(visible) {
+        this.collidersVisible = visible;
+
+        if (visible && !this.colliderWireframe && this.colliderData) {
+            this.colliderWireframe = this.physicsWorld.createColliderWireframe(this.colliderData.vertices, this.colliderData.indices);
+            this.engine.addToScene(this.colliderWireframe);
+            console.log('Generated level collider wireframe');
+        }
+
+        if (this.colliderWireframe) {
+            this.colliderWireframe.visible = visible;
+        }
+
+        // Navmesh nodes are shown along with the colliders
+        const navMesh = this.physicsWorld.navMesh;
+        if (visible && navMesh && !navMesh.debugMesh) {
+            this.engine.addToScene(navMesh.createDebugMesh());
+        }
+        if (navMesh && navMesh.debugMesh) {
+            navMesh.debugMesh.visible = visible;
+        }
+    }
+}
@@ -0,0 +1,188 @@
+// Jumps in player position bigger than this in one frame are teleports (restart, level change)
+const MAX_FRAME_DISTANCE = 10;
+
+// Collects statistics about the run in progress: shooting, damage dealt and taken per
+// enemy type, items used, movement and a per-night breakdown. Gameplay code reports
+// events through the record* methods, movement is sampled in update().
+// getReport() is what the end-of-run report shows and what gets downloaded as JSON.
+export class RunStats {
+    constructor(engine) {
+        this.engine = engine;
+        this.stats = this.createEmptyStats();
+        this.lastPosition = null;
+    }
+
+    createEmptyStats() {
+        return {
+            shotsFired: 0,  // Trigger pulls (a shotgun blast is one shot)
+            shotsHit: 0,    // Trigger pulls that hit at least one enemy
+            hits: 0,        // Enemy hits (every pellet, every enemy a bullet passes through)
+            headshotHits: 0,
+            kills: {},        // Per enemy type
+            damageDealt: {},  // Per enemy type
+            damageTaken: {},  // Per enemy type
+            medikitsUsed: 0,
+            cratesOpened: 0,
+            distanceTravelled: 0, // Metres, horizontal
+            sprintTime: 0,        // Seconds
+            slideTime: 0,         // Seconds
+            timePlayed: 0,        // Seconds, not counting pauses
+            nights: []            // One entry per night, see getNight()
+        };
+    }
+
+    // New run (Engine.restartGame)
+    resetRun() {
+        this.stats = this.createEmptyStats();
+        this.lastPosition = null;
+    }
+
+    // Breakdown for one night (night 1 is the first night of the run)
+    getNight(night = this.engine.daysSurvived) {
+        while (this.stats.nights.length < night) {
+            this.stats.nights.push({
+                night: this.stats.nights.length + 1,
+                kills: 0,
+                shotsFired: 0,
+                shotsHit: 0,
+                damageDealt: 0,
+                damageTaken: 0
+            });
+        }
+        return this.stats.nights[night - 1];
+    }
+
+    recordShot() {
+        this.stats.shotsFired++;
+        this.getNight().shotsFired++;
+    }
+
+    // First enemy hit of a trigger pull
+    recordShotHit() {
+        this.stats.shotsHit++;
+        this.getNight().shotsHit++;
+    }
+
+    recordHit(enemyType, damage, isHeadshot) {
+        this.stats.hits++;
+        if (isHeadshot) {
+            this.stats.headshotHits++;
+        }
+        this.stats.damageDealt[enemyType] = (this.stats.damageDealt[enemyType] || 0) + damage;
+        this.getNight().damageDealt += damage;
+    }
+
+    recordKill(enemyType) {
+        this.stats.kills[enemyType] = (this.stats.kills[enemyType] || 0) + 1;
+        this.getNight().kills++;
+    }
+
+    recordDamageTaken(enemyType, damage) {
+        this.stats.damageTaken[enemyType] = (this.stats.damageTaken[enemyType] || 0) + damage;
+        this.getNight().damageTaken += damage;
+    }
+
+    recordMedikitUsed() {
+        this.stats.medikitsUsed++;
+    }
+
+    recordCrateOpened() {
+        this.stats.cratesOpened++;
+    }
+
+    // Movement and play time (called every unpaused frame)
+    update(deltaTime) {
+        const playerController = this.engine.playerController;
+        const playerBody = this.engine.physicsWorld ? this.engine.physicsWorld.getPlayerBody() : null;
+        if (!playerController || !playerBody || playerController.health <= 0) return;
+
+        this.stats.timePlayed += deltaTime;
+        if (playerController.isSliding) {
+            this.stats.slideTime += deltaTime;
+        } else if (playerController.isSprinting) {
+            this.stats.sprintTime += deltaTime;
+        }
+
+        const position = playerBody.translation();
+        if (this.lastPosition) {
+            const distance = Math.hypot(position.x - this.lastPosition.x, position.z - this.lastPosition.z);
+            if (distance < MAX_FRAME_DISTANCE) {
+                this.stats.distanceTravelled += distance;
+            }
+        }
+        this.lastPosition = { x: position.x, z: position.z };
+    }
+
+    // Stats collected so far, for a saved run (SaveManager)
+    getSaveData() {
+        return JSON.parse(JSON.stringify(this.stats));
+    }
+
+    applySaveData(data) {
+        this.resetRun();
+        if (data) {
+            this.stats = { ...this.createEmptyStats(), ...data };
+        }
+    }
+
+    // Everything collected plus the derived numbers, ready to show or download
+    getReport() {
+        const stats = this.stats;
+        const engine = this.engine;
+        const enemyTypes = [...new Set([
+            ...Object.keys(stats.kills),
+            ...Object.keys(stats.damageDealt),
+            ...Object.keys(stats.damageTaken)
+        ])];
+
+        return {
+            date: new Date().toISOString(),
+            level: engine.isRotationMode ? 'rotation' : engine.runLevelId,
+            ...engine.scoreManager.getRunSummary(), // score, daysSurvived, kills, headshots
+            shotsFired: stats.shotsFired,
+            shotsHit: stats.shotsHit,
+            accuracy: stats.shotsFired > 0 ? Math.round(stats.shotsHit / stats.shotsFired * 100) : 0,
+            headshotPercentage: stats.hits > 0 ? Math.round(stats.headshotHits / stats.hits * 100) : 0,
+            enemies: enemyTypes.map(type => ({
+                type: type,
+                kills: stats.kills[type] || 0,
+                damageDealt: Math.round(stats.damageDealt[type] || 0),
+                damageTaken: Math.round(stats.damageTaken[type] || 0)
+            })),
+            medikitsUsed: stats.medikitsUsed,
+            cratesOpened: stats.cratesOpened,
+            distanceTravelled: Math.round(stats.distanceTravelled),
+            sprintTime: Math.round(stats.sprintTime),
+            slideTime: Math.round(stats.slideTime),
+            timePlayed: Math.round(stats.timePlayed),
+            nights: stats.nights.map(night => ({
+                ...night,
+                accuracy: night.shotsFired > 0 ? Math.round(night.shotsHit / night.shotsFired * 100) : 0,
+                damageDealt: Math.round(night.damageDealt),
+                damageTaken: Math.round(night.damageTaken)
+            }))
+        };
+    }
+
+    // Save the report as a JSON file for balancing
+    downloadReport() {
+        const jsonData = JSON.stringify(this.getReport(), null, 2);
+        const blob = new Blob([jsonData], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = `run_report_${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}.json`;
+
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+
+        // Small delay before cleanup
+        setTimeout(() => {
+            document.body.removeChild(downloadLink);
+            URL.revokeObjectURL(url);
+        }, 100);
+
+        console.log('Downloaded run report');
+    }
+}
@@ -0,0 +1,131 @@
+const SAVE_STORAGE_KEY = 'savedRun';
+
+// Bump when the save layout changes and add a migration from the old version below
+export const SAVE_VERSION = 4;
+
+// Upgrades a save to the next version, keyed by the version it upgrades from
+const SAVE_MIGRATIONS = {
+    // 2: kills and headshots are kept with the score (ScoreManager); older saves start them at zero
+    1: ({ score, ...save }) => ({ ...save, scoreStats: { score, kills: 0, headshots: 0 } }),
+    // 3: run statistics (RunStats); older saves start them empty
+    2: (save) => ({ ...save, stats: null }),
+    // 4: per-run achievement counters (AchievementManager); rebuilt from the days and score where possible
+    3: (save) => ({
+        ...save,
+        achievements: { nightsSurvived: save.daysSurvived - 1, score: save.scoreStats.score }
+    })
+};
+
+// Saves the run in progress to localStorage so it can be continued after a refresh.
+// The Engine saves at every day/night change, when pausing and when the page is left,
+// and drops the save when the run ends. Each component provides its part of the save
+// (getSaveData) and puts it back on continue (applySaveData).
+export class SaveManager {
+    constructor(engine) {
+        this.engine = engine;
+    }
+
+    hasSave() {
+        return this.load() !== null;
+    }
+
+    save() {
+        const data = this.createSaveData();
+        try {
+            localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(data));
+            console.log(`Run saved (day ${data.daysSurvived}, ${data.isDaytime ? 'day' : 'night'}, score ${data.scoreStats.score})`);
+        } catch (error) {
+            console.warn('Could not save the run:', error);
+        }
+    }
+
+    // The saved run, migrated to the current version, or null if there is none (or it can't be used)
+    load() {
+        let data = null;
+        try {
+            data = JSON.parse(localStorage.getItem(SAVE_STORAGE_KEY) || 'null');
+        } catch (error) {
+            console.warn('Could not read the saved run:', error);
+            return null;
+        }
+        if (!data || typeof data.version !== 'number') return null;
+
+        return this.migrate(data);
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(SAVE_STORAGE_KEY);
+        } catch (error) {
+            console.warn('Could not remove the saved run:', error);
+        }
+    }
+
+    migrate(data) {
+        if (data.version > SAVE_VERSION) {
+            console.warn(`Saved run is version ${data.version}, this build only reads up to ${SAVE_VERSION}`);
+            return null;
+        }
+
+        while (data.version < SAVE_VERSION) {
+            const migration = SAVE_MIGRATIONS[data.version];
+            if (!migration) {
+                console.warn(`No migration for saved run version ${data.version}`);
+                return null;
+            }
+            data = { ...migration(data), version: data.version + 1 };
+            console.log(`Saved run migrated to version ${data.version}`);
+        }
+        return data;
+    }
+
+    createSaveData() {
+        const engine = this.engine;
+        return {
+            version: SAVE_VERSION,
+            savedAt: Date.now(),
+            levelId: engine.levelLoader ? engine.levelLoader.currentLevelId : null,
+            runLevelId: engine.runLevelId,
+            isRotationMode: engine.isRotationMode,
+            daysSurvived: engine.daysSurvived,
+            isDaytime: engine.isDaytime,
+            survivalTimer: engine.survivalTimer,
+            scoreStats: engine.scoreManager.getSaveData(),
+            stats: engine.runStats.getSaveData(),
+            achievements: engine.achievements.getSaveData(),
+            hasSpawnedCrates: engine.hasSpawnedCrates,
+            crates: engine.crates.map(crate => crate.getSaveData()),
+            player: engine.playerController.getSaveData(),
+            weapons: engine.weaponSystem.getSaveData()
+        };
+    }
+
+    // Put a loaded save back into the game. The level has to be loaded already.
+    applySaveData(data) {
+        const engine = this.engine;
+
+        engine.daysSurvived = data.daysSurvived;
+        engine.scoreManager.applySaveData(data.scoreStats);
+        engine.runStats.applySaveData(data.stats);
+        engine.achievements.applySaveData(data.achievements);
+
+        // setEnvironment starts the phase from zero (and tonight's waves), then skip ahead
+        engine.setEnvironment(data.isDaytime);
+        engine.survivalTimer = data.survivalTimer;
+        engine.hasSpawnedCrates = data.hasSpawnedCrates;
+
+        engine.cleanupAllCrates();
+        data.crates.forEach(saved => {
+            const crate = engine.spawnCrate(saved.position);
+            if (crate && saved.isOpen) {
+                crate.setOpened();
+            }
+        });
+
+        // Weapons first - the inventory equips the saved slot's weapon
+        engine.weaponSystem.applySaveData(data.weapons);
+        engine.playerController.applySaveData(data.player);
+
+        console.log(`Continuing run: day ${data.daysSurvived}, ${data.isDaytime ? 'day' : 'night'}, score ${data.scoreStats.score}`);
+    }
+}
@@ -1,37 +1,169 @@
+import { SCORING_RULES } from './ScoringRules.js';
+
+const LEADERBOARD_STORAGE_KEY = 'leaderboard';
+const PLAYER_NAME_STORAGE_KEY = 'leaderboardName';
+
+export const LEADERBOARD_SIZE = 10; // Runs kept on the local leaderboard
+export const MAX_NAME_LENGTH = 12;
+
+// The one score service: points, kills and headshots of the run in progress, the HUD
+// score counter, and the local leaderboard of the best runs (kept in localStorage).
+// Points are worked out from SCORING_RULES: kills come in through scoreKill(), flat
+// bonuses through scoreBonus(), and each award pops up with its breakdown.
 export class ScoreManager {
     constructor(engine) {
-        this.engine = engine; // Reference to the main engine for UI updates
+        this.engine = engine; // Reference to the main engine for the day counter
         this.score = 0;
+        this.kills = 0;
+        this.headshots = 0;
+
+        // Combo and chain state, timed on the run clock so it freezes while paused
+        this.runTime = 0;
+        this.lastKillTime = -Infinity;
+        this.comboMultiplier = 1;
+        this.multiKillCount = 0;
+        this.consecutiveHeadshots = 0;
+
         this.scoreElement = null;
-        this.initScoreDisplay();
-    }
-
-    initScoreDisplay() {
-        // Find or create the score display element
-        this.scoreElement = document.getElementById('score-display');
-        if (!this.scoreElement) {
-            this.scoreElement = document.createElement('div');
-            this.scoreElement.id = 'score-display';
-            this.scoreElement.style.position = 'absolute';
-            this.scoreElement.style.top = '10px';
-            this.scoreElement.style.right = '10px';
-            this.scoreElement.style.color = 'white';
-            this.scoreElement.style.fontSize = '2em';
-            this.scoreElement.style.fontFamily = '"Creepster", cursive'; // Use spooky font
-            this.scoreElement.style.textShadow = '1px 1px 2px black';
-            this.scoreElement.style.zIndex = '1000';
-            document.body.appendChild(this.scoreElement);
-        }
+        this.scoreText = null;
+        this.comboText = null;
+        this.popupElement = null;
+        this.popupTimeout = null;
+        this.createScoreDisplay();
+    }
+
+    // Score counter, bottom left under the day counter (hidden until the game starts)
+    createScoreDisplay() {
+        this.scoreElement = document.createElement('div');
+        this.scoreElement.style.position = 'absolute';
+        this.scoreElement.style.bottom = '20px';
+        this.scoreElement.style.left = '20px';
+        this.scoreElement.style.color = '#FFD700'; // Yellow color
+        this.scoreElement.style.fontFamily = '"Creepster", "Chiller", cursive';
+        this.scoreElement.style.fontSize = '24px';
+        this.scoreElement.style.textShadow = '2px 2px 4px #000000, 0 0 10px #FFD700, 0 0 20px #B8860B';
+        this.scoreElement.style.letterSpacing = '2px';
+        this.scoreElement.style.zIndex = '1000';
+        this.scoreElement.style.display = 'none';
+
+        this.scoreText = document.createElement('span');
+        this.scoreElement.appendChild(this.scoreText);
+
+        // Combo multiplier, only shown while it is above x1
+        this.comboText = document.createElement('span');
+        this.comboText.style.marginLeft = '12px';
+        this.comboText.style.color = '#FF6600';
+        this.comboText.style.textShadow = '2px 2px 4px #000000, 0 0 10px #FF6600';
+        this.scoreElement.appendChild(this.comboText);
+
+        document.body.appendChild(this.scoreElement);
         this.updateScoreDisplay();
     }
 
+    showScoreDisplay() {
+        this.scoreElement.style.display = 'block';
+    }
+
     addScore(points) {
-        if (points > 0) {
-            this.score += points;
-            console.log(`Added ${points} points. Total score: ${this.score}`);
-            this.updateScoreDisplay();
-            // Optional: Add a visual effect for score increase
-            this.showScorePopup(`+${points}`);
+        if (points <= 0) return;
+
+        this.score += points;
+        this.updateScoreDisplay();
+        this.engine.achievements.onScoreChanged(this.score);
+
+        // Pop the counter to show the score going up
+        this.scoreElement.style.transform = 'scale(1.2)';
+        this.scoreElement.style.transition = 'transform 0.2s ease-out';
+        setTimeout(() => {
+            this.scoreElement.style.transform = 'scale(1.0)';
+        }, 200);
+
+        console.log(`Score increased by ${points} points. New score: ${this.score}`);
+    }
+
+    // Award an enemy kill by the scoring rules. Returns the award so the caller can
+    // react to it: { total, lines, headshotStreak }
+    scoreKill(enemyType, isHeadshot = false) {
+        const rules = SCORING_RULES;
+        const lines = [];
+
+        this.kills++;
+        if (isHeadshot) {
+            this.headshots++;
+        }
+
+        const basePoints = rules.enemyPoints[enemyType] ?? rules.enemyPoints.default;
+        lines.push({ label: 'KILL', points: basePoints });
+        let points = basePoints;
+
+        if (isHeadshot && rules.headshotBonus > 0) {
+            lines.push({ label: 'HEADSHOT', points: rules.headshotBonus });
+            points += rules.headshotBonus;
+        }
+
+        // Multi-kill chain
+        this.multiKillCount = this.runTime - this.lastKillTime <= rules.multiKill.window ? this.multiKillCount + 1 : 1;
+        this.lastKillTime = this.runTime;
+        const tier = rules.multiKill.tiers.filter(entry => this.multiKillCount >= entry.kills).pop();
+        if (tier) {
+            lines.push({ label: tier.label, points: tier.bonus });
+            points += tier.bonus;
+        }
+
+        // The combo multiplies this kill, then grows for the next one
+        const multiplier = this.comboMultiplier;
+        if (multiplier > 1) {
+            lines.push({ label: 'COMBO', multiplier: multiplier });
+        }
+        let total = Math.round(points * multiplier);
+        this.comboMultiplier = Math.min(rules.combo.max, this.comboMultiplier + rules.combo.step);
+
+        // Headshot streak bonus (flat, not multiplied)
+        let headshotStreak = false;
+        if (isHeadshot) {
+            this.consecutiveHeadshots++;
+            if (this.consecutiveHeadshots >= rules.headshotStreak.kills) {
+                lines.push({ label: 'HEADSHOT STREAK', points: rules.headshotStreak.bonus });
+                total += rules.headshotStreak.bonus;
+                headshotStreak = true;
+                this.consecutiveHeadshots = 0;
+            }
+        }
+
+        this.addScore(total);
+        this.showScorePopup(lines, total);
+        return { total, lines, headshotStreak };
+    }
+
+    // Flat bonus outside of kills (bosses, surviving a night)
+    scoreBonus(label, points) {
+        if (points <= 0) return;
+
+        this.addScore(points);
+        this.showScorePopup([{ label, points }], points);
+    }
+
+    // Dawn after the given night
+    scoreNightSurvived(night) {
+        this.scoreBonus(`NIGHT ${night} SURVIVED`, SCORING_RULES.nightSurvived.pointsPerNight * night);
+    }
+
+    // Taking damage breaks the headshot streak
+    resetHeadshotStreak() {
+        if (this.consecutiveHeadshots > 0) {
+            console.log(`Headshot streak reset: ${this.consecutiveHeadshots} -> 0`);
+            this.consecutiveHeadshots = 0;
+        }
+    }
+
+    // Combo decay (called every unpaused frame)
+    update(deltaTime) {
+        this.runTime += deltaTime;
+
+        const combo = SCORING_RULES.combo;
+        if (this.comboMultiplier > 1 && this.runTime - this.lastKillTime > combo.decayDelay) {
+            this.comboMultiplier = Math.max(1, this.comboMultiplier - combo.decayPerSecond * deltaTime);
+            this.updateComboDisplay();
         }
     }
 
@@ -39,46 +171,231 @@ export class ScoreManager {
         return this.score;
     }
 
-    resetScore() {
+    // New run (Engine.restartGame)
+    resetRun() {
         this.score = 0;
-        console.log("Score reset.");
+        this.kills = 0;
+        this.headshots = 0;
+        this.runTime = 0;
+        this.lastKillTime = -Infinity;
+        this.comboMultiplier = 1;
+        this.multiKillCount = 0;
+        this.consecutiveHeadshots = 0;
+        this.hideScorePopup();
         this.updateScoreDisplay();
     }
 
     updateScoreDisplay() {
-        if (this.scoreElement) {
-            this.scoreElement.textContent = `Score: ${this.score}`;
+        if (this.scoreText) {
+            this.scoreText.textContent = `SCORE: ${this.score}`;
         }
+        this.updateComboDisplay();
     }
-    
-    // Optional: Display a small popup showing points added
-    showScorePopup(text) {
+
+    updateComboDisplay() {
+        if (this.comboText) {
+            this.comboText.textContent = this.comboMultiplier > 1 ? `x${this.comboMultiplier.toFixed(1)}` : '';
+        }
+    }
+
+    // Breakdown of an award under the crosshair, e.g. KILL +100 / HEADSHOT +100 / COMBO x1.5 / +300
+    showScorePopup(lines, total) {
+        this.hideScorePopup();
+
         const popup = document.createElement('div');
-        popup.textContent = text;
-        popup.style.position = 'absolute';
-        popup.style.right = '20px'; // Position near score display
-        popup.style.top = '50px'; 
-        popup.style.fontSize = '1.5em';
-        popup.style.color = 'yellow'; // Points popup color
-        popup.style.fontFamily = '"Creepster", cursive';
-        popup.style.textShadow = '1px 1px 1px black';
-        popup.style.opacity = '1';
-        popup.style.transition = 'opacity 1s ease-out, transform 1s ease-out';
-        popup.style.transform = 'translateY(0)';
+        popup.style.position = 'fixed';
+        popup.style.top = '60%';
+        popup.style.left = '50%';
+        popup.style.transform = 'translate(-50%, 0)';
+        popup.style.color = '#FFD700';
+        popup.style.fontFamily = '"Creepster", "Chiller", cursive';
+        popup.style.fontSize = '20px';
+        popup.style.textAlign = 'center';
+        popup.style.textShadow = '2px 2px 4px #000000';
+        popup.style.letterSpacing = '2px';
         popup.style.pointerEvents = 'none';
-        popup.style.zIndex = '1001';
+        popup.style.zIndex = '1000';
+        popup.style.transition = 'opacity 0.5s ease-out, transform 1.5s ease-out';
+
+        lines.forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line.multiplier
+                ? `${line.label} x${line.multiplier.toFixed(1)}`
+                : `${line.label} +${line.points}`;
+            popup.appendChild(row);
+        });
+
+        // Total only adds anything when there is more than one line
+        if (lines.length > 1) {
+            const totalRow = document.createElement('div');
+            totalRow.textContent = `+${total}`;
+            totalRow.style.fontSize = '28px';
+            totalRow.style.marginTop = '4px';
+            popup.appendChild(totalRow);
+        }
+
         document.body.appendChild(popup);
+        this.popupElement = popup;
 
-        // Animate and remove
-        setTimeout(() => {
+        // Drift up, then fade out
+        requestAnimationFrame(() => {
+            popup.style.transform = 'translate(-50%, -30px)';
+        });
+        this.popupTimeout = setTimeout(() => {
             popup.style.opacity = '0';
-            popup.style.transform = 'translateY(-30px)'; // Move up while fading
-        }, 100); // Start fading quickly
+            this.popupTimeout = setTimeout(() => this.hideScorePopup(), 500);
+        }, 1000);
+    }
 
-        setTimeout(() => {
-            if (popup.parentNode) {
-                popup.parentNode.removeChild(popup);
+    hideScorePopup() {
+        clearTimeout(this.popupTimeout);
+        this.popupTimeout = null;
+        if (this.popupElement && this.popupElement.parentNode) {
+            this.popupElement.parentNode.removeChild(this.popupElement);
+        }
+        this.popupElement = null;
+    }
+
+    // Score and kill counts for a saved run (SaveManager)
+    getSaveData() {
+        return {
+            score: this.score,
+            kills: this.kills,
+            headshots: this.headshots
+        };
+    }
+
+    applySaveData(data) {
+        this.score = data.score;
+        this.kills = data.kills;
+        this.headshots = data.headshots;
+        this.updateScoreDisplay();
+    }
+
+    // --- Leaderboard ---
+
+    // What the game over screen shows and the leaderboard keeps
+    getRunSummary() {
+        return {
+            score: this.score,
+            daysSurvived: this.engine.daysSurvived,
+            kills: this.kills,
+            headshots: this.headshots
+        };
+    }
+
+    // Best runs first: [{ name, score, daysSurvived, kills, headshots, date }]
+    getLeaderboard() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Could not load the leaderboard:', error);
+            return [];
+        }
+    }
+
+    // Place (1 = best) a run with this score would take, or null if it doesn't make the table.
+    // A run that ties an existing score goes below it.
+    getPlacement(score) {
+        if (score <= 0) return null;
+
+        const placement = this.getLeaderboard().filter(entry => entry.score >= score).length + 1;
+        return placement <= LEADERBOARD_SIZE ? placement : null;
+    }
+
+    // Add the current run to the leaderboard. Returns its place, or null if it didn't make it.
+    submitRun(name) {
+        const summary = this.getRunSummary();
+        const placement = this.getPlacement(summary.score);
+        if (placement === null) return null;
+
+        const cleanName = (name || '').trim().slice(0, MAX_NAME_LENGTH) || 'PLAYER';
+        const entries = this.getLeaderboard();
+        entries.splice(placement - 1, 0, { name: cleanName, ...summary, date: Date.now() });
+
+        try {
+            localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(entries.slice(0, LEADERBOARD_SIZE)));
+            localStorage.setItem(PLAYER_NAME_STORAGE_KEY, cleanName);
+        } catch (error) {
+            console.warn('Could not save the leaderboard:', error);
+        }
+
+        console.log(`Run added to the leaderboard at #${placement} (${cleanName}, ${summary.score})`);
+        return placement;
+    }
+
+    // Name used for the last leaderboard entry, to fill in the next one
+    getPlayerName() {
+        try {
+            return localStorage.getItem(PLAYER_NAME_STORAGE_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    // Leaderboard as a table element; highlightPlacement marks one row (e.g. the run just played)
+    createLeaderboardTable(highlightPlacement = null) {
+        const entries = this.getLeaderboard();
+        const table = document.createElement('table');
+        table.style.borderCollapse = 'collapse';
+        table.style.width = '100%';
+        table.style.fontFamily = 'Arial, sans-serif';
+        table.style.fontSize = '16px';
+        table.style.color = 'white';
+
+        const header = document.createElement('tr');
+        ['#', 'NAME', 'SCORE', 'DAYS', 'KILLS', 'HEADSHOTS', 'DATE'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            cell.style.padding = '6px 10px';
+            cell.style.color = '#0099FF';
+            cell.style.borderBottom = '1px solid #0099FF';
+            cell.style.textAlign = text === 'NAME' ? 'left' : 'center';
+            header.appendChild(cell);
+        });
+        table.appendChild(header);
+
+        if (entries.length === 0) {
+            const row = document.createElement('tr');
+            const cell = document.createElement('td');
+            cell.colSpan = 7;
+            cell.textContent = 'No runs yet';
+            cell.style.padding = '15px';
+            cell.style.textAlign = 'center';
+            cell.style.color = '#AAAAAA';
+            row.appendChild(cell);
+            table.appendChild(row);
+            return table;
+        }
+
+        entries.forEach((entry, index) => {
+            const row = document.createElement('tr');
+            if (index + 1 === highlightPlacement) {
+                row.style.backgroundColor = 'rgba(255, 215, 0, 0.25)';
+                row.style.color = '#FFD700';
             }
-        }, 1100); // Remove after animation
+
+            const values = [
+                index + 1,
+                entry.name,
+                entry.score,
+                entry.daysSurvived,
+                entry.kills,
+                entry.headshots,
+                new Date(entry.date).toLocaleDateString()
+            ];
+            values.forEach((value, column) => {
+                const cell = document.createElement('td');
+                cell.textContent = value;
+                cell.style.padding = '4px 10px';
+                cell.style.borderBottom = '1px solid #333';
+                cell.style.textAlign = column === 1 ? 'left' : 'center';
+                row.appendChild(cell);
+            });
+            table.appendChild(row);
+        });
+
+        return table;
     }
-} 
\ No newline at end of file
+}
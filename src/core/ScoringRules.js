@@ -0,0 +1,48 @@
+// Scoring rules used by ScoreManager - rebalance the game's scoring here.
+//
+// A kill is worth (enemy points + headshot bonus + multi-kill bonus) x combo multiplier.
+// Headshot streaks, bosses (scoreBonus in WaveDefinitions.js) and surviving a night
+// give flat bonuses on top that the combo does not multiply.
+
+export const SCORING_RULES = {
+    // Points per enemy type, keyed by the type the hitbox registry reports ('Lokito' / 'DNB')
+    enemyPoints: {
+        Lokito: 100,
+        DNB: 100,
+        default: 100 // Any other enemy type
+    },
+
+    // Extra points when the killing blow is a headshot
+    headshotBonus: 100,
+
+    // Headshot kills in a row (taking damage breaks the streak)
+    headshotStreak: {
+        kills: 3,
+        bonus: 500
+    },
+
+    // Kills less than `window` seconds apart chain into a multi-kill.
+    // Each tier's bonus goes to the kill that reaches it; longer chains keep the last tier.
+    multiKill: {
+        window: 1.5,
+        tiers: [
+            { kills: 2, label: 'DOUBLE KILL', bonus: 50 },
+            { kills: 3, label: 'TRIPLE KILL', bonus: 100 },
+            { kills: 4, label: 'MULTI KILL', bonus: 200 }
+        ]
+    },
+
+    // Every kill raises the multiplier by `step` up to `max`. After `decayDelay` seconds
+    // without a kill it falls back towards 1 at `decayPerSecond`.
+    combo: {
+        step: 0.1,
+        max: 3,
+        decayDelay: 3,
+        decayPerSecond: 0.5
+    },
+
+    // Bonus at dawn: pointsPerNight x the number of the night just survived
+    nightSurvived: {
+        pointsPerNight: 250
+    }
+};
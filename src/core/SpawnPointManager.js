@@ -0,0 +1,211 @@
+import * as THREE from 'three';
+
+// Named sets of spawn points (enemies, crates, ...) from the level manifest.
+// Each set has rules that decide which of its points may be used right now:
+//   minDistanceFromPlayer / maxDistanceFromPlayer - metres from the player
+//   avoidPlayerView - skip points the player can currently see (in the view frustum
+//                     with nothing blocking the line of sight)
+// validate() drops points that are not above walkable ground once the level colliders exist.
+export class SpawnPointManager {
+    constructor(physicsWorld, defaultRules = {}) {
+        this.physicsWorld = physicsWorld;
+        this.defaultRules = defaultRules; // Applied to every set, overridden by the set's own rules
+        this.sets = {};
+        this.levelData = null;
+
+        // Height above the spawn point used for view checks (roughly chest height)
+        this.viewCheckHeight = 1.0;
+        this.maxGroundDistance = 3.0; // Ground must be this close below a point to count as valid
+
+        this.frustum = new THREE.Frustum();
+        this.projectionMatrix = new THREE.Matrix4();
+    }
+
+    // Use the spawn sets of a level manifest (kept for exporting authored points back into it)
+    setLevelData(levelData) {
+        this.levelData = levelData;
+        this.setSpawnSets(levelData.spawnSets || {});
+    }
+
+    setSpawnSets(spawnSets) {
+        this.sets = {};
+        Object.entries(spawnSets).forEach(([setName, setData]) => {
+            this.sets[setName] = {
+                rules: { ...this.defaultRules, ...(setData.rules || {}) },
+                points: (setData.points || []).map((point, index) => ({
+                    name: point.name || `${setName}_${index + 1}`,
+                    position: new THREE.Vector3(
+                        parseFloat(point.position.x) || 0,
+                        parseFloat(point.position.y) || 0,
+                        parseFloat(point.position.z) || 0
+                    ),
+                    isValid: true
+                }))
+            };
+        });
+    }
+
+    // Raycast down from every point and disable the ones that aren't above walkable ground
+    validate() {
+        if (!this.physicsWorld || !this.physicsWorld.world) {
+            console.warn("Cannot validate spawn points: Physics world not ready.");
+            return;
+        }
+
+        Object.entries(this.sets).forEach(([setName, set]) => {
+            let validCount = 0;
+            set.points.forEach(point => {
+                const ground = this.physicsWorld.findGroundBelow(point.position, this.maxGroundDistance);
+
+                if (!ground) {
+                    point.isValid = false;
+                    console.warn(`Spawn point '${point.name}' in '${setName}' has no ground below it - disabled`);
+                } else if (!ground.isWalkable) {
+                    point.isValid = false;
+                    console.warn(`Spawn point '${point.name}' in '${setName}' is on a slope that is too steep - disabled`);
+                } else {
+                    point.isValid = true;
+                    validCount++;
+                }
+            });
+
+            console.log(`Spawn set '${setName}': ${validCount}/${set.points.length} points valid`);
+            if (validCount === 0 && set.points.length > 0) {
+                console.error(`Spawn set '${setName}' has no valid points!`);
+            }
+        });
+    }
+
+    // All usable points of a set (copies, so callers can modify them)
+    getPoints(setName) {
+        const set = this.sets[setName];
+        if (!set) return [];
+        return set.points.filter(point => point.isValid).map(point => point.position.clone());
+    }
+
+    // Pick a random point of a set that satisfies its rules
+    // context: { playerPosition, camera } - rules that need missing context are skipped
+    // If no point satisfies every rule, the view rule and then the distance rules are relaxed
+    // so something can always spawn. Returns a Vector3 copy, or null if the set is empty.
+    pickPoint(setName, context = {}) {
+        const set = this.sets[setName];
+        if (!set) {
+            console.warn(`Unknown spawn set '${setName}'`);
+            return null;
+        }
+
+        const validPoints = set.points.filter(point => point.isValid);
+        if (validPoints.length === 0) return null;
+
+        const rules = set.rules;
+        const inRange = validPoints.filter(point => this.isInRange(point.position, rules, context.playerPosition));
+        const hidden = rules.avoidPlayerView
+            ? inRange.filter(point => !this.isVisibleToPlayer(point.position, context.camera))
+            : inRange;
+
+        const candidates = hidden.length > 0 ? hidden : (inRange.length > 0 ? inRange : validPoints);
+        if (candidates !== hidden) {
+            console.log(`No spawn point in '${setName}' satisfies every rule, relaxing rules`);
+        }
+
+        return candidates[Math.floor(Math.random() * candidates.length)].position.clone();
+    }
+
+    isInRange(position, rules, playerPosition) {
+        if (!playerPosition) return true;
+
+        const distance = position.distanceTo(playerPosition);
+        if (rules.minDistanceFromPlayer !== undefined && distance < rules.minDistanceFromPlayer) return false;
+        if (rules.maxDistanceFromPlayer !== undefined && distance > rules.maxDistanceFromPlayer) return false;
+        return true;
+    }
+
+    // In the camera frustum and not hidden behind level geometry
+    isVisibleToPlayer(position, camera) {
+        if (!camera) return false;
+
+        const target = position.clone();
+        target.y += this.viewCheckHeight;
+
+        camera.updateMatrixWorld();
+        this.projectionMatrix.multiplyMatrices(camera.projectionMatrix, camera.matrixWorldInverse);
+        this.frustum.setFromProjectionMatrix(this.projectionMatrix);
+        if (!this.frustum.containsPoint(target)) return false;
+
+        // Line of sight - a wall between the camera and the point hides it
+        const toTarget = target.clone().sub(camera.position);
+        const distance = toTarget.length();
+        const wallHit = this.physicsWorld.castBulletRay(camera.position, toTarget.normalize(), distance);
+        return !wallHit;
+    }
+
+    // --- Authoring ---
+
+    // Add a point at a world position (e.g. where the player is standing)
+    addPoint(setName, position) {
+        if (!this.sets[setName]) {
+            this.sets[setName] = { rules: { ...this.defaultRules }, points: [] };
+        }
+
+        const set = this.sets[setName];
+        const point = {
+            name: `${setName}_${set.points.length + 1}`,
+            position: position.clone(),
+            isValid: true
+        };
+
+        // Validate straight away so the author knows if the spot is usable
+        const ground = this.physicsWorld.findGroundBelow(point.position, this.maxGroundDistance);
+        point.isValid = !!(ground && ground.isWalkable);
+        set.points.push(point);
+
+        console.log(`Added spawn point '${point.name}' at ${position.x.toFixed(2)}, ${position.y.toFixed(2)}, ${position.z.toFixed(2)} (${point.isValid ? 'valid' : 'INVALID - no walkable ground'})`);
+        return point;
+    }
+
+    // Level data with the current spawn sets, in the same format as the level file
+    toJSON() {
+        const spawnSets = {};
+        Object.entries(this.sets).forEach(([setName, set]) => {
+            // Only store rules that differ from the defaults
+            const rules = {};
+            Object.entries(set.rules).forEach(([key, value]) => {
+                if (this.defaultRules[key] !== value) rules[key] = value;
+            });
+
+            spawnSets[setName] = {
+                rules: rules,
+                points: set.points.map(point => ({
+                    name: point.name,
+                    position: {
+                        x: parseFloat(point.position.x.toFixed(2)),
+                        y: parseFloat(point.position.y.toFixed(2)),
+                        z: parseFloat(point.position.z.toFixed(2))
+                    }
+                }))
+            };
+        });
+
+        return { ...(this.levelData || {}), spawnSets: spawnSets };
+    }
+
+    // Download the level data as a JSON file to copy into 'assets/levels/'
+    downloadLevelData(fileName) {
+        const jsonData = JSON.stringify(this.toJSON(), null, 2);
+        const blob = new Blob([jsonData], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = fileName;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+
+        setTimeout(() => {
+            document.body.removeChild(downloadLink);
+            URL.revokeObjectURL(url);
+        }, 100);
+
+        console.log(`Downloaded level data as ${fileName}`);
+    }
+}
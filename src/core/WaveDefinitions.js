@@ -0,0 +1,59 @@
+// Wave definitions used by WaveDirector.
+// Each night is a list of waves; nights past the end of the list reuse the last night.
+// Everything is scaled up by WAVE_SCALING for every night survived, so the same
+// template gets harder as daysSurvived grows.
+//
+// enemies       - how many of each enemy type ('lokito' / 'dnb') the wave spawns in total
+// initialBurst  - enemies spawned immediately when the wave starts (the rest trickle in)
+// spawnInterval - milliseconds between spawns after the burst
+// maxAlive      - the wave stops spawning while this many of its enemies are alive
+// bosses        - optional stronger enemies spawned once the regular enemies are all out:
+//                 type, healthMultiplier, scale (visual size) and score bonus on kill
+
+export const NIGHT_WAVES = [
+    // Night 1 - warm up
+    [
+        { enemies: { lokito: 3, dnb: 2 }, initialBurst: 3, spawnInterval: 5000, maxAlive: 5 },
+        { enemies: { lokito: 3, dnb: 4 }, initialBurst: 2, spawnInterval: 4500, maxAlive: 6 }
+    ],
+    // Night 2 - more zombies, faster cadence
+    [
+        { enemies: { lokito: 3, dnb: 3 }, initialBurst: 3, spawnInterval: 4500, maxAlive: 6 },
+        { enemies: { lokito: 2, dnb: 6 }, initialBurst: 3, spawnInterval: 3500, maxAlive: 7 },
+        { enemies: { lokito: 5, dnb: 3 }, initialBurst: 2, spawnInterval: 3500, maxAlive: 7 }
+    ],
+    // Night 3 - first boss
+    [
+        { enemies: { lokito: 4, dnb: 4 }, initialBurst: 4, spawnInterval: 4000, maxAlive: 7 },
+        { enemies: { lokito: 4, dnb: 6 }, initialBurst: 3, spawnInterval: 3000, maxAlive: 8 },
+        {
+            enemies: { lokito: 3, dnb: 3 }, initialBurst: 2, spawnInterval: 3500, maxAlive: 6,
+            bosses: [{ type: 'dnb', healthMultiplier: 6, scale: 1.4, scoreBonus: 500 }]
+        }
+    ],
+    // Night 4+ - ghosts and zombies together, two bosses at the end
+    [
+        { enemies: { lokito: 5, dnb: 5 }, initialBurst: 4, spawnInterval: 3500, maxAlive: 8 },
+        { enemies: { lokito: 6, dnb: 6 }, initialBurst: 4, spawnInterval: 2800, maxAlive: 9 },
+        {
+            enemies: { lokito: 4, dnb: 4 }, initialBurst: 3, spawnInterval: 3000, maxAlive: 8,
+            bosses: [
+                { type: 'lokito', healthMultiplier: 4, scale: 1.3, scoreBonus: 500 },
+                { type: 'dnb', healthMultiplier: 6, scale: 1.4, scoreBonus: 500 }
+            ]
+        }
+    ]
+];
+
+// Per-night difficulty scaling applied on top of the templates (night 1 is unscaled)
+export const WAVE_SCALING = {
+    countPerNight: 0.2,          // +20% enemies per wave for every night survived
+    spawnIntervalPerNight: 0.08, // 8% shorter spawn interval per night
+    minSpawnInterval: 1500,
+    maxAlivePerNight: 1,
+    maxAliveCap: 10,             // Never more than this many alive at once (performance)
+    healthPerNight: 0.1          // +10% enemy health per night
+};
+
+// Quiet time between waves in milliseconds
+export const WAVE_BREATHER = 8000;
@@ -0,0 +1,248 @@
+import { NIGHT_WAVES, WAVE_SCALING, WAVE_BREATHER } from './WaveDefinitions.js';
+
+// Runs the enemy waves of a night.
+// The Engine starts it when night falls and stops it at day; every frame it decides
+// whether the current wave should spawn another enemy, whether the wave has been
+// cleared, and when the next wave begins after a short breather.
+export class WaveDirector {
+    constructor(engine) {
+        this.engine = engine;
+        this.isActive = false;
+        this.night = 1;
+        this.waves = [];
+        this.waveIndex = -1;
+        this.state = 'idle'; // idle | breather | spawning | clearing | complete
+        this.stateTimer = 0; // Milliseconds spent in the current state
+        this.spawnTimer = 0; // Milliseconds since the last spawn in this wave
+        this.spawnQueue = []; // Enemy spawn requests left in the current wave
+        this.waveEnemies = []; // Enemies spawned by the current wave that are still around
+        this.bosses = []; // Boss instances still alive, for the kill bonus
+
+        this.announcementElement = null;
+        this.createAnnouncementElement();
+    }
+
+    // Build the waves for this night and start the first one on the next update
+    startNight(night) {
+        this.night = Math.max(1, night);
+        this.waves = this.buildNightWaves(this.night);
+        this.waveIndex = -1;
+        this.spawnQueue = [];
+        this.waveEnemies = [];
+        this.bosses = [];
+        this.isActive = true;
+
+        // Start the first wave right away
+        this.state = 'breather';
+        this.stateTimer = WAVE_BREATHER;
+
+        console.log(`[WaveDirector] Night ${this.night}: ${this.waves.length} waves`);
+    }
+
+    stop() {
+        this.isActive = false;
+        this.state = 'idle';
+        this.spawnQueue = [];
+        this.waveEnemies = [];
+        this.bosses = [];
+    }
+
+    // True once every wave of the night has been spawned and killed
+    isNightComplete() {
+        return this.isActive && this.state === 'complete';
+    }
+
+    // Short status for the timer HUD, e.g. "WAVE 2/3"
+    getStatusText() {
+        if (!this.isActive || this.waveIndex < 0) return '';
+        if (this.state === 'complete') return 'ALL WAVES CLEARED';
+
+        const waveText = `WAVE ${this.waveIndex + 1}/${this.waves.length}`;
+        if (this.state === 'breather') {
+            const secondsLeft = Math.ceil((WAVE_BREATHER - this.stateTimer) / 1000);
+            return `NEXT WAVE IN ${secondsLeft}`;
+        }
+        return waveText;
+    }
+
+    // Scale the night's wave templates by how many nights have been survived
+    buildNightWaves(night) {
+        const template = NIGHT_WAVES[Math.min(night, NIGHT_WAVES.length) - 1];
+        const nightsSurvived = night - 1;
+
+        const countScale = 1 + WAVE_SCALING.countPerNight * nightsSurvived;
+        const intervalScale = Math.pow(1 - WAVE_SCALING.spawnIntervalPerNight, nightsSurvived);
+        const healthMultiplier = 1 + WAVE_SCALING.healthPerNight * nightsSurvived;
+
+        return template.map(wave => ({
+            enemies: {
+                lokito: Math.round((wave.enemies.lokito || 0) * countScale),
+                dnb: Math.round((wave.enemies.dnb || 0) * countScale)
+            },
+            initialBurst: wave.initialBurst || 0,
+            spawnInterval: Math.max(WAVE_SCALING.minSpawnInterval, wave.spawnInterval * intervalScale),
+            maxAlive: Math.min(WAVE_SCALING.maxAliveCap, wave.maxAlive + WAVE_SCALING.maxAlivePerNight * nightsSurvived),
+            healthMultiplier: healthMultiplier,
+            bosses: wave.bosses || []
+        }));
+    }
+
+    update(deltaTime) {
+        if (!this.isActive || this.state === 'complete' || this.state === 'idle') return;
+
+        const deltaMs = deltaTime * 1000;
+        this.stateTimer += deltaMs;
+
+        // Forget enemies the Engine has already removed (killed or faded out)
+        this.waveEnemies = this.waveEnemies.filter(enemy => this.engine.enemies.includes(enemy));
+        this.checkBossKills();
+
+        if (this.state === 'breather') {
+            if (this.stateTimer >= WAVE_BREATHER) {
+                this.startNextWave();
+            }
+            return;
+        }
+
+        const wave = this.waves[this.waveIndex];
+
+        if (this.state === 'spawning') {
+            this.spawnTimer += deltaMs;
+            if (this.spawnTimer >= wave.spawnInterval && this.waveEnemies.length < wave.maxAlive) {
+                this.spawnNext(wave);
+                this.spawnTimer = 0;
+            }
+
+            if (this.spawnQueue.length === 0) {
+                this.state = 'clearing';
+                this.stateTimer = 0;
+            }
+            return;
+        }
+
+        if (this.state === 'clearing' && this.waveEnemies.length === 0) {
+            this.onWaveCleared();
+        }
+    }
+
+    startNextWave() {
+        this.waveIndex++;
+        if (this.waveIndex >= this.waves.length) {
+            this.state = 'complete';
+            return;
+        }
+
+        const wave = this.waves[this.waveIndex];
+
+        // Regular enemies in random order, bosses last
+        const regular = [];
+        for (let i = 0; i < wave.enemies.lokito; i++) regular.push({ type: 'lokito' });
+        for (let i = 0; i < wave.enemies.dnb; i++) regular.push({ type: 'dnb' });
+        for (let i = regular.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [regular[i], regular[j]] = [regular[j], regular[i]];
+        }
+        this.spawnQueue = regular.concat(wave.bosses.map(boss => ({ ...boss, isBoss: true })));
+
+        this.state = 'spawning';
+        this.stateTimer = 0;
+        this.spawnTimer = 0;
+
+        console.log(`[WaveDirector] Night ${this.night} wave ${this.waveIndex + 1}: ${wave.enemies.lokito} Lokito, ${wave.enemies.dnb} DNB, ${wave.bosses.length} bosses`);
+
+        const isFinalWave = this.waveIndex === this.waves.length - 1;
+        this.announce(`NIGHT ${this.night} - ${isFinalWave ? 'FINAL WAVE' : `WAVE ${this.waveIndex + 1}`}`);
+        this.engine.musicDirector.playStinger('waveStart');
+
+        // Initial burst
+        const burst = Math.min(wave.initialBurst, wave.maxAlive);
+        for (let i = 0; i < burst && this.spawnQueue.length > 0; i++) {
+            this.spawnNext(wave);
+        }
+    }
+
+    spawnNext(wave) {
+        const request = this.spawnQueue[0];
+
+        // Bosses wait until the regular enemies of the wave are dead
+        if (request.isBoss && this.waveEnemies.some(enemy => !enemy.isBoss)) {
+            return;
+        }
+
+        const enemy = this.engine.spawnEnemy(request.type, {
+            healthMultiplier: wave.healthMultiplier * (request.healthMultiplier || 1),
+            scale: request.scale || 1,
+            isBoss: !!request.isBoss
+        });
+
+        // Engine refused (not ready or at its hard cap) - try again next interval
+        if (!enemy) return;
+
+        this.spawnQueue.shift();
+        this.waveEnemies.push(enemy);
+
+        if (request.isBoss) {
+            this.bosses.push({ enemy: enemy, scoreBonus: request.scoreBonus || 0 });
+            this.announce('BOSS INCOMING');
+        }
+    }
+
+    checkBossKills() {
+        this.bosses = this.bosses.filter(boss => {
+            if (boss.enemy.health > 0) return true;
+
+            console.log(`[WaveDirector] Boss killed, awarding ${boss.scoreBonus} bonus points`);
+            this.engine.scoreManager.scoreBonus('BOSS KILL', boss.scoreBonus);
+            this.engine.achievements.onBossKilled();
+            return false;
+        });
+    }
+
+    onWaveCleared() {
+        console.log(`[WaveDirector] Wave ${this.waveIndex + 1} cleared`);
+
+        if (this.waveIndex >= this.waves.length - 1) {
+            this.state = 'complete';
+            this.announce(`NIGHT ${this.night} SURVIVED`);
+            return;
+        }
+
+        this.state = 'breather';
+        this.stateTimer = 0;
+        this.announce('WAVE CLEARED');
+    }
+
+    createAnnouncementElement() {
+        const element = document.createElement('div');
+        element.style.position = 'fixed';
+        element.style.top = '28%';
+        element.style.left = '50%';
+        element.style.transform = 'translate(-50%, -50%)';
+        element.style.color = '#FF0000';
+        element.style.fontFamily = '"Creepster", "Chiller", cursive';
+        element.style.fontSize = '56px';
+        element.style.textShadow = '3px 3px 0px #000000, 0 0 10px #FF0000, 0 0 20px #800000';
+        element.style.letterSpacing = '4px';
+        element.style.textAlign = 'center';
+        element.style.whiteSpace = 'nowrap';
+        element.style.pointerEvents = 'none';
+        element.style.opacity = '0';
+        element.style.transition = 'opacity 0.5s ease-in-out';
+        element.style.zIndex = '1000';
+        document.body.appendChild(element);
+        this.announcementElement = element;
+    }
+
+    // Show a big centered message for a few seconds
+    announce(text, duration = 2500) {
+        if (!this.announcementElement) return;
+
+        this.announcementElement.textContent = text;
+        this.announcementElement.style.opacity = '1';
+
+        clearTimeout(this.announcementTimeout);
+        this.announcementTimeout = setTimeout(() => {
+            this.announcementElement.style.opacity = '0';
+        }, duration);
+    }
+}
@@ -39,13 +39,13 @@ export class HitboxEditor {
         // Play click sound
         const clickSound = 'assets/sounds/CoinFlipTossRing_S08FO.689.wav';
         if (this.audioManager) {
-            this.audioManager.playOneShot(clickSound)
+            this.audioManager.playOneShot(clickSound, { bus: 'ui' })
                 .catch(error => console.error("Error playing click sound:", error));
                 
             // Mute all background sounds when editor is open
             setTimeout(() => {
-                // Mute all sounds
-                this.audioManager.muteAll();
+                // Mute everything but the editor music and clicks
+                this.audioManager.muteAllExcept(['music', 'ui']);
                 
                 // Specifically stop the startup music loops
                 const percussionLoop = 'assets/sounds/PM_EN_90_Percussion_FX_Loop_Race.wav';
@@ -65,7 +65,7 @@ export class HitboxEditor {
                 this.editorPanel.style.display = 'flex';
                 // Mute sounds when showing again
                 if (this.audioManager) {
-                    this.audioManager.muteAll();
+                    this.audioManager.muteAllExcept(['music', 'ui']);
                     // Also stop any music
                     this.audioManager.stopMusic();
                     // Start hitbox editor music
@@ -106,22 +106,13 @@ export class HitboxEditor {
     playHitboxEditorMusic() {
         if (!this.audioManager) return;
         
-        // Load and play hitbox editor music
-        // Use fetch API to load the audio file
-        fetch(this.hitboxEditorMusicPath)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`Error loading hitbox editor music: ${response.status}`);
-                }
-                return response.arrayBuffer();
-            })
-            .then(arrayBuffer => {
+        // Load (or reuse the cached buffer) and play hitbox editor music
+        this.audioManager.loadSound(this.hitboxEditorMusicPath)
+            .then(buffer => {
+                if (!buffer) return;
                 // Play the loaded buffer as a loop
-                this.audioManager.playLoop(arrayBuffer);
+                this.audioManager.playLoop(buffer);
                 console.log("Hitbox editor music started");
-            })
-            .catch(error => {
-                console.error("Failed to load hitbox editor music:", error);
             });
     }
     
@@ -208,7 +199,7 @@ export class HitboxEditor {
             
             // Play click sound on close
             if (this.audioManager) {
-                this.audioManager.playOneShot(clickSound)
+                this.audioManager.playOneShot(clickSound, { bus: 'ui' })
                     .catch(error => console.error("Error playing click sound:", error));
                 
                 // Unmute all background sounds when editor is closed
@@ -0,0 +1,227 @@
+import * as THREE from 'three';
+
+// Bump when the cooked data format or the way it's built changes, so old entries are rebuilt
+const COLLIDER_CACHE_VERSION = 1;
+
+const DATABASE_NAME = 'mongtendo64';
+const STORE_NAME = 'levelColliders';
+
+// Vertices closer than this (in metres) are welded together when cooking
+const WELD_TOLERANCE = 0.001;
+
+// Cooks the static geometry of a level model into a single merged trimesh
+// (world-space vertices, welded, degenerate triangles dropped) and keeps it in
+// IndexedDB so later loads can skip walking and transforming every mesh.
+// Entries are stored per model path and carry a fingerprint of the model files plus
+// their placement, so editing the model, its buffers or textures, or moving it in the
+// manifest rebuilds the entry.
+export class ColliderCache {
+    constructor() {
+        this.databasePromise = null;
+    }
+
+    openDatabase() {
+        if (this.databasePromise) return this.databasePromise;
+
+        this.databasePromise = new Promise((resolve) => {
+            if (typeof indexedDB === 'undefined') {
+                console.warn('IndexedDB not available, level colliders will not be cached');
+                resolve(null);
+                return;
+            }
+
+            const request = indexedDB.open(DATABASE_NAME, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(STORE_NAME, { keyPath: 'modelPath' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => {
+                console.warn('Could not open collider cache database:', request.error);
+                resolve(null);
+            };
+        });
+
+        return this.databasePromise;
+    }
+
+    // Fingerprint of the model files and their placement - any change means the cooked colliders are stale.
+    // Covers the model file and, for a .gltf, every external buffer and texture it references.
+    // Files are identified by their ETag / Last-Modified headers (a HEAD request, nothing downloaded);
+    // the manifest can also set model.version to force a rebuild.
+    async computeModelHash(modelSettings) {
+        const modelUrl = new URL(modelSettings.path, document.baseURI);
+        const files = [modelUrl.href];
+
+        if (modelUrl.pathname.toLowerCase().endsWith('.gltf')) {
+            const response = await fetch(modelUrl.href);
+            if (!response.ok) {
+                throw new Error(`Could not fetch model for hashing (${response.status})`);
+            }
+            const gltf = await response.json();
+            [...(gltf.buffers || []), ...(gltf.images || [])].forEach(resource => {
+                // Embedded data: URIs are part of the .gltf itself
+                if (resource.uri && !resource.uri.startsWith('data:')) {
+                    files.push(new URL(resource.uri, modelUrl).href);
+                }
+            });
+        }
+
+        const fingerprints = await Promise.all(files.map(url => this.getFileFingerprint(url)));
+
+        const key = JSON.stringify({
+            version: COLLIDER_CACHE_VERSION,
+            modelVersion: modelSettings.version || null,
+            files: fingerprints,
+            scale: modelSettings.scale,
+            position: modelSettings.position,
+            rotationY: modelSettings.rotationY || 0
+        });
+        return `${this.hashString(key)}-${files.length}`;
+    }
+
+    // ETag / Last-Modified / size of a file. Servers that send neither get the file hashed instead.
+    async getFileFingerprint(url) {
+        const head = await fetch(url, { method: 'HEAD' });
+        if (!head.ok) {
+            throw new Error(`Could not check ${url} for hashing (${head.status})`);
+        }
+
+        const etag = head.headers.get('ETag');
+        const lastModified = head.headers.get('Last-Modified');
+        if (etag || lastModified) {
+            return `${url}|${etag}|${lastModified}|${head.headers.get('Content-Length')}`;
+        }
+
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${url} for hashing (${response.status})`);
+        }
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        return `${url}|${this.hashBytes(bytes)}-${bytes.length}`;
+    }
+
+    // FNV-1a (32 bit)
+    hashBytes(bytes) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < bytes.length; i++) {
+            hash ^= bytes[i];
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return (hash >>> 0).toString(16);
+    }
+
+    hashString(text) {
+        return this.hashBytes(new TextEncoder().encode(text));
+    }
+
+    // Cooked colliders for a model, or null if there are none or they are out of date
+    async load(modelSettings) {
+        try {
+            const [database, hash] = await Promise.all([
+                this.openDatabase(),
+                this.computeModelHash(modelSettings)
+            ]);
+            if (!database) return { hash: hash, data: null };
+
+            const entry = await new Promise((resolve, reject) => {
+                const request = database.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).get(modelSettings.path);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+
+            if (!entry || entry.hash !== hash) {
+                console.log(`No cooked colliders for ${modelSettings.path}${entry ? ' (model changed)' : ''}`);
+                return { hash: hash, data: null };
+            }
+
+            console.log(`Loaded cooked colliders for ${modelSettings.path}: ${entry.indices.length / 3} triangles`);
+            return { hash: hash, data: { vertices: entry.vertices, indices: entry.indices, navMesh: entry.navMesh || null } };
+        } catch (error) {
+            console.warn('Could not read collider cache:', error);
+            return { hash: null, data: null };
+        }
+    }
+
+    // Store cooked colliders (and the navmesh baked from them), replacing any older entry for the same model
+    async save(modelPath, hash, data) {
+        if (!hash) return;
+
+        try {
+            const database = await this.openDatabase();
+            if (!database) return;
+
+            await new Promise((resolve, reject) => {
+                const transaction = database.transaction(STORE_NAME, 'readwrite');
+                transaction.objectStore(STORE_NAME).put({
+                    modelPath: modelPath,
+                    hash: hash,
+                    vertices: data.vertices,
+                    indices: data.indices,
+                    navMesh: data.navMesh || null,
+                    createdAt: Date.now()
+                });
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+            console.log(`Saved cooked colliders for ${modelPath}`);
+        } catch (error) {
+            console.warn('Could not write collider cache:', error);
+        }
+    }
+
+    // Merge every mesh of the model into one world-space trimesh
+    cook(model) {
+        const vertices = [];
+        const indices = [];
+        const weldedIndex = new Map(); // Quantized position -> merged vertex index
+        const tempVec = new THREE.Vector3();
+        let meshCount = 0;
+        let sourceTriangles = 0;
+
+        model.updateMatrixWorld(true);
+        model.traverse((child) => {
+            if (!child.isMesh || !child.geometry) return;
+
+            const positions = child.geometry.attributes.position;
+            const index = child.geometry.index;
+            if (!positions || !index) {
+                console.warn(`Mesh ${child.name} skipped: Missing vertices or indices.`);
+                return;
+            }
+
+            // Map this mesh's vertices to welded world-space vertices
+            const remap = new Uint32Array(positions.count);
+            for (let i = 0; i < positions.count; i++) {
+                tempVec.fromBufferAttribute(positions, i).applyMatrix4(child.matrixWorld);
+                const key = `${Math.round(tempVec.x / WELD_TOLERANCE)},${Math.round(tempVec.y / WELD_TOLERANCE)},${Math.round(tempVec.z / WELD_TOLERANCE)}`;
+
+                let mergedIndex = weldedIndex.get(key);
+                if (mergedIndex === undefined) {
+                    mergedIndex = vertices.length / 3;
+                    vertices.push(tempVec.x, tempVec.y, tempVec.z);
+                    weldedIndex.set(key, mergedIndex);
+                }
+                remap[i] = mergedIndex;
+            }
+
+            for (let i = 0; i + 2 < index.count; i += 3) {
+                const a = remap[index.getX(i)];
+                const b = remap[index.getX(i + 1)];
+                const c = remap[index.getX(i + 2)];
+                sourceTriangles++;
+
+                // Welding can collapse tiny triangles - they add nothing to collision
+                if (a === b || b === c || a === c) continue;
+                indices.push(a, b, c);
+            }
+            meshCount++;
+        });
+
+        console.log(`Cooked ${meshCount} meshes into ${vertices.length / 3} vertices and ${indices.length / 3} triangles (from ${sourceTriangles})`);
+
+        return {
+            vertices: new Float32Array(vertices),
+            indices: new Uint32Array(indices)
+        };
+    }
+}
@@ -0,0 +1,216 @@
+import * as THREE from 'three';
+
+// Registry of enemy hitbox meshes with a uniform grid broad-phase.
+// Enemies register their hitboxes when they are created (Enemy.applyHitboxConfig)
+// and unregister in cleanup(), so shots never have to traverse the whole scene.
+// Each enemy is stored as one entry with a bounding sphere around all of its hitboxes;
+// the spheres are bucketed into grid cells on the XZ plane. A ray query walks only
+// the cells the ray passes through and returns the hitboxes of enemies it can touch.
+export class HitboxRegistry {
+    constructor(cellSize = 8) {
+        this.cellSize = cellSize;
+        this.entries = new Map(); // owner -> { owner, enemyType, root, hitboxes, sphere }
+        this.hitboxToEntry = new Map(); // hitbox mesh -> entry
+        this.cells = new Map(); // "x,z" cell key -> array of entries
+        this.isDirty = true;
+
+        // Extra radius added to each bounding sphere so enemies that move between
+        // the grid rebuild and the shot are still found
+        this.boundsPadding = 0.5;
+
+        // Grid extents in cell coordinates, used to clip ray walks
+        this.minCell = { x: 0, z: 0 };
+        this.maxCell = { x: 0, z: 0 };
+
+        // Reused temporaries
+        this.tempSphere = new THREE.Sphere();
+        this.tempRay = new THREE.Ray();
+        this.tempPoint = new THREE.Vector3();
+    }
+
+    // Register (or replace) the hitboxes belonging to an enemy instance
+    register(owner, enemyType, root, hitboxes) {
+        this.unregister(owner);
+
+        if (!root || !hitboxes || hitboxes.length === 0) {
+            return;
+        }
+
+        const entry = {
+            owner: owner,
+            enemyType: enemyType,
+            root: root,
+            hitboxes: hitboxes.slice(),
+            sphere: new THREE.Sphere()
+        };
+
+        this.entries.set(owner, entry);
+        entry.hitboxes.forEach(hitbox => this.hitboxToEntry.set(hitbox, entry));
+        this.isDirty = true;
+
+        console.log(`[HitboxRegistry] Registered ${entry.hitboxes.length} hitboxes for ${enemyType} (${this.entries.size} enemies tracked)`);
+    }
+
+    unregister(owner) {
+        const entry = this.entries.get(owner);
+        if (!entry) return;
+
+        entry.hitboxes.forEach(hitbox => this.hitboxToEntry.delete(hitbox));
+        this.entries.delete(owner);
+        this.isDirty = true;
+    }
+
+    // Enemy instance and type that own a hitbox mesh, or null if it isn't registered
+    getEntryForHitbox(hitbox) {
+        return this.hitboxToEntry.get(hitbox) || null;
+    }
+
+    // Find the entry whose enemy model is (or contains) the given object
+    getEntryForObject(object) {
+        let current = object;
+        while (current) {
+            for (const entry of this.entries.values()) {
+                if (entry.root === current) return entry;
+            }
+            current = current.parent;
+        }
+        return null;
+    }
+
+    getAllEntries() {
+        return Array.from(this.entries.values());
+    }
+
+    // Called once per physics step - enemies have moved, so the grid must be rebuilt before the next query
+    markDirty() {
+        this.isDirty = true;
+    }
+
+    // Hitbox meshes of enemies whose bounds the ray segment passes through
+    queryRay(origin, direction, near, far) {
+        if (this.entries.size === 0) return [];
+
+        if (this.isDirty) {
+            this.rebuild();
+        }
+
+        const candidates = new Set();
+        this.forEachCellOnRay(origin, direction, near, far, (cellEntries) => {
+            cellEntries.forEach(entry => candidates.add(entry));
+        });
+
+        // Narrow down with an exact ray vs bounding sphere test
+        this.tempRay.set(origin, direction);
+        const hitboxes = [];
+        candidates.forEach(entry => {
+            if (!entry.root.parent) return; // Enemy model no longer in the scene
+
+            const point = this.tempRay.intersectSphere(entry.sphere, this.tempPoint);
+            if (point && origin.distanceTo(point) <= far) {
+                hitboxes.push(...entry.hitboxes);
+            }
+        });
+
+        return hitboxes;
+    }
+
+    // Recompute bounding spheres and re-bucket every entry into the grid
+    rebuild() {
+        this.cells.clear();
+        this.minCell = { x: Infinity, z: Infinity };
+        this.maxCell = { x: -Infinity, z: -Infinity };
+
+        this.entries.forEach(entry => {
+            this.computeEntryBounds(entry);
+
+            const sphere = entry.sphere;
+            const minX = this.toCell(sphere.center.x - sphere.radius);
+            const maxX = this.toCell(sphere.center.x + sphere.radius);
+            const minZ = this.toCell(sphere.center.z - sphere.radius);
+            const maxZ = this.toCell(sphere.center.z + sphere.radius);
+
+            for (let x = minX; x <= maxX; x++) {
+                for (let z = minZ; z <= maxZ; z++) {
+                    const key = `${x},${z}`;
+                    if (!this.cells.has(key)) {
+                        this.cells.set(key, []);
+                    }
+                    this.cells.get(key).push(entry);
+                }
+            }
+
+            this.minCell.x = Math.min(this.minCell.x, minX);
+            this.minCell.z = Math.min(this.minCell.z, minZ);
+            this.maxCell.x = Math.max(this.maxCell.x, maxX);
+            this.maxCell.z = Math.max(this.maxCell.z, maxZ);
+        });
+
+        this.isDirty = false;
+    }
+
+    computeEntryBounds(entry) {
+        entry.root.updateWorldMatrix(true, true);
+
+        entry.sphere.makeEmpty();
+        entry.hitboxes.forEach(hitbox => {
+            if (!hitbox.geometry) return;
+            if (!hitbox.geometry.boundingSphere) {
+                hitbox.geometry.computeBoundingSphere();
+            }
+            this.tempSphere.copy(hitbox.geometry.boundingSphere).applyMatrix4(hitbox.matrixWorld);
+            entry.sphere.union(this.tempSphere);
+        });
+
+        entry.sphere.radius += this.boundsPadding;
+    }
+
+    toCell(value) {
+        return Math.floor(value / this.cellSize);
+    }
+
+    // Walk the XZ grid cells along the ray (2D DDA), calling visit() for each occupied cell
+    forEachCellOnRay(origin, direction, near, far, visit) {
+        if (this.cells.size === 0) return;
+
+        const start = origin.clone().addScaledVector(direction, near);
+        let cellX = this.toCell(start.x);
+        let cellZ = this.toCell(start.z);
+
+        const stepX = direction.x > 0 ? 1 : -1;
+        const stepZ = direction.z > 0 ? 1 : -1;
+
+        // Distance along the ray to the next cell boundary on each axis
+        const nextBoundaryX = (cellX + (stepX > 0 ? 1 : 0)) * this.cellSize;
+        const nextBoundaryZ = (cellZ + (stepZ > 0 ? 1 : 0)) * this.cellSize;
+        let tMaxX = direction.x !== 0 ? (nextBoundaryX - start.x) / direction.x : Infinity;
+        let tMaxZ = direction.z !== 0 ? (nextBoundaryZ - start.z) / direction.z : Infinity;
+        const tDeltaX = direction.x !== 0 ? this.cellSize / Math.abs(direction.x) : Infinity;
+        const tDeltaZ = direction.z !== 0 ? this.cellSize / Math.abs(direction.z) : Infinity;
+
+        const length = far - near;
+        let t = 0;
+
+        while (t <= length) {
+            const cellEntries = this.cells.get(`${cellX},${cellZ}`);
+            if (cellEntries) {
+                visit(cellEntries);
+            }
+
+            // Stop once the ray has left the occupied part of the grid for good
+            if ((stepX > 0 ? cellX > this.maxCell.x : cellX < this.minCell.x) ||
+                (stepZ > 0 ? cellZ > this.maxCell.z : cellZ < this.minCell.z)) {
+                break;
+            }
+
+            if (tMaxX < tMaxZ) {
+                t = tMaxX;
+                tMaxX += tDeltaX;
+                cellX += stepX;
+            } else {
+                t = tMaxZ;
+                tMaxZ += tDeltaZ;
+                cellZ += stepZ;
+            }
+        }
+    }
+}
@@ -0,0 +1,627 @@
+import * as THREE from 'three';
+
+// Bump when the baked data format changes so cached/offline navmeshes are rebuilt
+const NAVMESH_VERSION = 1;
+
+// Defaults, overridden per level by the manifest's "navMesh" block
+export const DEFAULT_NAVMESH_SETTINGS = {
+    cellSize: 1.0,        // Metres between nodes
+    agentRadius: 0.5,     // Nodes closer than this to a wall are dropped
+    agentHeight: 1.8,     // Free space needed above a floor
+    maxStepHeight: 0.5,   // Height change between neighbouring cells that can just be walked
+    maxClimbHeight: 1.2,  // Up to this it's a stairs link (enemies need a climb push), above it no link
+    maxSlope: 45          // Steeper surfaces are not floor
+};
+
+const LINK_WALK = 0;
+const LINK_STAIRS = 1;
+
+// Neighbour offsets checked once per node pair (the opposite direction is added at the same time)
+const NEIGHBOUR_OFFSETS = [[1, 0], [0, 1], [1, 1], [1, -1]];
+
+// Grid navmesh baked from the level's static colliders.
+// Every XZ column of the grid can hold several walkable nodes (one per floor level),
+// so upper floors, bridges and stairs work. Nodes are linked to neighbouring columns
+// when an agent can walk there (small height change, no wall in between), and by
+// off-mesh "stairs" links when the height change needs a climb.
+// Shared by all enemies through PhysicsWorld.navMesh.
+export class NavMesh {
+    constructor(settings = {}) {
+        this.settings = { ...DEFAULT_NAVMESH_SETTINGS, ...settings };
+
+        this.originX = 0;
+        this.originZ = 0;
+        this.width = 0; // Columns along X
+        this.depth = 0; // Columns along Z
+        this.nodePositions = new Float32Array(0); // x, y (floor height), z per node
+        this.edgeStart = new Uint32Array(1); // Links of node i are edgeStart[i] .. edgeStart[i + 1] - 1
+        this.edgeTarget = new Uint32Array(0);
+        this.edgeType = new Uint8Array(0); // LINK_WALK or LINK_STAIRS
+
+        this.columns = new Map(); // Column index -> node indices, for position lookups
+        this.maxSearchNodes = 4000; // A* gives up (and returns a partial path) after expanding this many nodes
+        this.debugMesh = null;
+
+        // A* scratch buffers, allocated once for the node count and shared by every search.
+        // A node's entries only count when its visit stamp is the current search's, so
+        // nothing needs clearing between searches (see beginSearch).
+        this.searchStamp = 0;
+        this.visitStamp = new Uint32Array(0);
+        this.closedStamp = new Uint32Array(0);
+        this.gScore = new Float32Array(0);
+        this.cameFrom = new Int32Array(0);
+        this.cameByStairs = new Uint8Array(0);
+        this.openHeap = [];
+    }
+
+    getNodeCount() {
+        return this.nodePositions.length / 3;
+    }
+
+    // --- Baking ---
+
+    // colliderData: cooked { vertices, indices } of the level (world space)
+    // physicsWorld is used for wall checks, so the level colliders must already exist
+    bake(colliderData, physicsWorld) {
+        const startTime = performance.now();
+        const { cellSize, agentHeight, maxSlope } = this.settings;
+        const vertices = colliderData.vertices;
+        const indices = colliderData.indices;
+
+        // Grid covers the level geometry
+        let minX = Infinity, minZ = Infinity, maxX = -Infinity, maxZ = -Infinity;
+        for (let i = 0; i < vertices.length; i += 3) {
+            minX = Math.min(minX, vertices[i]);
+            maxX = Math.max(maxX, vertices[i]);
+            minZ = Math.min(minZ, vertices[i + 2]);
+            maxZ = Math.max(maxZ, vertices[i + 2]);
+        }
+        this.originX = Math.floor(minX / cellSize) * cellSize;
+        this.originZ = Math.floor(minZ / cellSize) * cellSize;
+        this.width = Math.ceil((maxX - this.originX) / cellSize) + 1;
+        this.depth = Math.ceil((maxZ - this.originZ) / cellSize) + 1;
+
+        // 1. Rasterize triangles into per-column lists of heights at the cell centres.
+        // Floors are walkable surfaces, everything else that isn't vertical limits headroom.
+        // Vertical walls don't show up here - they are found by the raycasts below.
+        const floors = new Map();
+        const surfaces = new Map();
+        const minFloorNormalY = Math.cos(THREE.MathUtils.degToRad(maxSlope));
+
+        for (let t = 0; t < indices.length; t += 3) {
+            const a = indices[t] * 3, b = indices[t + 1] * 3, c = indices[t + 2] * 3;
+            const ax = vertices[a], ay = vertices[a + 1], az = vertices[a + 2];
+            const bx = vertices[b], by = vertices[b + 1], bz = vertices[b + 2];
+            const cx = vertices[c], cy = vertices[c + 1], cz = vertices[c + 2];
+
+            // Face normal (counter-clockwise winding faces outwards)
+            const e1x = bx - ax, e1y = by - ay, e1z = bz - az;
+            const e2x = cx - ax, e2y = cy - ay, e2z = cz - az;
+            const nx = e1y * e2z - e1z * e2y;
+            const ny = e1z * e2x - e1x * e2z;
+            const nz = e1x * e2y - e1y * e2x;
+            const normalY = ny / (Math.sqrt(nx * nx + ny * ny + nz * nz) || 1);
+            if (Math.abs(normalY) < 0.05) continue;
+
+            const isFloor = normalY >= minFloorNormalY;
+
+            // Cell centres inside the triangle's XZ bounds
+            const ix0 = Math.max(0, Math.ceil((Math.min(ax, bx, cx) - this.originX) / cellSize - 0.5));
+            const ix1 = Math.min(this.width - 1, Math.floor((Math.max(ax, bx, cx) - this.originX) / cellSize - 0.5));
+            const iz0 = Math.max(0, Math.ceil((Math.min(az, bz, cz) - this.originZ) / cellSize - 0.5));
+            const iz1 = Math.min(this.depth - 1, Math.floor((Math.max(az, bz, cz) - this.originZ) / cellSize - 0.5));
+            if (ix0 > ix1 || iz0 > iz1) continue;
+
+            const denominator = (bz - cz) * (ax - cx) + (cx - bx) * (az - cz);
+            if (Math.abs(denominator) < 1e-9) continue;
+
+            for (let iz = iz0; iz <= iz1; iz++) {
+                const pz = this.originZ + (iz + 0.5) * cellSize;
+                for (let ix = ix0; ix <= ix1; ix++) {
+                    const px = this.originX + (ix + 0.5) * cellSize;
+
+                    // Barycentric coordinates in the XZ plane
+                    const w1 = ((bz - cz) * (px - cx) + (cx - bx) * (pz - cz)) / denominator;
+                    const w2 = ((cz - az) * (px - cx) + (ax - cx) * (pz - cz)) / denominator;
+                    const w3 = 1 - w1 - w2;
+                    if (w1 < -1e-6 || w2 < -1e-6 || w3 < -1e-6) continue;
+
+                    const y = w1 * ay + w2 * by + w3 * cy;
+                    const column = iz * this.width + ix;
+
+                    if (!surfaces.has(column)) surfaces.set(column, []);
+                    surfaces.get(column).push(y);
+
+                    if (isFloor) {
+                        if (!floors.has(column)) floors.set(column, []);
+                        floors.get(column).push(y);
+                    }
+                }
+            }
+        }
+
+        // 2. Walkable nodes: floors with enough headroom that aren't hugging a wall
+        const rapier = physicsWorld.RAPIER;
+        const ray = new rapier.Ray({ x: 0, y: 0, z: 0 }, { x: 1, y: 0, z: 0 });
+        const queryFlags = rapier.QueryFilterFlags.ONLY_FIXED | rapier.QueryFilterFlags.EXCLUDE_SENSORS;
+        const isBlocked = (x, y, z, dirX, dirZ, distance) => {
+            ray.origin = { x: x, y: y, z: z };
+            ray.dir = { x: dirX, y: 0, z: dirZ };
+            return !!physicsWorld.world.castRay(ray, distance, true, queryFlags);
+        };
+        const wallCheckHeight = this.settings.maxStepHeight + 0.15; // Above steps, below heads
+
+        const nodes = [];
+        const nodeColumns = new Map();
+        floors.forEach((heights, column) => {
+            heights.sort((a, b) => a - b);
+            const columnSurfaces = surfaces.get(column).sort((a, b) => a - b);
+
+            // Coplanar/duplicate faces give several samples for the same floor
+            const merged = [];
+            heights.forEach(y => {
+                if (merged.length > 0 && y - merged[merged.length - 1] < 0.1) {
+                    merged[merged.length - 1] = y;
+                } else {
+                    merged.push(y);
+                }
+            });
+
+            const ix = column % this.width;
+            const iz = Math.floor(column / this.width);
+            const x = this.originX + (ix + 0.5) * cellSize;
+            const z = this.originZ + (iz + 0.5) * cellSize;
+
+            merged.forEach(y => {
+                const ceiling = columnSurfaces.find(surfaceY => surfaceY > y + 0.1);
+                if (ceiling !== undefined && ceiling - y < agentHeight) return;
+
+                // Too close to a wall in any of 8 directions
+                for (let angle = 0; angle < 8; angle++) {
+                    const theta = angle * Math.PI / 4;
+                    if (isBlocked(x, y + wallCheckHeight, z, Math.cos(theta), Math.sin(theta), this.settings.agentRadius)) return;
+                }
+
+                if (!nodeColumns.has(column)) nodeColumns.set(column, []);
+                nodeColumns.get(column).push(nodes.length);
+                nodes.push({ x: x, y: y, z: z, ix: ix, iz: iz, links: [] });
+            });
+        });
+
+        // 3. Links between neighbouring columns
+        let stairsLinks = 0;
+        nodes.forEach((node, nodeIndex) => {
+            NEIGHBOUR_OFFSETS.forEach(([offsetX, offsetZ]) => {
+                const nx = node.ix + offsetX;
+                const nz = node.iz + offsetZ;
+                if (nx < 0 || nx >= this.width || nz < 0 || nz >= this.depth) return;
+
+                const neighbourIndices = nodeColumns.get(nz * this.width + nx);
+                if (!neighbourIndices) return;
+
+                // The neighbour floor closest in height
+                let neighbourIndex = -1;
+                let heightChange = Infinity;
+                neighbourIndices.forEach(index => {
+                    const change = Math.abs(nodes[index].y - node.y);
+                    if (change < heightChange) {
+                        heightChange = change;
+                        neighbourIndex = index;
+                    }
+                });
+
+                const isDiagonal = offsetX !== 0 && offsetZ !== 0;
+                let linkType;
+                if (heightChange <= this.settings.maxStepHeight) {
+                    linkType = LINK_WALK;
+                } else if (!isDiagonal && heightChange <= this.settings.maxClimbHeight) {
+                    linkType = LINK_STAIRS;
+                } else {
+                    return;
+                }
+
+                // Wall between the two cells
+                const neighbour = nodes[neighbourIndex];
+                const dirX = neighbour.x - node.x;
+                const dirZ = neighbour.z - node.z;
+                const distance = Math.sqrt(dirX * dirX + dirZ * dirZ);
+                const checkY = Math.max(node.y, neighbour.y) + wallCheckHeight;
+                if (isBlocked(node.x, checkY, node.z, dirX / distance, dirZ / distance, distance)) return;
+
+                node.links.push({ target: neighbourIndex, type: linkType });
+                neighbour.links.push({ target: nodeIndex, type: linkType });
+                if (linkType === LINK_STAIRS) stairsLinks++;
+            });
+        });
+
+        // 4. Pack into flat arrays (compact, and storable in IndexedDB or a JSON file)
+        this.nodePositions = new Float32Array(nodes.length * 3);
+        this.edgeStart = new Uint32Array(nodes.length + 1);
+        const edgeCount = nodes.reduce((sum, node) => sum + node.links.length, 0);
+        this.edgeTarget = new Uint32Array(edgeCount);
+        this.edgeType = new Uint8Array(edgeCount);
+
+        let edgeIndex = 0;
+        nodes.forEach((node, index) => {
+            this.nodePositions[index * 3] = node.x;
+            this.nodePositions[index * 3 + 1] = node.y;
+            this.nodePositions[index * 3 + 2] = node.z;
+            this.edgeStart[index] = edgeIndex;
+            node.links.forEach(link => {
+                this.edgeTarget[edgeIndex] = link.target;
+                this.edgeType[edgeIndex] = link.type;
+                edgeIndex++;
+            });
+        });
+        this.edgeStart[nodes.length] = edgeIndex;
+
+        this.buildColumnIndex();
+
+        console.log(`Baked navmesh: ${nodes.length} nodes, ${edgeCount / 2} links (${stairsLinks} stairs) on a ${this.width}x${this.depth} grid in ${(performance.now() - startTime).toFixed(0)}ms`);
+    }
+
+    // --- Storage ---
+
+    // Baked data (typed arrays) for the collider cache
+    getData() {
+        return {
+            version: NAVMESH_VERSION,
+            settings: { ...this.settings },
+            originX: this.originX,
+            originZ: this.originZ,
+            width: this.width,
+            depth: this.depth,
+            nodePositions: this.nodePositions,
+            edgeStart: this.edgeStart,
+            edgeTarget: this.edgeTarget,
+            edgeType: this.edgeType
+        };
+    }
+
+    // Use previously baked data (from the cache or an offline JSON file)
+    // Returns false if it was baked with a different version or different settings
+    setData(data) {
+        if (!data || data.version !== NAVMESH_VERSION) return false;
+
+        const matchesSettings = Object.keys(this.settings).every(key => data.settings && data.settings[key] === this.settings[key]);
+        if (!matchesSettings) return false;
+
+        this.originX = data.originX;
+        this.originZ = data.originZ;
+        this.width = data.width;
+        this.depth = data.depth;
+        this.nodePositions = Float32Array.from(data.nodePositions);
+        this.edgeStart = Uint32Array.from(data.edgeStart);
+        this.edgeTarget = Uint32Array.from(data.edgeTarget);
+        this.edgeType = Uint8Array.from(data.edgeType);
+
+        this.buildColumnIndex();
+        console.log(`Loaded navmesh with ${this.getNodeCount()} nodes`);
+        return true;
+    }
+
+    // Download the baked navmesh as JSON, to ship with the level instead of baking at load
+    download(fileName) {
+        const data = this.getData();
+        const jsonData = JSON.stringify({
+            ...data,
+            nodePositions: Array.from(data.nodePositions, value => parseFloat(value.toFixed(3))),
+            edgeStart: Array.from(data.edgeStart),
+            edgeTarget: Array.from(data.edgeTarget),
+            edgeType: Array.from(data.edgeType)
+        });
+        const blob = new Blob([jsonData], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const downloadLink = document.createElement('a');
+        downloadLink.href = url;
+        downloadLink.download = fileName;
+        document.body.appendChild(downloadLink);
+        downloadLink.click();
+
+        setTimeout(() => {
+            document.body.removeChild(downloadLink);
+            URL.revokeObjectURL(url);
+        }, 100);
+
+        console.log(`Downloaded navmesh as ${fileName}`);
+    }
+
+    buildColumnIndex() {
+        this.columns = new Map();
+        for (let i = 0; i < this.getNodeCount(); i++) {
+            const column = this.getColumn(this.nodePositions[i * 3], this.nodePositions[i * 3 + 2]);
+            if (!this.columns.has(column)) this.columns.set(column, []);
+            this.columns.get(column).push(i);
+        }
+    }
+
+    getColumn(x, z) {
+        const ix = Math.floor((x - this.originX) / this.settings.cellSize);
+        const iz = Math.floor((z - this.originZ) / this.settings.cellSize);
+        if (ix < 0 || ix >= this.width || iz < 0 || iz >= this.depth) return -1;
+        return iz * this.width + ix;
+    }
+
+    // --- Queries ---
+
+    // Node under a position: the highest floor not above it, searching outwards
+    // a few cells if the position is off the mesh (e.g. pressed against a wall). -1 if none.
+    findNearestNode(position, maxRadius = 3) {
+        const cellSize = this.settings.cellSize;
+        const ix = Math.floor((position.x - this.originX) / cellSize);
+        const iz = Math.floor((position.z - this.originZ) / cellSize);
+
+        for (let radius = 0; radius <= maxRadius; radius++) {
+            let bestNode = -1;
+            let bestScore = Infinity;
+
+            for (let dz = -radius; dz <= radius; dz++) {
+                for (let dx = -radius; dx <= radius; dx++) {
+                    if (Math.max(Math.abs(dx), Math.abs(dz)) !== radius) continue; // Ring only
+                    const cx = ix + dx, cz = iz + dz;
+                    if (cx < 0 || cx >= this.width || cz < 0 || cz >= this.depth) continue;
+
+                    const columnNodes = this.columns.get(cz * this.width + cx);
+                    if (!columnNodes) continue;
+
+                    columnNodes.forEach(index => {
+                        const heightAbove = position.y - this.nodePositions[index * 3 + 1];
+                        // Floors above the position (ceilings, upper storeys) are a last resort
+                        const score = (heightAbove < -0.5 ? 100 - heightAbove : heightAbove) + Math.sqrt(dx * dx + dz * dz);
+                        if (score < bestScore) {
+                            bestScore = score;
+                            bestNode = index;
+                        }
+                    });
+                }
+            }
+
+            if (bestNode >= 0) return bestNode;
+        }
+
+        return -1;
+    }
+
+    getNodePosition(index, target = new THREE.Vector3()) {
+        return target.set(this.nodePositions[index * 3], this.nodePositions[index * 3 + 1], this.nodePositions[index * 3 + 2]);
+    }
+
+    // A* from start to end. Returns smoothed waypoints [{ position, isStairs }] (isStairs means the
+    // step to that waypoint is a stairs link) not including the start, or null if either end is off the mesh.
+    // If the end can't be reached within maxSearchNodes the path leads to the closest node found.
+    findPath(start, end) {
+        const startNode = this.findNearestNode(start);
+        const endNode = this.findNearestNode(end);
+        if (startNode < 0 || endNode < 0) return null;
+
+        const stamp = this.beginSearch();
+        const { visitStamp, closedStamp, gScore, cameFrom, cameByStairs, openHeap } = this;
+
+        const endX = this.nodePositions[endNode * 3];
+        const endY = this.nodePositions[endNode * 3 + 1];
+        const endZ = this.nodePositions[endNode * 3 + 2];
+        const heuristic = (index) => {
+            const dx = this.nodePositions[index * 3] - endX;
+            const dy = this.nodePositions[index * 3 + 1] - endY;
+            const dz = this.nodePositions[index * 3 + 2] - endZ;
+            return Math.sqrt(dx * dx + dy * dy + dz * dz);
+        };
+
+        visitStamp[startNode] = stamp;
+        gScore[startNode] = 0;
+        cameFrom[startNode] = -1;
+        cameByStairs[startNode] = 0;
+        heapPush(openHeap, { node: startNode, f: heuristic(startNode) });
+
+        let closestNode = startNode;
+        let closestDistance = heuristic(startNode);
+        let expanded = 0;
+
+        while (openHeap.length > 0 && expanded < this.maxSearchNodes) {
+            const current = heapPop(openHeap).node;
+            if (closedStamp[current] === stamp) continue;
+            closedStamp[current] = stamp;
+            expanded++;
+
+            if (current === endNode) {
+                closestNode = endNode;
+                break;
+            }
+
+            const distanceToEnd = heuristic(current);
+            if (distanceToEnd < closestDistance) {
+                closestDistance = distanceToEnd;
+                closestNode = current;
+            }
+
+            for (let edge = this.edgeStart[current]; edge < this.edgeStart[current + 1]; edge++) {
+                const neighbour = this.edgeTarget[edge];
+                if (closedStamp[neighbour] === stamp) continue;
+
+                const dx = this.nodePositions[neighbour * 3] - this.nodePositions[current * 3];
+                const dy = this.nodePositions[neighbour * 3 + 1] - this.nodePositions[current * 3 + 1];
+                const dz = this.nodePositions[neighbour * 3 + 2] - this.nodePositions[current * 3 + 2];
+                const isStairs = this.edgeType[edge] === LINK_STAIRS;
+                // Stairs are slower to take, prefer walking around if it's not much longer
+                const cost = Math.sqrt(dx * dx + dy * dy + dz * dz) * (isStairs ? 1.5 : 1.0);
+
+                const tentative = gScore[current] + cost;
+                if (visitStamp[neighbour] !== stamp || tentative < gScore[neighbour]) {
+                    visitStamp[neighbour] = stamp;
+                    gScore[neighbour] = tentative;
+                    cameFrom[neighbour] = current;
+                    cameByStairs[neighbour] = isStairs ? 1 : 0;
+                    heapPush(openHeap, { node: neighbour, f: tentative + heuristic(neighbour) });
+                }
+            }
+        }
+
+        // Walk back from the goal (or the closest node reached)
+        const path = [];
+        for (let node = closestNode; node !== -1; node = cameFrom[node]) {
+            path.unshift({ node: node, isStairs: cameByStairs[node] === 1 });
+        }
+
+        const waypoints = this.smoothPath(path).map(step => ({
+            position: this.getNodePosition(step.node),
+            isStairs: step.isStairs
+        }));
+
+        // The first waypoint is where the agent already is
+        return waypoints.slice(1);
+    }
+
+    // Start a new search on the shared scratch buffers, (re)allocating them if the node count
+    // changed. Returns the stamp that marks this search's entries.
+    beginSearch() {
+        const nodeCount = this.getNodeCount();
+        if (this.visitStamp.length !== nodeCount) {
+            this.visitStamp = new Uint32Array(nodeCount);
+            this.closedStamp = new Uint32Array(nodeCount);
+            this.gScore = new Float32Array(nodeCount);
+            this.cameFrom = new Int32Array(nodeCount);
+            this.cameByStairs = new Uint8Array(nodeCount);
+            this.searchStamp = 0;
+        }
+
+        // Stamps would wrap around after 2^32 searches - start over from zero then
+        if (this.searchStamp === 0xFFFFFFFF) {
+            this.visitStamp.fill(0);
+            this.closedStamp.fill(0);
+            this.searchStamp = 0;
+        }
+
+        this.openHeap.length = 0;
+        return ++this.searchStamp;
+    }
+
+    // String pulling: skip waypoints that can be reached in a straight walk.
+    // Stairs links are never skipped, so agents still know where to climb.
+    smoothPath(path) {
+        if (path.length <= 2) return path;
+
+        const smoothed = [path[0]];
+        let anchor = 0;
+        while (anchor < path.length - 1) {
+            let next = anchor + 1;
+            if (!path[next].isStairs) {
+                for (let candidate = anchor + 2; candidate < path.length; candidate++) {
+                    if (path[candidate].isStairs) break;
+                    if (!this.isStraightWalkable(path[anchor].node, path[candidate].node)) break;
+                    next = candidate;
+                }
+            }
+            smoothed.push(path[next]);
+            anchor = next;
+        }
+        return smoothed;
+    }
+
+    // Sample the line between two nodes - every cell it crosses must be reached over a
+    // walk link from the previous one, so it can't cut through walls or off ledges
+    isStraightWalkable(fromNode, toNode) {
+        const fromX = this.nodePositions[fromNode * 3], toX = this.nodePositions[toNode * 3];
+        const fromZ = this.nodePositions[fromNode * 3 + 2], toZ = this.nodePositions[toNode * 3 + 2];
+        const distance = Math.sqrt((toX - fromX) ** 2 + (toZ - fromZ) ** 2);
+        const steps = Math.ceil(distance / (this.settings.cellSize * 0.5));
+
+        let currentNode = fromNode;
+        let currentColumn = this.getColumn(fromX, fromZ);
+        for (let step = 1; step <= steps; step++) {
+            const t = step / steps;
+            const column = this.getColumn(fromX + (toX - fromX) * t, fromZ + (toZ - fromZ) * t);
+            if (column === currentColumn) continue;
+
+            let nextNode = -1;
+            for (let edge = this.edgeStart[currentNode]; edge < this.edgeStart[currentNode + 1]; edge++) {
+                const neighbour = this.edgeTarget[edge];
+                if (this.edgeType[edge] === LINK_WALK &&
+                    this.getColumn(this.nodePositions[neighbour * 3], this.nodePositions[neighbour * 3 + 2]) === column) {
+                    nextNode = neighbour;
+                    break;
+                }
+            }
+            if (nextNode < 0) return false;
+
+            currentNode = nextNode;
+            currentColumn = column;
+        }
+
+        return currentNode === toNode;
+    }
+
+    // --- Debug ---
+
+    // Node positions as points (green, stairs link ends in orange), shown with the collider debug view
+    createDebugMesh() {
+        if (this.debugMesh) return this.debugMesh;
+
+        const nodeCount = this.getNodeCount();
+        const positions = new Float32Array(nodeCount * 3);
+        const colors = new Float32Array(nodeCount * 3);
+        for (let i = 0; i < nodeCount; i++) {
+            positions[i * 3] = this.nodePositions[i * 3];
+            positions[i * 3 + 1] = this.nodePositions[i * 3 + 1] + 0.1; // Just above the floor
+            positions[i * 3 + 2] = this.nodePositions[i * 3 + 2];
+
+            let hasStairs = false;
+            for (let edge = this.edgeStart[i]; edge < this.edgeStart[i + 1]; edge++) {
+                if (this.edgeType[edge] === LINK_STAIRS) hasStairs = true;
+            }
+            colors[i * 3] = hasStairs ? 1.0 : 0.0;
+            colors[i * 3 + 1] = hasStairs ? 0.5 : 1.0;
+            colors[i * 3 + 2] = 0.0;
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
+        const material = new THREE.PointsMaterial({ size: 0.15, vertexColors: true, depthTest: false, transparent: true });
+
+        this.debugMesh = new THREE.Points(geometry, material);
+        this.debugMesh.renderOrder = 1;
+        return this.debugMesh;
+    }
+
+    dispose() {
+        if (this.debugMesh) {
+            if (this.debugMesh.parent) this.debugMesh.parent.remove(this.debugMesh);
+            this.debugMesh.geometry.dispose();
+            this.debugMesh.material.dispose();
+            this.debugMesh = null;
+        }
+    }
+}
+
+// Binary min-heap on f, for the A* open set
+function heapPush(heap, item) {
+    heap.push(item);
+    let index = heap.length - 1;
+    while (index > 0) {
+        const parent = (index - 1) >> 1;
+        if (heap[parent].f <= heap[index].f) break;
+        [heap[parent], heap[index]] = [heap[index], heap[parent]];
+        index = parent;
+    }
+}
+
+function heapPop(heap) {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+        heap[0] = last;
+        let index = 0;
+        while (true) {
+            const left = index * 2 + 1;
+            const right = left + 1;
+            let smallest = index;
+            if (left < heap.length && heap[left].f < heap[smallest].f) smallest = left;
+            if (right < heap.length && heap[right].f < heap[smallest].f) smallest = right;
+            if (smallest === index) break;
+            [heap[smallest], heap[index]] = [heap[index], heap[smallest]];
+            index = smallest;
+        }
+    }
+    return top;
+}
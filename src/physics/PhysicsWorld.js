@@ -1,6 +1,7 @@
 import * as THREE from 'three';
 // Import Rapier using the correct method
 import RAPIER from '@dimforge/rapier3d-compat';
+import { HitboxRegistry } from './HitboxRegistry.js';
 
 // Define collision groups consistently
 const GROUP_DEFAULT = 0;
@@ -19,6 +20,9 @@ export class PhysicsWorld {
         this.playerWireframe = null;
         this.groundWireframe = null;
         this.RAPIER = RAPIER; // Expose RAPIER
+        this.bulletCounter = 0; // Keeps bullet IDs unique when several spawn in the same millisecond
+        this.hitboxRegistry = new HitboxRegistry(); // Enemy hitboxes for shot queries
+        this.navMesh = null; // Set by LevelLoader once the level's colliders exist
     }
 
     async initialize() {
@@ -129,6 +133,27 @@ export class PhysicsWorld {
         return this.playerBody;
     }
 
+    // Move the existing player body to a new position and stop it (used when switching levels)
+    teleportPlayer(position) {
+        if (!this.playerBody) return;
+
+        this.playerBody.setTranslation({ x: position.x, y: position.y, z: position.z }, true);
+        this.playerBody.setLinvel({ x: 0, y: 0, z: 0 }, true);
+    }
+
+    // New run (Engine.restartGame) - drop any bullet bodies still in flight and put the player
+    // back at the level start. Level colliders and the player body itself are kept.
+    resetRun(playerStart) {
+        Array.from(this.bodies.keys())
+            .filter(id => id.startsWith('bullet_'))
+            .forEach(id => this.removeBodyByUUID(id));
+
+        if (this.playerBody) {
+            this.teleportPlayer(playerStart);
+            this.playerBody.setAngvel({ x: 0, y: 0, z: 0 }, true);
+        }
+    }
+
     createGround() {
         // Create ground
         const groundGeometry = new THREE.PlaneGeometry(1000, 1000); // Increased from 100x100 to 1000x1000
@@ -172,7 +197,8 @@ export class PhysicsWorld {
     }
 
     // Create invisible walls around the perimeter to prevent players from jumping over the boundaries
-    createPerimeterBarriers() {
+    // perimeterWidth / perimeterDepth are the half-size of the playable area (from the level manifest)
+    createPerimeterBarriers(perimeterWidth = 150, perimeterDepth = 150) {
         if (!this.RAPIER || !this.world) {
             console.error("Cannot create perimeter barriers: Physics world not initialized");
             return;
@@ -180,9 +206,7 @@ export class PhysicsWorld {
 
         console.log("Creating invisible perimeter barriers to prevent jumping over walls");
         
-        // Define the perimeter dimensions - make them larger to ensure coverage
-        const perimeterWidth = 150; // Increased from 90 to 150 (half-width of the playable area)
-        const perimeterDepth = 150; // Increased from 90 to 150 (half-depth of the playable area)
+        // Wall dimensions - tall and thick to ensure coverage
         const wallHeight = 500; // Dramatically increased from 100 to 500 (to catch high jumps)
         const wallThickness = 10; // Increased from 2 to 10 (thicker barriers)
         const wallY = -50; // Start walls below ground level
@@ -205,6 +229,17 @@ export class PhysicsWorld {
         
         console.log("Enhanced perimeter barriers created");
     }
+
+    // Remove the perimeter walls so a level with a different size can create its own
+    removePerimeterBarriers() {
+        const wallIds = Array.from(this.bodies.keys()).filter(id => id.startsWith('wall_'));
+        wallIds.forEach(id => {
+            this.world.removeRigidBody(this.bodies.get(id)); // Also removes the attached collider
+            this.bodies.delete(id);
+            this.colliders.delete(id);
+        });
+        console.log(`Removed ${wallIds.length} perimeter barriers`);
+    }
     
     // Helper method to create a single invisible wall
     createInvisibleWall(x, y, z, width, height, depth) {
@@ -333,23 +368,8 @@ export class PhysicsWorld {
             const collider = this.world.createCollider(colliderDesc, rigidBody);
             collider.userData = { type: 'scene_static_mesh' };
 
-            // Create wireframe visualization (using the same transformed vertices/indices)
-            const wireframeGeometry = new THREE.BufferGeometry();
-            wireframeGeometry.setAttribute('position', new THREE.BufferAttribute(floatVertices, 3));
-            wireframeGeometry.setIndex(new THREE.BufferAttribute(uintIndices, 1));
-
-            const wireframeMaterial = new THREE.MeshBasicMaterial({
-                color: 0xffff00, // Yellow
-                wireframe: true,
-                depthTest: false, // Render wireframe on top
-                transparent: true,
-                opacity: 0.3 // Make slightly transparent
-            });
-            const wireframeMesh = new THREE.Mesh(wireframeGeometry, wireframeMaterial);
-            wireframeMesh.renderOrder = 1; // Ensure it renders after the main scene
-
-            console.log(`Created trimesh collider and wireframe.`);
-            return wireframeMesh; // Return the wireframe for toggling visibility
+            console.log(`Created trimesh collider with ${uintIndices.length / 3} triangles.`);
+            return rigidBody; // Returned so the level can remove its colliders on unload
 
         } catch (error) {
             console.error("Error creating static mesh collider:", error);
@@ -362,12 +382,35 @@ export class PhysicsWorld {
         }
     }
 
-    createBullet(position = { x: 0, y: 0, z: 0 }) {
+    // Debug wireframe for a static mesh collider (same world-space vertices/indices)
+    createColliderWireframe(vertices, indices) {
+        const wireframeGeometry = new THREE.BufferGeometry();
+        wireframeGeometry.setAttribute('position', new THREE.BufferAttribute(vertices, 3));
+        wireframeGeometry.setIndex(new THREE.BufferAttribute(indices, 1));
+
+        const wireframeMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffff00, // Yellow
+            wireframe: true,
+            depthTest: false, // Render wireframe on top
+            transparent: true,
+            opacity: 0.3 // Make slightly transparent
+        });
+        const wireframeMesh = new THREE.Mesh(wireframeGeometry, wireframeMaterial);
+        wireframeMesh.renderOrder = 1; // Ensure it renders after the main scene
+        return wireframeMesh;
+    }
+
+    // Options (used by projectile weapons):
+    //   gravityScale - how strongly gravity pulls the bullet (default 0.1)
+    //   linearDamping - air drag (default 0.5)
+    //   sensor - if true the bullet passes through everything and hits are resolved by WeaponSystem
+    createBullet(position = { x: 0, y: 0, z: 0 }, options = {}) {
         // Create rigid body for bullet
         const rigidBodyDesc = RAPIER.RigidBodyDesc.dynamic()
             .setTranslation(position.x, position.y, position.z)
-            .setLinearDamping(0.5) // Increased damping to slow bullets down
-            .setGravityScale(0.1); // <-- ADDED: Reduce gravity effect on bullets
+            .setLinearDamping(options.linearDamping !== undefined ? options.linearDamping : 0.5) // Increased damping to slow bullets down
+            .setGravityScale(options.gravityScale !== undefined ? options.gravityScale : 0.1) // <-- ADDED: Reduce gravity effect on bullets
+            .setCcdEnabled(true); // Fast bullets must not tunnel through thin geometry
 
         const rigidBody = this.world.createRigidBody(rigidBodyDesc);
         
@@ -375,12 +418,14 @@ export class PhysicsWorld {
         const colliderDesc = RAPIER.ColliderDesc.capsule(0.05, 0.15) // radius, half-height
             .setFriction(0.1)
             .setRestitution(0.5) // Some bounce
-            .setDensity(1.0);
+            .setDensity(1.0)
+            .setSensor(!!options.sensor);
             
         const collider = this.world.createCollider(colliderDesc, rigidBody);
+        collider.userData = { type: 'bullet' };
         
         // Store references with a unique ID
-        const bulletId = 'bullet_' + Date.now();
+        const bulletId = 'bullet_' + Date.now() + '_' + (this.bulletCounter++);
         this.bodies.set(bulletId, rigidBody);
         this.colliders.set(bulletId, collider);
         
@@ -390,6 +435,115 @@ export class PhysicsWorld {
         return rigidBody;
     }
     
+    // Cast a ray against solid world geometry for bullets
+    // Ignores the player, enemies (resolved through their hitboxes instead), bullets and sensors
+    // Returns { point, normal, distance, collider, type } or null
+    castBulletRay(origin, direction, maxDistance) {
+        if (!this.world) return null;
+        
+        const ray = new RAPIER.Ray(
+            { x: origin.x, y: origin.y, z: origin.z },
+            { x: direction.x, y: direction.y, z: direction.z }
+        );
+        
+        const hit = this.world.castRayAndGetNormal(
+            ray,
+            maxDistance,
+            true, // Solid hit
+            RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+            undefined,
+            this.playerCollider,
+            undefined,
+            (collider) => {
+                const type = collider.userData ? collider.userData.type : null;
+                return type !== 'lokito' && type !== 'dnb' && type !== 'bullet' && type !== 'player';
+            }
+        );
+        
+        if (!hit) return null;
+        
+        return {
+            point: {
+                x: origin.x + direction.x * hit.toi,
+                y: origin.y + direction.y * hit.toi,
+                z: origin.z + direction.z * hit.toi
+            },
+            normal: hit.normal,
+            distance: hit.toi,
+            collider: hit.collider,
+            type: hit.collider.userData ? hit.collider.userData.type : null
+        };
+    }
+    
+    // Measure how thick a collider is along a direction, starting from a point on its surface
+    // Used for bullet penetration - returns the thickness, or null if the exit is further than maxThickness
+    measureColliderThickness(entryPoint, direction, collider, maxThickness) {
+        if (!this.world || !collider) return null;
+        
+        // Start just inside the surface so the entry face isn't hit again
+        const inset = 0.01;
+        const ray = new RAPIER.Ray(
+            {
+                x: entryPoint.x + direction.x * inset,
+                y: entryPoint.y + direction.y * inset,
+                z: entryPoint.z + direction.z * inset
+            },
+            { x: direction.x, y: direction.y, z: direction.z }
+        );
+        
+        // Hollow cast so the ray reports the exit face of the same collider
+        const hit = this.world.castRay(
+            ray,
+            maxThickness,
+            false,
+            undefined,
+            undefined,
+            undefined,
+            undefined,
+            (candidate) => candidate === collider
+        );
+        
+        return hit ? hit.toi + inset : null;
+    }
+
+    // Find the static ground under a position (used to validate spawn points)
+    // Only fixed colliders count, so crates, enemies and the player are ignored
+    // Returns { point, normal, distance, isWalkable } or null if nothing is below within maxDistance
+    findGroundBelow(position, maxDistance = 5, maxSlopeDegrees = 45) {
+        if (!this.world) return null;
+
+        // Start slightly above the point in case it sits right on the surface
+        const startHeight = 0.5;
+        const ray = new RAPIER.Ray(
+            { x: position.x, y: position.y + startHeight, z: position.z },
+            { x: 0, y: -1, z: 0 }
+        );
+
+        const hit = this.world.castRayAndGetNormal(
+            ray,
+            maxDistance + startHeight,
+            true,
+            RAPIER.QueryFilterFlags.EXCLUDE_SENSORS,
+            undefined,
+            undefined,
+            undefined,
+            (collider) => {
+                const parent = collider.parent();
+                return !parent || parent.isFixed();
+            }
+        );
+
+        if (!hit) return null;
+
+        const minNormalY = Math.cos(THREE.MathUtils.degToRad(maxSlopeDegrees));
+        return {
+            point: { x: position.x, y: position.y + startHeight - hit.toi, z: position.z },
+            normal: hit.normal,
+            distance: hit.toi - startHeight,
+            isWalkable: hit.normal.y >= minNormalY
+        };
+    }
+
     removeBody(body) {
         if (body && body.userData && body.userData.id) {
             const id = body.userData.id;
@@ -439,6 +593,9 @@ export class PhysicsWorld {
 
         // Step the physics world and pass the event queue
         this.world.step(this.eventQueue);
+        
+        // Enemies have moved - hitbox bounds are rebuilt on the next shot
+        this.hitboxRegistry.markDirty();
 
         // Update mesh positions based on physics bodies
         this.bodies.forEach((body, uuid) => {